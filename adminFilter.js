@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { boundingExtent } from 'ol/extent';
+import { useI18n } from './i18n';
+
+// Cascading administrative filters per station layer. Each level narrows the
+// options of the next; changing a level clears everything below it. `all`
+// labels the empty option.
+export const filterLevels = {
+  groundwater: [
+    { field: 'state_name', label: 'State', all: 'All states' },
+    { field: 'district_name', label: 'District', all: 'All districts' },
+    { field: 'block_name', label: 'Block', all: 'All blocks' },
+  ],
+  reservoir: [
+    { field: 'state', label: 'State', all: 'All states' },
+    { field: 'basin', label: 'Basin', all: 'All basins' },
+  ],
+};
+
+export const isFilterActive = (filter = {}) => Object.values(filter).some((value) => value);
+
+export const fetchFilterOptions = async (provider, layerKey, field, parentFilter) => {
+  const features = await provider.filterFeatures(layerKey, parentFilter, [field]);
+  const values = new Set(features.map((f) => f.properties[field]).filter((value) => value));
+  return [...values].sort((a, b) => String(a).localeCompare(String(b)));
+};
+
+// EPSG:4326 extent of every station matching the filter, or null when none do.
+export const fetchFilterExtent = async (provider, layerKey, filter) => {
+  const features = await provider.filterFeatures(layerKey, filter, ['longitude', 'latitude']);
+  const coordinates = features
+    .map((f) => [parseFloat(f.properties.longitude), parseFloat(f.properties.latitude)])
+    .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+  return coordinates.length > 0 ? boundingExtent(coordinates) : null;
+};
+
+const selectStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px',
+  maxWidth: '150px'
+};
+
+const FilterSelect = ({ provider, layerKey, level, parentFilter, enabled, value, onChange }) => {
+  const { t } = useI18n();
+  const [options, setOptions] = useState([]);
+  const parentKey = JSON.stringify(parentFilter);
+
+  useEffect(() => {
+    if (!enabled) {
+      setOptions([]);
+      return undefined;
+    }
+    let cancelled = false;
+    fetchFilterOptions(provider, layerKey, level.field, parentFilter)
+      .then((values) => {
+        if (!cancelled) setOptions(values);
+      })
+      .catch((error) => console.error(`Error fetching ${level.label} options:`, error));
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, layerKey, level.field, parentKey, enabled]);
+
+  return (
+    <select
+      value={value ?? ''}
+      disabled={!enabled}
+      onChange={(e) => onChange(e.target.value)}
+      style={selectStyle}
+    >
+      <option value="">{t(level.all)}</option>
+      {options.map((option) => (
+        <option key={option} value={option}>{option}</option>
+      ))}
+    </select>
+  );
+};
+
+export const AdminFilterBar = ({ provider, filters, onChange }) => {
+  const { t } = useI18n();
+  const handleChange = (layerKey, index, value) => {
+    const levels = filterLevels[layerKey];
+    const next = {};
+    levels.slice(0, index).forEach((level) => {
+      next[level.field] = filters[layerKey][level.field];
+    });
+    if (value) next[levels[index].field] = value;
+    onChange(layerKey, next);
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '64px',
+      left: '75%',
+      transform: 'translateX(-50%)',
+      zIndex: 1000,
+      background: 'white',
+      padding: '8px 12px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px'
+    }}>
+      {[['groundwater', 'Wells'], ['reservoir', 'Reservoirs']].map(([layerKey, title]) => (
+        <div key={layerKey} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <span style={{ width: '72px', fontSize: '13px', fontWeight: 500, color: '#333' }}>{t(title)}</span>
+          {filterLevels[layerKey].map((level, index) => {
+            const parentFilter = Object.fromEntries(
+              filterLevels[layerKey].slice(0, index).map((parent) => [parent.field, filters[layerKey][parent.field]])
+            );
+            const enabled = Object.values(parentFilter).every((value) => value);
+            return (
+              <FilterSelect
+                key={level.field}
+                provider={provider}
+                layerKey={layerKey}
+                level={level}
+                parentFilter={parentFilter}
+                enabled={enabled}
+                value={filters[layerKey][level.field]}
+                onChange={(value) => handleChange(layerKey, index, value)}
+              />
+            );
+          })}
+          {isFilterActive(filters[layerKey]) && (
+            <button
+              onClick={() => onChange(layerKey, {})}
+              title={t('Clear filter')}
+              style={{ border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '14px' }}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
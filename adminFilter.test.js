@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { createFixtureProvider } from './dataProvider';
+import { fetchFilterExtent, fetchFilterOptions, isFilterActive } from './adminFilter';
+
+const well = (unique_id, state_name, district_name, longitude, latitude) => ({
+  unique_id, state_name, district_name, longitude, latitude,
+});
+
+const provider = createFixtureProvider({
+  reservoir: { stations: [], series: {} },
+  groundwater: {
+    stations: [
+      well('G1', 'Odisha', 'Sambalpur', 84.0, 21.5),
+      well('G2', 'Odisha', 'Cuttack', 85.9, 20.5),
+      well('G3', 'Odisha', 'Cuttack', 85.8, 20.4),
+      well('G4', 'Himachal Pradesh', 'Bilaspur', 76.7, 31.4),
+      well('G5', 'Himachal Pradesh', '', 'n/a', 31.5),
+    ],
+    series: {},
+  },
+});
+
+describe('isFilterActive', () => {
+  it('needs at least one chosen level', () => {
+    expect(isFilterActive({ state_name: '', district_name: undefined })).toBe(false);
+    expect(isFilterActive({ state_name: 'Odisha' })).toBe(true);
+    expect(isFilterActive()).toBe(false);
+  });
+});
+
+describe('fetchFilterOptions', () => {
+  it('lists the distinct values under the parent levels, sorted, without blanks', async () => {
+    expect(await fetchFilterOptions(provider, 'groundwater', 'state_name', {})).toEqual(['Himachal Pradesh', 'Odisha']);
+    expect(await fetchFilterOptions(provider, 'groundwater', 'district_name', { state_name: 'Odisha' }))
+      .toEqual(['Cuttack', 'Sambalpur']);
+    expect(await fetchFilterOptions(provider, 'groundwater', 'district_name', { state_name: 'Himachal Pradesh' }))
+      .toEqual(['Bilaspur']);
+  });
+});
+
+describe('fetchFilterExtent', () => {
+  it('bounds the matching stations that have a position', async () => {
+    expect(await fetchFilterExtent(provider, 'groundwater', { state_name: 'Odisha', district_name: 'Cuttack' }))
+      .toEqual([85.8, 20.4, 85.9, 20.5]);
+    expect(await fetchFilterExtent(provider, 'groundwater', { state_name: 'Himachal Pradesh' }))
+      .toEqual([76.7, 31.4, 76.7, 31.4]);
+  });
+
+  it('is null when nothing matches', async () => {
+    expect(await fetchFilterExtent(provider, 'groundwater', { state_name: 'Kerala' })).toBeNull();
+  });
+});
@@ -0,0 +1,254 @@
+import React, { useMemo } from 'react';
+import { createI18n, useI18n } from './i18n';
+
+// Groundwater statistics for a filtered well series of [{ date, waterLevel }]
+// where waterLevel is depth to water in m below ground level (mbgl).
+
+const english = createI18n('en');
+
+const MS_PER_YEAR = 365.25 * 86400000;
+const SIGNIFICANCE = 0.05;
+
+// CGWB monitoring rounds (0-based months): pre-monsoon in May, post-monsoon
+// in November.
+export const PRE_MONSOON_MONTHS = [4];
+export const POST_MONSOON_MONTHS = [10];
+
+const validPoints = (data) => data.filter((d) => Number.isFinite(d.waterLevel));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Abramowitz–Stegun 7.1.26 approximation of the standard normal CDF.
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+export const summaryStats = (data) => {
+  const values = validPoints(data).map((d) => d.waterLevel);
+  if (values.length === 0) return null;
+  return {
+    count: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+  };
+};
+
+// Mann-Kendall trend test with tie-corrected variance; returns null below 3 points.
+export const mannKendall = (data) => {
+  const values = validPoints(data).map((d) => d.waterLevel);
+  const n = values.length;
+  if (n < 3) return null;
+
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(values[j] - values[i]);
+    }
+  }
+
+  const ties = {};
+  values.forEach((v) => { ties[v] = (ties[v] ?? 0) + 1; });
+  const tieTerm = Object.values(ties).reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0);
+  const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+
+  let z = 0;
+  if (variance > 0) {
+    if (s > 0) z = (s - 1) / Math.sqrt(variance);
+    else if (s < 0) z = (s + 1) / Math.sqrt(variance);
+  }
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+  return { n, s, variance, z, pValue, significant: pValue < SIGNIFICANCE };
+};
+
+// Sen's slope: median of all pairwise slopes, in metres per year.
+export const sensSlope = (data) => {
+  const points = validPoints(data).map((d) => ({ t: new Date(d.date).getTime() / MS_PER_YEAR, v: d.waterLevel }));
+  const slopes = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const dt = points[j].t - points[i].t;
+      if (dt !== 0) slopes.push((points[j].v - points[i].v) / dt);
+    }
+  }
+  return slopes.length > 0 ? median(slopes) : null;
+};
+
+// Mean pre- and post-monsoon depth per year. A positive fluctuation means the
+// water table rose over the monsoon (post-monsoon depth is shallower).
+export const monsoonFluctuation = (data) => {
+  const years = {};
+  validPoints(data).forEach((d) => {
+    const date = new Date(d.date);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const season = PRE_MONSOON_MONTHS.includes(month) ? 'pre'
+      : POST_MONSOON_MONTHS.includes(month) ? 'post'
+      : null;
+    if (!season) return;
+    years[year] = years[year] ?? { pre: [], post: [] };
+    years[year][season].push(d.waterLevel);
+  });
+
+  const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+  return Object.keys(years).sort().map((year) => {
+    const pre = mean(years[year].pre);
+    const post = mean(years[year].post);
+    return {
+      year: Number(year),
+      pre,
+      post,
+      fluctuation: pre !== null && post !== null ? pre - post : null,
+    };
+  });
+};
+
+// Additive decomposition for irregularly sampled wells: the trend is a centred
+// 12-month moving average in time, the seasonal term is the mean detrended
+// value for each calendar month (centred on zero), the rest is residual.
+export const seasonalDecomposition = (data) => {
+  const points = validPoints(data).map((d) => ({ ...d, t: new Date(d.date).getTime() }));
+  if (points.length < 4) return [];
+
+  const halfWindow = MS_PER_YEAR / 2;
+  const trend = points.map((p) => {
+    const window = points.filter((q) => Math.abs(q.t - p.t) <= halfWindow);
+    return window.reduce((sum, q) => sum + q.waterLevel, 0) / window.length;
+  });
+
+  const monthly = {};
+  points.forEach((p, index) => {
+    const month = new Date(p.t).getUTCMonth();
+    monthly[month] = monthly[month] ?? [];
+    monthly[month].push(p.waterLevel - trend[index]);
+  });
+  const monthlyMeans = Object.fromEntries(
+    Object.entries(monthly).map(([month, values]) => [month, values.reduce((sum, v) => sum + v, 0) / values.length])
+  );
+  const offset = Object.values(monthlyMeans).reduce((sum, v) => sum + v, 0) / Object.values(monthlyMeans).length;
+
+  return points.map((p, index) => {
+    const seasonal = monthlyMeans[new Date(p.t).getUTCMonth()] - offset;
+    return {
+      date: p.date,
+      trend: trend[index],
+      seasonal,
+      residual: p.waterLevel - trend[index] - seasonal,
+    };
+  });
+};
+
+export const decompositionDatasets = (decomposition, t = english.t) => [
+  {
+    label: t('Trend (12-month)'),
+    data: decomposition.map((d) => ({ x: d.date, y: d.trend })),
+    borderColor: "#f97316",
+    borderWidth: 2,
+    borderDash: [6, 4],
+    pointRadius: 0,
+    tension: 0.3,
+    fill: false,
+  },
+  {
+    label: t('Trend + Seasonal'),
+    data: decomposition.map((d) => ({ x: d.date, y: d.trend + d.seasonal })),
+    borderColor: "#10b981",
+    borderWidth: 1.5,
+    pointRadius: 0,
+    tension: 0.3,
+    fill: false,
+  },
+];
+
+const formatter = (t) => (value, digits = 2) => (value === null || value === undefined ? t('N/A') : value.toFixed(digits));
+
+const trendLabel = (mk, slope) => {
+  if (!mk) return 'Not enough data';
+  if (!mk.significant) return 'No significant trend';
+  // Depth below ground increasing means the water table is falling.
+  return slope > 0 ? 'Falling (depth increasing)' : 'Rising (depth decreasing)';
+};
+
+// Summary table rows as [label, value] pairs, shared by the panel and the
+// report (which stays in English).
+export const analysisRows = (data, t = english.t) => {
+  const stats = summaryStats(data);
+  if (!stats) return [];
+  const format = formatter(t);
+  const mk = mannKendall(data);
+  const slope = sensSlope(data);
+  return [
+    [t('Observations'), String(stats.count)],
+    [t('Min (mbgl)'), format(stats.min)],
+    [t('Max (mbgl)'), format(stats.max)],
+    [t('Mean (mbgl)'), format(stats.mean)],
+    [t("Sen's slope (m/yr)"), format(slope, 3)],
+    ['Mann-Kendall', mk ? `Z = ${format(mk.z)}, p = ${format(mk.pValue, 3)}` : t('N/A')],
+    [t('Trend'), t(trendLabel(mk, slope))],
+  ];
+};
+
+const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #f3f4f6' };
+
+export const GroundwaterAnalytics = ({ data, showDecomposition, onToggleDecomposition }) => {
+  const { t } = useI18n();
+  const format = formatter(t);
+  const rows = useMemo(() => analysisRows(data, t), [data, t]);
+  const fluctuation = useMemo(() => monsoonFluctuation(data), [data]);
+
+  if (rows.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: '16px', borderTop: '1px solid #e5e7eb', paddingTop: '12px' }}>
+      <h5 style={{ margin: '0 0 8px', fontSize: '16px', fontWeight: '600', color: '#1f2937' }}>
+        {t('Analysis')}
+      </h5>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '12px' }}>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}><td style={{ padding: '4px 0' }}><b>{label}:</b></td><td>{value}</td></tr>
+          ))}
+        </tbody>
+      </table>
+
+      {fluctuation.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '12px' }}>
+          <thead>
+            <tr style={{ background: '#f9fafb', textAlign: 'left' }}>
+              <th style={cellStyle}>{t('Year')}</th>
+              <th style={cellStyle}>{t('Pre-monsoon')}</th>
+              <th style={cellStyle}>{t('Post-monsoon')}</th>
+              <th style={cellStyle}>{t('Fluctuation (m)')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fluctuation.map((row) => (
+              <tr key={row.year}>
+                <td style={cellStyle}>{row.year}</td>
+                <td style={cellStyle}>{format(row.pre)}</td>
+                <td style={cellStyle}>{format(row.post)}</td>
+                <td style={{ ...cellStyle, color: row.fluctuation === null ? undefined : row.fluctuation >= 0 ? '#16a34a' : '#dc2626' }}>
+                  {format(row.fluctuation)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontSize: '14px' }}>
+        <input type="checkbox" checked={showDecomposition} onChange={onToggleDecomposition} />
+        {t('Show seasonal decomposition on chart')}
+      </label>
+    </div>
+  );
+};
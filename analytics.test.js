@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { mannKendall, monsoonFluctuation, sensSlope } from './analytics';
+
+const MS_PER_YEAR = 365.25 * 86400000;
+const series = (values) => values.map((waterLevel, i) => ({ date: new Date(i * MS_PER_YEAR).toISOString(), waterLevel }));
+
+describe('mannKendall', () => {
+  it('matches the textbook statistic for a monotonic series', () => {
+    const result = mannKendall(series([1, 2, 3, 4, 5]));
+    expect(result.s).toBe(10);
+    expect(result.variance).toBeCloseTo(50 / 3, 12);
+    expect(result.z).toBeCloseTo(2.2045408, 6);
+    expect(result.pValue).toBeCloseTo(0.02749, 4);
+    expect(result.significant).toBe(true);
+  });
+
+  it('corrects the variance for ties', () => {
+    const result = mannKendall(series([1, 2, 2, 3]));
+    expect(result.s).toBe(5);
+    // (4·3·13 − 2·1·9) / 18
+    expect(result.variance).toBeCloseTo(138 / 18, 12);
+  });
+
+  it('is not significant for a flat series and needs three points', () => {
+    expect(mannKendall(series([4, 4, 4, 4]))).toMatchObject({ s: 0, z: 0, significant: false });
+    expect(mannKendall(series([1, 2]))).toBeNull();
+  });
+
+  it('skips readings without a number', () => {
+    expect(mannKendall(series([1, NaN, 2, 3])).n).toBe(3);
+  });
+});
+
+describe('sensSlope', () => {
+  it('takes the median of the pairwise slopes per year', () => {
+    // Slopes 1, 1, 10/3, 1, 4.5, 8.
+    expect(sensSlope(series([0, 1, 2, 10]))).toBeCloseTo((1 + 10 / 3) / 2, 9);
+  });
+
+  it('is null without two dated readings', () => {
+    expect(sensSlope(series([3]))).toBeNull();
+  });
+});
+
+describe('monsoonFluctuation', () => {
+  it('pairs the May and November rounds of each year', () => {
+    const rows = monsoonFluctuation([
+      { date: '2020-05-10', waterLevel: 8 },
+      { date: '2020-11-12', waterLevel: 5 },
+      { date: '2020-08-01', waterLevel: 3 },
+      { date: '2021-05-09', waterLevel: 9 },
+    ]);
+    expect(rows).toEqual([
+      { year: 2020, pre: 8, post: 5, fluctuation: 3 },
+      { year: 2021, pre: 9, post: null, fluctuation: null },
+    ]);
+  });
+});
@@ -0,0 +1,189 @@
+import React from 'react';
+import { createI18n, useI18n, type I18n } from './i18n';
+import type { LayerKey, StationProperties } from './stationModels';
+
+// What the popups and station panels show of a feature's attributes. Each
+// layer lists its fields once (attribute, label, unit, formatter) and names
+// which of them the hover popup and the side panel show, so a field is added
+// or renamed here rather than in the components. Values come from the layer
+// services as they are and only ever become text: formatters return strings
+// and AttributeTable renders them as text nodes, never as markup.
+
+export type AttributeFormatter = (value: unknown, i18n: I18n) => string;
+
+export interface FieldDefinition {
+  field: string;
+  // English; translated when shown.
+  label: string;
+  unit?: string;
+  format?: AttributeFormatter;
+}
+
+export type AttributeView = 'popup' | 'panel';
+
+export interface LayerSchema {
+  fields: FieldDefinition[];
+  // Fields by attribute name, in display order.
+  popup: string[];
+  panel: string[];
+}
+
+const isMissing = (value: unknown) => value === null || value === undefined || String(value).trim() === '';
+
+export const formatters = {
+  text: ((value) => String(value).trim()) as AttributeFormatter,
+  // Numbers in the reader's locale; anything that does not parse is shown as sent.
+  number: (digits = 2): AttributeFormatter => (value, i18n) => {
+    const number = typeof value === 'number' ? value : parseFloat(String(value));
+    return Number.isFinite(number) ? i18n.formatNumber(number, digits) : String(value).trim();
+  },
+};
+
+const coordinate = formatters.number(4);
+
+export const layerSchemas: Record<LayerKey, LayerSchema> = {
+  reservoir: {
+    fields: [
+      { field: 'name_of_reservoir', label: 'Name' },
+      { field: 'state', label: 'State' },
+      { field: 'basin', label: 'Basin' },
+      { field: 'latitude', label: 'Latitude', format: coordinate },
+      { field: 'longitude', label: 'Longitude', format: coordinate },
+      { field: 'frl_m', label: 'FRL', unit: 'm', format: formatters.number(2) },
+      { field: 'live_capacit_y_at_frl_bcm', label: 'Live Capacity', unit: 'BCM', format: formatters.number(3) },
+      { field: 'benefits_irr_cca_in_th_ha', label: 'Irrigation Benefits', unit: 'ha', format: formatters.number(2) },
+      { field: 'hydel_in_mw', label: 'Hydel Capacity', unit: 'MW', format: formatters.number(2) },
+    ],
+    popup: [
+      'name_of_reservoir',
+      'state',
+      'latitude',
+      'longitude',
+      'frl_m',
+      'live_capacit_y_at_frl_bcm',
+      'benefits_irr_cca_in_th_ha',
+      'hydel_in_mw',
+      'basin',
+    ],
+    panel: ['name_of_reservoir', 'live_capacit_y_at_frl_bcm', 'frl_m', 'state', 'longitude', 'latitude'],
+  },
+  groundwater: {
+    fields: [
+      { field: 'objectid', label: 'Object ID' },
+      { field: 'unique_id', label: 'Unique ID' },
+      { field: 'site_id', label: 'Site ID' },
+      { field: 'state_name', label: 'State' },
+      { field: 'district_name', label: 'District' },
+      { field: 'block_name', label: 'Block' },
+      { field: 'site_name', label: 'Site Name' },
+      { field: 'site_type', label: 'Site Type' },
+      { field: 'depth', label: 'Depth', unit: 'm', format: formatters.number(2) },
+      { field: 'longitude', label: 'Longitude', format: coordinate },
+      { field: 'latitude', label: 'Latitude', format: coordinate },
+    ],
+    popup: [
+      'objectid',
+      'unique_id',
+      'site_id',
+      'state_name',
+      'district_name',
+      'block_name',
+      'site_name',
+      'site_type',
+      'depth',
+      'longitude',
+      'latitude',
+    ],
+    panel: [
+      'objectid',
+      'unique_id',
+      'site_id',
+      'state_name',
+      'district_name',
+      'block_name',
+      'site_name',
+      'site_type',
+      'depth',
+      'longitude',
+      'latitude',
+    ],
+  },
+};
+
+export interface AttributeRow {
+  field: string;
+  label: string;
+  value: string;
+}
+
+const english = createI18n('en');
+
+export const fieldLabel = ({ label, unit }: FieldDefinition, t: I18n['t'] = english.t): string => (unit
+  ? `${t(label)} (${unit})`
+  : t(label));
+
+export const formatAttribute = (definition: FieldDefinition, value: unknown, i18n: I18n = english): string => {
+  if (isMissing(value)) return i18n.t('N/A');
+  return (definition.format ?? formatters.text)(value, i18n);
+};
+
+// Labelled, formatted rows for one view of a feature. A field named in a view
+// but not defined is a schema mistake and is skipped with a warning.
+export const attributeRows = (
+  layer: LayerKey,
+  view: AttributeView,
+  properties: StationProperties,
+  i18n: I18n = english,
+  schemas: Record<LayerKey, LayerSchema> = layerSchemas
+): AttributeRow[] => {
+  const { fields, [view]: names } = schemas[layer];
+  return names.flatMap((name) => {
+    const definition = fields.find((f) => f.field === name);
+    if (!definition) {
+      console.warn(`No field definition for ${layer}.${name}`);
+      return [];
+    }
+    return [{
+      field: name,
+      label: fieldLabel(definition, i18n.t),
+      value: formatAttribute(definition, properties[name], i18n),
+    }];
+  });
+};
+
+const viewStyles: Record<AttributeView, { table: React.CSSProperties; cell: React.CSSProperties }> = {
+  popup: {
+    table: { width: '100%', borderCollapse: 'collapse', fontSize: '10px', marginTop: '4px' },
+    cell: { padding: '1px 6px 1px 0' },
+  },
+  panel: {
+    table: { width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '16px' },
+    cell: { padding: '4px 8px 4px 0' },
+  },
+};
+
+export interface AttributeTableProps {
+  layer: LayerKey;
+  view: AttributeView;
+  properties: StationProperties;
+  // Defaults to layerSchemas.
+  schemas?: Record<LayerKey, LayerSchema>;
+}
+
+// A feature's attributes as a two-column table in the current language.
+export const AttributeTable = ({ layer, view, properties, schemas }: AttributeTableProps) => {
+  const i18n = useI18n();
+  const { table, cell } = viewStyles[view];
+  return (
+    <table style={table}>
+      <tbody>
+        {attributeRows(layer, view, properties, i18n, schemas).map(({ field, label, value }) => (
+          <tr key={field}>
+            <th scope="row" style={{ ...cell, textAlign: 'left', verticalAlign: 'top' }}>{label}</th>
+            <td style={{ ...cell, overflowWrap: 'anywhere' }}>{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
@@ -0,0 +1,295 @@
+// Caching layer for a data provider: an in-memory LRU in front of IndexedDB,
+// TTL-based expiry, and de-duplication of identical in-flight requests.
+// Callers may pass { signal } to abandon a request; the underlying network
+// call is only aborted once every caller sharing it has gone. The persisted
+// store is swept of expired entries on start and held to maxPersistedEntries.
+// A reservoir series that does not yet reach yesterday is only kept for
+// latestTtl, so the day's reading shows up soon after it is published.
+
+const MINUTE = 60000;
+
+export const DEFAULT_CACHE_OPTIONS = {
+  maxEntries: 200,
+  maxPersistedEntries: 500,
+  featureInfoTtl: 5 * MINUTE,
+  seriesTtl: 12 * 60 * MINUTE,
+  latestTtl: 60 * MINUTE,
+  persist: true,
+  databaseName: 'gwl-dashboard-cache',
+};
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+export const createLruCache = ({ maxEntries = DEFAULT_CACHE_OPTIONS.maxEntries } = {}) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expires <= Date.now()) return undefined;
+    // Re-insert so Map order tracks recency.
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value, ttl) => {
+    entries.delete(key);
+    entries.set(key, { value, expires: Date.now() + ttl });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return { get, set, delete: (key) => entries.delete(key), clear: () => entries.clear() };
+};
+
+const STORE_NAME = 'entries';
+
+// Minimal promise wrapper over one IndexedDB object store; null where
+// IndexedDB is unavailable (SSR, private browsing in some browsers).
+export const createIdbStore = (databaseName = DEFAULT_CACHE_OPTIONS.databaseName) => {
+  if (typeof indexedDB === 'undefined') return null;
+
+  let databasePromise = null;
+  const open = () => {
+    databasePromise = databasePromise ?? new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return databasePromise;
+  };
+
+  const run = async (mode, operation) => {
+    const database = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  // Every [key, value] pair, read with a cursor since getAll drops the keys.
+  const entries = async () => {
+    const database = await open();
+    return new Promise((resolve, reject) => {
+      const found = [];
+      const transaction = database.transaction(STORE_NAME, 'readonly');
+      const request = transaction.objectStore(STORE_NAME).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        found.push([cursor.key, cursor.value]);
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve(found);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    get: (key) => run('readonly', (store) => store.get(key)),
+    values: () => run('readonly', (store) => store.getAll()),
+    entries,
+    set: (key, value) => run('readwrite', (store) => store.put(value, key)),
+    delete: (key) => run('readwrite', (store) => store.delete(key)),
+    deleteMany: (keys) => run('readwrite', (store) => {
+      keys.forEach((key) => store.delete(key));
+      return store.count();
+    }),
+    clear: () => run('readwrite', (store) => store.clear()),
+  };
+};
+
+// Drops expired entries, then the least recently stored beyond maxEntries.
+// Resolves to the number of entries removed.
+export const sweepIdbStore = async (store, maxEntries, now = Date.now()) => {
+  const entries = await store.entries();
+  const live = entries
+    .filter(([, entry]) => entry?.expires > now)
+    .sort(([, a], [, b]) => (b.stored ?? 0) - (a.stored ?? 0));
+  const keep = new Set(live.slice(0, maxEntries).map(([key]) => key));
+  const stale = entries.map(([key]) => key).filter((key) => !keep.has(key));
+  if (stale.length > 0) await store.deleteMany(stale);
+  return stale.length;
+};
+
+export const createRequestDeduper = () => {
+  const inflight = new Map();
+
+  return (key, request, signal) => {
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    let entry = inflight.get(key);
+    if (!entry) {
+      const created = { controller: new AbortController(), subscribers: 0 };
+      created.promise = request(created.controller.signal).finally(() => {
+        if (inflight.get(key) === created) inflight.delete(key);
+      });
+      inflight.set(key, created);
+      entry = created;
+    }
+    entry.subscribers++;
+    const shared = entry;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.subscribers--;
+        if (shared.subscribers === 0) {
+          inflight.delete(key);
+          shared.controller.abort();
+        }
+        reject(abortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  };
+};
+
+// Whether the newest reading is from yesterday (local time) or later.
+const reachesYesterday = (data, now = new Date()) => {
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1).getTime();
+  return data.some((entry) => new Date(entry.acq_dt).getTime() >= yesterday);
+};
+
+// What the layer is currently filtered by, so filtered and unfiltered lookups
+// at the same pixel are cached separately.
+const layerStateKey = (layer) => JSON.stringify(layer.getSource().getParams?.() ?? layer.get('stationFilter') ?? null);
+
+export const withCache = (provider, options = {}) => {
+  if (provider.cached) return provider;
+  const {
+    maxEntries,
+    maxPersistedEntries,
+    featureInfoTtl,
+    seriesTtl,
+    latestTtl,
+    persist,
+    databaseName,
+  } = { ...DEFAULT_CACHE_OPTIONS, ...options };
+
+  const memory = createLruCache({ maxEntries });
+  const store = persist ? createIdbStore(databaseName) : null;
+  const dedupe = createRequestDeduper();
+  const namespace = provider.apiUrl ?? provider.name;
+  const seriesKey = (layerKey, unique_id) => `${namespace}:${layerKey}:${unique_id}`;
+
+  // Writes are held until the sweep is done so it cannot remove fresh entries.
+  const swept = store
+    ? sweepIdbStore(store, maxPersistedEntries).catch((error) => console.warn('Cache sweep failed:', error))
+    : Promise.resolve();
+
+  const readPersisted = async (key) => {
+    if (!store) return undefined;
+    try {
+      const entry = await store.get(key);
+      if (!entry) return undefined;
+      if (entry.expires <= Date.now()) {
+        store.delete(key).catch(() => {});
+        return undefined;
+      }
+      memory.set(key, entry.value, entry.expires - Date.now());
+      return entry.value;
+    } catch (error) {
+      console.warn('Cache read failed:', error);
+      return undefined;
+    }
+  };
+
+  let writesSinceSweep = 0;
+  const writePersisted = async (key, value, ttl) => {
+    if (!store) return;
+    await swept;
+    try {
+      await store.set(key, { value, expires: Date.now() + ttl, stored: Date.now() });
+      writesSinceSweep++;
+      if (writesSinceSweep >= maxPersistedEntries / 10) {
+        writesSinceSweep = 0;
+        await sweepIdbStore(store, maxPersistedEntries);
+      }
+    } catch (error) {
+      console.warn('Cache write failed:', error);
+    }
+  };
+
+  // Keyed by layer, filter, feature count and the pixel under the pointer at this resolution.
+  const getFeatureInfo = async (layerKey, layer, coordinate, resolution, requestOptions = {}) => {
+    const { featureCount = 1 } = requestOptions;
+    const pixel = coordinate.map((value) => Math.round(value / resolution));
+    const key = `info:${layerKey}:${layerStateKey(layer)}:${featureCount}:${resolution}:${pixel.join(',')}`;
+    const cached = memory.get(key);
+    if (cached) return cached;
+
+    const features = await dedupe(
+      key,
+      (signal) => provider.getFeatureInfo(layerKey, layer, coordinate, resolution, { signal, featureCount }),
+      requestOptions.signal
+    );
+    memory.set(key, features, featureInfoTtl);
+    return features;
+  };
+
+  const cachedSeries = async (key, fetchSeries, isUsable, ttlFor, fallback, signal) => {
+    const cached = memory.get(key) ?? await readPersisted(key);
+    if (cached) return cached;
+
+    try {
+      const series = await dedupe(key, fetchSeries, signal);
+      if (isUsable(series)) {
+        const ttl = ttlFor(series);
+        memory.set(key, series, ttl);
+        writePersisted(key, series, ttl);
+      }
+      return series;
+    } catch (error) {
+      // The wrapped fetchers never throw; keep that contract for aborted calls.
+      return fallback(error);
+    }
+  };
+
+  const fetchGroundwaterSeries = (unique_id, requestOptions = {}) => cachedSeries(
+    seriesKey('groundwater', unique_id),
+    (signal) => provider.fetchGroundwaterSeries(unique_id, { signal }),
+    (series) => series.length > 0,
+    () => seriesTtl,
+    () => [],
+    requestOptions.signal
+  );
+
+  const fetchReservoirSeries = (unique_id, requestOptions = {}) => cachedSeries(
+    seriesKey('reservoir', unique_id),
+    (signal) => provider.fetchReservoirSeries(unique_id, { signal }),
+    (response) => !response.error && response.data?.length > 0,
+    (response) => (reachesYesterday(response.data) ? seriesTtl : Math.min(latestTtl, seriesTtl)),
+    (error) => ({ error: error.message }),
+    requestOptions.signal
+  );
+
+  // Forgets one station's series so the next fetch goes to the network.
+  const invalidateSeries = async (layerKey, unique_id) => {
+    const key = seriesKey(layerKey, unique_id);
+    memory.delete(key);
+    await store?.delete(key).catch((error) => console.warn('Cache delete failed:', error));
+  };
+
+  const clearCache = async () => {
+    memory.clear();
+    await store?.clear();
+  };
+
+  return {
+    ...provider,
+    cached: true,
+    getFeatureInfo,
+    fetchGroundwaterSeries,
+    fetchReservoirSeries,
+    invalidateSeries,
+    clearCache,
+  };
+};
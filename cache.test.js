@@ -0,0 +1,105 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createLruCache, createRequestDeduper, sweepIdbStore, withCache } from './cache';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createLruCache', () => {
+  it('evicts the least recently used entry past maxEntries', () => {
+    const cache = createLruCache({ maxEntries: 2 });
+    cache.set('a', 1, 1000);
+    cache.set('b', 2, 1000);
+    expect(cache.get('a')).toBe(1);
+    cache.set('c', 3, 1000);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+  });
+
+  it('expires entries after their ttl', () => {
+    vi.useFakeTimers();
+    const cache = createLruCache();
+    cache.set('a', 1, 1000);
+    vi.advanceTimersByTime(999);
+    expect(cache.get('a')).toBe(1);
+    vi.advanceTimersByTime(1);
+    expect(cache.get('a')).toBeUndefined();
+  });
+});
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('createRequestDeduper', () => {
+  it('shares one request between callers of the same key', async () => {
+    const dedupe = createRequestDeduper();
+    const response = deferred();
+    const request = vi.fn(() => response.promise);
+    const first = dedupe('k', request);
+    const second = dedupe('k', request);
+    response.resolve('data');
+    expect(await Promise.all([first, second])).toEqual(['data', 'data']);
+    expect(request).toHaveBeenCalledTimes(1);
+    await dedupe('k', async () => 'again');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('aborts the shared request only once every caller has gone', async () => {
+    const dedupe = createRequestDeduper();
+    let requestSignal;
+    const request = (signal) => {
+      requestSignal = signal;
+      return new Promise(() => {});
+    };
+    const callers = [new AbortController(), new AbortController()];
+    const calls = callers.map((controller) => dedupe('k', request, controller.signal).catch((error) => error.name));
+    callers[0].abort();
+    expect(await calls[0]).toBe('AbortError');
+    expect(requestSignal.aborted).toBe(false);
+    callers[1].abort();
+    expect(await calls[1]).toBe('AbortError');
+    expect(requestSignal.aborted).toBe(true);
+  });
+});
+
+describe('sweepIdbStore', () => {
+  it('drops expired entries, then the oldest beyond the cap', async () => {
+    const entries = [
+      ['expired', { expires: 50, stored: 40 }],
+      ['old', { expires: 500, stored: 10 }],
+      ['newer', { expires: 500, stored: 20 }],
+      ['newest', { expires: 500, stored: 30 }],
+    ];
+    const store = { entries: async () => entries, deleteMany: vi.fn(async () => {}) };
+    expect(await sweepIdbStore(store, 2, 100)).toBe(2);
+    expect(store.deleteMany).toHaveBeenCalledWith(['expired', 'old']);
+  });
+});
+
+describe('withCache', () => {
+  const provider = (fetchGroundwaterSeries) => ({ name: 'test', fetchGroundwaterSeries });
+
+  it('fetches a series once, however many ask for it', async () => {
+    const fetchSeries = vi.fn(async () => [{ date: '2020-01-01', wl_mbgl: 5 }]);
+    const cached = withCache(provider(fetchSeries), { persist: false });
+    const [first, second] = await Promise.all([cached.fetchGroundwaterSeries('G1'), cached.fetchGroundwaterSeries('G1')]);
+    expect(second).toBe(first);
+    await cached.fetchGroundwaterSeries('G1');
+    expect(fetchSeries).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not keep empty series and refetches after invalidation', async () => {
+    const fetchSeries = vi.fn(async (unique_id) => (unique_id === 'G1' ? [{ date: '2020-01-01', wl_mbgl: 5 }] : []));
+    const cached = withCache(provider(fetchSeries), { persist: false });
+    await cached.fetchGroundwaterSeries('G2');
+    await cached.fetchGroundwaterSeries('G2');
+    await cached.fetchGroundwaterSeries('G1');
+    await cached.invalidateSeries('groundwater', 'G1');
+    await cached.fetchGroundwaterSeries('G1');
+    expect(fetchSeries.mock.calls.map(([unique_id]) => unique_id)).toEqual(['G2', 'G2', 'G1', 'G1']);
+  });
+});
@@ -0,0 +1,232 @@
+import React, { useMemo, useRef } from 'react';
+import { Line } from "react-chartjs-2";
+import { ChartDataTable } from './hydrograph';
+import { useI18n } from './i18n';
+
+const COMPARE_COLORS = [
+  '#2563eb',
+  '#dc2626',
+  '#16a34a',
+  '#d97706',
+  '#7c3aed',
+  '#0891b2',
+  '#db2777',
+  '#4b5563',
+];
+
+// One station per palette colour, so every overlaid line can be told apart.
+export const MAX_COMPARE_STATIONS = COMPARE_COLORS.length;
+
+export const compareKey = (layer, unique_id) => `${layer}:${unique_id}`;
+
+// First palette colour not already taken by a station in the basket.
+export const nextCompareColor = (stations) => {
+  const used = new Set(stations.map((s) => s.color));
+  return COMPARE_COLORS.find((color) => !used.has(color))
+    ?? COMPARE_COLORS[stations.length % COMPARE_COLORS.length];
+};
+
+const inRange = (date, fromTimestamp, toTimestamp) => {
+  const timestamp = new Date(date).getTime();
+  return (!fromTimestamp || timestamp >= fromTimestamp) &&
+         (!toTimestamp || timestamp <= toTimestamp);
+};
+
+const axisTitles = {
+  yLevel: 'Reservoir Level (m)',
+  yStorage: 'Live Storage (BCM)',
+  yDepth: 'Water Level (mbgl)',
+};
+
+// Overlays every station in the basket on one time axis. Reservoir series carry
+// { labels, reservoirLevels, storageValues }; groundwater series are [{ date, waterLevel }].
+export const buildCompareChartData = (stations, selectedChart, fromDate, toDate) => {
+  const fromTimestamp = fromDate ? new Date(fromDate).getTime() : null;
+  const toTimestamp = toDate ? new Date(toDate).getTime() : null;
+  const datasets = [];
+
+  stations.forEach((station) => {
+    const base = {
+      borderColor: station.color,
+      backgroundColor: station.color,
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.2,
+      fill: false,
+    };
+
+    if (station.layer === 'reservoir') {
+      const { labels, reservoirLevels, storageValues } = station.series;
+      const points = (values) => labels
+        .map((label, index) => ({ x: label, y: values[index] }))
+        .filter((point) => inRange(point.x, fromTimestamp, toTimestamp));
+
+      if (selectedChart === "reservoir" || selectedChart === "both") {
+        datasets.push({
+          ...base,
+          label: `${station.name} – Level (m)`,
+          data: points(reservoirLevels),
+          yAxisID: 'yLevel',
+        });
+      }
+      if (selectedChart === "storage" || selectedChart === "both") {
+        datasets.push({
+          ...base,
+          label: `${station.name} – Storage (BCM)`,
+          data: points(storageValues),
+          borderDash: [6, 4],
+          yAxisID: 'yStorage',
+        });
+      }
+    } else {
+      datasets.push({
+        ...base,
+        label: `${station.name} – Water Level (mbgl)`,
+        data: station.series
+          .filter((entry) => inRange(entry.date, fromTimestamp, toTimestamp))
+          .map((entry) => ({ x: entry.date, y: entry.waterLevel })),
+        pointRadius: 2,
+        yAxisID: 'yDepth',
+      });
+    }
+  });
+
+  return { datasets };
+};
+
+// One y-axis per quantity in use; the first sits on the left, the rest on the right.
+// Axis titles go through `t` when given, for the interface language.
+export const buildCompareScales = (datasets, t = (text) => text) => {
+  const scales = {
+    x: {
+      type: "time",
+      time: {
+        unit: "month",
+        tooltipFormat: "MMM D, YYYY"
+      }
+    }
+  };
+  const axisIds = [...new Set(datasets.map((d) => d.yAxisID))];
+  axisIds.forEach((id, index) => {
+    scales[id] = {
+      type: 'linear',
+      position: index === 0 ? 'left' : 'right',
+      grid: { drawOnChartArea: index === 0 },
+      title: { display: true, text: t(axisTitles[id]) },
+    };
+  });
+  return scales;
+};
+
+export const ComparePanel = ({ stations, selectedChart, fromDate, toDate, onRemove, onClear }) => {
+  const { t, locale } = useI18n();
+  const chartRef = useRef(null);
+
+  const chartData = useMemo(
+    () => buildCompareChartData(stations, selectedChart, fromDate, toDate),
+    [stations, selectedChart, fromDate, toDate]
+  );
+
+  const hasData = chartData.datasets.some((d) => d.data.length > 0);
+
+  return (
+    <div role="region" aria-label={t('Comparison ({count})', { count: stations.length })} style={{
+      position: 'fixed',
+      left: '20px',
+      bottom: '20px',
+      width: '560px',
+      background: 'white',
+      padding: '16px',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      zIndex: 999,
+      overflow: 'auto',
+      maxHeight: 'calc(100vh - 40px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h4 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1f2937' }}>
+          {t('Comparison ({count})', { count: stations.length })}
+        </h4>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            onClick={() => chartRef.current?.resetZoom()}
+            style={{ padding: '4px 10px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '13px' }}
+          >
+            {t('Reset Zoom')}
+          </button>
+          <button
+            onClick={onClear}
+            style={{ padding: '4px 10px', background: 'white', color: '#4b5563', border: '1px solid #d1d5db', borderRadius: '6px', cursor: 'pointer', fontSize: '13px' }}
+          >
+            {t('Clear')}
+          </button>
+        </div>
+      </div>
+
+      <ul style={{ listStyle: 'none', margin: '0 0 12px', padding: 0, display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+        {stations.map((station) => (
+          <li
+            key={station.key}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              padding: '4px 8px',
+              border: '1px solid #e5e7eb',
+              borderRadius: '999px',
+              fontSize: '13px'
+            }}
+          >
+            <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: station.color }} />
+            <span>{station.name}</span>
+            <span style={{ color: '#6b7280' }}>({t(station.layer === 'reservoir' ? 'Reservoir' : 'Well')})</span>
+            <button
+              onClick={() => onRemove(station.key)}
+              title={t('Remove from comparison')}
+              aria-label={`${t('Remove from comparison')}: ${station.name}`}
+              style={{ border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '14px', padding: 0 }}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div style={{ width: "100%", height: "300px" }}>
+        {hasData ? (
+          <Line
+            ref={chartRef}
+            data={chartData}
+            role="img"
+            aria-label={t('Comparison ({count})', { count: stations.length })}
+            options={{
+              locale,
+              responsive: true,
+              maintainAspectRatio: false,
+              interaction: { mode: 'nearest', axis: 'x', intersect: false },
+              scales: buildCompareScales(chartData.datasets, t),
+              plugins: {
+                zoom: {
+                  pan: {
+                    enabled: true,
+                    mode: 'x'
+                  },
+                  zoom: {
+                    wheel: { enabled: true },
+                    pinch: { enabled: true },
+                    mode: 'x'
+                  }
+                }
+              }
+            }}
+          />
+        ) : (
+          <p role="status" style={{ color: "#ef4444", textAlign: "center", marginTop: "20px" }}>
+            {t('No data available for the selected date range.')}
+          </p>
+        )}
+      </div>
+      {hasData && <ChartDataTable data={chartData} />}
+    </div>
+  );
+};
@@ -0,0 +1,15 @@
+// Fan-out helpers for the panels that fetch a series per station (pack
+// downloads, regional summaries, the Influence tab, comparing a whole query
+// result), so none of them floods the API with one request per station at once.
+
+// Runs task over items with at most `limit` in flight.
+export const runLimited = async (items, limit, task) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
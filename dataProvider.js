@@ -0,0 +1,482 @@
+import { createContext, useContext } from 'react';
+import ImageLayer from 'ol/layer/Image';
+import ImageWMS from 'ol/source/ImageWMS';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import { fromLonLat } from 'ol/proj';
+import { containsXY } from 'ol/extent';
+import { Circle, Fill, Stroke, Style } from 'ol/style';
+import WKT from 'ol/format/WKT';
+import axios from 'axios';
+import defaultFixtures from './fixtures';
+import { NO_DATA_COLOR, classify, symbologyClasses } from './symbology';
+
+/** @typedef {import('./stationModels').StationDataProvider} StationDataProvider */
+
+// A data provider owns everything BaseMapWithMarkers needs from a backend:
+//   layers                                  layer key -> layer name on the server
+//   wellBasinField                          groundwater attribute naming a well's basin, or
+//                                           null when the wells carry none
+//   overlays                                reference overlays offered in the layer manager
+//   createLayer(layerKey, options)          OpenLayers layer for 'reservoir' / 'groundwater'
+//   getFeatureInfo(layerKey, layer, coordinate, resolution, { signal, featureCount })
+//                                           resolves to up to featureCount (default 1)
+//                                           [{ properties }] at that coordinate, nearest first
+//   queryFeatures(layerKey, polygon)        resolves to [{ properties }] inside an EPSG:4326 polygon
+//   filterFeatures(layerKey, filter, propertyNames)
+//                                           resolves to [{ properties }] matching an attribute filter
+//   applyFilter(layerKey, layer, filter)    restricts what the layer draws and identifies
+//   temporalLayerKeys                       layer keys with a time-enabled layer; the time
+//                                           slider only offers these, and hides without any
+//   createTemporalLayer(layerKey, options)  layer colouring stations by their value in a period;
+//                                           throws when the provider has no time-enabled layer
+//   setLayerTime(layerKey, layer, period)   shows { start, end } (ISO dates) on a temporal layer
+//   fetchGroundwaterLevels(period, { extent, filter })
+//                                           resolves to [{ properties }] per well, wl_mbgl averaged
+//                                           over the period, within an EPSG:4326 extent; rejects
+//                                           without a time-enabled layer or with too many readings
+//   searchFeatures(layerKey, fields, text, limit)
+//                                           resolves to [{ properties }] where any field contains text
+//   fetchGroundwaterSeries(unique_id, { signal })
+//                                           resolves to [{ date, wl_mbgl }]
+//   fetchReservoirSeries(unique_id, { signal })
+//                                           resolves to { data: [{ acq_dt, ... }] } or { error }
+//   fetchDistrictBoundaries(filter)         resolves to GeoJSON district polygons (EPSG:4326) with
+//                                           properties { state_name, district_name }; filter may
+//                                           hold state_name
+// The series fetchers never reject; an optional AbortSignal cancels the request.
+
+export const productionConfig = {
+  wmsUrl: 'https://gcrs.co.in/geoserver/geosust_industry/wms',
+  geometryName: 'geom',
+  apiUrl: 'https://geosust.co.in/api',
+  layers: {
+    reservoir: 'geosust_industry:cwc_reservoir_static_data',
+    groundwater: 'geosust_industry:gwl',
+  },
+  // Time-enabled views of the station layers, one feature per reading. None
+  // is published on the production server yet, so the time slider,
+  // interpolation and district summaries need them passed in config:
+  //   reservoir:   { layerName }             WMS layer with a TIME dimension
+  //   groundwater: { layerName, dateField }  also queried over WFS by dateField
+  // Style them with the breaks in symbology.js so the legends match.
+  temporalLayers: {},
+  // Reference layers listed (switched off) in the layer manager, as
+  // { id, title, type, layerName } on wmsUrl. None ship by default; pass the
+  // ones the workspace publishes, or add them from its capabilities in the
+  // layer manager.
+  overlays: [],
+  // CORS mode for the station and overlay WMS layers; unset loads them as
+  // plain images, which the printed report then leaves out.
+  crossOrigin: undefined,
+  // The gwl layer records no basin, so wells cannot be matched to a
+  // reservoir's basin; set the attribute here where a layer does carry one.
+  wellBasinField: null,
+  // Polygons behind the district map in the regional summary, with the
+  // attribute names they use. No such layer is published yet; set layerName
+  // to enable the map.
+  districtBoundaries: {
+    layerName: null,
+    stateField: 'state_name',
+    districtField: 'district_name',
+  },
+};
+
+// Attribute filters are plain { field: value } objects; empty values are ignored.
+const activeFilterEntries = (filter = {}) => Object.entries(filter)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+export const toCqlFilter = (filter) => {
+  const clauses = activeFilterEntries(filter)
+    .map(([field, value]) => `${field} = '${escapeCql(value)}'`);
+  return clauses.length > 0 ? clauses.join(' AND ') : null;
+};
+
+const escapeCql = (value) => String(value).replace(/'/g, "''");
+
+// Literal text inside a LIKE pattern: ECQL's escape character is a backslash,
+// and % and _ would otherwise match any run or any single character.
+export const escapeLike = (value) => escapeCql(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+
+export const matchesFilter = (properties, filter) => activeFilterEntries(filter)
+  .every(([field, value]) => properties[field] === value);
+
+// Upper bound on readings pulled for one fetchGroundwaterLevels call.
+export const MAX_LEVEL_READINGS = 20000;
+
+// Collapses observation rows to one per well, averaging wl_mbgl.
+const averageByStation = (observations) => {
+  const stations = new Map();
+  observations.forEach((observation) => {
+    const value = parseFloat(observation.wl_mbgl);
+    if (!Number.isFinite(value)) return;
+    const station = stations.get(observation.unique_id)
+      ?? { properties: { ...observation }, sum: 0, count: 0 };
+    station.sum += value;
+    station.count++;
+    stations.set(observation.unique_id, station);
+  });
+  return [...stations.values()].map(({ properties, sum, count }) => ({
+    properties: { ...properties, wl_mbgl: sum / count },
+  }));
+};
+
+export const createGeoServerProvider = (config = {}) => {
+  const wmsUrl = config.wmsUrl ?? productionConfig.wmsUrl;
+  const wfsUrl = config.wfsUrl ?? wmsUrl.replace(/\/wms$/, '/wfs');
+  const geometryName = config.geometryName ?? productionConfig.geometryName;
+  const apiUrl = config.apiUrl ?? productionConfig.apiUrl;
+  const layers = { ...productionConfig.layers, ...config.layers };
+  const temporalLayers = { ...productionConfig.temporalLayers, ...config.temporalLayers };
+  const crossOrigin = config.crossOrigin ?? productionConfig.crossOrigin;
+  const districtBoundaries = { ...productionConfig.districtBoundaries, ...config.districtBoundaries };
+  const overlays = (config.overlays ?? productionConfig.overlays)
+    .map((overlay) => ({ url: wmsUrl, serverType: 'geoserver', crossOrigin, ...overlay }));
+
+  const wmsLayer = (layerName, options) => new ImageLayer({
+    source: new ImageWMS({
+      url: wmsUrl,
+      params: {
+        LAYERS: layerName,
+        FORMAT: 'image/png',
+        TRANSPARENT: true,
+      },
+      ratio: 1,
+      serverType: 'geoserver',
+      crossOrigin,
+    }),
+    ...options,
+  });
+
+  const createLayer = (layerKey, options = {}) => wmsLayer(layers[layerKey], options);
+
+  const temporalLayer = (layerKey, ...fields) => {
+    const entry = temporalLayers[layerKey];
+    const missing = ['layerName', ...fields].filter((field) => !entry?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`No time-enabled ${layerKey} layer configured (temporalLayers.${layerKey} needs ${missing.join(', ')})`);
+    }
+    return entry;
+  };
+
+  const createTemporalLayer = (layerKey, options = {}) => wmsLayer(temporalLayer(layerKey).layerName, options);
+
+  const setLayerTime = (layerKey, layer, period) => {
+    layer.getSource().updateParams({ TIME: period ? `${period.start}/${period.end}` : undefined });
+  };
+
+  /** @type {StationDataProvider['getFeatureInfo']} */
+  const getFeatureInfo = async (layerKey, layer, coordinate, resolution, { signal, featureCount = 1 } = {}) => {
+    const source = /** @type {ImageLayer<ImageWMS>} */ (layer).getSource();
+    if (!source) return [];
+    const url = source.getFeatureInfoUrl(
+      coordinate,
+      resolution,
+      'EPSG:3857',
+      { INFO_FORMAT: 'application/json', FEATURE_COUNT: featureCount }
+    );
+    if (!url) return [];
+    const response = await axios.get(url, { signal });
+    return response.data.features ?? [];
+  };
+
+  const getFeatures = async (layerKey, params) => {
+    const response = await axios.get(wfsUrl, {
+      params: {
+        service: 'WFS',
+        version: '2.0.0',
+        request: 'GetFeature',
+        typeNames: layers[layerKey] ?? layerKey,
+        outputFormat: 'application/json',
+        srsName: 'EPSG:4326',
+        ...params,
+      },
+    });
+    return response.data.features ?? [];
+  };
+
+  const queryFeatures = (layerKey, polygon) => getFeatures(layerKey, {
+    CQL_FILTER: `INTERSECTS(${geometryName}, ${new WKT().writeGeometry(polygon)})`,
+  });
+
+  const filterFeatures = (layerKey, filter, propertyNames) => getFeatures(layerKey, {
+    CQL_FILTER: toCqlFilter(filter) ?? undefined,
+    propertyName: propertyNames?.join(','),
+  });
+
+  const searchFeatures = (layerKey, fields, text, limit) => getFeatures(layerKey, {
+    CQL_FILTER: fields.map((field) => `${field} ILIKE '%${escapeLike(text)}%'`).join(' OR '),
+    count: limit,
+  });
+
+  // The temporal layer holds one feature per reading; wells are averaged here.
+  // One reading past the cap is requested so an oversized pull is refused
+  // rather than averaged from whichever readings came first.
+  /** @param {{ start: string, end: string }} period @param {{ extent?: number[], filter?: Record<string, unknown> }} [options] */
+  const fetchGroundwaterLevels = async (period, { extent, filter } = {}) => {
+    const { layerName, dateField } = temporalLayer('groundwater', 'dateField');
+    const clauses = [
+      `${dateField} DURING ${period.start}T00:00:00Z/${period.end}T23:59:59Z`,
+      extent && `BBOX(${geometryName}, ${extent.join(', ')}, 'EPSG:4326')`,
+      toCqlFilter(filter),
+    ].filter(Boolean);
+    const features = await getFeatures(layerName, {
+      CQL_FILTER: clauses.join(' AND '),
+      count: MAX_LEVEL_READINGS + 1,
+    });
+    if (features.length > MAX_LEVEL_READINGS) {
+      throw new Error(`More than ${MAX_LEVEL_READINGS} readings in this period and area; narrow the area or shorten the period`);
+    }
+    return averageByStation(features.map((feature) => ({
+      ...feature.properties,
+      longitude: feature.geometry?.coordinates[0] ?? feature.properties.longitude,
+      latitude: feature.geometry?.coordinates[1] ?? feature.properties.latitude,
+    })));
+  };
+
+  // GeoServer applies CQL_FILTER to GetMap and GetFeatureInfo alike, so hover
+  // and click lookups only ever see matching stations.
+  const applyFilter = (layerKey, layer, filter) => {
+    layer.getSource().updateParams({ CQL_FILTER: toCqlFilter(filter) ?? undefined });
+  };
+
+  /** @type {StationDataProvider['fetchGroundwaterSeries']} */
+  const fetchGroundwaterSeries = async (unique_id, { signal } = {}) => {
+    try {
+      const response = await axios.post(`${apiUrl}/gwl_temporal_data/`, {
+        data: { unique_id }
+      }, { signal });
+      return response.data.status === "success" ? response.data.data : [];
+    } catch (error) {
+      if (!signal?.aborted) console.error('Error fetching time-series data:', error);
+      return [];
+    }
+  };
+
+  /** @type {StationDataProvider['fetchReservoirSeries']} */
+  const fetchReservoirSeries = async (unique_id, { signal } = {}) => {
+    try {
+      const response = await fetch(`${apiUrl}/cwc_temporal_data/`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data: { unique_id } }),
+        signal,
+      });
+      if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+      return await response.json();
+    } catch (error) {
+      if (!signal?.aborted) console.error('Error fetching data:', error);
+      return { error: error.message };
+    }
+  };
+
+  const fetchDistrictBoundaries = async (filter = {}) => {
+    const { layerName, stateField, districtField } = districtBoundaries;
+    if (!layerName) throw new Error('No district boundary layer configured (districtBoundaries.layerName)');
+    const features = await getFeatures(layerName, {
+      CQL_FILTER: toCqlFilter({ [stateField]: filter.state_name }) ?? undefined,
+    });
+    return features.map((feature) => ({
+      ...feature,
+      properties: {
+        state_name: feature.properties[stateField],
+        district_name: feature.properties[districtField],
+      },
+    }));
+  };
+
+  return {
+    name: 'geoserver',
+    wmsUrl,
+    wfsUrl,
+    apiUrl,
+    layers,
+    overlays,
+    wellBasinField: config.wellBasinField ?? productionConfig.wellBasinField,
+    temporalLayerKeys: Object.keys(layers).filter((layerKey) => temporalLayers[layerKey]?.layerName),
+    createLayer,
+    getFeatureInfo,
+    queryFeatures,
+    filterFeatures,
+    applyFilter,
+    searchFeatures,
+    createTemporalLayer,
+    setLayerTime,
+    fetchGroundwaterLevels,
+    fetchGroundwaterSeries,
+    fetchReservoirSeries,
+    fetchDistrictBoundaries,
+  };
+};
+
+// Pixels around the pointer that still count as hitting a fixture station.
+const FIXTURE_HIT_TOLERANCE = 8;
+
+const fixtureStyles = {
+  reservoir: new Style({
+    image: new Circle({
+      radius: 6,
+      fill: new Fill({ color: '#2563eb' }),
+      stroke: new Stroke({ color: 'white', width: 2 }),
+    }),
+  }),
+  groundwater: new Style({
+    image: new Circle({
+      radius: 5,
+      fill: new Fill({ color: '#16a34a' }),
+      stroke: new Stroke({ color: 'white', width: 2 }),
+    }),
+  }),
+};
+
+// Serves stations and series from memory so the map and charts work offline.
+export const createFixtureProvider = (fixtures = defaultFixtures) => {
+  const layers = { reservoir: 'fixtures:reservoir', groundwater: 'fixtures:groundwater' };
+
+  const stationSource = (layerKey) => new VectorSource({
+    features: fixtures[layerKey].stations.map((station) => new Feature({
+      geometry: new Point(fromLonLat([station.longitude, station.latitude])),
+      ...station,
+    })),
+  });
+
+  // The unfiltered style is kept on the layer so applyFilter can wrap it.
+  const stationLayer = (layerKey, style, options) => {
+    const layer = new VectorLayer({ source: stationSource(layerKey), style, ...options });
+    layer.set('baseStyle', style);
+    return layer;
+  };
+
+  const createLayer = (layerKey, options = {}) => stationLayer(layerKey, fixtureStyles[layerKey], options);
+
+  const createTemporalLayer = (layerKey, options = {}) => stationLayer(
+    layerKey,
+    (feature) => new Style({
+      image: new Circle({
+        radius: 7,
+        fill: new Fill({
+          color: classify(feature.get('timeValue'), symbologyClasses[layerKey])?.color ?? NO_DATA_COLOR,
+        }),
+        stroke: new Stroke({ color: 'white', width: 1.5 }),
+      }),
+    }),
+    options
+  );
+
+  // Mean depth (wells) or percent of live capacity (reservoirs) within the period.
+  const periodValue = (layerKey, station, period) => {
+    const values = (fixtures[layerKey].series[station.unique_id] ?? [])
+      .filter((entry) => {
+        const date = layerKey === 'reservoir' ? entry.acq_dt : entry.date;
+        return date >= period.start && date <= period.end;
+      })
+      .map((entry) => (layerKey === 'reservoir'
+        ? (parseFloat(entry.current_live_storage_bcm) / station.live_capacit_y_at_frl_bcm) * 100
+        : parseFloat(entry.wl_mbgl)))
+      .filter(Number.isFinite);
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  };
+
+  const setLayerTime = (layerKey, layer, period) => {
+    layer.getSource().getFeatures().forEach((feature) => {
+      feature.set('timeValue', period ? periodValue(layerKey, feature.getProperties(), period) : null);
+    });
+  };
+
+  /** @param {{ start: string, end: string }} period @param {{ extent?: number[], filter?: Record<string, unknown> }} [options] */
+  const fetchGroundwaterLevels = async (period, { extent, filter } = {}) => fixtures.groundwater.stations
+    .filter((station) => !extent || containsXY(extent, station.longitude, station.latitude))
+    .filter((station) => matchesFilter(station, filter))
+    .map((station) => ({ properties: { ...station, wl_mbgl: periodValue('groundwater', station, period) } }))
+    .filter((feature) => feature.properties.wl_mbgl !== null);
+
+  /** @type {StationDataProvider['getFeatureInfo']} */
+  const getFeatureInfo = async (layerKey, layer, coordinate, resolution, { featureCount = 1 } = {}) => {
+    const filter = layer.get('stationFilter');
+    const source = /** @type {VectorLayer<Feature<Point>>} */ (layer).getSource();
+    if (!source) return [];
+    return source.getFeatures()
+      .filter((feature) => matchesFilter(feature.getProperties(), filter))
+      .map((feature) => {
+        const [x, y] = /** @type {Point} */ (feature.getGeometry()).getCoordinates();
+        return { feature, distance: Math.hypot(x - coordinate[0], y - coordinate[1]) };
+      })
+      .filter(({ distance }) => distance <= resolution * FIXTURE_HIT_TOLERANCE)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, featureCount)
+      .map(({ feature }) => {
+        const { geometry, ...properties } = feature.getProperties();
+        return { properties };
+      });
+  };
+
+  const queryFeatures = async (layerKey, polygon) => fixtures[layerKey].stations
+    .filter((station) => polygon.intersectsCoordinate([station.longitude, station.latitude]))
+    .map((properties) => ({ properties }));
+
+  const filterFeatures = async (layerKey, filter) => fixtures[layerKey].stations
+    .filter((station) => matchesFilter(station, filter))
+    .map((properties) => ({ properties }));
+
+  const applyFilter = (layerKey, layer, filter) => {
+    layer.set('stationFilter', filter);
+    const style = layer.get('baseStyle');
+    layer.setStyle((feature, resolution) => {
+      if (!matchesFilter(feature.getProperties(), filter)) return null;
+      return typeof style === 'function' ? style(feature, resolution) : style;
+    });
+  };
+
+  const searchFeatures = async (layerKey, fields, text, limit) => {
+    const needle = text.toLowerCase();
+    return fixtures[layerKey].stations
+      .filter((station) => fields.some((field) => String(station[field] ?? '').toLowerCase().includes(needle)))
+      .slice(0, limit)
+      .map((properties) => ({ properties }));
+  };
+
+  /** @type {StationDataProvider['fetchGroundwaterSeries']} */
+  const fetchGroundwaterSeries = async (unique_id) => fixtures.groundwater.series[unique_id] ?? [];
+
+  /** @type {StationDataProvider['fetchReservoirSeries']} */
+  const fetchReservoirSeries = async (unique_id) => ({
+    status: 'success',
+    data: fixtures.reservoir.series[unique_id] ?? [],
+  });
+
+  const fetchDistrictBoundaries = async (filter) => (fixtures.districts ?? [])
+    .filter((feature) => matchesFilter(feature.properties, filter));
+
+  return {
+    name: 'fixtures',
+    layers,
+    overlays: fixtures.overlays ?? [],
+    wellBasinField: fixtures.wellBasinField ?? null,
+    temporalLayerKeys: ['reservoir', 'groundwater'],
+    fixtures,
+    createLayer,
+    getFeatureInfo,
+    queryFeatures,
+    filterFeatures,
+    applyFilter,
+    searchFeatures,
+    createTemporalLayer,
+    setLayerTime,
+    fetchGroundwaterLevels,
+    fetchGroundwaterSeries,
+    fetchReservoirSeries,
+    fetchDistrictBoundaries,
+  };
+};
+
+export const defaultProvider = createGeoServerProvider();
+
+export const DataProviderContext = createContext(null);
+
+// Resolves the provider for a component: explicit prop, then context, then production.
+export const useDataProvider = (provider) => {
+  const contextProvider = useContext(DataProviderContext);
+  return provider ?? contextProvider ?? defaultProvider;
+};
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import Polygon from 'ol/geom/Polygon';
+import { createFixtureProvider, createGeoServerProvider, escapeLike, matchesFilter, toCqlFilter } from './dataProvider';
+
+const fixtures = {
+  reservoir: {
+    stations: [
+      { unique_id: 'R1', name_of_reservoir: 'Bhakra', state: 'Himachal Pradesh', longitude: 76.4, latitude: 31.4 },
+      { unique_id: 'R2', name_of_reservoir: 'Hirakud', state: 'Odisha', longitude: 83.9, latitude: 21.5 },
+    ],
+    series: {
+      R1: [{ acq_dt: '2020-01-01', current_reservoir_level_m: '500.1', current_live_storage_bcm: '3.1' }],
+    },
+  },
+  groundwater: {
+    stations: [
+      { unique_id: 'G1', site_name: 'Ghumarwin', state_name: 'Himachal Pradesh', district_name: 'Bilaspur', longitude: 76.7, latitude: 31.4 },
+      { unique_id: 'G2', site_name: 'Sambalpur', state_name: 'Odisha', district_name: 'Sambalpur', longitude: 84.0, latitude: 21.5 },
+    ],
+    series: {
+      G1: [
+        { date: '2020-01-15', wl_mbgl: '5.0' },
+        { date: '2020-02-15', wl_mbgl: '7.0' },
+      ],
+    },
+  },
+};
+
+describe('attribute filters', () => {
+  it('ignores empty values and escapes quotes in CQL', () => {
+    expect(toCqlFilter({ state_name: "Jammu & Kashmir's", district_name: '' })).toBe("state_name = 'Jammu & Kashmir''s'");
+    expect(toCqlFilter({ state_name: null })).toBeNull();
+  });
+
+  it('matches every active field', () => {
+    const station = fixtures.groundwater.stations[0];
+    expect(matchesFilter(station, { state_name: 'Himachal Pradesh', district_name: undefined })).toBe(true);
+    expect(matchesFilter(station, { state_name: 'Himachal Pradesh', district_name: 'Kangra' })).toBe(false);
+  });
+});
+
+describe('escapeLike', () => {
+  it('matches wildcards, backslashes and quotes literally', () => {
+    expect(escapeLike('50%_done')).toBe('50\\%\\_done');
+    expect(escapeLike('C:\\wells')).toBe('C:\\\\wells');
+    expect(escapeLike("O'Brien")).toBe("O''Brien");
+  });
+});
+
+describe('createFixtureProvider', () => {
+  const provider = createFixtureProvider(fixtures);
+
+  it('filters and searches the stations in memory', async () => {
+    expect((await provider.filterFeatures('groundwater', { state_name: 'Odisha' })).map((f) => f.properties.unique_id))
+      .toEqual(['G2']);
+    expect((await provider.searchFeatures('reservoir', ['name_of_reservoir'], 'hira', 10)).map((f) => f.properties.unique_id))
+      .toEqual(['R2']);
+  });
+
+  it('finds the stations inside a polygon', async () => {
+    const polygon = new Polygon([[[76, 31], [77, 31], [77, 32], [76, 32], [76, 31]]]);
+    expect((await provider.queryFeatures('groundwater', polygon)).map((f) => f.properties.unique_id)).toEqual(['G1']);
+  });
+
+  it('serves series the way the API does, empty for unknown stations', async () => {
+    expect(await provider.fetchGroundwaterSeries('G1')).toHaveLength(2);
+    expect(await provider.fetchGroundwaterSeries('G9')).toEqual([]);
+    expect(await provider.fetchReservoirSeries('R1')).toMatchObject({ status: 'success', data: [{ acq_dt: '2020-01-01' }] });
+    expect((await provider.fetchReservoirSeries('R9')).data).toEqual([]);
+  });
+
+  it('averages well levels over a period within an extent', async () => {
+    const levels = await provider.fetchGroundwaterLevels(
+      { start: '2020-01-01', end: '2020-12-31' },
+      { extent: [76, 31, 77, 32] }
+    );
+    expect(levels).toEqual([{ properties: expect.objectContaining({ unique_id: 'G1', wl_mbgl: 6 }) }]);
+  });
+});
+
+describe('createGeoServerProvider', () => {
+  it('offers time-enabled layers only where they are configured', () => {
+    expect(createGeoServerProvider().temporalLayerKeys).toEqual([]);
+    expect(createGeoServerProvider({ temporalLayers: { groundwater: { layerName: 'ws:gwl_readings', dateField: 'date' } } })
+      .temporalLayerKeys).toEqual(['groundwater']);
+  });
+});
@@ -0,0 +1,47 @@
+import React from 'react';
+import type { DateRange } from './stationModels';
+import { useI18n } from './i18n';
+
+export interface DateRangeFilterProps {
+  value: DateRange;
+  onChange: (range: DateRange) => void;
+}
+
+const inputStyle: React.CSSProperties = {
+  width: '100%',
+  padding: '6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '14px'
+};
+
+const captionStyle: React.CSSProperties = { display: 'block', marginBottom: '4px', fontSize: '14px', color: '#4b5563' };
+
+// From/to date inputs; clearing one leaves that end of the range open.
+export const DateRangeFilter = ({ value, onChange }: DateRangeFilterProps) => {
+  const { t } = useI18n();
+  return (
+    <div style={{ marginBottom: '16px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+      <label style={{ flex: '1', minWidth: '140px' }}>
+        <span style={captionStyle}>{t('From:')}</span>
+        <input
+          type="date"
+          value={value.from}
+          max={value.to || undefined}
+          onChange={(e) => onChange({ ...value, from: e.target.value })}
+          style={inputStyle}
+        />
+      </label>
+      <label style={{ flex: '1', minWidth: '140px' }}>
+        <span style={captionStyle}>{t('To:')}</span>
+        <input
+          type="date"
+          value={value.to}
+          min={value.from || undefined}
+          onChange={(e) => onChange({ ...value, to: e.target.value })}
+          style={inputStyle}
+        />
+      </label>
+    </div>
+  );
+};
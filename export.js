@@ -0,0 +1,326 @@
+import React, { useState } from 'react';
+import * as XLSX from 'xlsx';
+import { useI18n } from './i18n';
+
+// Exports take the station properties (a flat object) plus the filtered series
+// as rows, described by columns of { key, label }. Files keep the labels they
+// are given; only the menu follows the interface language.
+
+const csvCell = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Station metadata as key/value lines, a blank line, then the series table.
+export const toCSV = (properties, columns, rows) => {
+  const lines = Object.entries(properties).map(([key, value]) => [key, value].map(csvCell).join(','));
+  lines.push('');
+  lines.push(columns.map((c) => csvCell(c.label)).join(','));
+  rows.forEach((row) => {
+    lines.push(columns.map((c) => csvCell(row[c.key])).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+// A single point feature with the series embedded in its properties.
+export const toGeoJSON = (properties, rows) => {
+  const longitude = parseFloat(properties.longitude);
+  const latitude = parseFloat(properties.latitude);
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: Number.isFinite(longitude) && Number.isFinite(latitude)
+        ? { type: 'Point', coordinates: [longitude, latitude] }
+        : null,
+      properties: { ...properties, series: rows },
+    }],
+  };
+};
+
+// A plain table, used for lists of stations rather than a single station's series.
+export const tableToCSV = (columns, rows) => [
+  columns.map((c) => csvCell(c.label)).join(','),
+  ...rows.map((row) => columns.map((c) => csvCell(row[c.key])).join(',')),
+].join('\r\n');
+
+// One point feature per row, keeping the exported columns as properties.
+export const tableToGeoJSON = (columns, rows) => ({
+  type: 'FeatureCollection',
+  features: rows.map((row) => {
+    const longitude = parseFloat(row.longitude);
+    const latitude = parseFloat(row.latitude);
+    return {
+      type: 'Feature',
+      geometry: Number.isFinite(longitude) && Number.isFinite(latitude)
+        ? { type: 'Point', coordinates: [longitude, latitude] }
+        : null,
+      properties: Object.fromEntries(columns.map((c) => [c.key, row[c.key] ?? null])),
+    };
+  }),
+});
+
+export const toXLSX = (properties, columns, rows) => {
+  const workbook = XLSX.utils.book_new();
+  const stationSheet = XLSX.utils.aoa_to_sheet([
+    ['Property', 'Value'],
+    ...Object.entries(properties).map(([key, value]) => [key, value ?? '']),
+  ]);
+  const seriesSheet = XLSX.utils.aoa_to_sheet([
+    columns.map((c) => c.label),
+    ...rows.map((row) => columns.map((c) => (Number.isNaN(row[c.key]) ? null : row[c.key]))),
+  ]);
+  XLSX.utils.book_append_sheet(workbook, stationSheet, 'Station');
+  XLSX.utils.book_append_sheet(workbook, seriesSheet, 'Series');
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+};
+
+// Raster exports take a grid of { extent, cols, rows, cellSize, values }: an
+// EPSG:4326 extent, square cells, and row-major values from the top row down
+// with NaN for cells without an estimate.
+const GRID_NODATA = -9999;
+
+export const gridToAscii = (grid) => {
+  const lines = [
+    `ncols ${grid.cols}`,
+    `nrows ${grid.rows}`,
+    `xllcorner ${grid.extent[0]}`,
+    `yllcorner ${grid.extent[1]}`,
+    `cellsize ${grid.cellSize}`,
+    `NODATA_value ${GRID_NODATA}`,
+  ];
+  for (let row = 0; row < grid.rows; row++) {
+    const values = grid.values.subarray(row * grid.cols, (row + 1) * grid.cols);
+    lines.push(Array.from(values, (v) => (Number.isNaN(v) ? GRID_NODATA : v.toFixed(3))).join(' '));
+  }
+  return lines.join('\r\n');
+};
+
+const TIFF_TYPES = {
+  ascii: { code: 2, size: 1 },
+  short: { code: 3, size: 2 },
+  long: { code: 4, size: 4 },
+  double: { code: 12, size: 8 },
+};
+
+// Single-band Float32 GeoTIFF, uncompressed, one strip, georeferenced in
+// EPSG:4326 through ModelPixelScale/ModelTiepoint and the GeoKey directory.
+export const gridToGeoTIFF = (grid) => {
+  const imageBytes = grid.cols * grid.rows * 4;
+  const entries = [
+    [256, 'long', [grid.cols]], // ImageWidth
+    [257, 'long', [grid.rows]], // ImageLength
+    [258, 'short', [32]], // BitsPerSample
+    [259, 'short', [1]], // Compression: none
+    [262, 'short', [1]], // PhotometricInterpretation: BlackIsZero
+    [273, 'long', [0]], // StripOffsets, patched below
+    [277, 'short', [1]], // SamplesPerPixel
+    [278, 'long', [grid.rows]], // RowsPerStrip
+    [279, 'long', [imageBytes]], // StripByteCounts
+    [284, 'short', [1]], // PlanarConfiguration: chunky
+    [339, 'short', [3]], // SampleFormat: IEEE float
+    [33550, 'double', [grid.cellSize, grid.cellSize, 0]], // ModelPixelScale
+    [33922, 'double', [0, 0, 0, grid.extent[0], grid.extent[3], 0]], // ModelTiepoint
+    // GeoKeyDirectory: geographic model, pixel-is-area, EPSG:4326.
+    [34735, 'short', [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]],
+    [42113, 'ascii', `${GRID_NODATA}\0`.split('').map((c) => c.charCodeAt(0))], // GDAL_NODATA
+  ];
+
+  const ifdBytes = 2 + entries.length * 12 + 4;
+  const extraBytes = entries.reduce((total, [, type, values]) => {
+    const size = TIFF_TYPES[type].size * values.length;
+    return total + (size > 4 ? size + (size % 2) : 0);
+  }, 0);
+  const imageOffset = 8 + ifdBytes + extraBytes;
+  entries.find(([tag]) => tag === 273)[2] = [imageOffset];
+
+  const buffer = new ArrayBuffer(imageOffset + imageBytes);
+  const view = new DataView(buffer);
+  const writeValue = (offset, type, value) => {
+    if (type === 'ascii') view.setUint8(offset, value);
+    else if (type === 'short') view.setUint16(offset, value, true);
+    else if (type === 'long') view.setUint32(offset, value, true);
+    else view.setFloat64(offset, value, true);
+  };
+
+  view.setUint16(0, 0x4949); // 'II', little-endian
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, entries.length, true);
+
+  let extraOffset = 8 + ifdBytes;
+  entries.forEach(([tag, type, values], index) => {
+    const { code, size } = TIFF_TYPES[type];
+    const entryOffset = 10 + index * 12;
+    view.setUint16(entryOffset, tag, true);
+    view.setUint16(entryOffset + 2, code, true);
+    view.setUint32(entryOffset + 4, values.length, true);
+    let valueOffset = entryOffset + 8;
+    if (size * values.length > 4) {
+      view.setUint32(entryOffset + 8, extraOffset, true);
+      valueOffset = extraOffset;
+      extraOffset += size * values.length + ((size * values.length) % 2);
+    }
+    values.forEach((value, i) => writeValue(valueOffset + i * size, type, value));
+  });
+  view.setUint32(10 + entries.length * 12, 0, true); // no further IFDs
+
+  grid.values.forEach((value, i) => {
+    view.setFloat32(imageOffset + i * 4, Number.isNaN(value) ? GRID_NODATA : value, true);
+  });
+  return buffer;
+};
+
+export const gridFormats = [
+  {
+    id: 'tif',
+    label: 'GeoTIFF',
+    build: (grid) => new Blob([gridToGeoTIFF(grid)], { type: 'image/tiff' }),
+  },
+  {
+    id: 'asc',
+    label: 'ASCII grid',
+    build: (grid) => new Blob([gridToAscii(grid)], { type: 'text/plain;charset=utf-8' }),
+  },
+];
+
+const REVOKE_DELAY_MS = 40000;
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.parentNode.removeChild(link);
+  // Revoking straight away can cancel the download in Firefox and Safari.
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+const xlsxType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export const stationFormats = [
+  {
+    id: 'csv',
+    label: 'CSV',
+    build: (properties, columns, rows) => new Blob(
+      [toCSV(properties, columns, rows)],
+      { type: 'text/csv;charset=utf-8' }
+    ),
+  },
+  {
+    id: 'geojson',
+    label: 'GeoJSON',
+    build: (properties, columns, rows) => new Blob(
+      [JSON.stringify(toGeoJSON(properties, rows), null, 2)],
+      { type: 'application/geo+json' }
+    ),
+  },
+  {
+    id: 'xlsx',
+    label: 'Excel (XLSX)',
+    build: (properties, columns, rows) => new Blob(
+      [toXLSX(properties, columns, rows)],
+      { type: xlsxType }
+    ),
+  },
+];
+
+export const tableFormats = [
+  {
+    id: 'csv',
+    label: 'CSV',
+    build: (properties, columns, rows) => new Blob(
+      [tableToCSV(columns, rows)],
+      { type: 'text/csv;charset=utf-8' }
+    ),
+  },
+  {
+    id: 'geojson',
+    label: 'GeoJSON',
+    build: (properties, columns, rows) => new Blob(
+      [JSON.stringify(tableToGeoJSON(columns, rows), null, 2)],
+      { type: 'application/geo+json' }
+    ),
+  },
+  {
+    id: 'xlsx',
+    label: 'Excel (XLSX)',
+    build: (properties, columns, rows) => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        columns.map((c) => c.label),
+        ...rows.map((row) => columns.map((c) => row[c.key] ?? null)),
+      ]), 'Stations');
+      return new Blob([XLSX.write(workbook, { bookType: 'xlsx', type: 'array' })], { type: xlsxType });
+    },
+  },
+];
+
+export const ExportMenu = ({ filename, properties = {}, columns, rows, formats = stationFormats }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleExport = (format) => {
+    downloadBlob(format.build(properties, columns, rows), `${filename}.${format.id}`);
+    setIsOpen(false);
+  };
+
+  return (
+    <div style={{ position: 'relative', display: 'inline-block' }}>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        disabled={rows.length === 0}
+        style={{
+          padding: '6px 14px',
+          background: 'white',
+          color: '#374151',
+          border: '1px solid #d1d5db',
+          borderRadius: '6px',
+          cursor: rows.length === 0 ? 'not-allowed' : 'pointer',
+          fontSize: '14px',
+          fontWeight: '500'
+        }}
+      >
+        {t('Export')} ▾
+      </button>
+      {isOpen && (
+        <ul style={{
+          position: 'absolute',
+          top: '100%',
+          left: 0,
+          margin: '4px 0 0',
+          padding: '4px 0',
+          listStyle: 'none',
+          background: 'white',
+          border: '1px solid #e5e7eb',
+          borderRadius: '6px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+          zIndex: 1001,
+          minWidth: '140px'
+        }}>
+          {formats.map((format) => (
+            <li key={format.id}>
+              <button
+                onClick={() => handleExport(format)}
+                style={{
+                  width: '100%',
+                  padding: '6px 12px',
+                  background: 'none',
+                  border: 'none',
+                  textAlign: 'left',
+                  cursor: 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                {t(format.label)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { gridToAscii, gridToGeoTIFF, tableToCSV, toCSV, toGeoJSON } from './export';
+
+describe('toCSV', () => {
+  it('writes the station fields, a blank line, then the series', () => {
+    const csv = toCSV(
+      { unique_id: 'G1', site_name: 'Ghumarwin, Bilaspur' },
+      [{ key: 'date', label: 'Date' }, { key: 'value', label: 'Water level (m bgl)' }],
+      [{ date: '2020-01-15', value: 5.5 }, { date: '2020-02-15', value: NaN }]
+    );
+    expect(csv.split('\r\n')).toEqual([
+      'unique_id,G1',
+      'site_name,"Ghumarwin, Bilaspur"',
+      '',
+      'Date,Water level (m bgl)',
+      '2020-01-15,5.5',
+      '2020-02-15,',
+    ]);
+  });
+
+  it('doubles quotes inside quoted cells', () => {
+    expect(tableToCSV([{ key: 'name', label: 'Name' }], [{ name: 'The "Old" Well' }]))
+      .toBe('Name\r\n"The ""Old"" Well"');
+  });
+});
+
+describe('toGeoJSON', () => {
+  it('leaves the geometry empty without usable coordinates', () => {
+    expect(toGeoJSON({ longitude: '76.4', latitude: '31.4' }, []).features[0].geometry)
+      .toEqual({ type: 'Point', coordinates: [76.4, 31.4] });
+    expect(toGeoJSON({ longitude: '', latitude: null }, []).features[0].geometry).toBeNull();
+  });
+});
+
+const grid = {
+  extent: [77, 28, 77.3, 28.2],
+  cols: 3,
+  rows: 2,
+  cellSize: 0.1,
+  values: new Float32Array([1.5, 2, NaN, 4, 5, 6.25]),
+};
+
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 12: 8 };
+
+// Tag -> values from the first IFD of a little-endian TIFF.
+const readTags = (buffer) => {
+  const view = new DataView(buffer);
+  const ifd = view.getUint32(4, true);
+  const tags = {};
+  for (let i = 0; i < view.getUint16(ifd, true); i++) {
+    const entry = ifd + 2 + i * 12;
+    const type = view.getUint16(entry + 2, true);
+    const count = view.getUint32(entry + 4, true);
+    const size = TYPE_SIZES[type];
+    const offset = size * count > 4 ? view.getUint32(entry + 8, true) : entry + 8;
+    tags[view.getUint16(entry, true)] = Array.from({ length: count }, (_, j) => {
+      const at = offset + j * size;
+      if (type === 2) return view.getUint8(at);
+      if (type === 3) return view.getUint16(at, true);
+      if (type === 4) return view.getUint32(at, true);
+      return view.getFloat64(at, true);
+    });
+  }
+  return tags;
+};
+
+describe('gridToGeoTIFF', () => {
+  const buffer = gridToGeoTIFF(grid);
+  const tags = readTags(buffer);
+
+  it('writes a little-endian TIFF header', () => {
+    const view = new DataView(buffer);
+    expect(view.getUint16(0, false)).toBe(0x4949);
+    expect(view.getUint16(2, true)).toBe(42);
+  });
+
+  it('describes one Float32 band', () => {
+    expect(tags[256]).toEqual([3]);
+    expect(tags[257]).toEqual([2]);
+    expect(tags[258]).toEqual([32]);
+    expect(tags[339]).toEqual([3]);
+    expect(tags[279]).toEqual([24]);
+  });
+
+  it('georeferences the top-left corner in EPSG:4326', () => {
+    expect(tags[33550]).toEqual([0.1, 0.1, 0]);
+    expect(tags[33922]).toEqual([0, 0, 0, 77, 28.2, 0]);
+    expect(tags[34735]).toEqual([1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]);
+    expect(String.fromCharCode(...tags[42113])).toBe('-9999\0');
+  });
+
+  it('stores the cells row by row with gaps as no-data', () => {
+    const strip = new DataView(buffer, tags[273][0], tags[279][0]);
+    const values = Array.from({ length: 6 }, (_, i) => strip.getFloat32(i * 4, true));
+    expect(values).toEqual([1.5, 2, -9999, 4, 5, 6.25]);
+  });
+});
+
+describe('gridToAscii', () => {
+  it('writes the Esri ASCII header and rows', () => {
+    expect(gridToAscii(grid).split('\r\n')).toEqual([
+      'ncols 3',
+      'nrows 2',
+      'xllcorner 77',
+      'yllcorner 28',
+      'cellsize 0.1',
+      'NODATA_value -9999',
+      '1.500 2.000 -9999',
+      '4.000 5.000 6.250',
+    ]);
+  });
+});
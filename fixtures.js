@@ -0,0 +1,164 @@
+// Offline fixture data for createFixtureProvider. Station properties mirror the
+// attributes served by the GeoServer layers; series are generated so the charts
+// have a few years of realistic-looking seasonal data to work with.
+
+const reservoirStations = [
+  {
+    unique_id: 'FX-RES-001',
+    name_of_reservoir: 'Bhakra',
+    state: 'Himachal Pradesh',
+    basin: 'Indus',
+    latitude: 31.41,
+    longitude: 76.43,
+    frl_m: 512.06,
+    live_capacit_y_at_frl_bcm: 6.229,
+    benefits_irr_cca_in_th_ha: 676,
+    hydel_in_mw: 1325,
+  },
+  {
+    unique_id: 'FX-RES-002',
+    name_of_reservoir: 'Hirakud',
+    state: 'Odisha',
+    basin: 'Mahanadi',
+    latitude: 21.52,
+    longitude: 83.87,
+    frl_m: 192.02,
+    live_capacit_y_at_frl_bcm: 5.375,
+    benefits_irr_cca_in_th_ha: 436,
+    hydel_in_mw: 307,
+  },
+  {
+    unique_id: 'FX-RES-003',
+    name_of_reservoir: 'Nagarjuna Sagar',
+    state: 'Telangana',
+    basin: 'Krishna',
+    latitude: 16.57,
+    longitude: 79.31,
+    frl_m: 179.83,
+    live_capacit_y_at_frl_bcm: 6.841,
+    benefits_irr_cca_in_th_ha: 895,
+    hydel_in_mw: 810,
+  },
+];
+
+const groundwaterStations = [
+  {
+    objectid: 1,
+    unique_id: 'FX-GW-001',
+    site_id: 'W01001',
+    state_name: 'Himachal Pradesh',
+    district_name: 'Bilaspur',
+    block_name: 'Ghumarwin',
+    site_name: 'Ghumarwin',
+    site_type: 'Dug Well',
+    depth: 12.5,
+    latitude: 31.44,
+    longitude: 76.71,
+  },
+  {
+    objectid: 2,
+    unique_id: 'FX-GW-002',
+    site_id: 'W02014',
+    state_name: 'Odisha',
+    district_name: 'Sambalpur',
+    block_name: 'Dhankauda',
+    site_name: 'Burla',
+    site_type: 'Bore Well',
+    depth: 60,
+    latitude: 21.5,
+    longitude: 83.87,
+  },
+  {
+    objectid: 3,
+    unique_id: 'FX-GW-003',
+    site_id: 'W03107',
+    state_name: 'Telangana',
+    district_name: 'Nalgonda',
+    block_name: 'Peddavoora',
+    site_name: 'Peddavoora',
+    site_type: 'Piezometer',
+    depth: 85,
+    latitude: 16.65,
+    longitude: 79.27,
+  },
+  {
+    objectid: 4,
+    unique_id: 'FX-GW-004',
+    site_id: 'W04022',
+    state_name: 'Maharashtra',
+    district_name: 'Nagpur',
+    block_name: 'Hingna',
+    site_name: 'Hingna',
+    site_type: 'Dug Well',
+    depth: 15,
+    latitude: 21.07,
+    longitude: 78.97,
+  },
+];
+
+// Rough boxes around the fixture districts, not their real boundaries.
+const districtBox = (state_name, district_name, [west, south, east, north]) => ({
+  type: 'Feature',
+  properties: { state_name, district_name },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+  },
+});
+
+const districts = [
+  districtBox('Himachal Pradesh', 'Bilaspur', [76.4, 31.2, 76.95, 31.6]),
+  districtBox('Odisha', 'Sambalpur', [83.4, 21.1, 84.4, 22.0]),
+  districtBox('Telangana', 'Nalgonda', [78.7, 16.4, 79.8, 17.5]),
+  districtBox('Maharashtra', 'Nagpur', [78.3, 20.6, 79.7, 21.7]),
+];
+
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+// Weekly reservoir readings: filling through the monsoon, drawdown the rest of the year.
+const reservoirSeries = (station, index) => {
+  const series = [];
+  const start = Date.UTC(2021, 0, 1);
+  for (let week = 0; week < 52 * 4; week++) {
+    const date = new Date(start + week * 7 * 86400000);
+    const season = Math.sin(((date.getUTCMonth() - 5) / 12) * 2 * Math.PI);
+    const wetYear = 0.08 * Math.sin(date.getUTCFullYear() * 1.7);
+    const fill = Math.min(1, Math.max(0.15, 0.55 + 0.35 * season + wetYear - 0.03 * index));
+    series.push({
+      acq_dt: toISODate(date),
+      current_reservoir_level_m: (station.frl_m - 40 * (1 - fill)).toFixed(2),
+      current_live_storage_bcm: (station.live_capacit_y_at_frl_bcm * fill).toFixed(3),
+    });
+  }
+  return series;
+};
+
+// CGWB-style monitoring: January, May (pre-monsoon), August and November (post-monsoon).
+const groundwaterSeries = (station, index) => {
+  const series = [];
+  for (let year = 2014; year <= 2024; year++) {
+    [0, 4, 7, 10].forEach((month) => {
+      const season = month === 4 ? 1 : month === 0 ? 0.5 : month === 10 ? -0.5 : -1;
+      const level = 4 + index * 2.5 + season * 2 + (year - 2014) * 0.15 * (index + 1);
+      series.push({
+        date: toISODate(new Date(Date.UTC(year, month, 15))),
+        wl_mbgl: level.toFixed(2),
+      });
+    });
+  }
+  return series;
+};
+
+const fixtures = {
+  reservoir: {
+    stations: reservoirStations,
+    series: Object.fromEntries(reservoirStations.map((s, i) => [s.unique_id, reservoirSeries(s, i)])),
+  },
+  groundwater: {
+    stations: groundwaterStations,
+    series: Object.fromEntries(groundwaterStations.map((s, i) => [s.unique_id, groundwaterSeries(s, i)])),
+  },
+  districts,
+};
+
+export default fixtures;
@@ -0,0 +1,275 @@
+import React from 'react';
+import { createI18n, useI18n } from './i18n';
+
+// Seasonal forecasts for station series of [{ date, value }]. The series is
+// averaged to calendar months (months without readings are interpolated) and
+// fitted with additive damped Holt-Winters, 12-month season, smoothing
+// parameters chosen by grid search on one-step errors. Intervals use the
+// analytical h-step variance of the equivalent ETS(A,Ad,A) model.
+
+const english = createI18n('en');
+
+const SEASON = 12;
+const MIN_MONTHS = 2 * SEASON;
+// Months with an actual reading needed before interpolation is trusted.
+const MIN_OBSERVED_MONTHS = 8;
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+export const horizonOptions = [3, 6, 9, 12];
+
+export const DEFAULT_FORECAST_OPTIONS = { enabled: false, horizon: 6 };
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0, 0.01, 0.05, 0.1, 0.2];
+const GAMMAS = [0, 0.05, 0.1, 0.2, 0.3, 0.5];
+const PHIS = [0.9, 0.95, 0.98, 1];
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const monthKey = (date) => date.slice(0, 7);
+
+export const addMonths = (key, months) => {
+  const [year, month] = key.split('-').map(Number);
+  const index = year * 12 + (month - 1) + months;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+// Monthly means from the first to the last month with a reading, as
+// [{ month, value, observed }], gaps filled linearly between neighbours.
+export const monthlySeries = (points) => {
+  const sums = {};
+  points.forEach(({ date, value }) => {
+    if (!Number.isFinite(value)) return;
+    const key = monthKey(date);
+    sums[key] = sums[key] ?? { sum: 0, count: 0 };
+    sums[key].sum += value;
+    sums[key].count += 1;
+  });
+  const keys = Object.keys(sums).sort();
+  if (keys.length === 0) return [];
+
+  const months = [];
+  for (let key = keys[0]; key <= keys[keys.length - 1]; key = addMonths(key, 1)) {
+    months.push({ month: key, value: sums[key] ? sums[key].sum / sums[key].count : null, observed: Boolean(sums[key]) });
+  }
+  let previous = 0;
+  months.forEach((m, index) => {
+    if (m.observed) {
+      const steps = index - previous;
+      for (let j = previous + 1; j < index; j++) {
+        months[j].value = months[previous].value + ((m.value - months[previous].value) * (j - previous)) / steps;
+      }
+      previous = index;
+    }
+  });
+  return months;
+};
+
+const phiSum = (phi, h) => {
+  let sum = 0;
+  for (let j = 1; j <= h; j++) sum += phi ** j;
+  return sum;
+};
+
+// Runs the error-correction recursions; sse skips the first season, whose
+// errors mostly reflect the initial state.
+export const fitHoltWinters = (y, { alpha, beta, gamma, phi }) => {
+  let level = mean(y.slice(0, SEASON));
+  let trend = (mean(y.slice(SEASON, 2 * SEASON)) - level) / SEASON;
+  const season = y.slice(0, SEASON).map((v) => v - level);
+  let sse = 0;
+  y.forEach((value, t) => {
+    const s = season[t % SEASON];
+    const error = value - (level + phi * trend + s);
+    if (t >= SEASON) sse += error * error;
+    level = level + phi * trend + alpha * error;
+    trend = phi * trend + beta * error;
+    season[t % SEASON] = s + gamma * error;
+  });
+  return { level, trend, season, sse, n: y.length };
+};
+
+const bestFit = (y) => {
+  let best = null;
+  ALPHAS.forEach((alpha) => BETAS.filter((beta) => beta <= alpha).forEach((beta) => {
+    GAMMAS.filter((gamma) => gamma <= 1 - alpha).forEach((gamma) => PHIS.forEach((phi) => {
+      const fit = fitHoltWinters(y, { alpha, beta, gamma, phi });
+      if (!best || fit.sse < best.fit.sse) best = { fit, params: { alpha, beta, gamma, phi } };
+    }));
+  }));
+  return best;
+};
+
+// Point forecasts and standard deviations 1..horizon steps past the fit.
+export const projectHoltWinters = ({ fit, params }, horizon) => {
+  const { alpha, beta, gamma, phi } = params;
+  const sigma2 = fit.sse / Math.max(1, fit.n - SEASON);
+  let varianceSum = 0;
+  return Array.from({ length: horizon }, (_, index) => {
+    const h = index + 1;
+    if (h > 1) {
+      const j = h - 1;
+      const c = alpha + beta * phiSum(phi, j) + (j % SEASON === 0 ? gamma : 0);
+      varianceSum += c * c;
+    }
+    return {
+      value: fit.level + phiSum(phi, h) * fit.trend + fit.season[(fit.n + h - 1) % SEASON],
+      sd: Math.sqrt(sigma2 * (1 + varianceSum)),
+    };
+  });
+};
+
+const clamp = (value, { min = -Infinity, max = Infinity } = {}) => Math.min(max, Math.max(min, value));
+
+// Refits without the last `holdout` months and scores the projection against
+// the months that had readings, next to a same-month-last-year forecast.
+const backtest = (months, holdout) => {
+  const training = months.slice(0, months.length - holdout);
+  const actual = months.slice(months.length - holdout);
+  const predicted = projectHoltWinters(bestFit(training.map((m) => m.value)), holdout);
+  const scored = actual
+    .map((m, index) => ({
+      actual: m.value,
+      predicted: predicted[index].value,
+      naive: months[months.length - holdout + index - SEASON].value,
+      observed: m.observed,
+    }))
+    .filter((m) => m.observed);
+  if (scored.length === 0) return null;
+  const errors = scored.map((m) => m.predicted - m.actual);
+  const percentErrors = scored.filter((m) => Math.abs(m.actual) > 1e-9).map((m) => Math.abs((m.predicted - m.actual) / m.actual));
+  return {
+    months: holdout,
+    scored: scored.length,
+    mae: mean(errors.map(Math.abs)),
+    rmse: Math.sqrt(mean(errors.map((e) => e * e))),
+    mape: percentErrors.length > 0 ? mean(percentErrors) * 100 : null,
+    naiveMae: mean(scored.map((m) => Math.abs(m.naive - m.actual))),
+  };
+};
+
+// Forecasts `horizon` months past the last month with a reading. Returns
+//   { forecast: [{ date, value, lower80, upper80, lower95, upper95 }], backtest, params }
+// where forecast starts at the last reading so the line joins the history,
+// and bounds ({ min, max }) clamps values that cannot be physical, such as
+// negative storage. Throws when the history is too short to fit a season.
+export const forecastSeries = (points, { horizon, bounds }) => {
+  const months = monthlySeries(points);
+  if (months.length < MIN_MONTHS || months.filter((m) => m.observed).length < MIN_OBSERVED_MONTHS) {
+    throw new Error(`Forecasting needs at least ${MIN_MONTHS} months of history with regular readings.`);
+  }
+
+  const fitted = bestFit(months.map((m) => m.value));
+  const lastMonth = months[months.length - 1].month;
+  const last = points.filter((p) => Number.isFinite(p.value)).pop();
+  const forecast = [
+    { date: last.date, value: last.value, lower80: last.value, upper80: last.value, lower95: last.value, upper95: last.value },
+    ...projectHoltWinters(fitted, horizon).map(({ value, sd }, index) => ({
+      date: `${addMonths(lastMonth, index + 1)}-15`,
+      value: clamp(value, bounds),
+      lower80: clamp(value - Z_80 * sd, bounds),
+      upper80: clamp(value + Z_80 * sd, bounds),
+      lower95: clamp(value - Z_95 * sd, bounds),
+      upper95: clamp(value + Z_95 * sd, bounds),
+    })),
+  ];
+
+  const holdout = Math.min(horizon, months.length - MIN_MONTHS);
+  return {
+    forecast,
+    backtest: holdout > 0 ? backtest(months, holdout) : null,
+    params: fitted.params,
+  };
+};
+
+// forecastSeries for render paths: failures become { error }.
+export const tryForecast = (points, options) => {
+  try {
+    return forecastSeries(points, options);
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Projection and its 95% and 80% bands; each band is a lower bound then an
+// upper bound filled down to it, so they must stay adjacent. The bounds are
+// flagged hideInLegend, which Hydrograph leaves out of the legend.
+export const forecastDatasets = (result, label, [r, g, b], t = english.t) => {
+  const bound = (key, fill, alpha) => ({
+    label: `${label} ${key}`,
+    data: result.forecast.map((p) => ({ x: p.date, y: p[key] })),
+    borderWidth: 0,
+    pointRadius: 0,
+    backgroundColor: `rgba(${r}, ${g}, ${b}, ${alpha})`,
+    fill,
+    hideInLegend: true,
+  });
+  return [
+    bound('lower95', false, 0),
+    bound('upper95', '-1', 0.12),
+    bound('lower80', false, 0),
+    bound('upper80', '-1', 0.2),
+    {
+      label: t('{series} forecast', { series: label }),
+      data: result.forecast.map((p) => ({ x: p.date, y: p.value })),
+      borderColor: `rgb(${r}, ${g}, ${b})`,
+      borderWidth: 2,
+      borderDash: [6, 4],
+      pointRadius: 0,
+      fill: false,
+    },
+  ];
+};
+
+const formatter = (t) => (value, digits = 2) => (value === null || value === undefined ? t('N/A') : value.toFixed(digits));
+
+// Forecast switch, horizon and the backtest per forecast series. forecasts are
+// [{ label, unit, result }] with result from tryForecast; errors are shown
+// translated where the table has their text.
+export const ForecastControls = ({ options, onOptionsChange, forecasts }) => {
+  const { t } = useI18n();
+  const format = formatter(t);
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px', border: '1px solid #e5e7eb', borderRadius: '8px', fontSize: '13px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontSize: '14px', fontWeight: '600', color: '#1f2937' }}>
+          <input
+            type="checkbox"
+            checked={options.enabled}
+            onChange={() => onOptionsChange({ ...options, enabled: !options.enabled })}
+          />
+          {t('Forecast')}
+        </label>
+        <select
+          value={options.horizon}
+          onChange={(e) => onOptionsChange({ ...options, horizon: Number(e.target.value) })}
+          disabled={!options.enabled}
+          style={{ padding: '2px 4px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '12px' }}
+        >
+          {horizonOptions.map((months) => <option key={months} value={months}>{t('{months} months', { months })}</option>)}
+        </select>
+      </div>
+
+      {options.enabled && forecasts.map(({ label, unit, result }) => (
+        <div key={label} style={{ marginTop: '6px', color: '#4b5563' }}>
+          <b>{label}:</b>{' '}
+          {result.error && <span style={{ color: '#dc2626' }}>{t(result.error)}</span>}
+          {!result.error && !result.backtest && t('Too little history to backtest.')}
+          {result.backtest && (
+            <span title={t('Fitted on all but the last {months} months, scored on the {scored} of them with readings', result.backtest)}>
+              {t('backtest over {months} months', result.backtest)}: MAE {format(result.backtest.mae)} {unit}, RMSE {format(result.backtest.rmse)} {unit}
+              {result.backtest.mape !== null && `, MAPE ${format(result.backtest.mape, 1)}%`}
+              {' '}({t('same month last year')}: MAE {format(result.backtest.naiveMae)} {unit})
+            </span>
+          )}
+        </div>
+      ))}
+      {options.enabled && (
+        <div style={{ marginTop: '6px', fontSize: '12px', color: '#6b7280' }}>
+          {t('Shaded bands are 80% and 95% intervals from a seasonal Holt-Winters model fitted to the filtered history.')}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { addMonths, fitHoltWinters, forecastSeries, monthlySeries, projectHoltWinters } from './forecast';
+
+const SEASONAL = [0, 1, 3, 4, 2, 0, -2, -4, -3, -1, 0, 0];
+
+const seasonalPoints = (years, base = 10) => Array.from({ length: years * 12 }, (_, i) => ({
+  date: `${2015 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, '0')}-15`,
+  value: base + SEASONAL[i % 12],
+}));
+
+describe('addMonths', () => {
+  it('carries across year boundaries both ways', () => {
+    expect(addMonths('2020-11', 3)).toBe('2021-02');
+    expect(addMonths('2020-01', -1)).toBe('2019-12');
+  });
+});
+
+describe('monthlySeries', () => {
+  it('averages months and fills gaps linearly', () => {
+    const months = monthlySeries([
+      { date: '2020-01-05', value: 2 },
+      { date: '2020-01-25', value: 4 },
+      { date: '2020-04-10', value: 9 },
+    ]);
+    expect(months.map((m) => [m.month, m.value, m.observed])).toEqual([
+      ['2020-01', 3, true],
+      ['2020-02', 5, false],
+      ['2020-03', 7, false],
+      ['2020-04', 9, true],
+    ]);
+  });
+});
+
+describe('Holt-Winters', () => {
+  it('fits a purely seasonal series without error', () => {
+    const fit = fitHoltWinters(seasonalPoints(3).map((p) => p.value), { alpha: 0.3, beta: 0.1, gamma: 0.1, phi: 0.98 });
+    expect(fit.sse).toBeCloseTo(0, 12);
+    expect(fit.level).toBeCloseTo(10, 12);
+    expect(fit.trend).toBeCloseTo(0, 12);
+  });
+
+  it('projects damped trend and season with the ETS(A,Ad,A) h-step variance', () => {
+    const fit = { level: 10, trend: 1, season: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], sse: 12, n: 24 };
+    const steps = projectHoltWinters({ fit, params: { alpha: 0.5, beta: 0.1, gamma: 0.2, phi: 0.9 } }, 3);
+    expect(steps.map((s) => s.value)).toEqual([
+      expect.closeTo(10.9, 10),
+      expect.closeTo(12.71, 10),
+      expect.closeTo(14.439, 10),
+    ]);
+    // sigma² = 1; c1 = 0.5 + 0.1 × 0.9, c2 = 0.5 + 0.1 × (0.9 + 0.81).
+    expect(steps.map((s) => s.sd)).toEqual([
+      expect.closeTo(1, 10),
+      expect.closeTo(1.1610771, 6),
+      expect.closeTo(1.3410224, 6),
+    ]);
+  });
+
+  it('adds the seasonal smoothing term once per full season', () => {
+    const fit = { level: 0, trend: 0, season: new Array(12).fill(0), sse: 12, n: 24 };
+    const params = { alpha: 0.5, beta: 0, gamma: 0.2, phi: 1 };
+    const steps = projectHoltWinters({ fit, params }, 14);
+    // c_j = 0.5 for j = 1..11, 0.7 at j = 12, 0.5 at j = 13.
+    expect(steps[12].sd).toBeCloseTo(Math.sqrt(1 + 11 * 0.25 + 0.49), 10);
+    expect(steps[13].sd).toBeCloseTo(Math.sqrt(1 + 12 * 0.25 + 0.49), 10);
+  });
+});
+
+describe('forecastSeries', () => {
+  it('continues an exact seasonal pattern with zero-width intervals', () => {
+    const { forecast } = forecastSeries(seasonalPoints(3), { horizon: 3 });
+    expect(forecast[0]).toMatchObject({ date: '2017-12-15', value: 10 });
+    expect(forecast.slice(1).map((f) => f.date)).toEqual(['2018-01-15', '2018-02-15', '2018-03-15']);
+    forecast.slice(1).forEach((f, i) => {
+      expect(f.value).toBeCloseTo(10 + SEASONAL[i], 9);
+      expect(f.upper95 - f.lower95).toBeCloseTo(0, 9);
+    });
+  });
+
+  it('clamps values to the physical bounds', () => {
+    const { forecast } = forecastSeries(seasonalPoints(3, 1), { horizon: 9, bounds: { min: 0 } });
+    expect(Math.min(...forecast.map((f) => f.lower95))).toBe(0);
+  });
+
+  it('refuses histories shorter than two seasons', () => {
+    expect(() => forecastSeries(seasonalPoints(1), { horizon: 3 })).toThrow(/24 months/);
+  });
+});
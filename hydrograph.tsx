@@ -0,0 +1,268 @@
+import React, { forwardRef, useRef, useState, type ForwardedRef } from 'react';
+import { Line } from 'react-chartjs-2';
+import 'chartjs-adapter-moment';
+import zoomPlugin from 'chartjs-plugin-zoom';
+import {
+  Chart,
+  LineController,
+  LineElement,
+  PointElement,
+  LinearScale,
+  Title,
+  TimeScale,
+  Tooltip,
+  Legend,
+  CategoryScale,
+  Filler,
+  type ChartData,
+  type ChartDataset,
+  type ChartOptions,
+  type Plugin,
+} from 'chart.js';
+import type { Measure } from './stationModels';
+import { useI18n } from './i18n';
+
+// Time-axis line chart with pan/zoom and a reset button, the base of every
+// station chart. Callers supply the Chart.js data; datasets flagged
+// `hideInLegend` (interval bounds and the like) are left out of the legend.
+// Axis numbers and dates follow the current language, and the chart carries
+// a text summary plus a data table for screen reader and keyboard users.
+
+Chart.register(
+  LineController,
+  LineElement,
+  PointElement,
+  LinearScale,
+  Title,
+  TimeScale,
+  Tooltip,
+  Legend,
+  CategoryScale,
+  Filler,
+  zoomPlugin
+);
+
+export type HydrographChart = Chart<'line'>;
+
+type HydrographDataset = ChartDataset<'line'> & { hideInLegend?: boolean };
+
+export interface HydrographProps {
+  data: ChartData<'line', unknown[], unknown>;
+  height?: string | number;
+  // Extra axes, e.g. a right-hand percentage scale; x is always time.
+  scales?: ChartOptions<'line'>['scales'];
+  plugins?: Plugin<'line'>[];
+  // Options for the plugins above, keyed by plugin id.
+  pluginOptions?: Record<string, unknown>;
+  showResetZoom?: boolean;
+  emptyMessage?: string;
+  // Offer the values as a table under the chart (on by default).
+  showDataTable?: boolean;
+}
+
+const measureColors = ['#2563eb', '#dc2626', '#0d9488', '#7c3aed', '#f59e0b'];
+
+// Datasets for measures on a time axis, one colour each in order.
+export const measureDatasets = (measures: Measure[], colors: string[] = measureColors): ChartDataset<'line', { x: string; y: number }[]>[] => measures
+  .map((measure, index) => ({
+    label: `${measure.label} (${measure.unit})`,
+    data: measure.points.map((p) => ({ x: p.date, y: p.value })),
+    borderColor: colors[index % colors.length],
+    borderWidth: 2,
+    tension: 0.2,
+    fill: false,
+  }));
+
+const hasData = (data: HydrographProps['data']) => (data.labels?.length ?? 0) > 0
+  || data.datasets.some((dataset) => dataset.data.length > 0);
+
+type Point = { x?: unknown; y?: unknown } | number | null;
+
+const tableDate = (value: unknown) => (value instanceof Date || typeof value === 'number'
+  ? new Date(value).toISOString()
+  : String(value)).slice(0, 10);
+
+// Rows of the table alternative: one per date, one column per legend dataset.
+// Point data is matched on x; plain number data on the shared labels.
+export const chartTableRows = (data: HydrographProps['data']) => {
+  const datasets = (data.datasets as HydrographDataset[]).filter((dataset) => !dataset.hideInLegend);
+  const rows = new Map<string, (number | null)[]>();
+  datasets.forEach((dataset, column) => {
+    (dataset.data as Point[]).forEach((point, index) => {
+      const isObject = typeof point === 'object' && point !== null;
+      const x = isObject ? point.x : data.labels?.[index];
+      const y = isObject ? point.y : point;
+      if (x === undefined || x === null || typeof y !== 'number') return;
+      const date = tableDate(x);
+      if (!rows.has(date)) rows.set(date, datasets.map(() => null));
+      rows.get(date)![column] = y;
+    });
+  });
+  return {
+    columns: datasets.map((dataset) => String(dataset.label ?? '')),
+    rows: [...rows.entries()].sort(([a], [b]) => a.localeCompare(b)),
+  };
+};
+
+const toggleButtonStyle: React.CSSProperties = {
+  marginTop: '8px',
+  padding: '4px 10px',
+  background: 'white',
+  color: '#2563eb',
+  border: '1px solid #2563eb',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const cellStyle: React.CSSProperties = { padding: '4px 8px', borderBottom: '1px solid #e5e7eb', textAlign: 'right' };
+
+// The chart's values as a table behind a show/hide button, for anyone who
+// cannot read the canvas. The table scrolls and takes focus so it can be
+// read with the keyboard.
+export const ChartDataTable = ({ data, caption }: { data: HydrographProps['data']; caption?: string }) => {
+  const { t, formatNumber, formatDate } = useI18n();
+  const [open, setOpen] = useState(false);
+  const tableId = useRef(`chart-table-${Math.random().toString(36).slice(2)}`).current;
+  const { columns, rows } = open ? chartTableRows(data) : { columns: [], rows: [] };
+
+  return (
+    <div>
+      <button onClick={() => setOpen(!open)} aria-expanded={open} aria-controls={tableId} style={toggleButtonStyle}>
+        {open ? t('Hide data table') : t('Show data table')}
+      </button>
+      {open && (
+        <div id={tableId} tabIndex={0} style={{ maxHeight: '240px', overflow: 'auto', marginTop: '8px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <caption style={{ textAlign: 'left', fontSize: '13px', color: '#4b5563', marginBottom: '4px' }}>
+              {caption ?? t('Data table: {series}', { series: columns.join(', ') })}
+            </caption>
+            <thead>
+              <tr>
+                <th scope="col" style={{ ...cellStyle, textAlign: 'left' }}>{t('Date')}</th>
+                {columns.map((column) => <th key={column} scope="col" style={cellStyle}>{column}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([date, values]) => (
+                <tr key={date}>
+                  <th scope="row" style={{ ...cellStyle, textAlign: 'left', fontWeight: 'normal' }}>{formatDate(date)}</th>
+                  {values.map((value, index) => <td key={columns[index]} style={cellStyle}>{value === null ? '' : formatNumber(value)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const resetButtonStyle: React.CSSProperties = {
+  marginBottom: '16px',
+  padding: '8px 16px',
+  background: '#2563eb',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '14px',
+  fontWeight: '500'
+};
+
+const assignRef = <T,>(ref: ForwardedRef<T>, value: T | null) => {
+  if (typeof ref === 'function') ref(value);
+  else if (ref) ref.current = value;
+};
+
+export const Hydrograph = forwardRef<HydrographChart, HydrographProps>(({
+  data,
+  height = '300px',
+  scales,
+  plugins = [],
+  pluginOptions = {},
+  showResetZoom = true,
+  emptyMessage,
+  showDataTable = true,
+}, ref) => {
+  const { t, locale, formatDate } = useI18n();
+  const chartRef = useRef<HydrographChart | null>(null);
+
+  // react-chartjs-2 reports undefined before the chart exists.
+  const setChart = (chart: HydrographChart | null | undefined) => {
+    chartRef.current = chart ?? null;
+    assignRef(ref, chart ?? null);
+  };
+
+  const { columns, rows } = chartTableRows(data);
+  const summary = t('Chart: {series}. {count} dates from {from} to {to}.', {
+    series: columns.join(', '),
+    count: rows.length,
+    from: rows.length ? formatDate(rows[0][0]) : '',
+    to: rows.length ? formatDate(rows[rows.length - 1][0]) : '',
+  });
+
+  const options: ChartOptions<'line'> = {
+    locale,
+    responsive: true,
+    maintainAspectRatio: false,
+    scales: {
+      x: {
+        type: 'time',
+        time: {
+          unit: 'day',
+          tooltipFormat: 'MMM D'
+        }
+      },
+      ...scales
+    },
+    plugins: {
+      ...pluginOptions,
+      legend: {
+        labels: {
+          filter: (item, chartData) => !(chartData.datasets[item.datasetIndex ?? -1] as HydrographDataset | undefined)?.hideInLegend,
+        },
+      },
+      zoom: {
+        pan: {
+          enabled: true,
+          mode: 'x'
+        },
+        zoom: {
+          wheel: { enabled: true },
+          pinch: { enabled: true },
+          mode: 'x'
+        }
+      }
+    }
+  };
+
+  return (
+    <>
+      {showResetZoom && (
+        <button onClick={() => chartRef.current?.resetZoom()} style={resetButtonStyle}>
+          {t('Reset Zoom')}
+        </button>
+      )}
+      <div style={{ width: '100%', height }}>
+        {hasData(data) ? (
+          <Line
+            ref={setChart}
+            data={data as ChartData<'line'>}
+            options={options}
+            plugins={plugins}
+            role="img"
+            aria-label={summary}
+          />
+        ) : (
+          <p role="status" style={{ color: '#ef4444', textAlign: 'center', marginTop: '20px' }}>
+            {emptyMessage ?? t('No data available for the selected date range.')}
+          </p>
+        )}
+      </div>
+      {showDataTable && hasData(data) && <ChartDataTable data={data} />}
+    </>
+  );
+});
+
+Hydrograph.displayName = 'Hydrograph';
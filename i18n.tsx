@@ -0,0 +1,944 @@
+import React, { createContext, useContext, useEffect, useLayoutEffect, useMemo, useState } from 'react';
+import moment from 'moment';
+import 'moment/locale/hi';
+import 'moment/locale/ta';
+
+// Interface language. Strings are looked up by their English text, so a
+// missing translation falls back to English; {name} placeholders are filled
+// from params. Numbers and dates go through Intl for the language's locale,
+// and chart date axes through moment (see chartjs-adapter-moment), which is
+// switched along with the language. Indian-language numerals are left in
+// international form, matching the numbers on the value axes.
+
+export type LanguageCode = 'en' | 'hi' | 'ta';
+
+export interface Language {
+  code: LanguageCode;
+  label: string;
+  locale: string;
+}
+
+export const languages: Language[] = [
+  { code: 'en', label: 'English', locale: 'en-IN' },
+  { code: 'hi', label: 'हिन्दी', locale: 'hi-IN' },
+  { code: 'ta', label: 'தமிழ்', locale: 'ta-IN' },
+];
+
+export const LANGUAGE_STORAGE_KEY = 'gwl-dashboard-language';
+
+export const translations: Record<Exclude<LanguageCode, 'en'>, Record<string, string>> = {
+  hi: {
+    'Language': 'भाषा',
+    'Close': 'बंद करें',
+    'N/A': 'उपलब्ध नहीं',
+    'Reservoir Data (ID: {id})': 'जलाशय डेटा (आईडी: {id})',
+    'Groundwater Level Information': 'भूजल स्तर की जानकारी',
+    '+ Add to compare': '+ तुलना में जोड़ें',
+    'Open station panel': 'स्टेशन पैनल खोलें',
+    'Close station panel': 'स्टेशन पैनल बंद करें',
+    'Reservoir views': 'जलाशय दृश्य',
+    'Storage': 'भंडारण',
+    'Influence': 'प्रभाव',
+    'Chart type': 'चार्ट का प्रकार',
+    'Reservoir Level': 'जलाशय स्तर',
+    'Live Storage': 'जीवित भंडारण',
+    'Both': 'दोनों',
+    '% of Live Capacity': 'जीवित क्षमता का %',
+    'Reservoir Level (m)': 'जलाशय स्तर (m)',
+    'Live Storage (BCM)': 'जीवित भंडारण (BCM)',
+    'Water Level (mbgl)': 'जल स्तर (mbgl)',
+    'Name': 'नाम',
+    'Live Capacity': 'जीवित क्षमता',
+    'FRL': 'पूर्ण जलाशय स्तर',
+    'FRL (m)': 'पूर्ण जलाशय स्तर (m)',
+    'State': 'राज्य',
+    'District': 'ज़िला',
+    'Block': 'ब्लॉक',
+    'Basin': 'बेसिन',
+    'Longitude': 'देशांतर',
+    'Latitude': 'अक्षांश',
+    'Object ID': 'ऑब्जेक्ट आईडी',
+    'Unique ID': 'विशिष्ट आईडी',
+    'Site ID': 'स्थल आईडी',
+    'Site Name': 'स्थल का नाम',
+    'Site Type': 'स्थल का प्रकार',
+    'Depth': 'गहराई',
+    'Irrigation Benefits': 'सिंचाई लाभ',
+    'Hydel Capacity': 'जलविद्युत क्षमता',
+    'Reservoirs': 'जलाशय',
+    'Groundwater wells': 'भूजल कुएँ',
+    'Reservoir Info': 'जलाशय जानकारी',
+    'Groundwater Level Info': 'भूजल स्तर जानकारी',
+    'Station details': 'स्टेशन विवरण',
+    '+{count} more here; click to choose': 'यहाँ {count} और; चुनने के लिए क्लिक करें',
+    'Add to compare:': 'तुलना में जोड़ें:',
+    'Open station:': 'स्टेशन खोलें:',
+    'From:': 'से:',
+    'To:': 'तक:',
+    'Reset Zoom': 'ज़ूम रीसेट करें',
+    'No data available for the selected date range.': 'चुनी गई तिथि सीमा के लिए कोई डेटा उपलब्ध नहीं है।',
+    'Show data table': 'डेटा तालिका दिखाएँ',
+    'Hide data table': 'डेटा तालिका छिपाएँ',
+    'Date': 'तिथि',
+    'Chart: {series}. {count} dates from {from} to {to}.': 'चार्ट: {series}। {from} से {to} तक {count} तिथियाँ।',
+    'Data table: {series}': 'डेटा तालिका: {series}',
+    'Stations in view': 'दृश्य में स्टेशन',
+    'Use the arrow keys to move between stations and Enter to open one.':
+      'स्टेशनों के बीच जाने के लिए तीर कुंजियों और खोलने के लिए Enter का उपयोग करें।',
+    'No stations in view. Turn on a station layer or zoom out.':
+      'दृश्य में कोई स्टेशन नहीं। कोई स्टेशन परत चालू करें या ज़ूम आउट करें।',
+    'Loading stations…': 'स्टेशन लोड हो रहे हैं…',
+    'Reservoir': 'जलाशय',
+    'Groundwater well': 'भूजल कुआँ',
+    'Well': 'कुआँ',
+    'Reservoir Monitoring Dashboard': 'जलाशय निगरानी डैशबोर्ड',
+    'Loading series…': 'श्रृंखला लोड हो रही है…',
+    'Comparison ({count})': 'तुलना ({count})',
+    'Clear': 'साफ़ करें',
+    'Remove from comparison': 'तुलना से हटाएँ',
+    'Refresh': 'ताज़ा करें',
+    'Fetch the latest readings': 'नवीनतम रीडिंग लाएँ',
+    'Analysis': 'विश्लेषण',
+    'Year': 'वर्ष',
+    'Month': 'माह',
+    'Season': 'मौसम',
+    'Months': 'माह',
+    'Pre-monsoon': 'मानसून-पूर्व',
+    'Post-monsoon': 'मानसून-पश्चात',
+    'Monsoon': 'मानसून',
+    'Winter': 'शीत ऋतु',
+    'Min (mbgl)': 'न्यूनतम (mbgl)',
+    'Max (mbgl)': 'अधिकतम (mbgl)',
+    'Mean (mbgl)': 'औसत (mbgl)',
+    'Fluctuation (m)': 'उतार-चढ़ाव (m)',
+    'Trend': 'प्रवृत्ति',
+    'Trend (12-month)': 'प्रवृत्ति (12 माह)',
+    'Trend + Seasonal': 'प्रवृत्ति + मौसमी',
+    'Sen\'s slope (m/yr)': 'सेन ढलान (m/वर्ष)',
+    'Rising': 'बढ़ रहा है',
+    'Falling': 'गिर रहा है',
+    'Rising (depth decreasing)': 'बढ़ रहा है (गहराई घट रही है)',
+    'Falling (depth increasing)': 'गिर रहा है (गहराई बढ़ रही है)',
+    'No significant trend': 'कोई महत्वपूर्ण प्रवृत्ति नहीं',
+    'Not enough data': 'पर्याप्त डेटा नहीं',
+    'Observations': 'अवलोकन',
+    'Show seasonal decomposition on chart': 'चार्ट पर मौसमी विघटन दिखाएँ',
+    'Status on {date}': '{date} को स्थिति',
+    '{years}-year average (BCM)': '{years}-वर्षीय औसत (BCM)',
+    'Current (BCM)': 'वर्तमान (BCM)',
+    'Last year (BCM)': 'पिछला वर्ष (BCM)',
+    'Storage on {date}': '{date} को भंडारण',
+    '% of live capacity': 'जीवित क्षमता का %',
+    'Live storage (% of capacity)': 'जीवित भंडारण (क्षमता का %)',
+    'Live capacity unknown': 'जीवित क्षमता अज्ञात',
+    'Severe drought': 'गंभीर सूखा',
+    'Drought': 'सूखा',
+    'Normal': 'सामान्य',
+    'Flood risk': 'बाढ़ का जोखिम',
+    'Data quality': 'डेटा गुणवत्ता',
+    '{usable} of {expected} expected readings usable':
+      '{expected} अपेक्षित रीडिंग में से {usable} उपयोग योग्य',
+    '{count} outlier': '{count} असामान्य मान',
+    '{count} outliers': '{count} असामान्य मान',
+    '{count} impossible value': '{count} असंभव मान',
+    '{count} impossible values': '{count} असंभव मान',
+    '{count} gap': '{count} अंतराल',
+    '{count} gaps': '{count} अंतराल',
+    '{count} missing reading': '{count} अनुपलब्ध रीडिंग',
+    '{count} missing readings': '{count} अनुपलब्ध रीडिंग',
+    '{series} outliers': '{series} असामान्य मान',
+    '{series} impossible values': '{series} असंभव मान',
+    '{date}: no reading': '{date}: कोई रीडिंग नहीं',
+    '{date}: {value} looks like a spike': '{date}: {value} असामान्य उछाल लगता है',
+    'Gap over': 'इससे लंबा अंतराल',
+    'Gap {start} to {end} ({days} days)': 'अंतराल {start} से {end} ({days} दिन)',
+    'Median absolute deviation': 'माध्यिका निरपेक्ष विचलन',
+    'Rolling z-score': 'चलित z-स्कोर',
+    'Scores above this are outliers (default {threshold})':
+      'इससे अधिक स्कोर असामान्य मान हैं (डिफ़ॉल्ट {threshold})',
+    'above': 'से अधिक',
+    'Negative level': 'ऋणात्मक स्तर',
+    'Negative storage': 'ऋणात्मक भंडारण',
+    'Above FRL ({level} m)': 'पूर्ण जलाशय स्तर ({level} m) से ऊपर',
+    'Above live capacity ({capacity} BCM)': 'जीवित क्षमता ({capacity} BCM) से अधिक',
+    'Deeper than the well ({depth} m)': 'कुएँ ({depth} m) से अधिक गहरा',
+    'Forecast': 'पूर्वानुमान',
+    '{series} forecast': '{series} पूर्वानुमान',
+    '{months} months': '{months} माह',
+    'months': 'माह',
+    'Forecasting needs at least 24 months of history with regular readings.':
+      'पूर्वानुमान के लिए नियमित रीडिंग वाला कम से कम 24 माह का इतिहास चाहिए।',
+    'Too little history to backtest.': 'बैकटेस्ट के लिए इतिहास बहुत कम है।',
+    'backtest over {months} months': '{months} माह पर बैकटेस्ट',
+    'Fitted on all but the last {months} months, scored on the {scored} of them with readings':
+      'अंतिम {months} माह छोड़कर सभी पर फ़िट किया गया, उनमें से रीडिंग वाले {scored} पर आँका गया',
+    'Shaded bands are 80% and 95% intervals from a seasonal Holt-Winters model fitted to the filtered history.':
+      'छायांकित पट्टियाँ फ़िल्टर किए गए इतिहास पर फ़िट मौसमी Holt-Winters मॉडल के 80% और 95% अंतराल हैं।',
+    'Export': 'निर्यात करें',
+    'Excel (XLSX)': 'Excel (XLSX)',
+    'ASCII grid': 'ASCII ग्रिड',
+    'Watch': 'निगरानी करें',
+    'Watching': 'निगरानी में',
+    'Add to watchlist': 'निगरानी सूची में जोड़ें',
+    'Remove from watchlist': 'निगरानी सूची से हटाएँ',
+    'Stop watching': 'निगरानी बंद करें',
+    'Watchlist ({count})': 'निगरानी सूची ({count})',
+    'Watchlist and alerts': 'निगरानी सूची और चेतावनियाँ',
+    'Star a well or reservoir in its panel to watch it here.':
+      'किसी कुएँ या जलाशय को यहाँ देखने के लिए उसके पैनल में तारांकित करें।',
+    'Rules ({count})': 'नियम ({count})',
+    '+ Add rule': '+ नियम जोड़ें',
+    'Remove rule': 'नियम हटाएँ',
+    'Water level deeper than': 'जल स्तर इससे गहरा',
+    'Storage below': 'भंडारण इससे कम',
+    'Level drop greater than': 'स्तर में गिरावट इससे अधिक',
+    'in': 'में',
+    'days': 'दिन',
+    'Water level {depth} m bgl on {date} (limit {limit} m)':
+      '{date} को जल स्तर {depth} m bgl (सीमा {limit} m)',
+    'Storage {percent}% on {date} (limit {limit}%)': '{date} को भंडारण {percent}% (सीमा {limit}%)',
+    'Level fell {drop} m in {days} days to {date} (limit {limit} m)':
+      '{date} तक {days} दिनों में स्तर {drop} m गिरा (सीमा {limit} m)',
+    'No earlier reading within {days} days': '{days} दिनों के भीतर कोई पिछली रीडिंग नहीं',
+    'No readings': 'कोई रीडिंग नहीं',
+    'Check now': 'अभी जाँचें',
+    'Checking…': 'जाँच हो रही है…',
+    'Open': 'खोलें',
+    'Open station': 'स्टेशन खोलें',
+    'Compare': 'तुलना करें',
+    'Import': 'आयात करें',
+    'Not a watchlist file: "stations" is missing.': 'निगरानी सूची फ़ाइल नहीं: "stations" नहीं है।',
+    'Station {number} needs a layer and a unique_id.': 'स्टेशन {number} के लिए परत और unique_id आवश्यक हैं।',
+    'Unknown rule "{type}"': 'अज्ञात नियम "{type}"',
+    'Rule "{type}" on {id} has no threshold.': '{id} पर नियम "{type}" की कोई सीमा नहीं है।',
+    'Rule "{type}" does not apply to {layer} station {id}.':
+      'नियम "{type}" {layer} स्टेशन {id} पर लागू नहीं होता।',
+    'PDF': 'रिपोर्ट',
+    'Report': 'रिपोर्ट',
+    'Print / PDF report': 'प्रिंट / PDF रिपोर्ट',
+    'Title': 'शीर्षक',
+    'Organisation': 'संगठन',
+    'Notes': 'टिप्पणियाँ',
+    'Logo': 'लोगो',
+    'Report logo': 'रिपोर्ट लोगो',
+    'Logo not loaded': 'लोगो लोड नहीं हुआ',
+    'Include': 'शामिल करें',
+    'Map, legend and scale bar': 'मानचित्र, लेजेंड और पैमाना',
+    'Stations': 'स्टेशन',
+    'Portrait': 'पोर्ट्रेट',
+    'Landscape': 'लैंडस्केप',
+    'Generating…': 'बन रही है…',
+    'Download PDF': 'PDF डाउनलोड करें',
+    'Cancel': 'रद्द करें',
+    'Upload…': 'अपलोड करें…',
+    'Drop CSV (lat, lon, date, level), GeoJSON, KML or a zipped shapefile on the map.':
+      'CSV (lat, lon, date, level), GeoJSON, KML या ज़िप की गई shapefile मानचित्र पर छोड़ें।',
+    'My data': 'मेरा डेटा',
+    'Uploaded feature': 'अपलोड की गई वस्तु',
+    '{name} (uploaded)': '{name} (अपलोड किया गया)',
+    '{count} features, {sites} with readings': '{count} वस्तुएँ, {sites} रीडिंग सहित',
+    '{count} readings': '{count} रीडिंग',
+    '{count} readings, {from} to {to}': '{count} रीडिंग, {from} से {to}',
+    'Show on chart': 'चार्ट पर दिखाएँ',
+    'Compare with nearest well': 'निकटतम कुएँ से तुलना करें',
+    'Nearest network well': 'निकटतम नेटवर्क कुआँ',
+    'No network well within {km} km.': '{km} km के भीतर कोई नेटवर्क कुआँ नहीं।',
+    'Remove': 'हटाएँ',
+    'Details': 'विवरण',
+    'Unsupported file type: {file}. Use CSV, GeoJSON, KML or a zipped shapefile.':
+      'असमर्थित फ़ाइल प्रकार: {file}। CSV, GeoJSON, KML या ज़िप की गई shapefile उपयोग करें।',
+    '{file} contains no features.': '{file} में कोई वस्तु नहीं है।',
+    'No rows with latitude and longitude columns were found.':
+      'अक्षांश और देशांतर स्तंभों वाली कोई पंक्ति नहीं मिली।',
+    'Layers': 'परतें',
+    'Basemap': 'आधार मानचित्र',
+    'Satellite': 'उपग्रह',
+    'Topographic': 'स्थलाकृतिक',
+    'Basemap from the offline pack': 'ऑफ़लाइन पैक से आधार मानचित्र',
+    '+ Add overlay': '+ ओवरले जोड़ें',
+    'XYZ tiles': 'XYZ टाइल',
+    'Service or file URL': 'सेवा या फ़ाइल URL',
+    'Load layers': 'परतें लोड करें',
+    'Loading…': 'लोड हो रहा है…',
+    'Add': 'जोड़ें',
+    'Title (optional)': 'शीर्षक (वैकल्पिक)',
+    'Include in printed reports (the server must allow CORS)':
+      'मुद्रित रिपोर्ट में शामिल करें (सर्वर को CORS की अनुमति देनी होगी)',
+    'Opacity {percent}%': 'अपारदर्शिता {percent}%',
+    'Move up': 'ऊपर ले जाएँ',
+    'Move down': 'नीचे ले जाएँ',
+    'Remove layer': 'परत हटाएँ',
+    'Legend': 'लेजेंड',
+    '{layer} legend': '{layer} लेजेंड',
+    'No legend published for this layer.': 'इस परत के लिए कोई लेजेंड प्रकाशित नहीं है।',
+    'Could not read {service} capabilities': '{service} क्षमताएँ नहीं पढ़ी जा सकीं',
+    'That WMTS layer has no EPSG:3857 tile matrix set.':
+      'उस WMTS परत में EPSG:3857 टाइल मैट्रिक्स सेट नहीं है।',
+    'All states': 'सभी राज्य',
+    'All districts': 'सभी ज़िले',
+    'All blocks': 'सभी ब्लॉक',
+    'All basins': 'सभी बेसिन',
+    'Clear filter': 'फ़िल्टर साफ़ करें',
+    'Search reservoir or well…': 'जलाशय या कुआँ खोजें…',
+    'Searching…': 'खोज हो रही है…',
+    'Polygon': 'बहुभुज',
+    'Rectangle': 'आयत',
+    'Circle': 'वृत्त',
+    'Radius': 'त्रिज्या',
+    'Type': 'प्रकार',
+    'District / Basin': 'ज़िला / बेसिन',
+    'Distance (km)': 'दूरी (km)',
+    'Stations in area ({count})': 'क्षेत्र में स्टेशन ({count})',
+    'Chart all': 'सभी का चार्ट बनाएँ',
+    'Query failed': 'क्वेरी विफल रही',
+    '…and {count} more': '…और {count}',
+    'Time view': 'समय दृश्य',
+    'Play': 'चलाएँ',
+    'Pause': 'रोकें',
+    'Back to live data': 'लाइव डेटा पर लौटें',
+    'Depth to water (m bgl)': 'जल की गहराई (m bgl)',
+    'Water level (m bgl)': 'जल स्तर (m bgl)',
+    'No data': 'कोई डेटा नहीं',
+    'Year on year': 'वर्ष-दर-वर्ष',
+    'same month last year': 'पिछले वर्ष का यही माह',
+    'Steady (±{metres} m)': 'स्थिर (±{metres} m)',
+    'Field': 'क्षेत्र',
+    'Off': 'बंद',
+    'Offline': 'ऑफ़लाइन',
+    'Online': 'ऑनलाइन',
+    'Offline field mode': 'ऑफ़लाइन क्षेत्र मोड',
+    'Choose a state': 'राज्य चुनें',
+    'Choose a district': 'ज़िला चुनें',
+    'Download pack': 'पैक डाउनलोड करें',
+    'Use in field': 'क्षेत्र में उपयोग करें',
+    'Resync': 'फिर से सिंक करें',
+    'Delete': 'हटाएँ',
+    'Synced {age}': '{age} सिंक किया गया',
+    'just now': 'अभी',
+    '{minutes} min ago': '{minutes} मिनट पहले',
+    '{hours} h ago': '{hours} घंटे पहले',
+    '{days} day ago': '{days} दिन पहले',
+    '{days} days ago': '{days} दिन पहले',
+    'stale': 'पुराना',
+    'data from {time}': '{time} का डेटा',
+    'showing live data': 'लाइव डेटा दिखाया जा रहा है',
+    'showing the {district} pack': '{district} पैक दिखाया जा रहा है',
+    'Showing offline pack: {district}': 'ऑफ़लाइन पैक दिखाया जा रहा है: {district}',
+    '{count} map tiles': '{count} मानचित्र टाइल',
+    '{count} map tiles (to zoom {zoom})': '{count} मानचित्र टाइल (ज़ूम {zoom} तक)',
+    '{count} series not refreshed': '{count} श्रृंखलाएँ ताज़ा नहीं हुईं',
+    'Map tiles': 'मानचित्र टाइल',
+    'Groundwater': 'भूजल',
+    'Finding wells…': 'कुएँ खोजे जा रहे हैं…',
+    'No packs yet. Download a district before heading out.':
+      'अभी कोई पैक नहीं। निकलने से पहले किसी ज़िले को डाउनलोड करें।',
+    'Offline packs need IndexedDB, which this browser does not provide.':
+      'ऑफ़लाइन पैक के लिए IndexedDB चाहिए, जो यह ब्राउज़र उपलब्ध नहीं कराता।',
+    'Offline, the map shows the pack’s basemap tiles and stations; WMS overlays need a connection.':
+      'ऑफ़लाइन होने पर मानचित्र पैक की आधार टाइल और स्टेशन दिखाता है; WMS ओवरले के लिए कनेक्शन चाहिए।',
+    'No tile server is set up for packs, so offline the map shows the pack’s stations without a basemap.':
+      'पैक के लिए कोई टाइल सर्वर सेट नहीं है, इसलिए ऑफ़लाइन मानचित्र बिना आधार मानचित्र के पैक के स्टेशन दिखाता है।',
+    'The pack tile URL needs {z}, {x} and {y} placeholders.':
+      'पैक टाइल URL में {z}, {x} और {y} प्लेसहोल्डर होने चाहिए।',
+    'The public OpenStreetMap tile servers do not allow downloads for offline use; configure your own tile server for packs.':
+      'सार्वजनिक OpenStreetMap टाइल सर्वर ऑफ़लाइन उपयोग के लिए डाउनलोड की अनुमति नहीं देते; पैक के लिए अपना टाइल सर्वर कॉन्फ़िगर करें।',
+    'No district boundaries available for {state}.': '{state} के लिए कोई ज़िला सीमाएँ उपलब्ध नहीं।',
+    'No district boundary layer configured (districtBoundaries.layerName)':
+      'कोई ज़िला सीमा परत कॉन्फ़िगर नहीं है (districtBoundaries.layerName)',
+    'Region': 'क्षेत्रीय',
+    'Regional summary': 'क्षेत्रीय सारांश',
+    'Choose a state for wells in the filter bar.': 'फ़िल्टर पट्टी में कुओं के लिए राज्य चुनें।',
+    'Choose a state, district or block for wells in the filter bar.':
+      'फ़िल्टर पट्टी में कुओं के लिए राज्य, ज़िला या ब्लॉक चुनें।',
+    'Choose a state or basin for reservoirs in the filter bar.':
+      'फ़िल्टर पट्टी में जलाशयों के लिए राज्य या बेसिन चुनें।',
+    '{reporting} of {total} wells with readings.': '{total} में से {reporting} कुएँ रीडिंग सहित।',
+    '{reporting} wells with readings in a random sample of {loaded} of {total}.':
+      '{total} में से {loaded} के यादृच्छिक नमूने में {reporting} कुएँ रीडिंग सहित।',
+    '{total} reservoirs, {capacity} BCM live capacity': '{total} जलाशय, {capacity} BCM जीवित क्षमता',
+    'the largest {count} summarised': 'सबसे बड़े {count} का सारांश',
+    '{count} without a recorded capacity': '{count} बिना दर्ज क्षमता के',
+    'stored of {capacity} BCM ({percent}%) across {reporting} reporting.':
+      '{reporting} रिपोर्ट करने वालों में {capacity} BCM में से संग्रहीत ({percent}%)।',
+    'No storage readings for these reservoirs.': 'इन जलाशयों के लिए कोई भंडारण रीडिंग नहीं।',
+    'Total live storage (BCM)': 'कुल जीवित भंडारण (BCM)',
+    'Capacity of reservoirs reporting (BCM)': 'रिपोर्ट करने वाले जलाशयों की क्षमता (BCM)',
+    'Median depth (m bgl)': 'माध्यिका गहराई (m bgl)',
+    'Average depth (m bgl)': 'औसत गहराई (m bgl)',
+    '10th–90th percentile': '10वाँ–90वाँ शततमक',
+    '25th–75th percentile': '25वाँ–75वाँ शततमक',
+    'Districts by average depth to water': 'जल की औसत गहराई के अनुसार ज़िले',
+    'Wells': 'कुएँ',
+    '{wells} wells · {reservoirs} reservoirs': '{wells} कुएँ · {reservoirs} जलाशय',
+    'Series': 'श्रृंखला',
+    'Within radius': 'त्रिज्या के भीतर',
+    'Same basin': 'समान बेसिन',
+    'Lags up to': 'अंतराल (लैग) अधिकतम',
+    'Lag': 'अंतराल (लैग)',
+    'Strong, rises with storage': 'प्रबल, भंडारण के साथ बढ़ता है',
+    'Moderate, rises with storage': 'मध्यम, भंडारण के साथ बढ़ता है',
+    'Weak or not significant': 'कमज़ोर या महत्वहीन',
+    'Moderate, falls with storage': 'मध्यम, भंडारण के साथ गिरता है',
+    'Strong, falls with storage': 'प्रबल, भंडारण के साथ गिरता है',
+    'Correlation of storage with the water table at the strongest lag':
+      'सबसे प्रबल अंतराल पर भंडारण का जल स्तर से सहसंबंध',
+    'r above 0 means the water table rises with storage. Lag is months the well trails the reservoir.':
+      'r का 0 से अधिक होना दर्शाता है कि जल स्तर भंडारण के साथ बढ़ता है। अंतराल वे माह हैं जितना कुआँ जलाशय से पीछे रहता है।',
+    '* not significant at 95%; – fewer than {count} shared months.':
+      '* 95% पर महत्वपूर्ण नहीं; – {count} से कम साझा माह।',
+    'No wells within {km} km.': '{km} km के भीतर कोई कुआँ नहीं।',
+    'No wells recorded in this basin.': 'इस बेसिन में कोई कुआँ दर्ज नहीं।',
+    'This reservoir has no basin recorded.': 'इस जलाशय का कोई बेसिन दर्ज नहीं है।',
+    'This reservoir has no position recorded.': 'इस जलाशय की कोई स्थिति दर्ज नहीं है।',
+    'The wells on this server record no basin.': 'इस सर्वर पर कुओं का कोई बेसिन दर्ज नहीं है।',
+    'Too few wells report in the same months (at least {count} needed).':
+      'समान महीनों में बहुत कम कुएँ रिपोर्ट करते हैं (कम से कम {count} आवश्यक)।',
+    'Groundwater surface': 'भूजल सतह',
+    'Current map extent': 'वर्तमान मानचित्र सीमा',
+    'Selected district (set a well filter)': 'चयनित ज़िला (कुआँ फ़िल्टर सेट करें)',
+    'Inverse distance (IDW)': 'व्युत्क्रम दूरी (IDW)',
+    'Ordinary kriging': 'साधारण क्रिगिंग',
+    'Power': 'घात',
+    'Variogram': 'वेरियोग्राम',
+    'spherical': 'गोलीय',
+    'exponential': 'घातांकी',
+    'gaussian': 'गाउसीय',
+    'Interpolating…': 'अंतर्वेशन हो रहा है…',
+    'Interpolate': 'अंतर्वेशन करें',
+    '{count} wells': '{count} कुएँ',
+    'range {km} km': 'परास {km} km',
+    'Read values': 'मान पढ़ें',
+    'No estimate': 'कोई अनुमान नहीं',
+    '{value} at {lat}, {lon}': '{lat}, {lon} पर {value}',
+    'Click the map to read the surface.': 'सतह पढ़ने के लिए मानचित्र पर क्लिक करें।',
+    'The wells are too far apart to fit a variogram; try inverse distance.':
+      'कुएँ वेरियोग्राम फ़िट करने के लिए बहुत दूर हैं; व्युत्क्रम दूरी आज़माएँ।',
+    'At least three wells with readings are needed.': 'रीडिंग वाले कम से कम तीन कुएँ आवश्यक हैं।',
+    'Level': 'स्तर',
+    'Water level': 'जल स्तर',
+    'Remove seasonal cycle': 'मौसमी चक्र हटाएँ',
+    'Unnamed station': 'अनाम स्टेशन',
+    'Chart first {count}': 'पहले {count} का चार्ट बनाएँ',
+    'The comparison chart holds {count} stations; the first {count} in the table are charted.':
+      'तुलना चार्ट में {count} स्टेशन आते हैं; तालिका के पहले {count} का चार्ट बनाया जाता है।',
+    'No storage readings': 'भंडारण की कोई रीडिंग नहीं',
+    '{count} wells failed to load and are left out.': '{count} कुएँ लोड नहीं हो सके और छोड़ दिए गए हैं।',
+    '{count} reservoirs failed to load and are left out.': '{count} जलाशय लोड नहीं हो सके और छोड़ दिए गए हैं।',
+  },
+  ta: {
+    'Language': 'மொழி',
+    'Close': 'மூடு',
+    'N/A': 'கிடைக்கவில்லை',
+    'Reservoir Data (ID: {id})': 'நீர்த்தேக்கத் தரவு (அடையாள எண்: {id})',
+    'Groundwater Level Information': 'நிலத்தடி நீர்மட்டத் தகவல்',
+    '+ Add to compare': '+ ஒப்பீட்டில் சேர்',
+    'Open station panel': 'நிலையப் பலகையைத் திற',
+    'Close station panel': 'நிலையப் பலகையை மூடு',
+    'Reservoir views': 'நீர்த்தேக்கக் காட்சிகள்',
+    'Storage': 'சேமிப்பு',
+    'Influence': 'தாக்கம்',
+    'Chart type': 'வரைபட வகை',
+    'Reservoir Level': 'நீர்த்தேக்க மட்டம்',
+    'Live Storage': 'பயன்பாட்டுச் சேமிப்பு',
+    'Both': 'இரண்டும்',
+    '% of Live Capacity': 'பயன்பாட்டுக் கொள்ளளவின் %',
+    'Reservoir Level (m)': 'நீர்த்தேக்க மட்டம் (m)',
+    'Live Storage (BCM)': 'பயன்பாட்டுச் சேமிப்பு (BCM)',
+    'Water Level (mbgl)': 'நீர்மட்டம் (mbgl)',
+    'Name': 'பெயர்',
+    'Live Capacity': 'பயன்பாட்டுக் கொள்ளளவு',
+    'FRL': 'முழு நீர்த்தேக்க மட்டம்',
+    'FRL (m)': 'முழு நீர்த்தேக்க மட்டம் (m)',
+    'State': 'மாநிலம்',
+    'District': 'மாவட்டம்',
+    'Block': 'வட்டாரம்',
+    'Basin': 'வடிநிலம்',
+    'Longitude': 'தீர்க்கரேகை',
+    'Latitude': 'அட்சரேகை',
+    'Object ID': 'பொருள் அடையாள எண்',
+    'Unique ID': 'தனிப்பட்ட அடையாள எண்',
+    'Site ID': 'தள அடையாள எண்',
+    'Site Name': 'தளத்தின் பெயர்',
+    'Site Type': 'தள வகை',
+    'Depth': 'ஆழம்',
+    'Irrigation Benefits': 'பாசன நன்மைகள்',
+    'Hydel Capacity': 'நீர்மின் திறன்',
+    'Reservoirs': 'நீர்த்தேக்கங்கள்',
+    'Groundwater wells': 'நிலத்தடி நீர்க் கிணறுகள்',
+    'Reservoir Info': 'நீர்த்தேக்கத் தகவல்',
+    'Groundwater Level Info': 'நிலத்தடி நீர்மட்டத் தகவல்',
+    'Station details': 'நிலைய விவரங்கள்',
+    '+{count} more here; click to choose': 'இங்கே மேலும் {count}; தேர்ந்தெடுக்கச் சொடுக்கவும்',
+    'Add to compare:': 'ஒப்பீட்டில் சேர்:',
+    'Open station:': 'நிலையத்தைத் திற:',
+    'From:': 'தொடக்கம்:',
+    'To:': 'முடிவு:',
+    'Reset Zoom': 'பெரிதாக்கத்தை மீட்டமை',
+    'No data available for the selected date range.': 'தேர்ந்தெடுத்த தேதி வரம்பிற்குத் தரவு இல்லை.',
+    'Show data table': 'தரவு அட்டவணையைக் காட்டு',
+    'Hide data table': 'தரவு அட்டவணையை மறை',
+    'Date': 'தேதி',
+    'Chart: {series}. {count} dates from {from} to {to}.': 'வரைபடம்: {series}. {from} முதல் {to} வரை {count} தேதிகள்.',
+    'Data table: {series}': 'தரவு அட்டவணை: {series}',
+    'Stations in view': 'காட்சியில் உள்ள நிலையங்கள்',
+    'Use the arrow keys to move between stations and Enter to open one.':
+      'நிலையங்களுக்கு இடையே நகர அம்புக்குறி விசைகளையும், திறக்க Enter விசையையும் பயன்படுத்தவும்.',
+    'No stations in view. Turn on a station layer or zoom out.':
+      'காட்சியில் நிலையங்கள் இல்லை. ஒரு நிலைய அடுக்கை இயக்கவும் அல்லது சிறிதாக்கவும்.',
+    'Loading stations…': 'நிலையங்கள் ஏற்றப்படுகின்றன…',
+    'Reservoir': 'நீர்த்தேக்கம்',
+    'Groundwater well': 'நிலத்தடி நீர்க் கிணறு',
+    'Well': 'கிணறு',
+    'Reservoir Monitoring Dashboard': 'நீர்த்தேக்கக் கண்காணிப்புப் பலகை',
+    'Loading series…': 'தொடர் ஏற்றப்படுகிறது…',
+    'Comparison ({count})': 'ஒப்பீடு ({count})',
+    'Clear': 'அழி',
+    'Remove from comparison': 'ஒப்பீட்டிலிருந்து நீக்கு',
+    'Refresh': 'புதுப்பி',
+    'Fetch the latest readings': 'சமீபத்திய அளவீடுகளைப் பெறு',
+    'Analysis': 'பகுப்பாய்வு',
+    'Year': 'ஆண்டு',
+    'Month': 'மாதம்',
+    'Season': 'பருவம்',
+    'Months': 'மாதங்கள்',
+    'Pre-monsoon': 'பருவமழைக்கு முன்',
+    'Post-monsoon': 'பருவமழைக்குப் பின்',
+    'Monsoon': 'பருவமழை',
+    'Winter': 'குளிர்காலம்',
+    'Min (mbgl)': 'குறைந்தபட்சம் (mbgl)',
+    'Max (mbgl)': 'அதிகபட்சம் (mbgl)',
+    'Mean (mbgl)': 'சராசரி (mbgl)',
+    'Fluctuation (m)': 'ஏற்ற இறக்கம் (m)',
+    'Trend': 'போக்கு',
+    'Trend (12-month)': 'போக்கு (12 மாதம்)',
+    'Trend + Seasonal': 'போக்கு + பருவகாலம்',
+    'Sen\'s slope (m/yr)': 'சென் சாய்வு (m/ஆண்டு)',
+    'Rising': 'உயர்கிறது',
+    'Falling': 'குறைகிறது',
+    'Rising (depth decreasing)': 'உயர்கிறது (ஆழம் குறைகிறது)',
+    'Falling (depth increasing)': 'குறைகிறது (ஆழம் அதிகரிக்கிறது)',
+    'No significant trend': 'குறிப்பிடத்தக்க போக்கு இல்லை',
+    'Not enough data': 'போதுமான தரவு இல்லை',
+    'Observations': 'அவதானிப்புகள்',
+    'Show seasonal decomposition on chart': 'வரைபடத்தில் பருவகாலப் பிரிப்பைக் காட்டு',
+    'Status on {date}': '{date} அன்று நிலை',
+    '{years}-year average (BCM)': '{years} ஆண்டுச் சராசரி (BCM)',
+    'Current (BCM)': 'தற்போதைய (BCM)',
+    'Last year (BCM)': 'கடந்த ஆண்டு (BCM)',
+    'Storage on {date}': '{date} அன்று சேமிப்பு',
+    '% of live capacity': 'பயன்பாட்டுக் கொள்ளளவின் %',
+    'Live storage (% of capacity)': 'பயன்பாட்டுச் சேமிப்பு (கொள்ளளவின் %)',
+    'Live capacity unknown': 'பயன்பாட்டுக் கொள்ளளவு தெரியவில்லை',
+    'Severe drought': 'கடும் வறட்சி',
+    'Drought': 'வறட்சி',
+    'Normal': 'இயல்பு',
+    'Flood risk': 'வெள்ள அபாயம்',
+    'Data quality': 'தரவுத் தரம்',
+    '{usable} of {expected} expected readings usable':
+      'எதிர்பார்த்த {expected} அளவீடுகளில் {usable} பயன்படுத்தத்தக்கவை',
+    '{count} outlier': '{count} விலகல் மதிப்பு',
+    '{count} outliers': '{count} விலகல் மதிப்புகள்',
+    '{count} impossible value': '{count} சாத்தியமற்ற மதிப்பு',
+    '{count} impossible values': '{count} சாத்தியமற்ற மதிப்புகள்',
+    '{count} gap': '{count} இடைவெளி',
+    '{count} gaps': '{count} இடைவெளிகள்',
+    '{count} missing reading': '{count} விடுபட்ட அளவீடு',
+    '{count} missing readings': '{count} விடுபட்ட அளவீடுகள்',
+    '{series} outliers': '{series} விலகல் மதிப்புகள்',
+    '{series} impossible values': '{series} சாத்தியமற்ற மதிப்புகள்',
+    '{date}: no reading': '{date}: அளவீடு இல்லை',
+    '{date}: {value} looks like a spike': '{date}: {value} திடீர் உயர்வாகத் தெரிகிறது',
+    'Gap over': 'இதைவிட நீண்ட இடைவெளி',
+    'Gap {start} to {end} ({days} days)': 'இடைவெளி {start} முதல் {end} வரை ({days} நாட்கள்)',
+    'Median absolute deviation': 'இடைநிலைத் தனி விலக்கம்',
+    'Rolling z-score': 'நகரும் z-மதிப்பெண்',
+    'Scores above this are outliers (default {threshold})':
+      'இதைவிட அதிக மதிப்பெண்கள் விலகல் மதிப்புகள் (இயல்புநிலை {threshold})',
+    'above': 'இதைவிட அதிகம்',
+    'Negative level': 'எதிர்மறை மட்டம்',
+    'Negative storage': 'எதிர்மறைச் சேமிப்பு',
+    'Above FRL ({level} m)': 'முழு நீர்த்தேக்க மட்டத்திற்கு ({level} m) மேல்',
+    'Above live capacity ({capacity} BCM)': 'பயன்பாட்டுக் கொள்ளளவை ({capacity} BCM) விட அதிகம்',
+    'Deeper than the well ({depth} m)': 'கிணற்றை ({depth} m) விட ஆழம்',
+    'Forecast': 'முன்கணிப்பு',
+    '{series} forecast': '{series} முன்கணிப்பு',
+    '{months} months': '{months} மாதங்கள்',
+    'months': 'மாதங்கள்',
+    'Forecasting needs at least 24 months of history with regular readings.':
+      'முன்கணிப்புக்கு முறையான அளவீடுகளுடன் குறைந்தது 24 மாத வரலாறு தேவை.',
+    'Too little history to backtest.': 'பின்சோதனைக்குப் போதுமான வரலாறு இல்லை.',
+    'backtest over {months} months': '{months} மாதங்களில் பின்சோதனை',
+    'Fitted on all but the last {months} months, scored on the {scored} of them with readings':
+      'கடைசி {months} மாதங்கள் தவிர மற்றவற்றில் பொருத்தப்பட்டு, அவற்றில் அளவீடுகள் உள்ள {scored} மாதங்களில் மதிப்பிடப்பட்டது',
+    'Shaded bands are 80% and 95% intervals from a seasonal Holt-Winters model fitted to the filtered history.':
+      'நிழலிட்ட பட்டைகள், வடிகட்டிய வரலாற்றில் பொருத்தப்பட்ட பருவகால Holt-Winters மாதிரியின் 80% மற்றும் 95% இடைவெளிகள்.',
+    'Export': 'ஏற்றுமதி',
+    'Excel (XLSX)': 'Excel (XLSX)',
+    'ASCII grid': 'ASCII கட்டம்',
+    'Watch': 'கண்காணி',
+    'Watching': 'கண்காணிக்கப்படுகிறது',
+    'Add to watchlist': 'கண்காணிப்புப் பட்டியலில் சேர்',
+    'Remove from watchlist': 'கண்காணிப்புப் பட்டியலிலிருந்து நீக்கு',
+    'Stop watching': 'கண்காணிப்பதை நிறுத்து',
+    'Watchlist ({count})': 'கண்காணிப்புப் பட்டியல் ({count})',
+    'Watchlist and alerts': 'கண்காணிப்புப் பட்டியலும் எச்சரிக்கைகளும்',
+    'Star a well or reservoir in its panel to watch it here.':
+      'ஒரு கிணற்றையோ நீர்த்தேக்கத்தையோ இங்கே கண்காணிக்க அதன் பலகையில் நட்சத்திரமிடவும்.',
+    'Rules ({count})': 'விதிகள் ({count})',
+    '+ Add rule': '+ விதியைச் சேர்',
+    'Remove rule': 'விதியை நீக்கு',
+    'Water level deeper than': 'நீர்மட்டம் இதைவிட ஆழம்',
+    'Storage below': 'சேமிப்பு இதைவிடக் குறைவு',
+    'Level drop greater than': 'மட்டச் சரிவு இதைவிட அதிகம்',
+    'in': 'இல்',
+    'days': 'நாட்கள்',
+    'Water level {depth} m bgl on {date} (limit {limit} m)':
+      '{date} அன்று நீர்மட்டம் {depth} m bgl (வரம்பு {limit} m)',
+    'Storage {percent}% on {date} (limit {limit}%)': '{date} அன்று சேமிப்பு {percent}% (வரம்பு {limit}%)',
+    'Level fell {drop} m in {days} days to {date} (limit {limit} m)':
+      '{date} வரை {days} நாட்களில் மட்டம் {drop} m குறைந்தது (வரம்பு {limit} m)',
+    'No earlier reading within {days} days': '{days} நாட்களுக்குள் முந்தைய அளவீடு இல்லை',
+    'No readings': 'அளவீடுகள் இல்லை',
+    'Check now': 'இப்போது சரிபார்',
+    'Checking…': 'சரிபார்க்கப்படுகிறது…',
+    'Open': 'திற',
+    'Open station': 'நிலையத்தைத் திற',
+    'Compare': 'ஒப்பிடு',
+    'Import': 'இறக்குமதி',
+    'Not a watchlist file: "stations" is missing.':
+      'இது கண்காணிப்புப் பட்டியல் கோப்பு அல்ல: "stations" இல்லை.',
+    'Station {number} needs a layer and a unique_id.':
+      'நிலையம் {number}-க்கு ஒரு அடுக்கும் unique_id-யும் தேவை.',
+    'Unknown rule "{type}"': 'தெரியாத விதி "{type}"',
+    'Rule "{type}" on {id} has no threshold.': '{id} இல் உள்ள விதி "{type}"-க்கு வரம்பு இல்லை.',
+    'Rule "{type}" does not apply to {layer} station {id}.':
+      'விதி "{type}" {layer} நிலையம் {id}-க்குப் பொருந்தாது.',
+    'PDF': 'அறிக்கை',
+    'Report': 'அறிக்கை',
+    'Print / PDF report': 'அச்சு / PDF அறிக்கை',
+    'Title': 'தலைப்பு',
+    'Organisation': 'நிறுவனம்',
+    'Notes': 'குறிப்புகள்',
+    'Logo': 'இலச்சினை',
+    'Report logo': 'அறிக்கை இலச்சினை',
+    'Logo not loaded': 'இலச்சினை ஏற்றப்படவில்லை',
+    'Include': 'சேர்',
+    'Map, legend and scale bar': 'வரைபடம், குறிவிளக்கம் மற்றும் அளவுகோல்',
+    'Stations': 'நிலையங்கள்',
+    'Portrait': 'நீள்வாக்கு',
+    'Landscape': 'அகல்வாக்கு',
+    'Generating…': 'உருவாக்கப்படுகிறது…',
+    'Download PDF': 'PDF பதிவிறக்கு',
+    'Cancel': 'ரத்துசெய்',
+    'Upload…': 'பதிவேற்று…',
+    'Drop CSV (lat, lon, date, level), GeoJSON, KML or a zipped shapefile on the map.':
+      'CSV (lat, lon, date, level), GeoJSON, KML அல்லது zip செய்த shapefile-ஐ வரைபடத்தில் இடவும்.',
+    'My data': 'எனது தரவு',
+    'Uploaded feature': 'பதிவேற்றிய அம்சம்',
+    '{name} (uploaded)': '{name} (பதிவேற்றப்பட்டது)',
+    '{count} features, {sites} with readings': '{count} அம்சங்கள், {sites} அளவீடுகளுடன்',
+    '{count} readings': '{count} அளவீடுகள்',
+    '{count} readings, {from} to {to}': '{count} அளவீடுகள், {from} முதல் {to} வரை',
+    'Show on chart': 'வரைபடத்தில் காட்டு',
+    'Compare with nearest well': 'அருகிலுள்ள கிணற்றுடன் ஒப்பிடு',
+    'Nearest network well': 'அருகிலுள்ள வலையமைப்புக் கிணறு',
+    'No network well within {km} km.': '{km} km-க்குள் வலையமைப்புக் கிணறு இல்லை.',
+    'Remove': 'நீக்கு',
+    'Details': 'விவரங்கள்',
+    'Unsupported file type: {file}. Use CSV, GeoJSON, KML or a zipped shapefile.':
+      'ஆதரிக்கப்படாத கோப்பு வகை: {file}. CSV, GeoJSON, KML அல்லது zip செய்த shapefile-ஐப் பயன்படுத்தவும்.',
+    '{file} contains no features.': '{file}-இல் அம்சங்கள் இல்லை.',
+    'No rows with latitude and longitude columns were found.':
+      'அட்சரேகை, தீர்க்கரேகை நெடுவரிசைகளுடன் வரிசைகள் எதுவும் கிடைக்கவில்லை.',
+    'Layers': 'அடுக்குகள்',
+    'Basemap': 'அடிப்படை வரைபடம்',
+    'Satellite': 'செயற்கைக்கோள்',
+    'Topographic': 'நிலப்பரப்பு',
+    'Basemap from the offline pack': 'ஆஃப்லைன் தொகுப்பிலிருந்து அடிப்படை வரைபடம்',
+    '+ Add overlay': '+ மேலடுக்கைச் சேர்',
+    'XYZ tiles': 'XYZ ஓடுகள்',
+    'Service or file URL': 'சேவை அல்லது கோப்பு URL',
+    'Load layers': 'அடுக்குகளை ஏற்று',
+    'Loading…': 'ஏற்றப்படுகிறது…',
+    'Add': 'சேர்',
+    'Title (optional)': 'தலைப்பு (விருப்பத்தேர்வு)',
+    'Include in printed reports (the server must allow CORS)':
+      'அச்சிட்ட அறிக்கைகளில் சேர் (சேவையகம் CORS-ஐ அனுமதிக்க வேண்டும்)',
+    'Opacity {percent}%': 'ஒளிபுகாமை {percent}%',
+    'Move up': 'மேலே நகர்த்து',
+    'Move down': 'கீழே நகர்த்து',
+    'Remove layer': 'அடுக்கை நீக்கு',
+    'Legend': 'குறிவிளக்கம்',
+    '{layer} legend': '{layer} குறிவிளக்கம்',
+    'No legend published for this layer.': 'இந்த அடுக்கிற்குக் குறிவிளக்கம் வெளியிடப்படவில்லை.',
+    'Could not read {service} capabilities': '{service} திறன்களைப் படிக்க முடியவில்லை',
+    'That WMTS layer has no EPSG:3857 tile matrix set.':
+      'அந்த WMTS அடுக்கில் EPSG:3857 ஓடு அணி தொகுப்பு இல்லை.',
+    'All states': 'அனைத்து மாநிலங்கள்',
+    'All districts': 'அனைத்து மாவட்டங்கள்',
+    'All blocks': 'அனைத்து வட்டாரங்கள்',
+    'All basins': 'அனைத்து வடிநிலங்கள்',
+    'Clear filter': 'வடிகட்டியை அழி',
+    'Search reservoir or well…': 'நீர்த்தேக்கம் அல்லது கிணற்றைத் தேடு…',
+    'Searching…': 'தேடப்படுகிறது…',
+    'Polygon': 'பலகோணம்',
+    'Rectangle': 'செவ்வகம்',
+    'Circle': 'வட்டம்',
+    'Radius': 'ஆரம்',
+    'Type': 'வகை',
+    'District / Basin': 'மாவட்டம் / வடிநிலம்',
+    'Distance (km)': 'தூரம் (km)',
+    'Stations in area ({count})': 'பகுதியில் உள்ள நிலையங்கள் ({count})',
+    'Chart all': 'அனைத்தையும் வரைபடமாக்கு',
+    'Query failed': 'வினவல் தோல்வியடைந்தது',
+    '…and {count} more': '…மேலும் {count}',
+    'Time view': 'நேரக் காட்சி',
+    'Play': 'இயக்கு',
+    'Pause': 'இடைநிறுத்து',
+    'Back to live data': 'நேரடித் தரவுக்குத் திரும்பு',
+    'Depth to water (m bgl)': 'நீருக்கான ஆழம் (m bgl)',
+    'Water level (m bgl)': 'நீர்மட்டம் (m bgl)',
+    'No data': 'தரவு இல்லை',
+    'Year on year': 'ஆண்டுக்கு ஆண்டு',
+    'same month last year': 'கடந்த ஆண்டின் அதே மாதம்',
+    'Steady (±{metres} m)': 'நிலையானது (±{metres} m)',
+    'Field': 'களம்',
+    'Off': 'அணை',
+    'Offline': 'ஆஃப்லைன்',
+    'Online': 'ஆன்லைன்',
+    'Offline field mode': 'ஆஃப்லைன் களப் பயன்முறை',
+    'Choose a state': 'மாநிலத்தைத் தேர்ந்தெடு',
+    'Choose a district': 'மாவட்டத்தைத் தேர்ந்தெடு',
+    'Download pack': 'தொகுப்பைப் பதிவிறக்கு',
+    'Use in field': 'களத்தில் பயன்படுத்து',
+    'Resync': 'மீண்டும் ஒத்திசை',
+    'Delete': 'நீக்கு',
+    'Synced {age}': '{age} ஒத்திசைக்கப்பட்டது',
+    'just now': 'இப்போதுதான்',
+    '{minutes} min ago': '{minutes} நிமிடங்களுக்கு முன்',
+    '{hours} h ago': '{hours} மணிநேரத்திற்கு முன்',
+    '{days} day ago': '{days} நாளுக்கு முன்',
+    '{days} days ago': '{days} நாட்களுக்கு முன்',
+    'stale': 'பழையது',
+    'data from {time}': '{time} இன் தரவு',
+    'showing live data': 'நேரடித் தரவு காட்டப்படுகிறது',
+    'showing the {district} pack': '{district} தொகுப்பு காட்டப்படுகிறது',
+    'Showing offline pack: {district}': 'ஆஃப்லைன் தொகுப்பு காட்டப்படுகிறது: {district}',
+    '{count} map tiles': '{count} வரைபட ஓடுகள்',
+    '{count} map tiles (to zoom {zoom})': '{count} வரைபட ஓடுகள் (பெரிதாக்கம் {zoom} வரை)',
+    '{count} series not refreshed': '{count} தொடர்கள் புதுப்பிக்கப்படவில்லை',
+    'Map tiles': 'வரைபட ஓடுகள்',
+    'Groundwater': 'நிலத்தடி நீர்',
+    'Finding wells…': 'கிணறுகள் தேடப்படுகின்றன…',
+    'No packs yet. Download a district before heading out.':
+      'இன்னும் தொகுப்புகள் இல்லை. புறப்படும் முன் ஒரு மாவட்டத்தைப் பதிவிறக்கவும்.',
+    'Offline packs need IndexedDB, which this browser does not provide.':
+      'ஆஃப்லைன் தொகுப்புகளுக்கு IndexedDB தேவை, இந்த உலாவி அதை வழங்கவில்லை.',
+    'Offline, the map shows the pack’s basemap tiles and stations; WMS overlays need a connection.':
+      'ஆஃப்லைனில் வரைபடம் தொகுப்பின் அடிப்படை ஓடுகளையும் நிலையங்களையும் காட்டும்; WMS மேலடுக்குகளுக்கு இணைப்பு தேவை.',
+    'No tile server is set up for packs, so offline the map shows the pack’s stations without a basemap.':
+      'தொகுப்புகளுக்கு ஓடு சேவையகம் அமைக்கப்படவில்லை, எனவே ஆஃப்லைனில் வரைபடம் அடிப்படை வரைபடமின்றித் தொகுப்பின் நிலையங்களைக் காட்டும்.',
+    'The pack tile URL needs {z}, {x} and {y} placeholders.':
+      'தொகுப்பு ஓடு URL-இல் {z}, {x}, {y} இடக்குறிகள் இருக்க வேண்டும்.',
+    'The public OpenStreetMap tile servers do not allow downloads for offline use; configure your own tile server for packs.':
+      'பொது OpenStreetMap ஓடு சேவையகங்கள் ஆஃப்லைன் பயன்பாட்டிற்குப் பதிவிறக்கத்தை அனுமதிப்பதில்லை; தொகுப்புகளுக்கு உங்கள் சொந்த ஓடு சேவையகத்தை அமைக்கவும்.',
+    'No district boundaries available for {state}.': '{state}-க்கு மாவட்ட எல்லைகள் இல்லை.',
+    'No district boundary layer configured (districtBoundaries.layerName)':
+      'மாவட்ட எல்லை அடுக்கு அமைக்கப்படவில்லை (districtBoundaries.layerName)',
+    'Region': 'பிராந்தியம்',
+    'Regional summary': 'பிராந்தியச் சுருக்கம்',
+    'Choose a state for wells in the filter bar.':
+      'வடிகட்டிப் பட்டியில் கிணறுகளுக்கு ஒரு மாநிலத்தைத் தேர்ந்தெடுக்கவும்.',
+    'Choose a state, district or block for wells in the filter bar.':
+      'வடிகட்டிப் பட்டியில் கிணறுகளுக்கு மாநிலம், மாவட்டம் அல்லது வட்டாரத்தைத் தேர்ந்தெடுக்கவும்.',
+    'Choose a state or basin for reservoirs in the filter bar.':
+      'வடிகட்டிப் பட்டியில் நீர்த்தேக்கங்களுக்கு மாநிலம் அல்லது வடிநிலத்தைத் தேர்ந்தெடுக்கவும்.',
+    '{reporting} of {total} wells with readings.': '{total} கிணறுகளில் {reporting} அளவீடுகளுடன்.',
+    '{reporting} wells with readings in a random sample of {loaded} of {total}.':
+      '{total} இல் {loaded} கொண்ட சீரற்ற மாதிரியில் {reporting} கிணறுகள் அளவீடுகளுடன்.',
+    '{total} reservoirs, {capacity} BCM live capacity':
+      '{total} நீர்த்தேக்கங்கள், {capacity} BCM பயன்பாட்டுக் கொள்ளளவு',
+    'the largest {count} summarised': 'பெரிய {count} சுருக்கப்பட்டுள்ளன',
+    '{count} without a recorded capacity': '{count} பதிவுசெய்த கொள்ளளவு இல்லாதவை',
+    'stored of {capacity} BCM ({percent}%) across {reporting} reporting.':
+      'அறிக்கையிடும் {reporting} இல் {capacity} BCM-இல் சேமிக்கப்பட்டது ({percent}%).',
+    'No storage readings for these reservoirs.': 'இந்த நீர்த்தேக்கங்களுக்குச் சேமிப்பு அளவீடுகள் இல்லை.',
+    'Total live storage (BCM)': 'மொத்தப் பயன்பாட்டுச் சேமிப்பு (BCM)',
+    'Capacity of reservoirs reporting (BCM)': 'அறிக்கையிடும் நீர்த்தேக்கங்களின் கொள்ளளவு (BCM)',
+    'Median depth (m bgl)': 'இடைநிலை ஆழம் (m bgl)',
+    'Average depth (m bgl)': 'சராசரி ஆழம் (m bgl)',
+    '10th–90th percentile': '10ஆவது–90ஆவது சதமானம்',
+    '25th–75th percentile': '25ஆவது–75ஆவது சதமானம்',
+    'Districts by average depth to water': 'நீருக்கான சராசரி ஆழத்தின்படி மாவட்டங்கள்',
+    'Wells': 'கிணறுகள்',
+    '{wells} wells · {reservoirs} reservoirs': '{wells} கிணறுகள் · {reservoirs} நீர்த்தேக்கங்கள்',
+    'Series': 'தொடர்',
+    'Within radius': 'ஆரத்திற்குள்',
+    'Same basin': 'அதே வடிநிலம்',
+    'Lags up to': 'தாமதம் அதிகபட்சம்',
+    'Lag': 'தாமதம்',
+    'Strong, rises with storage': 'வலுவானது, சேமிப்புடன் உயர்கிறது',
+    'Moderate, rises with storage': 'மிதமானது, சேமிப்புடன் உயர்கிறது',
+    'Weak or not significant': 'பலவீனமானது அல்லது குறிப்பிடத்தக்கதல்ல',
+    'Moderate, falls with storage': 'மிதமானது, சேமிப்புடன் குறைகிறது',
+    'Strong, falls with storage': 'வலுவானது, சேமிப்புடன் குறைகிறது',
+    'Correlation of storage with the water table at the strongest lag':
+      'வலுவான தாமதத்தில் சேமிப்புக்கும் நிலத்தடி நீர்மட்டத்திற்கும் உள்ள தொடர்பு',
+    'r above 0 means the water table rises with storage. Lag is months the well trails the reservoir.':
+      'r 0-ஐ விட அதிகம் என்றால் நிலத்தடி நீர்மட்டம் சேமிப்புடன் உயர்கிறது. தாமதம் என்பது கிணறு நீர்த்தேக்கத்தைப் பின்தொடரும் மாதங்கள்.',
+    '* not significant at 95%; – fewer than {count} shared months.':
+      '* 95% இல் குறிப்பிடத்தக்கதல்ல; – {count}-க்கும் குறைவான பொதுவான மாதங்கள்.',
+    'No wells within {km} km.': '{km} km-க்குள் கிணறுகள் இல்லை.',
+    'No wells recorded in this basin.': 'இந்த வடிநிலத்தில் கிணறுகள் பதிவு செய்யப்படவில்லை.',
+    'This reservoir has no basin recorded.': 'இந்த நீர்த்தேக்கத்திற்கு வடிநிலம் பதிவு செய்யப்படவில்லை.',
+    'This reservoir has no position recorded.': 'இந்த நீர்த்தேக்கத்திற்கு இருப்பிடம் பதிவு செய்யப்படவில்லை.',
+    'The wells on this server record no basin.':
+      'இந்தச் சேவையகத்தில் உள்ள கிணறுகள் வடிநிலத்தைப் பதிவு செய்வதில்லை.',
+    'Too few wells report in the same months (at least {count} needed).':
+      'ஒரே மாதங்களில் அறிக்கையிடும் கிணறுகள் மிகக் குறைவு (குறைந்தது {count} தேவை).',
+    'Groundwater surface': 'நிலத்தடி நீர்ப் பரப்பு',
+    'Current map extent': 'தற்போதைய வரைபட எல்லை',
+    'Selected district (set a well filter)': 'தேர்ந்தெடுத்த மாவட்டம் (கிணறு வடிகட்டியை அமைக்கவும்)',
+    'Inverse distance (IDW)': 'தலைகீழ் தூரம் (IDW)',
+    'Ordinary kriging': 'சாதாரண கிரிகிங்',
+    'Power': 'அடுக்கு',
+    'Variogram': 'வேரியோகிராம்',
+    'spherical': 'கோள',
+    'exponential': 'அடுக்குக்குறி',
+    'gaussian': 'காசியன்',
+    'Interpolating…': 'இடைக்கணிப்பு நடக்கிறது…',
+    'Interpolate': 'இடைக்கணி',
+    '{count} wells': '{count} கிணறுகள்',
+    'range {km} km': 'வீச்சு {km} km',
+    'Read values': 'மதிப்புகளைப் படி',
+    'No estimate': 'மதிப்பீடு இல்லை',
+    '{value} at {lat}, {lon}': '{lat}, {lon} இல் {value}',
+    'Click the map to read the surface.': 'பரப்பைப் படிக்க வரைபடத்தில் சொடுக்கவும்.',
+    'The wells are too far apart to fit a variogram; try inverse distance.':
+      'வேரியோகிராம் பொருத்தக் கிணறுகள் மிகத் தொலைவில் உள்ளன; தலைகீழ் தூரத்தை முயலவும்.',
+    'At least three wells with readings are needed.': 'அளவீடுகளுடன் குறைந்தது மூன்று கிணறுகள் தேவை.',
+    'Level': 'மட்டம்',
+    'Water level': 'நீர்மட்டம்',
+    'Remove seasonal cycle': 'பருவகாலச் சுழற்சியை நீக்கு',
+    'Unnamed station': 'பெயரிடப்படாத நிலையம்',
+    'Chart first {count}': 'முதல் {count} ஐ வரைபடமாக்கு',
+    'The comparison chart holds {count} stations; the first {count} in the table are charted.':
+      'ஒப்பீட்டு வரைபடம் {count} நிலையங்களைக் கொள்ளும்; அட்டவணையின் முதல் {count} வரையப்படும்.',
+    'No storage readings': 'சேமிப்பு அளவீடுகள் இல்லை',
+    '{count} wells failed to load and are left out.': '{count} கிணறுகள் ஏற்றப்படவில்லை, அவை விடப்பட்டன.',
+    '{count} reservoirs failed to load and are left out.': '{count} நீர்த்தேக்கங்கள் ஏற்றப்படவில்லை, அவை விடப்பட்டன.',
+  },
+};
+
+// Importing the moment locales above switches moment's global locale; these
+// keep its digits international and hand it back to English.
+(['hi', 'ta'] as const).forEach((code) => moment.updateLocale(code, {
+  preparse: (text: string) => text,
+  postformat: (text: string) => text,
+}));
+moment.locale('en');
+
+type Params = Record<string, string | number>;
+
+export interface I18n {
+  language: LanguageCode;
+  locale: string;
+  t: (text: string, params?: Params) => string;
+  formatNumber: (value: number | null | undefined, digits?: number) => string;
+  formatDate: (date: string | number | Date, options?: Intl.DateTimeFormatOptions) => string;
+}
+
+const findLanguage = (code: string | null | undefined): Language => languages.find((l) => l.code === code) ?? languages[0];
+
+export const createI18n = (code: LanguageCode): I18n => {
+  const { locale } = findLanguage(code);
+  const table: Record<string, string> = code === 'en' ? {} : translations[code];
+  const numberFormats = new Map<number, Intl.NumberFormat>();
+
+  const t = (text: string, params: Params = {}) => (table[text] ?? text)
+    .replace(/\{(\w+)\}/g, (match, name: string) => (name in params ? String(params[name]) : match));
+
+  const formatNumber = (value: number | null | undefined, digits = 2) => {
+    if (value === null || value === undefined || !Number.isFinite(value)) return t('N/A');
+    if (!numberFormats.has(digits)) {
+      numberFormats.set(digits, new Intl.NumberFormat(locale, { maximumFractionDigits: digits }));
+    }
+    return numberFormats.get(digits)!.format(value);
+  };
+
+  const formatDate = (date: string | number | Date, options: Intl.DateTimeFormatOptions = { dateStyle: 'medium' }) => {
+    const value = new Date(date);
+    return Number.isNaN(value.getTime()) ? String(date) : new Intl.DateTimeFormat(locale, options).format(value);
+  };
+
+  return { language: code, locale, t, formatNumber, formatDate };
+};
+
+// English unless an app provides another language.
+export const I18nContext = createContext<I18n>(createI18n('en'));
+
+export const useI18n = () => useContext(I18nContext);
+
+const loadLanguage = (): LanguageCode => {
+  try {
+    return findLanguage(window.localStorage.getItem(LANGUAGE_STORAGE_KEY)).code;
+  } catch (error) {
+    console.warn('Ignoring stored language:', error);
+    return 'en';
+  }
+};
+
+const saveLanguage = (code: LanguageCode) => {
+  try {
+    window.localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  } catch (error) {
+    console.warn('Language not saved:', error);
+  }
+};
+
+// The app's chosen language, remembered across visits. Pass the I18n to
+// I18nContext.Provider; the document language and moment follow it.
+export const useLanguage = (): [I18n, (code: LanguageCode) => void] => {
+  const [code, setCode] = useState<LanguageCode>(loadLanguage);
+  const i18n = useMemo(() => createI18n(code), [code]);
+
+  // A layout effect runs before the charts' own (passive) update effects, so
+  // the axes redrawn for the new language already format with its locale.
+  useLayoutEffect(() => {
+    moment.locale(code);
+  }, [code]);
+
+  useEffect(() => {
+    document.documentElement.lang = code;
+  }, [code]);
+
+  const setLanguage = (next: LanguageCode) => {
+    setCode(next);
+    saveLanguage(next);
+  };
+
+  return [i18n, setLanguage];
+};
+
+export interface LanguageSwitcherProps {
+  value: LanguageCode;
+  onChange: (code: LanguageCode) => void;
+}
+
+export const LanguageSwitcher = ({ value, onChange }: LanguageSwitcherProps) => {
+  const { t } = useI18n();
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#374151' }}>
+      <span>{t('Language')}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value as LanguageCode)}
+        style={{ padding: '4px 6px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '13px' }}
+      >
+        {languages.map((language) => (
+          <option key={language.code} value={language.code} lang={language.code}>{language.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
@@ -0,0 +1,142 @@
+import React from 'react';
+import { useI18n } from './i18n';
+import { AttributeTable } from './attributes';
+
+// Feature lookup across every visible station layer, for the hover popup and
+// for clicks that land on more than one station.
+
+export const IDENTIFY_FEATURE_COUNT = 5;
+
+const layerTitles = {
+  reservoir: 'Reservoirs',
+  groundwater: 'Groundwater wells',
+};
+
+const popupTitles = {
+  reservoir: 'Reservoir Info',
+  groundwater: 'Groundwater Level Info',
+};
+
+// Queries the visible layers in parallel and resolves to [{ layerKey, features }]
+// for the layers with hits. A layer whose lookup fails is left out.
+export const identifyStations = async (provider, layers, coordinate, resolution, signal) => {
+  const results = await Promise.allSettled(layers
+    .filter((layer) => layer.getVisible())
+    .map(async (layer) => {
+      const layerKey = layer.get('layerKey');
+      const features = await provider.getFeatureInfo(layerKey, layer, coordinate, resolution, {
+        signal,
+        featureCount: IDENTIFY_FEATURE_COUNT,
+      });
+      return { layerKey, features };
+    }));
+  results
+    .filter((result) => result.status === 'rejected' && !signal?.aborted)
+    .forEach((result) => console.error('Error fetching feature info:', result.reason));
+  return results
+    .filter((result) => result.status === 'fulfilled' && result.value.features.length > 0)
+    .map((result) => result.value);
+};
+
+export const countHits = (hits) => hits.reduce((total, hit) => total + hit.features.length, 0);
+
+// One section per layer: the nearest feature in full, then a count of the rest.
+// Rendered into the map's popup overlay; fields come from attributes.tsx.
+export const HoverPopup = ({ hits }) => {
+  const { t } = useI18n();
+  return (
+    <div role="group" aria-label={t('Station details')}>
+      {hits.map(({ layerKey, features }, index) => (
+        <section
+          key={layerKey}
+          aria-label={t(popupTitles[layerKey])}
+          style={index > 0 ? { borderTop: '1px solid #e5e7eb', marginTop: '6px', paddingTop: '6px' } : undefined}
+        >
+          <strong style={{ fontSize: '12px', color: '#333' }}>{t(popupTitles[layerKey])}</strong>
+          <AttributeTable layer={layerKey} view="popup" properties={features[0].properties} />
+          {features.length > 1 && (
+            <div style={{ fontSize: '10px', color: '#6b7280', marginTop: '2px' }}>
+              {t('+{count} more here; click to choose', { count: features.length - 1 })}
+            </div>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+const chooserStyle = {
+  position: 'absolute',
+  zIndex: 1001,
+  minWidth: '200px',
+  maxWidth: '280px',
+  maxHeight: '300px',
+  overflow: 'auto',
+  background: 'white',
+  borderRadius: '8px',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+  padding: '6px 0',
+  fontSize: '13px'
+};
+
+// Pick list shown at the clicked pixel when it hit several stations. Escape
+// dismisses it.
+export const IdentifyChooser = ({ choice, getLabel, onChoose, onClose }) => {
+  const { t } = useI18n();
+  const heading = choice.addToCompare ? t('Add to compare:') : t('Open station:');
+  return (
+    <div
+      role="dialog"
+      aria-label={heading}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose();
+      }}
+      style={{ ...chooserStyle, left: `${choice.pixel[0] + 12}px`, top: `${choice.pixel[1]}px` }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0 10px 4px' }}>
+        <span style={{ color: '#6b7280', fontSize: '12px' }}>
+          {heading}
+        </span>
+        <button
+          onClick={onClose}
+          aria-label={t('Close')}
+          style={{ border: 'none', background: 'none', fontSize: '16px', cursor: 'pointer', color: '#6b7280' }}
+        >
+          ×
+        </button>
+      </div>
+      {choice.hits.map(({ layerKey, features }) => (
+        <div key={layerKey}>
+          <div style={{
+            padding: '4px 10px',
+            background: '#f9fafb',
+            fontSize: '12px',
+            fontWeight: 600,
+            color: '#374151'
+          }}>
+            {t(layerTitles[layerKey])} ({features.length})
+          </div>
+          {features.map(({ properties }) => (
+            <button
+              key={properties.unique_id}
+              onClick={() => onChoose(layerKey, properties)}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '5px 10px',
+                border: 'none',
+                background: 'none',
+                textAlign: 'left',
+                cursor: 'pointer',
+                fontSize: '13px',
+                color: '#1f2937'
+              }}
+            >
+              {getLabel(layerKey, properties)}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
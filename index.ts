@@ -0,0 +1,54 @@
+// Embeddable pieces of the dashboard for other apps: a map of the station
+// layers, the station side panel, the hydrograph, the date range filter and
+// the series hook, with the typed models they share. All of them take a data
+// provider (see dataProvider.js), so they work against GeoServer or fixtures,
+// and draw their text in the language of the nearest I18nContext.
+
+export { WaterMap } from './waterMap';
+export type { WaterMapProps } from './waterMap';
+export { StationPanel } from './stationPanel';
+export type { StationPanelProps } from './stationPanel';
+export { ChartDataTable, Hydrograph, chartTableRows, measureDatasets } from './hydrograph';
+export type { HydrographChart, HydrographProps } from './hydrograph';
+export { DateRangeFilter } from './dateRangeFilter';
+export type { DateRangeFilterProps } from './dateRangeFilter';
+export { loadStationSeries, useStationSeries } from './useStationSeries';
+export type { StationSeriesState } from './useStationSeries';
+export {
+  filterGroundwaterSeries,
+  filterReservoirSeries,
+  inDateRange,
+  missingGroundwaterDates,
+  seriesMeasures,
+  stationName,
+  toGroundwaterSeries,
+  toIsoDate,
+  toReservoirSeries,
+} from './stationModels';
+export type {
+  DateRange,
+  GroundwaterPoint,
+  GroundwaterProperties,
+  GroundwaterReading,
+  LayerKey,
+  LoadedSeries,
+  Measure,
+  ReservoirProperties,
+  ReservoirReading,
+  ReservoirSeries,
+  StationDataProvider,
+  StationProperties,
+  StationRef,
+} from './stationModels';
+export { AttributeTable, attributeRows, fieldLabel, formatAttribute, formatters, layerSchemas } from './attributes';
+export type {
+  AttributeFormatter,
+  AttributeRow,
+  AttributeTableProps,
+  AttributeView,
+  FieldDefinition,
+  LayerSchema,
+} from './attributes';
+export { I18nContext, LanguageSwitcher, createI18n, languages, translations, useI18n, useLanguage } from './i18n';
+export type { I18n, Language, LanguageCode, LanguageSwitcherProps } from './i18n';
+export { DataProviderContext, createFixtureProvider, createGeoServerProvider, useDataProvider } from './dataProvider';
@@ -0,0 +1,420 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import { circular } from 'ol/geom/Polygon';
+import { fromLonLat } from 'ol/proj';
+import { getDistance } from 'ol/sphere';
+import { Circle, Fill, Stroke, Style } from 'ol/style';
+import { runLimited } from './concurrency';
+import { Hydrograph } from './hydrograph';
+import { useI18n } from './i18n';
+import { inDateRange, stationName } from './stationModels';
+import { addMonths, monthlySeries } from './forecast';
+
+// How a reservoir relates to the wells around it. Wells are taken within a
+// radius of the reservoir or, where the provider names a basin attribute on
+// the wells (wellBasinField), from the same basin; each well's water level is
+// correlated with the reservoir's live storage at lags of 0..maxLag months
+// (the well trailing the reservoir). Both series are averaged to calendar
+// months and only months with readings on both sides are paired. Depth below
+// ground is negated first, so a positive r means the water table rises with
+// storage. Removing the seasonal cycle keeps the shared monsoon rhythm from
+// passing for influence.
+
+export const influenceModes = [
+  { id: 'radius', label: 'Within radius' },
+  { id: 'basin', label: 'Same basin' },
+];
+
+export const DEFAULT_INFLUENCE_OPTIONS = { mode: 'radius', radiusKm: 30, maxLag: 6, deseasonalise: true };
+
+const MAX_INFLUENCE_WELLS = 30;
+const MIN_PAIRS = 8;
+const CHARTED_WELLS = 3;
+const SERIES_CONCURRENCY = 4;
+const Z_95 = 1.96;
+
+export const correlationClasses = [
+  { min: 0.7, label: 'Strong, rises with storage', color: '#1d4ed8' },
+  { min: 0.4, label: 'Moderate, rises with storage', color: '#60a5fa' },
+  { min: -0.4, label: 'Weak or not significant', color: '#9ca3af' },
+  { min: -0.7, label: 'Moderate, falls with storage', color: '#f87171' },
+  { min: -Infinity, label: 'Strong, falls with storage', color: '#b91c1c' },
+];
+
+const NO_RESULT_COLOR = '#ffffff';
+
+export const correlationColor = (correlation) => {
+  if (!correlation) return NO_RESULT_COLOR;
+  if (!correlation.significant) return correlationClasses[2].color;
+  return correlationClasses.find((c) => correlation.r >= c.min).color;
+};
+
+const wellPosition = (properties) => [parseFloat(properties.longitude), parseFloat(properties.latitude)];
+
+// Wells for the reservoir, nearest first, at most MAX_INFLUENCE_WELLS, as
+// [{ properties, distanceKm }].
+export const findInfluenceWells = async (provider, reservoir, { mode, radiusKm }) => {
+  const center = wellPosition(reservoir);
+  let features;
+  if (mode === 'basin') {
+    if (!provider.wellBasinField) throw new Error('The wells on this server record no basin.');
+    if (!reservoir.basin) throw new Error('This reservoir has no basin recorded.');
+    features = await provider.filterFeatures('groundwater', { [provider.wellBasinField]: reservoir.basin });
+  } else {
+    if (!center.every(Number.isFinite)) throw new Error('This reservoir has no position recorded.');
+    features = await provider.queryFeatures('groundwater', circular(center, radiusKm * 1000, 64));
+  }
+  return features
+    .map(({ properties }) => ({ properties, distanceKm: getDistance(center, wellPosition(properties)) / 1000 }))
+    .filter(({ distanceKm }) => Number.isFinite(distanceKm))
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, MAX_INFLUENCE_WELLS);
+};
+
+// Observed monthly means keyed by 'YYYY-MM', optionally minus each calendar
+// month's average.
+export const monthlyValues = (points, deseasonalise) => {
+  const months = monthlySeries(points).filter((m) => m.observed);
+  const climatology = {};
+  if (deseasonalise) {
+    months.forEach(({ month, value }) => {
+      const calendarMonth = month.slice(5);
+      climatology[calendarMonth] = climatology[calendarMonth] ?? { sum: 0, count: 0 };
+      climatology[calendarMonth].sum += value;
+      climatology[calendarMonth].count += 1;
+    });
+  }
+  return new Map(months.map(({ month, value }) => {
+    const normal = climatology[month.slice(5)];
+    return [month, normal ? value - normal.sum / normal.count : value];
+  }));
+};
+
+const pearson = (pairs) => {
+  const n = pairs.length;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  pairs.forEach(([x, y]) => {
+    sxy += (x - meanX) * (y - meanY);
+    sxx += (x - meanX) ** 2;
+    syy += (y - meanY) ** 2;
+  });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+// storage and level are [{ date, value }] (level as depth below ground).
+// Returns { lags: [{ lag, r, n }], best, significant } where best is the lag
+// with the largest |r|, or null when no lag has MIN_PAIRS months. Significance
+// is the rough |r| > 1.96 / sqrt(n) test, ignoring autocorrelation.
+export const laggedCorrelation = (storage, level, { maxLag, deseasonalise }) => {
+  const storageMonths = monthlyValues(storage, deseasonalise);
+  const levelMonths = monthlyValues(level.map((p) => ({ date: p.date, value: -p.value })), deseasonalise);
+  const lags = [];
+  for (let lag = 0; lag <= maxLag; lag++) {
+    const pairs = [];
+    storageMonths.forEach((value, month) => {
+      const trailing = levelMonths.get(addMonths(month, lag));
+      if (trailing !== undefined) pairs.push([value, trailing]);
+    });
+    const r = pairs.length >= MIN_PAIRS ? pearson(pairs) : null;
+    if (r !== null) lags.push({ lag, r, n: pairs.length });
+  }
+  if (lags.length === 0) return null;
+  const best = lags.reduce((a, b) => (Math.abs(b.r) > Math.abs(a.r) ? b : a));
+  return { lags, best, r: best.r, significant: Math.abs(best.r) > Z_95 / Math.sqrt(best.n) };
+};
+
+const wellStyle = (color) => new Style({
+  image: new Circle({
+    radius: 8,
+    fill: new Fill({ color }),
+    stroke: new Stroke({ color: '#1f2937', width: 1.5 }),
+  }),
+});
+
+const radiusStyle = new Style({
+  stroke: new Stroke({ color: 'rgba(13, 148, 136, 0.8)', width: 2, lineDash: [6, 4] }),
+  fill: new Fill({ color: 'rgba(13, 148, 136, 0.05)' }),
+});
+
+const controlStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #e5e7eb', textAlign: 'left' };
+
+const wellColors = ['#0d9488', '#7c3aed', '#f59e0b', '#db2777', '#65a30d'];
+
+// The reservoir panel's Influence tab. storage is the reservoir's live
+// storage as [{ date, value }]; range limits the wells' readings to match.
+// The wells are coloured on the map by correlation while the tab is open.
+// Errors are shown translated where the table has their text; wells whose
+// series fail to load are counted and the rest are still correlated.
+export const ReservoirInfluence = ({ map, provider, reservoir, storage, range, options, onOptionsChange, onCompareWell }) => {
+  const { t } = useI18n();
+  const [wells, setWells] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [failedWells, setFailedWells] = useState(0);
+  const [charted, setCharted] = useState(null);
+  const sourceRef = useRef(new VectorSource());
+
+  const update = (changes) => onOptionsChange({ ...options, ...changes });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+    setFailedWells(0);
+    setWells([]);
+    setCharted(null);
+    (async () => {
+      try {
+        const found = await findInfluenceWells(provider, reservoir, options);
+        const withSeries = [];
+        let failed = 0;
+        await runLimited(found, SERIES_CONCURRENCY, async (well, index) => {
+          try {
+            const readings = await provider.fetchGroundwaterSeries(well.properties.unique_id, { signal: controller.signal });
+            withSeries[index] = {
+              ...well,
+              series: readings
+                .map((entry) => ({ date: entry.date, value: parseFloat(entry.wl_mbgl) }))
+                .filter((p) => Number.isFinite(p.value)),
+            };
+          } catch (wellError) {
+            if (controller.signal.aborted) return;
+            console.error(`Error fetching well ${well.properties.unique_id}:`, wellError);
+            failed++;
+          }
+        });
+        if (controller.signal.aborted) return;
+        setWells(withSeries.filter(Boolean));
+        setFailedWells(failed);
+      } catch (influenceError) {
+        if (controller.signal.aborted) return;
+        console.error('Error finding influence wells:', influenceError);
+        setError(influenceError.message);
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    })();
+    return () => controller.abort();
+  }, [provider, reservoir.unique_id, reservoir.basin, options.mode, options.radiusKm]);
+
+  const results = useMemo(() => wells.map((well) => {
+    const level = well.series.filter((p) => inDateRange(p.date, range));
+    return { ...well, level, correlation: laggedCorrelation(storage, level, options) };
+  }), [wells, storage, range.from, range.to, options.maxLag, options.deseasonalise]);
+
+  // Strongest wells are charted until the user picks their own.
+  const chartedIds = charted ?? [...results]
+    .filter((well) => well.correlation)
+    .sort((a, b) => Math.abs(b.correlation.r) - Math.abs(a.correlation.r))
+    .slice(0, CHARTED_WELLS)
+    .map((well) => well.properties.unique_id);
+
+  const toggleCharted = (unique_id) => setCharted(chartedIds.includes(unique_id)
+    ? chartedIds.filter((id) => id !== unique_id)
+    : [...chartedIds, unique_id]);
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const layer = new VectorLayer({ source: sourceRef.current, zIndex: 12 });
+    map.addLayer(layer);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const source = sourceRef.current;
+    source.clear();
+    const center = wellPosition(reservoir);
+    if (options.mode === 'radius' && center.every(Number.isFinite)) {
+      const ring = new Feature(circular(center, options.radiusKm * 1000, 64).transform('EPSG:4326', 'EPSG:3857'));
+      ring.setStyle(radiusStyle);
+      source.addFeature(ring);
+    }
+    results.forEach((well) => {
+      const feature = new Feature(new Point(fromLonLat(wellPosition(well.properties))));
+      feature.setStyle(wellStyle(correlationColor(well.correlation)));
+      source.addFeature(feature);
+    });
+  }, [results, reservoir, options.mode, options.radiusKm]);
+
+  const chartData = {
+    datasets: [
+      {
+        label: t('Live Storage (BCM)'),
+        data: storage.map((p) => ({ x: p.date, y: p.value })),
+        borderColor: 'red',
+        borderWidth: 2,
+        tension: 0.2,
+        fill: false,
+        pointRadius: 0,
+        yAxisID: 'y',
+      },
+      ...results
+        .filter((well) => chartedIds.includes(well.properties.unique_id))
+        .map((well, index) => ({
+          label: `${stationName('groundwater', well.properties, t)} (m bgl)`,
+          data: well.level.map((p) => ({ x: p.date, y: p.value })),
+          borderColor: wellColors[index % wellColors.length],
+          borderWidth: 2,
+          tension: 0.2,
+          fill: false,
+          yAxisID: 'yDepth',
+        })),
+    ],
+  };
+
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '8px' }}>
+        <select value={options.mode} onChange={(e) => update({ mode: e.target.value })} style={controlStyle}>
+          {influenceModes.map((mode) => (
+            <option key={mode.id} value={mode.id} disabled={mode.id === 'basin' && !provider.wellBasinField}>
+              {t(mode.label)}
+            </option>
+          ))}
+        </select>
+        {options.mode === 'radius' && (
+          <label>
+            <input
+              type="number"
+              min="1"
+              max="200"
+              value={options.radiusKm}
+              onChange={(e) => {
+                const radiusKm = parseFloat(e.target.value);
+                if (radiusKm > 0) update({ radiusKm });
+              }}
+              style={{ ...controlStyle, width: '60px' }}
+            /> km
+          </label>
+        )}
+        <label>
+          {t('Lags up to')}{' '}
+          <select value={options.maxLag} onChange={(e) => update({ maxLag: Number(e.target.value) })} style={controlStyle}>
+            {[0, 3, 6, 12].map((lag) => <option key={lag} value={lag}>{lag}</option>)}
+          </select>{' '}
+          {t('months')}
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <input type="checkbox" checked={options.deseasonalise} onChange={() => update({ deseasonalise: !options.deseasonalise })} />
+          {t('Remove seasonal cycle')}
+        </label>
+      </div>
+
+      {isLoading && <p style={{ color: '#6b7280' }}>{t('Finding wells…')}</p>}
+      {error && <p style={{ color: '#ef4444' }}>{t(error)}</p>}
+      {!isLoading && failedWells > 0 && (
+        <p style={{ color: '#b45309' }}>{t('{count} wells failed to load and are left out.', { count: failedWells })}</p>
+      )}
+      {!isLoading && !error && failedWells === 0 && results.length === 0 && (
+        <p style={{ color: '#6b7280' }}>
+          {options.mode === 'basin' ? t('No wells recorded in this basin.') : t('No wells within {km} km.', { km: options.radiusKm })}
+        </p>
+      )}
+
+      {results.length > 0 && (
+        <>
+          <Hydrograph
+            height="320px"
+            data={chartData}
+            scales={{
+              y: { position: 'left', title: { display: true, text: t('Live Storage (BCM)') } },
+              yDepth: {
+                type: 'linear',
+                position: 'right',
+                reverse: true,
+                grid: { drawOnChartArea: false },
+                title: { display: true, text: t('Water level (m bgl)') }
+              }
+            }}
+          />
+
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '12px' }}>
+            <thead>
+              <tr style={{ color: '#4b5563' }}>
+                <th style={cellStyle} />
+                <th style={cellStyle}>{t('Well')}</th>
+                <th style={cellStyle}>km</th>
+                <th style={cellStyle} title={t('Correlation of storage with the water table at the strongest lag')}>r</th>
+                <th style={cellStyle}>{t('Lag')}</th>
+                <th style={cellStyle}>{t('Months')}</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((well) => {
+                const { correlation } = well;
+                return (
+                  <tr key={well.properties.unique_id}>
+                    <td style={cellStyle}>
+                      <input
+                        type="checkbox"
+                        title={t('Show on chart')}
+                        checked={chartedIds.includes(well.properties.unique_id)}
+                        onChange={() => toggleCharted(well.properties.unique_id)}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <span style={{
+                        display: 'inline-block',
+                        width: '10px',
+                        height: '10px',
+                        borderRadius: '50%',
+                        marginRight: '6px',
+                        border: '1px solid #1f2937',
+                        background: correlationColor(correlation)
+                      }} />
+                      {stationName('groundwater', well.properties, t)}
+                    </td>
+                    <td style={cellStyle}>{well.distanceKm.toFixed(1)}</td>
+                    <td style={cellStyle}>
+                      {correlation ? `${correlation.r.toFixed(2)}${correlation.significant ? '' : '*'}` : '–'}
+                    </td>
+                    <td style={cellStyle}>{correlation ? correlation.best.lag : '–'}</td>
+                    <td style={cellStyle}>{correlation ? correlation.best.n : well.level.length}</td>
+                    <td style={cellStyle}>
+                      <button
+                        onClick={() => onCompareWell(well.properties)}
+                        style={{ ...controlStyle, padding: '2px 6px', background: 'white', cursor: 'pointer' }}
+                      >
+                        {t('Compare')}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <p style={{ color: '#6b7280', margin: '8px 0' }}>
+            {t('r above 0 means the water table rises with storage. Lag is months the well trails the reservoir.')}
+            {' '}{t('* not significant at 95%; – fewer than {count} shared months.', { count: MIN_PAIRS })}
+          </p>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            {correlationClasses.map((c) => (
+              <span key={c.label} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#4b5563' }}>
+                <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: c.color }} />
+                {t(c.label)}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,695 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import ImageLayer from 'ol/layer/Image';
+import ImageStatic from 'ol/source/ImageStatic';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import Feature from 'ol/Feature';
+import MultiLineString from 'ol/geom/MultiLineString';
+import { toLonLat, transformExtent } from 'ol/proj';
+import { buffer as bufferExtent, boundingExtent, containsXY } from 'ol/extent';
+import { Fill, Stroke, Style, Text } from 'ol/style';
+import { isFilterActive } from './adminFilter';
+import { downloadBlob, gridFormats } from './export';
+import { useI18n } from './i18n';
+import { NO_DATA_COLOR, classify, depthClasses } from './symbology';
+import { buildPeriods } from './timeSlider';
+
+// Interpolated depth-to-water surface from the wells observed in a period:
+// inverse-distance weighting or ordinary kriging onto a regular EPSG:4326
+// grid, drawn as a coloured raster with contour lines.
+
+export const methods = [
+  { id: 'idw', label: 'Inverse distance (IDW)' },
+  { id: 'kriging', label: 'Ordinary kriging' },
+];
+
+export const variogramModels = ['spherical', 'exponential', 'gaussian'];
+
+const DEFAULT_OPTIONS = {
+  method: 'idw',
+  power: 2,
+  model: 'spherical',
+  neighbours: 12,
+  maxCells: 150,
+  // Cells further than this from every well are left empty rather than extrapolated.
+  maxDistanceKm: 50,
+};
+
+const KM_PER_DEGREE_LAT = 110.57;
+const KM_PER_DEGREE_LON = 111.32;
+const MAX_VARIOGRAM_POINTS = 800;
+const VARIOGRAM_LAGS = 12;
+
+// Local equirectangular projection in km, accurate enough at district to state scale.
+const toPlane = (latitude0) => {
+  const lonScale = KM_PER_DEGREE_LON * Math.cos((latitude0 * Math.PI) / 180);
+  return (lon, lat) => [lon * lonScale, lat * KM_PER_DEGREE_LAT];
+};
+
+// Averages wells sharing a location; duplicates make the kriging system singular.
+const mergeDuplicates = (points) => {
+  const merged = new Map();
+  points.forEach((p) => {
+    const key = `${p.x.toFixed(4)},${p.y.toFixed(4)}`;
+    const entry = merged.get(key) ?? { x: p.x, y: p.y, sum: 0, count: 0 };
+    entry.sum += p.value;
+    entry.count++;
+    merged.set(key, entry);
+  });
+  return [...merged.values()].map(({ x, y, sum, count }) => ({ x, y, value: sum / count }));
+};
+
+// The k nearest points to (x, y), closest first, as [{ point, distance }].
+const nearest = (points, x, y, k) => {
+  const best = [];
+  points.forEach((point) => {
+    const distance = Math.hypot(point.x - x, point.y - y);
+    if (best.length === k && distance >= best[k - 1].distance) return;
+    let i = Math.min(best.length, k - 1);
+    while (i > 0 && best[i - 1].distance > distance) {
+      best[i] = best[i - 1];
+      i--;
+    }
+    best[i] = { point, distance };
+  });
+  return best;
+};
+
+const variogramShapes = {
+  spherical: (h, range) => (h >= range ? 1 : 1.5 * (h / range) - 0.5 * (h / range) ** 3),
+  exponential: (h, range) => 1 - Math.exp((-3 * h) / range),
+  gaussian: (h, range) => 1 - Math.exp((-3 * h * h) / (range * range)),
+};
+
+// Binned semivariance of point pairs up to half the largest separation.
+export const empiricalVariogram = (points, lags = VARIOGRAM_LAGS) => {
+  const stride = Math.ceil(points.length / MAX_VARIOGRAM_POINTS);
+  const sample = points.filter((_, i) => i % stride === 0);
+  let maxDistance = 0;
+  sample.forEach((a, i) => {
+    for (let j = i + 1; j < sample.length; j++) {
+      maxDistance = Math.max(maxDistance, Math.hypot(a.x - sample[j].x, a.y - sample[j].y));
+    }
+  });
+  const cutoff = maxDistance / 2;
+  const bins = Array.from({ length: lags }, () => ({ sum: 0, count: 0, distance: 0 }));
+  sample.forEach((a, i) => {
+    for (let j = i + 1; j < sample.length; j++) {
+      const h = Math.hypot(a.x - sample[j].x, a.y - sample[j].y);
+      if (h === 0 || h > cutoff) continue;
+      const bin = bins[Math.min(Math.floor((h / cutoff) * lags), lags - 1)];
+      bin.sum += 0.5 * (a.value - sample[j].value) ** 2;
+      bin.distance += h;
+      bin.count++;
+    }
+  });
+  return bins
+    .filter((bin) => bin.count > 0)
+    .map((bin) => ({ distance: bin.distance / bin.count, gamma: bin.sum / bin.count, count: bin.count }));
+};
+
+// Fits nugget + partialSill * shape(h / range) by weighted least squares,
+// searching the range and solving the two linear coefficients in closed form.
+export const fitVariogram = (bins, model = 'spherical') => {
+  const shape = variogramShapes[model];
+  const maxLag = Math.max(...bins.map((b) => b.distance));
+  let best = null;
+  for (let step = 1; step <= 40; step++) {
+    const range = (maxLag * step) / 20;
+    let sw = 0; let sf = 0; let sg = 0; let sff = 0; let sfg = 0;
+    bins.forEach(({ distance, gamma, count }) => {
+      const f = shape(distance, range);
+      sw += count; sf += count * f; sg += count * gamma; sff += count * f * f; sfg += count * f * gamma;
+    });
+    const determinant = sw * sff - sf * sf;
+    let partialSill = determinant !== 0 ? (sw * sfg - sf * sg) / determinant : 0;
+    let nugget = (sg - partialSill * sf) / sw;
+    if (nugget < 0) {
+      nugget = 0;
+      partialSill = sff > 0 ? sfg / sff : 0;
+    }
+    if (partialSill < 0) {
+      partialSill = 0;
+      nugget = sg / sw;
+    }
+    const error = bins.reduce((total, { distance, gamma, count }) => (
+      total + count * (gamma - nugget - partialSill * shape(distance, range)) ** 2
+    ), 0);
+    if (!best || error < best.error) best = { model, nugget, partialSill, range, error };
+  }
+  return best;
+};
+
+const semivariance = (variogram, h) => (h === 0
+  ? 0
+  : variogram.nugget + variogram.partialSill * variogramShapes[variogram.model](h, variogram.range));
+
+// Gaussian elimination with partial pivoting; null when the system is singular.
+const solve = (matrix, rhs) => {
+  const n = rhs.length;
+  const a = matrix.map((row, i) => [...row, rhs[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+};
+
+const idwEstimate = (neighbours, power) => {
+  if (neighbours[0].distance === 0) return neighbours[0].point.value;
+  let weightSum = 0;
+  let valueSum = 0;
+  neighbours.forEach(({ point, distance }) => {
+    const weight = 1 / distance ** power;
+    weightSum += weight;
+    valueSum += weight * point.value;
+  });
+  return valueSum / weightSum;
+};
+
+// Ordinary kriging over the neighbourhood, falling back to IDW if the
+// system cannot be solved (e.g. a flat variogram).
+const krigingEstimate = (neighbours, variogram, power) => {
+  if (neighbours[0].distance === 0) return neighbours[0].point.value;
+  const n = neighbours.length;
+  const matrix = neighbours.map(({ point: a }) => [
+    ...neighbours.map(({ point: b }) => semivariance(variogram, Math.hypot(a.x - b.x, a.y - b.y))),
+    1,
+  ]);
+  matrix.push([...new Array(n).fill(1), 0]);
+  const rhs = [...neighbours.map(({ distance }) => semivariance(variogram, distance)), 1];
+  const weights = solve(matrix, rhs);
+  if (!weights) return idwEstimate(neighbours, power);
+  return neighbours.reduce((sum, { point }, i) => sum + weights[i] * point.value, 0);
+};
+
+// With every pair of wells further apart than the cutoff there is nothing to fit.
+const fitWellVariogram = (points, model) => {
+  const bins = empiricalVariogram(points);
+  if (bins.length === 0) throw new Error('The wells are too far apart to fit a variogram; try inverse distance.');
+  return fitVariogram(bins, model);
+};
+
+// Grid layout, fitted variogram and empty values for interpolating
+// [{ longitude, latitude, value }] over an EPSG:4326 extent; fillRow then
+// estimates one row at a time.
+const startGrid = (observations, extent, options) => {
+  const { method, power, model, neighbours, maxCells, maxDistanceKm } = { ...DEFAULT_OPTIONS, ...options };
+  const project = toPlane((extent[1] + extent[3]) / 2);
+  const points = mergeDuplicates(observations.map((o) => {
+    const [x, y] = project(o.longitude, o.latitude);
+    return { x, y, value: o.value };
+  }));
+  if (points.length < 3) throw new Error('At least three wells with readings are needed.');
+
+  const cellSize = Math.max(extent[2] - extent[0], extent[3] - extent[1]) / maxCells;
+  const cols = Math.max(1, Math.ceil((extent[2] - extent[0]) / cellSize));
+  const rows = Math.max(1, Math.ceil((extent[3] - extent[1]) / cellSize));
+  const gridExtent = [extent[0], extent[3] - rows * cellSize, extent[0] + cols * cellSize, extent[3]];
+
+  return {
+    points,
+    project,
+    power,
+    maxDistanceKm,
+    k: Math.min(neighbours, points.length),
+    variogram: method === 'kriging' ? fitWellVariogram(points, model) : null,
+    grid: { extent: gridExtent, cols, rows, cellSize, values: new Float32Array(cols * rows), min: Infinity, max: -Infinity },
+  };
+};
+
+const fillRow = (job, row) => {
+  const { points, project, power, maxDistanceKm, k, variogram, grid } = job;
+  for (let col = 0; col < grid.cols; col++) {
+    const [x, y] = project(grid.extent[0] + (col + 0.5) * grid.cellSize, grid.extent[3] - (row + 0.5) * grid.cellSize);
+    const near = nearest(points, x, y, k);
+    let value = NaN;
+    if (near[0].distance <= maxDistanceKm) {
+      value = variogram ? krigingEstimate(near, variogram, power) : idwEstimate(near, power);
+      grid.min = Math.min(grid.min, value);
+      grid.max = Math.max(grid.max, value);
+    }
+    grid.values[row * grid.cols + col] = value;
+  }
+};
+
+const finishGrid = ({ grid, variogram, maxDistanceKm }) => {
+  if (grid.min > grid.max) throw new Error(`No part of the area lies within ${maxDistanceKm} km of a well.`);
+  return { ...grid, variogram };
+};
+
+// Interpolates [{ longitude, latitude, value }] over an EPSG:4326 extent.
+// Returns { extent, cols, rows, cellSize, values, min, max, variogram }.
+export const interpolateGrid = (observations, extent, options = {}) => {
+  const job = startGrid(observations, extent, options);
+  for (let row = 0; row < job.grid.rows; row++) fillRow(job, row);
+  return finishGrid(job);
+};
+
+// Time the async variant computes before handing the main thread back.
+const SLICE_MS = 30;
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// interpolateGrid in slices of rows, yielding between them so the page stays
+// responsive through a large kriging run. Resolves to null once the signal aborts.
+export const interpolateGridAsync = async (observations, extent, options = {}, { signal } = {}) => {
+  const job = startGrid(observations, extent, options);
+  let row = 0;
+  while (row < job.grid.rows) {
+    await nextTask();
+    if (signal?.aborted) return null;
+    const deadline = performance.now() + SLICE_MS;
+    do {
+      fillRow(job, row);
+      row++;
+    } while (row < job.grid.rows && performance.now() < deadline);
+  }
+  return finishGrid(job);
+};
+
+// Value of the cell containing (lon, lat), or null outside the grid or in a gap.
+export const sampleGrid = (grid, lon, lat) => {
+  if (!containsXY(grid.extent, lon, lat)) return null;
+  const col = Math.min(Math.floor((lon - grid.extent[0]) / grid.cellSize), grid.cols - 1);
+  const row = Math.min(Math.floor((grid.extent[3] - lat) / grid.cellSize), grid.rows - 1);
+  const value = grid.values[row * grid.cols + col];
+  return Number.isNaN(value) ? null : value;
+};
+
+// Round contour interval giving roughly `count` levels between min and max.
+export const contourLevels = (min, max, count = 8) => {
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) return [];
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const interval = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((step) => step >= rough);
+  const levels = [];
+  for (let level = Math.ceil(min / interval) * interval; level <= max; level += interval) {
+    levels.push(Number(level.toFixed(6)));
+  }
+  return levels;
+};
+
+// Marching squares segments per case, as pairs of cell edges:
+// 0 top, 1 right, 2 bottom, 3 left. Corner bits: TL 8, TR 4, BR 2, BL 1.
+const SEGMENTS = {
+  1: [[3, 2]], 2: [[2, 1]], 3: [[3, 1]], 4: [[0, 1]], 6: [[0, 2]], 7: [[3, 0]],
+  8: [[3, 0]], 9: [[0, 2]], 11: [[0, 1]], 12: [[3, 1]], 13: [[2, 1]], 14: [[3, 2]],
+};
+
+const SADDLES = {
+  5: { high: [[3, 0], [2, 1]], low: [[0, 1], [3, 2]] },
+  10: { high: [[0, 1], [3, 2]], low: [[3, 0], [2, 1]] },
+};
+
+// Chains segments sharing endpoints into polylines.
+const joinSegments = (segments) => {
+  const key = ([x, y]) => `${x.toFixed(9)},${y.toFixed(9)}`;
+  const byEnd = new Map();
+  segments.forEach((segment, i) => {
+    segment.forEach((point) => {
+      const k = key(point);
+      byEnd.set(k, [...(byEnd.get(k) ?? []), i]);
+    });
+  });
+  const used = new Set();
+  const lines = [];
+  const extend = (line) => {
+    for (;;) {
+      const end = line[line.length - 1];
+      const next = (byEnd.get(key(end)) ?? []).find((i) => !used.has(i));
+      if (next === undefined) return line;
+      used.add(next);
+      const [a, b] = segments[next];
+      line.push(key(a) === key(end) ? b : a);
+    }
+  };
+  segments.forEach((segment, i) => {
+    if (used.has(i)) return;
+    used.add(i);
+    const forward = extend([...segment]);
+    const backward = extend([forward[0]]);
+    lines.push([...backward.slice(1).reverse(), ...forward]);
+  });
+  return lines;
+};
+
+// Contour polylines in EPSG:4326, traced through cell centres: [{ level, lines }].
+export const contourLines = (grid, levels) => {
+  const { cols, rows, cellSize, values } = grid;
+  const x = (col) => grid.extent[0] + (col + 0.5) * cellSize;
+  const y = (row) => grid.extent[3] - (row + 0.5) * cellSize;
+  const at = (row, col) => values[row * cols + col];
+
+  return levels.map((level) => {
+    const segments = [];
+    for (let row = 0; row < rows - 1; row++) {
+      for (let col = 0; col < cols - 1; col++) {
+        const tl = at(row, col);
+        const tr = at(row, col + 1);
+        const br = at(row + 1, col + 1);
+        const bl = at(row + 1, col);
+        if ([tl, tr, br, bl].some(Number.isNaN)) continue;
+        const index = (tl >= level ? 8 : 0) | (tr >= level ? 4 : 0) | (br >= level ? 2 : 0) | (bl >= level ? 1 : 0);
+        const t = (a, b) => (b === a ? 0.5 : (level - a) / (b - a));
+        const edgePoint = [
+          () => [x(col) + t(tl, tr) * cellSize, y(row)],
+          () => [x(col + 1), y(row) - t(tr, br) * cellSize],
+          () => [x(col) + t(bl, br) * cellSize, y(row + 1)],
+          () => [x(col), y(row) - t(tl, bl) * cellSize],
+        ];
+        const pairs = SADDLES[index]
+          ? SADDLES[index][(tl + tr + br + bl) / 4 >= level ? 'high' : 'low']
+          : SEGMENTS[index] ?? [];
+        pairs.forEach(([a, b]) => segments.push([edgePoint[a](), edgePoint[b]()]));
+      }
+    }
+    return { level, lines: joinSegments(segments) };
+  });
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+const SURFACE_ALPHA = 190;
+
+// Draws the grid one pixel per cell; OpenLayers stretches and reprojects it.
+const renderGrid = (grid) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.cols;
+  canvas.height = grid.rows;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(grid.cols, grid.rows);
+  grid.values.forEach((value, i) => {
+    if (Number.isNaN(value)) return;
+    const [r, g, b] = hexToRgb(classify(value, depthClasses)?.color ?? NO_DATA_COLOR);
+    image.data.set([r, g, b, SURFACE_ALPHA], i * 4);
+  });
+  context.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+};
+
+const contourStyle = (feature) => new Style({
+  stroke: new Stroke({ color: 'rgba(31, 41, 55, 0.8)', width: 1 }),
+  text: new Text({
+    text: String(feature.get('level')),
+    placement: 'line',
+    font: '11px sans-serif',
+    fill: new Fill({ color: '#1f2937' }),
+    stroke: new Stroke({ color: 'white', width: 3 }),
+  }),
+});
+
+const EXTENT_PADDING_DEGREES = 0.05;
+
+const controlStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'white',
+  color: '#374151',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+// Panel driving the surface: period, area, method, then raster + contours on
+// the map. With "Read values" on, clicking the map reads the surface under the
+// pointer; onReadoutChange lets the map suppress station clicks meanwhile.
+// Errors are shown translated where the table has their text.
+export const InterpolationPanel = ({ map, provider, filters, onReadoutChange }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [isOpen, setIsOpen] = useState(false);
+  const [step, setStep] = useState('season');
+  const [periodIndex, setPeriodIndex] = useState(0);
+  const [area, setArea] = useState('view');
+  const [method, setMethod] = useState('idw');
+  const [model, setModel] = useState('spherical');
+  const [power, setPower] = useState(2);
+  const [grid, setGrid] = useState(null);
+  const [wellCount, setWellCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [readout, setReadout] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const requestIdRef = useRef(0);
+  const controllerRef = useRef(null);
+
+  // Most recent period first.
+  const periods = useMemo(
+    () => buildPeriods('2014-01-01', new Date().toISOString().slice(0, 10), step, i18n).reverse(),
+    [step, i18n]
+  );
+  const period = periods[Math.min(periodIndex, periods.length - 1)];
+  const hasFilter = isFilterActive(filters.groundwater);
+
+  useEffect(() => {
+    if (!hasFilter && area === 'filter') setArea('view');
+  }, [hasFilter, area]);
+
+  useEffect(() => {
+    if (!map || !grid) return undefined;
+    // Between the basemap and the managed layers, so station symbols stay on top.
+    const surfaceLayer = new ImageLayer({
+      source: new ImageStatic({ url: renderGrid(grid), imageExtent: grid.extent, projection: 'EPSG:4326' }),
+      zIndex: 0,
+    });
+    const levels = contourLevels(grid.min, grid.max);
+    const contourLayer = new VectorLayer({
+      source: new VectorSource({
+        features: contourLines(grid, levels)
+          .filter(({ lines }) => lines.length > 0)
+          .map(({ level, lines }) => new Feature({
+            geometry: new MultiLineString(lines).transform('EPSG:4326', 'EPSG:3857'),
+            level,
+          })),
+      }),
+      style: contourStyle,
+      zIndex: 0,
+    });
+    map.addLayer(surfaceLayer);
+    map.addLayer(contourLayer);
+
+    return () => {
+      map.removeLayer(surfaceLayer);
+      map.removeLayer(contourLayer);
+    };
+  }, [map, grid]);
+
+  const readsClicks = isReading && Boolean(grid);
+
+  useEffect(() => {
+    onReadoutChange?.(readsClicks);
+    if (!map || !readsClicks) return undefined;
+    const handleClick = (event) => {
+      const [lon, lat] = toLonLat(event.coordinate);
+      setReadout({ lon, lat, value: sampleGrid(grid, lon, lat) });
+    };
+    map.on('singleclick', handleClick);
+    return () => {
+      map.un('singleclick', handleClick);
+      onReadoutChange?.(false);
+    };
+  }, [map, grid, readsClicks]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const run = async () => {
+    if (!map || !period) return;
+    const requestId = ++requestIdRef.current;
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsLoading(true);
+    setError(null);
+    setReadout(null);
+    try {
+      const filter = area === 'filter' ? filters.groundwater : {};
+      const viewExtent = area === 'view'
+        ? transformExtent(map.getView().calculateExtent(map.getSize()), 'EPSG:3857', 'EPSG:4326')
+        : undefined;
+      const features = await provider.fetchGroundwaterLevels(period, { extent: viewExtent, filter });
+      const observations = features
+        .map(({ properties }) => ({
+          longitude: parseFloat(properties.longitude),
+          latitude: parseFloat(properties.latitude),
+          value: parseFloat(properties.wl_mbgl),
+        }))
+        .filter((o) => [o.longitude, o.latitude, o.value].every(Number.isFinite));
+      const extent = viewExtent ?? bufferExtent(
+        boundingExtent(observations.map((o) => [o.longitude, o.latitude])),
+        EXTENT_PADDING_DEGREES
+      );
+      const result = await interpolateGridAsync(observations, extent, { method, model, power }, { signal: controller.signal });
+      if (result && requestId === requestIdRef.current) {
+        setGrid(result);
+        setWellCount(observations.length);
+      }
+    } catch (err) {
+      console.error('Error interpolating surface:', err);
+      if (requestId === requestIdRef.current) {
+        setGrid(null);
+        setError(err.message);
+      }
+    } finally {
+      if (requestId === requestIdRef.current) setIsLoading(false);
+    }
+  };
+
+  const clear = () => {
+    requestIdRef.current++;
+    controllerRef.current?.abort();
+    setGrid(null);
+    setReadout(null);
+    setError(null);
+    setIsLoading(false);
+  };
+
+  const exportGrid = (format) => {
+    const name = `wl_mbgl_${method}_${period.start}_${period.end}`;
+    downloadBlob(format.build(grid), `${name}.${format.id}`);
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '60px',
+      left: '38%',
+      width: '280px',
+      zIndex: 1000,
+      background: 'white',
+      padding: '8px 12px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+      fontSize: '13px',
+      color: '#333'
+    }}>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        style={{ ...buttonStyle, border: 'none', padding: 0, fontWeight: 500, fontSize: '14px' }}
+      >
+        {isOpen ? '▾' : '▸'} {t('Groundwater surface')}
+      </button>
+      {isOpen && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px' }}>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <select
+              value={step}
+              onChange={(e) => {
+                setStep(e.target.value);
+                setPeriodIndex(0);
+              }}
+              style={controlStyle}
+            >
+              <option value="month">{t('Month')}</option>
+              <option value="season">{t('Season')}</option>
+              <option value="year">{t('Year')}</option>
+            </select>
+            <select
+              value={Math.min(periodIndex, periods.length - 1)}
+              onChange={(e) => setPeriodIndex(Number(e.target.value))}
+              style={{ ...controlStyle, flex: 1 }}
+            >
+              {periods.map((p, index) => (
+                <option key={p.start} value={index}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+          <select value={area} onChange={(e) => setArea(e.target.value)} style={controlStyle}>
+            <option value="view">{t('Current map extent')}</option>
+            <option value="filter" disabled={!hasFilter}>
+              {hasFilter ? Object.values(filters.groundwater).filter(Boolean).join(' / ') : t('Selected district (set a well filter)')}
+            </option>
+          </select>
+          <select value={method} onChange={(e) => setMethod(e.target.value)} style={controlStyle}>
+            {methods.map((m) => (
+              <option key={m.id} value={m.id}>{t(m.label)}</option>
+            ))}
+          </select>
+          {method === 'idw' ? (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              {t('Power')}
+              <input
+                type="number"
+                min="0.5"
+                max="5"
+                step="0.5"
+                value={power}
+                onChange={(e) => setPower(parseFloat(e.target.value) || 2)}
+                style={{ ...controlStyle, width: '60px' }}
+              />
+            </label>
+          ) : (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              {t('Variogram')}
+              <select value={model} onChange={(e) => setModel(e.target.value)} style={controlStyle}>
+                {variogramModels.map((m) => (
+                  <option key={m} value={m}>{t(m)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={run} disabled={isLoading || !map} style={buttonStyle}>
+              {isLoading ? t('Interpolating…') : t('Interpolate')}
+            </button>
+            {grid && <button onClick={clear} style={buttonStyle}>{t('Clear')}</button>}
+          </div>
+
+          {error && <div style={{ color: '#dc2626' }}>{t(error)}</div>}
+          {grid && (
+            <>
+              <div style={{ color: '#6b7280' }}>
+                {t('{count} wells', { count: wellCount })} · {grid.min.toFixed(1)}–{grid.max.toFixed(1)} m bgl
+                {grid.variogram && ` · ${t('range {km} km', { km: grid.variogram.range.toFixed(0) })}`}
+              </div>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                <input type="checkbox" checked={isReading} onChange={(e) => setIsReading(e.target.checked)} />
+                {t('Read values')}
+              </label>
+              {isReading && (
+                <div style={{ color: '#1f2937' }}>
+                  {readout
+                    ? t('{value} at {lat}, {lon}', {
+                      value: readout.value === null ? t('No estimate') : `${readout.value.toFixed(2)} m bgl`,
+                      lat: readout.lat.toFixed(4),
+                      lon: readout.lon.toFixed(4),
+                    })
+                    : t('Click the map to read the surface.')}
+                </div>
+              )}
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                {t('Export')}
+                {gridFormats.map((format) => (
+                  <button key={format.id} onClick={() => exportGrid(format)} style={buttonStyle}>
+                    {t(format.label)}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { contourLevels, fitVariogram, interpolateGrid, interpolateGridAsync, sampleGrid } from './interpolation';
+
+// Wells at three of the four cell centres of a 2 × 2 grid over [0, 0, 2, 2].
+const wells = [
+  { longitude: 0.5, latitude: 0.5, value: 1 },
+  { longitude: 1.5, latitude: 0.5, value: 2 },
+  { longitude: 1.5, latitude: 1.5, value: 3 },
+];
+const extent = [0, 0, 2, 2];
+
+describe('interpolateGrid', () => {
+  it('honours the wells and weights by inverse squared distance', () => {
+    const grid = interpolateGrid(wells, extent, { method: 'idw', maxCells: 2, maxDistanceKm: 200 });
+    expect(grid).toMatchObject({ cols: 2, rows: 2, cellSize: 1, extent: [0, 0, 2, 2], min: 1, max: 3 });
+    expect(sampleGrid(grid, 0.5, 0.5)).toBe(1);
+    expect(sampleGrid(grid, 1.5, 0.5)).toBe(2);
+    expect(sampleGrid(grid, 1.5, 1.5)).toBe(3);
+    // 110.57 km to the well below, 111.30 km to the one right, 156.89 km diagonally.
+    expect(sampleGrid(grid, 0.5, 1.5)).toBeCloseTo(1.9947138, 5);
+  });
+
+  it('leaves cells beyond the distance limit empty', () => {
+    const grid = interpolateGrid(wells, extent, { method: 'idw', maxCells: 2, maxDistanceKm: 50 });
+    expect(sampleGrid(grid, 0.5, 1.5)).toBeNull();
+    expect(sampleGrid(grid, 3, 3)).toBeNull();
+  });
+
+  it('krigs a plane exactly from a symmetric neighbourhood', () => {
+    // A 3 × 3 lattice of wells on the plane 1 + lon + 2 lat; the cell centre
+    // (0.5, 0.5) has its four nearest wells in a point-symmetric square.
+    const lattice = [0, 1, 2].flatMap((lon) => [0, 1, 2].map((lat) => ({ longitude: lon, latitude: lat, value: 1 + lon + 2 * lat })));
+    const grid = interpolateGrid(lattice, [0, 0, 1, 1], { method: 'kriging', neighbours: 4, maxCells: 1, maxDistanceKm: 500 });
+    expect(grid.values[0]).toBeCloseTo(2.5, 9);
+    expect(grid.variogram.model).toBe('spherical');
+  });
+
+  it('refuses kriging when no wells are close enough to pair', () => {
+    const corners = [[0, 0], [2, 0], [0, 2], [2, 2]].map(([longitude, latitude]) => ({ longitude, latitude, value: 1 }));
+    expect(() => interpolateGrid(corners, extent, { method: 'kriging' })).toThrow(/variogram/);
+  });
+
+  it('needs three wells', () => {
+    expect(() => interpolateGrid(wells.slice(0, 2), extent)).toThrow(/three wells/);
+  });
+
+  it('gives the same grid in slices', async () => {
+    const sync = interpolateGrid(wells, extent, { maxCells: 20, maxDistanceKm: 200 });
+    const sliced = await interpolateGridAsync(wells, extent, { maxCells: 20, maxDistanceKm: 200 });
+    expect(Array.from(sliced.values)).toEqual(Array.from(sync.values));
+  });
+});
+
+describe('fitVariogram', () => {
+  it('recovers a spherical model from its own semivariances', () => {
+    const spherical = (h) => (h >= 50 ? 1 : 1.5 * (h / 50) - 0.5 * (h / 50) ** 3);
+    const bins = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100]
+      .map((distance) => ({ distance, gamma: 0.5 + 2 * spherical(distance), count: 10 }));
+    const fit = fitVariogram(bins, 'spherical');
+    expect(fit.range).toBeCloseTo(50, 9);
+    expect(fit.nugget).toBeCloseTo(0.5, 9);
+    expect(fit.partialSill).toBeCloseTo(2, 9);
+  });
+});
+
+describe('contourLevels', () => {
+  it('picks a round interval', () => {
+    expect(contourLevels(3.2, 17.9)).toEqual([4, 6, 8, 10, 12, 14, 16]);
+  });
+});
@@ -0,0 +1,501 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import TileLayer from 'ol/layer/Tile';
+import ImageLayer from 'ol/layer/Image';
+import VectorLayer from 'ol/layer/Vector';
+import OSM from 'ol/source/OSM';
+import XYZ from 'ol/source/XYZ';
+import ImageWMS from 'ol/source/ImageWMS';
+import WMTS, { optionsFromCapabilities } from 'ol/source/WMTS';
+import VectorSource from 'ol/source/Vector';
+import GeoJSON from 'ol/format/GeoJSON';
+import WMSCapabilities from 'ol/format/WMSCapabilities';
+import WMTSCapabilities from 'ol/format/WMTSCapabilities';
+import { Fill, Stroke, Style } from 'ol/style';
+import { useI18n } from './i18n';
+
+// Basemap switcher plus the ordered stack of station layers and overlays.
+// Overlays are { id, title, type, url, layerName, crossOrigin } definitions,
+// type one of 'wms', 'wmts', 'xyz' or 'geojson'; WMTS overlays also carry the
+// source options read from the service's capabilities.
+//
+// Z-order: the basemap sits at BASEMAP_Z_INDEX, managed layers share the band
+// [MANAGED_Z_INDEX, MANAGED_Z_INDEX + 1) in panel order, and analysis layers
+// (time slider, drawings, alerts) stay above them at 10 and up.
+//
+// Overlays are requested with CORS only when their definition sets
+// crossOrigin, since servers without CORS headers would then fail to draw; the
+// printed report leaves out layers loaded without it. Managed layers carry
+// their panel title for the report legend, in English like the rest of the
+// report; the panel shows station layer titles translated.
+
+const BASEMAP_Z_INDEX = -1;
+const MANAGED_Z_INDEX = 1;
+
+export const basemaps = [
+  {
+    id: 'osm',
+    label: 'OpenStreetMap',
+    create: () => new TileLayer({ source: new OSM() }),
+  },
+  {
+    id: 'satellite',
+    label: 'Satellite',
+    create: () => new TileLayer({
+      source: new XYZ({
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attributions: 'Tiles © Esri',
+        maxZoom: 19,
+      }),
+    }),
+  },
+  {
+    id: 'topo',
+    label: 'Topographic',
+    create: () => new TileLayer({
+      source: new XYZ({
+        url: 'https://{a-c}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        attributions: '© OpenStreetMap contributors, SRTM | © OpenTopoMap (CC-BY-SA)',
+        maxZoom: 17,
+      }),
+    }),
+  },
+];
+
+export const overlayTypes = [
+  { id: 'wms', label: 'WMS' },
+  { id: 'wmts', label: 'WMTS' },
+  { id: 'xyz', label: 'XYZ tiles' },
+  { id: 'geojson', label: 'GeoJSON' },
+];
+
+const geojsonStyle = new Style({
+  fill: new Fill({ color: 'rgba(124, 58, 237, 0.08)' }),
+  stroke: new Stroke({ color: '#7c3aed', width: 1.5 }),
+});
+
+export const createOverlayLayer = (definition) => {
+  switch (definition.type) {
+    case 'wms':
+      return new ImageLayer({
+        source: new ImageWMS({
+          url: definition.url,
+          params: { LAYERS: definition.layerName, FORMAT: 'image/png', TRANSPARENT: true },
+          ratio: 1,
+          serverType: definition.serverType,
+          crossOrigin: definition.crossOrigin,
+        }),
+      });
+    case 'wmts':
+      return new TileLayer({ source: new WMTS({ ...definition.wmtsOptions, crossOrigin: definition.crossOrigin }) });
+    case 'xyz':
+      return new TileLayer({ source: new XYZ({ url: definition.url, crossOrigin: definition.crossOrigin }) });
+    case 'geojson':
+      return new VectorLayer({
+        source: new VectorSource({ url: definition.url, format: new GeoJSON() }),
+        style: geojsonStyle,
+      });
+    default:
+      throw new Error(`Unknown overlay type "${definition.type}".`);
+  }
+};
+
+const capabilitiesUrl = (url, service) => {
+  const parsed = new URL(url, window.location.href);
+  parsed.searchParams.set('service', service);
+  parsed.searchParams.set('request', 'GetCapabilities');
+  return parsed.toString();
+};
+
+// Named layers from a WMS GetCapabilities document, nested groups flattened.
+export const fetchWmsLayers = async (url) => {
+  const response = await axios.get(capabilitiesUrl(url, 'WMS'), { responseType: 'text' });
+  const capabilities = new WMSCapabilities().read(response.data);
+  const layers = [];
+  const collect = (layer) => {
+    if (layer.Name) layers.push({ name: layer.Name, title: layer.Title || layer.Name });
+    (layer.Layer ?? []).forEach(collect);
+  };
+  collect(capabilities.Capability.Layer);
+  return { layers };
+};
+
+export const fetchWmtsLayers = async (url) => {
+  const response = await axios.get(capabilitiesUrl(url, 'WMTS'), { responseType: 'text' });
+  const capabilities = new WMTSCapabilities().read(response.data);
+  return {
+    capabilities,
+    layers: capabilities.Contents.Layer.map((layer) => ({ name: layer.Identifier, title: layer.Title || layer.Identifier })),
+  };
+};
+
+const stationTitles = {
+  reservoir: 'Reservoirs',
+  groundwater: 'Groundwater wells',
+};
+
+// Overlays offered by the provider, tagged so a new provider can replace them.
+const providerEntries = (provider) => (provider.overlays ?? [])
+  .map((definition) => ({ ...definition, overlay: true, fromProvider: true, visible: false, opacity: 1 }));
+
+// What an overlay layer was built from; a changed definition under the same id rebuilds it.
+const overlaySourceKey = (entry) => [entry.type, entry.url, entry.layerName].join('|');
+
+const findStationLayer = (map, layerKey) => map.getLayers().getArray().find((layer) => layer.get('layerKey') === layerKey);
+
+let overlayCounter = 0;
+
+const inputStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const iconButtonStyle = {
+  border: 'none',
+  background: 'none',
+  color: '#6b7280',
+  cursor: 'pointer',
+  fontSize: '13px',
+  padding: '0 3px'
+};
+
+const AddOverlayForm = ({ onAdd }) => {
+  const { t } = useI18n();
+  const [type, setType] = useState('wms');
+  const [url, setUrl] = useState('');
+  const [title, setTitle] = useState('');
+  const [layerName, setLayerName] = useState('');
+  const [printable, setPrintable] = useState(false);
+  const [available, setAvailable] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const needsCapabilities = type === 'wms' || type === 'wmts';
+
+  const loadCapabilities = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = type === 'wms' ? await fetchWmsLayers(url) : await fetchWmtsLayers(url);
+      setAvailable(result);
+      setLayerName(result.layers[0]?.name ?? '');
+    } catch (err) {
+      console.error('Error reading capabilities:', err);
+      setAvailable(null);
+      setError(`${t('Could not read {service} capabilities', { service: type.toUpperCase() })}: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const add = () => {
+    const picked = available?.layers.find((layer) => layer.name === layerName);
+    const definition = {
+      id: `user-${++overlayCounter}`,
+      title: title || picked?.title || layerName || url,
+      type,
+      url,
+      layerName,
+      crossOrigin: printable ? 'anonymous' : undefined,
+    };
+    if (type === 'wmts') {
+      const wmtsOptions = optionsFromCapabilities(available.capabilities, { layer: layerName, projection: 'EPSG:3857' });
+      if (!wmtsOptions) {
+        setError(t('That WMTS layer has no EPSG:3857 tile matrix set.'));
+        return;
+      }
+      definition.wmtsOptions = wmtsOptions;
+    }
+    onAdd(definition);
+    setUrl('');
+    setTitle('');
+    setLayerName('');
+    setPrintable(false);
+    setAvailable(null);
+    setError(null);
+  };
+
+  const canAdd = url && (!needsCapabilities || (available && layerName));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', paddingTop: '8px', borderTop: '1px solid #e5e7eb' }}>
+      <div style={{ display: 'flex', gap: '4px' }}>
+        <select
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setAvailable(null);
+            setError(null);
+          }}
+          style={inputStyle}
+        >
+          {overlayTypes.map((option) => (
+            <option key={option.id} value={option.id}>{t(option.label)}</option>
+          ))}
+        </select>
+        <input
+          value={url}
+          onChange={(e) => {
+            setUrl(e.target.value);
+            setAvailable(null);
+          }}
+          placeholder={type === 'xyz' ? 'https://…/{z}/{x}/{y}.png' : t('Service or file URL')}
+          style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+        />
+      </div>
+      {needsCapabilities && (
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <button onClick={loadCapabilities} disabled={!url || isLoading} style={{ ...inputStyle, cursor: 'pointer', background: 'white' }}>
+            {isLoading ? t('Loading…') : t('Load layers')}
+          </button>
+          {available && (
+            <select value={layerName} onChange={(e) => setLayerName(e.target.value)} style={{ ...inputStyle, flex: 1, minWidth: 0 }}>
+              {available.layers.map((layer) => (
+                <option key={layer.name} value={layer.name}>{layer.title}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+      {type !== 'geojson' && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#4b5563' }}>
+          <input type="checkbox" checked={printable} onChange={(e) => setPrintable(e.target.checked)} />
+          {t('Include in printed reports (the server must allow CORS)')}
+        </label>
+      )}
+      <div style={{ display: 'flex', gap: '4px' }}>
+        <input
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder={t('Title (optional)')}
+          style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+        />
+        <button onClick={add} disabled={!canAdd} style={{ ...inputStyle, cursor: 'pointer', background: 'white' }}>
+          {t('Add')}
+        </button>
+      </div>
+      {error && <div style={{ color: '#dc2626', fontSize: '12px' }}>{error}</div>}
+    </div>
+  );
+};
+
+// Replaces the fixed layer checkboxes. Station layer visibility stays with the
+// dashboard (it is part of the URL state); everything else is local.
+// fieldTileUrl, set while an offline pack with tiles is in use, replaces the
+// chosen basemap with the pack's tile server so its cached tiles are shown.
+export const LayerManager = ({ map, provider, visibleLayers, onToggleStationLayer, fieldTileUrl = null }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [basemapId, setBasemapId] = useState('osm');
+  // Top of the list draws on top.
+  const [entries, setEntries] = useState(() => [
+    { id: 'groundwater', title: stationTitles.groundwater, layerKey: 'groundwater', opacity: 1 },
+    { id: 'reservoir', title: stationTitles.reservoir, layerKey: 'reservoir', opacity: 1 },
+    ...providerEntries(provider),
+  ]);
+  const [legendIds, setLegendIds] = useState([]);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const overlayLayersRef = useRef(new Map());
+  const providerRef = useRef(provider);
+
+  // Another provider (say the offline pack) brings its own overlays; station
+  // layers and overlays the user added keep their place and settings.
+  useEffect(() => {
+    if (providerRef.current === provider) return;
+    providerRef.current = provider;
+    setEntries((prev) => [...prev.filter((entry) => !entry.fromProvider), ...providerEntries(provider)]);
+  }, [provider]);
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const layer = fieldTileUrl
+      ? new TileLayer({ source: new XYZ({ url: fieldTileUrl }) })
+      : basemaps.find((b) => b.id === basemapId).create();
+    layer.setZIndex(BASEMAP_Z_INDEX);
+    map.addLayer(layer);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map, basemapId, fieldTileUrl]);
+
+  // Overlay layers live as long as the map; a new map starts a new registry.
+  useEffect(() => {
+    if (!map) return undefined;
+    const overlayLayers = overlayLayersRef.current;
+    return () => {
+      overlayLayers.forEach((layer) => map.removeLayer(layer));
+      overlayLayers.clear();
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (!map) return;
+    const overlayLayers = overlayLayersRef.current;
+    const ids = new Set(entries.map((entry) => entry.id));
+    overlayLayers.forEach((layer, id) => {
+      if (!ids.has(id)) {
+        map.removeLayer(layer);
+        overlayLayers.delete(id);
+      }
+    });
+
+    entries.forEach((entry, index) => {
+      let layer;
+      if (entry.overlay) {
+        layer = overlayLayers.get(entry.id);
+        if (layer && layer.get('sourceKey') !== overlaySourceKey(entry)) {
+          map.removeLayer(layer);
+          layer = undefined;
+        }
+        if (!layer) {
+          layer = createOverlayLayer(entry);
+          layer.set('sourceKey', overlaySourceKey(entry));
+          overlayLayers.set(entry.id, layer);
+          map.addLayer(layer);
+        }
+        layer.setVisible(entry.visible);
+      } else {
+        layer = findStationLayer(map, entry.layerKey);
+      }
+      layer?.set('title', entry.title);
+      layer?.setOpacity(entry.opacity);
+      layer?.setZIndex(MANAGED_Z_INDEX + (entries.length - 1 - index) / entries.length);
+    });
+  }, [map, entries]);
+
+  const updateEntry = (id, changes) => {
+    setEntries((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  const move = (index, offset) => {
+    setEntries((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const isVisible = (entry) => (entry.overlay ? entry.visible : Boolean(visibleLayers[entry.layerKey]));
+
+  const toggleVisible = (entry) => {
+    if (entry.overlay) {
+      updateEntry(entry.id, { visible: !entry.visible });
+    } else {
+      onToggleStationLayer(entry.layerKey);
+    }
+  };
+
+  const legendUrl = (entry) => {
+    if (!map) return null;
+    const layer = entry.overlay ? overlayLayersRef.current.get(entry.id) : findStationLayer(map, entry.layerKey);
+    return layer?.getSource().getLegendUrl?.(map.getView().getResolution()) ?? null;
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      left: '75%',
+      transform: 'translateX(-50%)',
+      zIndex: 1001,
+      background: 'white',
+      padding: '10px 14px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+      width: '340px',
+      maxHeight: 'calc(100% - 40px)',
+      overflow: 'auto',
+      fontSize: '13px',
+      color: '#333'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <button
+          onClick={() => setIsOpen((prev) => !prev)}
+          style={{ border: 'none', background: 'none', padding: 0, cursor: 'pointer', fontSize: '14px', fontWeight: 500 }}
+        >
+          {isOpen ? '▾' : '▸'} {t('Layers')}
+        </button>
+        <select
+          value={basemapId}
+          onChange={(e) => setBasemapId(e.target.value)}
+          disabled={Boolean(fieldTileUrl)}
+          style={inputStyle}
+          title={fieldTileUrl ? t('Basemap from the offline pack') : t('Basemap')}
+        >
+          {basemaps.map((b) => (
+            <option key={b.id} value={b.id}>{t(b.label)}</option>
+          ))}
+        </select>
+      </div>
+
+      {isOpen && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px' }}>
+          {entries.map((entry, index) => {
+            const showLegend = legendIds.includes(entry.id);
+            const legend = showLegend ? legendUrl(entry) : null;
+            return (
+              <div key={entry.id} style={{ borderBottom: '1px solid #f3f4f6', paddingBottom: '4px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px', flex: 1, cursor: 'pointer', fontWeight: entry.overlay ? 400 : 500 }}>
+                    <input type="checkbox" checked={isVisible(entry)} onChange={() => toggleVisible(entry)} />
+                    {entry.overlay ? entry.title : t(entry.title)}
+                  </label>
+                  <button onClick={() => move(index, -1)} disabled={index === 0} title={t('Move up')} style={iconButtonStyle}>▲</button>
+                  <button onClick={() => move(index, 1)} disabled={index === entries.length - 1} title={t('Move down')} style={iconButtonStyle}>▼</button>
+                  <button
+                    onClick={() => setLegendIds((prev) => (showLegend ? prev.filter((id) => id !== entry.id) : [...prev, entry.id]))}
+                    title={t('Legend')}
+                    style={{ ...iconButtonStyle, color: showLegend ? '#2563eb' : '#6b7280' }}
+                  >
+                    ☰
+                  </button>
+                  {entry.overlay && (
+                    <button
+                      onClick={() => setEntries((prev) => prev.filter((e) => e.id !== entry.id))}
+                      title={t('Remove layer')}
+                      style={{ ...iconButtonStyle, fontSize: '14px' }}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={entry.opacity}
+                  onChange={(e) => updateEntry(entry.id, { opacity: parseFloat(e.target.value) })}
+                  title={t('Opacity {percent}%', { percent: Math.round(entry.opacity * 100) })}
+                  style={{ width: '100%' }}
+                />
+                {showLegend && (legend
+                  ? <img src={legend} alt={t('{layer} legend', { layer: entry.overlay ? entry.title : t(entry.title) })} style={{ maxWidth: '100%' }} />
+                  : <div style={{ fontSize: '12px', color: '#6b7280' }}>{t('No legend published for this layer.')}</div>)}
+              </div>
+            );
+          })}
+
+          <button
+            onClick={() => setShowAddForm((prev) => !prev)}
+            style={{ ...inputStyle, alignSelf: 'flex-start', cursor: 'pointer', background: 'white' }}
+          >
+            {showAddForm ? t('Cancel') : t('+ Add overlay')}
+          </button>
+          {showAddForm && (
+            <AddOverlayForm
+              onAdd={(definition) => {
+                setEntries((prev) => [{ ...definition, overlay: true, visible: true, opacity: 1 }, ...prev]);
+                setShowAddForm(false);
+              }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
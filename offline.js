@@ -0,0 +1,550 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { fromExtent } from 'ol/geom/Polygon';
+import { buffer } from 'ol/extent';
+import { transformExtent } from 'ol/proj';
+import { createXYZ } from 'ol/tilegrid';
+import { createFixtureProvider } from './dataProvider';
+import { createIdbStore } from './cache';
+import { fetchFilterExtent, fetchFilterOptions } from './adminFilter';
+import { runLimited } from './concurrency';
+import { useI18n } from './i18n';
+
+// Field mode: a district's stations and their full series are downloaded into
+// an IndexedDB "pack", and the basemap tiles over it into Cache Storage, where
+// the service worker (offlineWorker.js) serves them back. A pack is shaped
+// like the fixtures (see fixtures.js), so offline the dashboard runs on a
+// fixture provider built from it:
+//   { id, state, district, extent, createdAt, syncedAt, tiles: { url, count, maxZoom },
+//     reservoir: { stations, series }, groundwater: { stations, series } }
+// Packs resync when the browser comes back online.
+//
+// Both halves of the tile cache are deployment config (see useOfflinePacks):
+//   tileUrl    XYZ template ({z}/{x}/{y}, no subdomains) of a tile server that
+//              allows bulk downloads. The public OpenStreetMap servers do not
+//              and are refused. Without one, packs carry no basemap.
+//   workerUrl  where offlineWorker.js is served. A service worker only
+//              controls pages under its own path, so copy the file to the
+//              site root (e.g. the app's public/ folder) and pass
+//              '/offlineWorker.js'. Without it nothing is registered and
+//              cached tiles are never served.
+
+export const OFFLINE_DATABASE = 'gwl-dashboard-offline';
+// Shared with offlineWorker.js, which can't import this module.
+export const TILE_CACHE = 'gwl-offline-tiles';
+export const FIELD_PACK_STORAGE_KEY = 'gwl-dashboard-field-pack';
+export const PACK_STALE_DAYS = 7;
+
+const PACK_MIN_ZOOM = 5;
+const PACK_MAX_ZOOM = 13;
+const MAX_PACK_TILES = 1500;
+// Degrees around the wells, so reservoirs just outside the district come along.
+const PACK_MARGIN_DEG = 0.1;
+const SERIES_CONCURRENCY = 4;
+const TILE_CONCURRENCY = 6;
+// Coming back online resyncs packs older than this.
+const RESYNC_AFTER_MS = 60 * 60 * 1000;
+const DAY_MS = 86400000;
+
+let packStore;
+const getPackStore = () => {
+  packStore = packStore ?? createIdbStore(OFFLINE_DATABASE);
+  return packStore;
+};
+
+export const packId = (state, district) => `${state}/${district}`;
+
+export const isPackStale = (pack, now = Date.now()) => now - pack.syncedAt > PACK_STALE_DAYS * DAY_MS;
+
+// Newest first.
+export const listPacks = async () => {
+  const store = getPackStore();
+  if (!store) return [];
+  const packs = await store.values();
+  return packs.sort((a, b) => b.syncedAt - a.syncedAt);
+};
+
+export const deletePack = async (pack) => {
+  await getPackStore()?.delete(pack.id);
+  if (typeof caches === 'undefined') return;
+  // Tiles shared with another pack are kept.
+  const others = (await listPacks()).filter((other) => other.id !== pack.id);
+  const kept = new Set(others.flatMap(packTileUrls));
+  const cache = await caches.open(TILE_CACHE);
+  await Promise.all(packTileUrls(pack).filter((url) => !kept.has(url)).map((url) => cache.delete(url)));
+};
+
+// The OpenStreetMap tile usage policy forbids bulk downloading from its servers.
+const isPublicOsmHost = (hostname) => hostname === 'openstreetmap.org' || hostname.endsWith('.openstreetmap.org');
+
+// Throws unless template is an XYZ URL packs may prefetch from.
+export const checkPackTileUrl = (template) => {
+  let hostname;
+  try {
+    ({ hostname } = new URL(template));
+  } catch (error) {
+    throw new Error(`The pack tile URL "${template}" is not a valid URL.`);
+  }
+  if (isPublicOsmHost(hostname)) {
+    throw new Error('The public OpenStreetMap tile servers do not allow downloads for offline use; configure your own tile server for packs.');
+  }
+  if (!['{z}', '{x}', '{y}'].every((placeholder) => template.includes(placeholder))) {
+    throw new Error('The pack tile URL needs {z}, {x} and {y} placeholders.');
+  }
+  return template;
+};
+
+// Tile URLs over an EPSG:4326 extent, zooming in until the next level would
+// pass maxTiles. maxZoom is the deepest level included.
+export const tileUrlsForExtent = (extent, {
+  template,
+  minZoom = PACK_MIN_ZOOM,
+  maxZoom = PACK_MAX_ZOOM,
+  maxTiles = MAX_PACK_TILES,
+} = {}) => {
+  const tileGrid = createXYZ({ maxZoom });
+  const projected = transformExtent(extent, 'EPSG:4326', 'EPSG:3857');
+  const urls = [];
+  let deepest = null;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = tileGrid.getTileRangeForExtentAndZ(projected, z);
+    if (urls.length + range.getWidth() * range.getHeight() > maxTiles) break;
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        urls.push(template.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+      }
+    }
+    deepest = z;
+  }
+  return { urls, maxZoom: deepest };
+};
+
+const packTileUrls = (pack) => (pack.tiles.maxZoom === null || !pack.tiles.url
+  ? []
+  : tileUrlsForExtent(pack.extent, { template: pack.tiles.url, maxZoom: pack.tiles.maxZoom }).urls);
+
+// WFS features carry the position in the geometry; fixtures want it as numbers.
+const toStation = (feature) => ({
+  ...feature.properties,
+  longitude: parseFloat(feature.geometry?.coordinates[0] ?? feature.properties.longitude),
+  latitude: parseFloat(feature.geometry?.coordinates[1] ?? feature.properties.latitude),
+});
+
+// Returns the readings, or null when the request failed or came back empty.
+const fetchPackSeries = async (provider, layerKey, unique_id) => {
+  if (layerKey === 'reservoir') {
+    const response = await provider.fetchReservoirSeries(unique_id);
+    return !response.error && response.data?.length > 0 ? response.data : null;
+  }
+  const readings = await provider.fetchGroundwaterSeries(unique_id);
+  return readings.length > 0 ? readings : null;
+};
+
+// Downloads (or refreshes) the pack for a district from the live provider,
+// with basemap tiles from tileUrl when one is configured.
+// A series that fails to load keeps what the previous pack had, so a flaky
+// connection during resync doesn't empty a station.
+// onProgress receives { stage, done, total }.
+export const downloadPack = async (provider, { state, district }, { previous, tileUrl, onProgress = () => {} } = {}) => {
+  const store = getPackStore();
+  if (!store) throw new Error('Offline packs need IndexedDB, which this browser does not provide.');
+  if (tileUrl) checkPackTileUrl(tileUrl);
+  onProgress({ stage: 'Stations', done: 0, total: 1 });
+  const filter = { state_name: state, district_name: district };
+  const wellExtent = await fetchFilterExtent(provider, 'groundwater', filter);
+  if (!wellExtent) throw new Error(`No groundwater wells found in ${district}, ${state}.`);
+  const extent = buffer(wellExtent, PACK_MARGIN_DEG);
+  const [wells, reservoirs] = await Promise.all([
+    provider.filterFeatures('groundwater', filter),
+    provider.queryFeatures('reservoir', fromExtent(extent)),
+  ]);
+  const stations = { groundwater: wells.map(toStation), reservoir: reservoirs.map(toStation) };
+
+  const jobs = ['reservoir', 'groundwater'].flatMap((layerKey) => stations[layerKey]
+    .map((station) => ({ layerKey, unique_id: station.unique_id })));
+  const series = { reservoir: {}, groundwater: {} };
+  let failed = 0;
+  let done = 0;
+  await runLimited(jobs, SERIES_CONCURRENCY, async ({ layerKey, unique_id }) => {
+    const readings = await fetchPackSeries(provider, layerKey, unique_id);
+    const kept = readings ?? previous?.[layerKey].series[unique_id];
+    if (kept) series[layerKey][unique_id] = kept;
+    if (!readings) failed++;
+    onProgress({ stage: 'Series', done: ++done, total: jobs.length });
+  });
+
+  const tiles = tileUrl
+    ? await prefetchTiles(extent, tileUrl, onProgress)
+    : { url: null, count: 0, maxZoom: null };
+  const now = Date.now();
+  const pack = {
+    id: packId(state, district),
+    state,
+    district,
+    extent,
+    createdAt: previous?.createdAt ?? now,
+    syncedAt: now,
+    failed,
+    tiles,
+    wellBasinField: provider.wellBasinField ?? null,
+    reservoir: { stations: stations.reservoir, series: series.reservoir },
+    groundwater: { stations: stations.groundwater, series: series.groundwater },
+  };
+  await store.set(pack.id, pack);
+  return pack;
+};
+
+// Basemap tiles into Cache Storage; count is how many are stored.
+const prefetchTiles = async (extent, template, onProgress) => {
+  const { urls, maxZoom } = tileUrlsForExtent(extent, { template });
+  if (typeof caches === 'undefined') return { url: template, count: 0, maxZoom };
+  const cache = await caches.open(TILE_CACHE);
+  let count = 0;
+  let done = 0;
+  await runLimited(urls, TILE_CONCURRENCY, async (url) => {
+    try {
+      await cache.add(url);
+      count++;
+    } catch (error) {
+      console.warn(`Tile not cached: ${url}`, error);
+    }
+    onProgress({ stage: 'Map tiles', done: ++done, total: urls.length });
+  });
+  return { url: template, count, maxZoom };
+};
+
+// The pack as a provider. WMS overlays need the network, so there are none.
+export const createPackProvider = (pack) => ({
+  ...createFixtureProvider({
+    reservoir: pack.reservoir,
+    groundwater: pack.groundwater,
+    overlays: [],
+    wellBasinField: pack.wellBasinField,
+  }),
+  name: `offline:${pack.id}`,
+  pack,
+});
+
+export const registerOfflineWorker = async (url) => {
+  if (!url || typeof navigator === 'undefined' || !navigator.serviceWorker) return null;
+  try {
+    return await navigator.serviceWorker.register(url);
+  } catch (error) {
+    console.warn('Offline worker not registered:', error);
+    return null;
+  }
+};
+
+const loadFieldPackId = () => {
+  try {
+    return window.localStorage.getItem(FIELD_PACK_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Ignoring stored field pack:', error);
+    return null;
+  }
+};
+
+const saveFieldPackId = (id) => {
+  try {
+    if (id) window.localStorage.setItem(FIELD_PACK_STORAGE_KEY, id);
+    else window.localStorage.removeItem(FIELD_PACK_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Field pack not saved:', error);
+  }
+};
+
+// Packs, connectivity and which pack the dashboard should render from: the
+// field pack when one is chosen, otherwise the newest pack while offline.
+// packProvider is null when the live provider should be used. options hold
+// the deployment's { tileUrl, workerUrl } described at the top.
+export const useOfflinePacks = (liveProvider, { tileUrl, workerUrl } = {}) => {
+  const [packs, setPacks] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine);
+  const [fieldPackId, setFieldPackIdState] = useState(loadFieldPackId);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const packsRef = useRef(packs);
+  const isSyncingRef = useRef(false);
+  packsRef.current = packs;
+
+  useEffect(() => {
+    registerOfflineWorker(workerUrl);
+    listPacks().then(setPacks).catch((listError) => console.warn('Offline packs not loaded:', listError));
+  }, []);
+
+  const setFieldPackId = (id) => {
+    setFieldPackIdState(id);
+    saveFieldPackId(id);
+  };
+
+  const sync = async (targets) => {
+    if (isSyncingRef.current) return;
+    isSyncingRef.current = true;
+    setError(null);
+    try {
+      for (const target of targets) {
+        const label = `${target.district}, ${target.state}`;
+        const previous = packsRef.current.find((pack) => pack.id === packId(target.state, target.district));
+        const pack = await downloadPack(liveProvider, target, {
+          previous,
+          tileUrl,
+          onProgress: (step) => setProgress({ ...step, label }),
+        });
+        setPacks((prev) => [pack, ...prev.filter((other) => other.id !== pack.id)]);
+      }
+    } catch (syncError) {
+      console.error('Error syncing offline pack:', syncError);
+      setError(syncError.message);
+    } finally {
+      isSyncingRef.current = false;
+      setProgress(null);
+    }
+  };
+
+  const remove = async (pack) => {
+    try {
+      await deletePack(pack);
+      setPacks((prev) => prev.filter((other) => other.id !== pack.id));
+      if (fieldPackId === pack.id) setFieldPackId(null);
+    } catch (removeError) {
+      setError(removeError.message);
+    }
+  };
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      sync(packsRef.current.filter((pack) => Date.now() - pack.syncedAt > RESYNC_AFTER_MS));
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [liveProvider]);
+
+  const activePack = packs.find((pack) => pack.id === fieldPackId) ?? (!isOnline ? packs[0] : undefined) ?? null;
+  const packProvider = useMemo(() => (activePack ? createPackProvider(activePack) : null), [activePack]);
+
+  return {
+    packs,
+    isOnline,
+    fieldPackId,
+    setFieldPackId,
+    activePack,
+    hasTiles: Boolean(tileUrl),
+    packProvider,
+    progress,
+    error,
+    download: (target) => sync([target]),
+    resync: (pack) => sync([pack]),
+    remove,
+  };
+};
+
+const selectStyle = {
+  width: '100%',
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px',
+  marginBottom: '6px'
+};
+
+const buttonStyle = {
+  padding: '4px 8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  background: 'white',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+const ageLabel = (time, t, now = Date.now()) => {
+  const minutes = Math.round((now - time) / 60000);
+  if (minutes < 60) return minutes <= 1 ? t('just now') : t('{minutes} min ago', { minutes });
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return t('{hours} h ago', { hours });
+  const days = Math.round(hours / 24);
+  return t(days === 1 ? '{days} day ago' : '{days} days ago', { days });
+};
+
+// District picker fed by the live provider's well attributes.
+const DistrictPicker = ({ provider, disabled, onDownload }) => {
+  const { t } = useI18n();
+  const [states, setStates] = useState([]);
+  const [districts, setDistricts] = useState([]);
+  const [state, setState] = useState('');
+  const [district, setDistrict] = useState('');
+
+  useEffect(() => {
+    if (disabled) return undefined;
+    let cancelled = false;
+    fetchFilterOptions(provider, 'groundwater', 'state_name', {})
+      .then((values) => {
+        if (!cancelled) setStates(values);
+      })
+      .catch((error) => console.error('Error fetching state options:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, disabled]);
+
+  useEffect(() => {
+    setDistrict('');
+    setDistricts([]);
+    if (!state || disabled) return undefined;
+    let cancelled = false;
+    fetchFilterOptions(provider, 'groundwater', 'district_name', { state_name: state })
+      .then((values) => {
+        if (!cancelled) setDistricts(values);
+      })
+      .catch((error) => console.error('Error fetching district options:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, state, disabled]);
+
+  return (
+    <div>
+      <select value={state} disabled={disabled} onChange={(e) => setState(e.target.value)} style={selectStyle}>
+        <option value="">{t('Choose a state')}</option>
+        {states.map((option) => <option key={option} value={option}>{option}</option>)}
+      </select>
+      <select value={district} disabled={disabled || !state} onChange={(e) => setDistrict(e.target.value)} style={selectStyle}>
+        <option value="">{t('Choose a district')}</option>
+        {districts.map((option) => <option key={option} value={option}>{option}</option>)}
+      </select>
+      <button
+        onClick={() => onDownload({ state, district })}
+        disabled={disabled || !district}
+        style={{ ...buttonStyle, width: '100%', background: '#1e293b', color: 'white', border: 'none', padding: '6px' }}
+      >
+        {t('Download pack')}
+      </button>
+    </div>
+  );
+};
+
+// Side tab and drawer listing the packs. liveProvider is the network provider
+// (downloads always come from it); offline is the useOfflinePacks state.
+// Errors are shown translated where the table has their text.
+export const OfflinePanel = ({ liveProvider, offline }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const { packs, isOnline, fieldPackId, setFieldPackId, activePack, progress, error } = offline;
+  const isBusy = progress !== null;
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        title={activePack ? t('Showing offline pack: {district}', activePack) : t('Offline field mode')}
+        style={{
+          position: 'fixed',
+          top: 'calc(50% + 150px)',
+          right: '0',
+          background: activePack ? '#b45309' : '#1e293b',
+          color: 'white',
+          border: 'none',
+          borderRadius: '8px 0 0 8px',
+          width: '40px',
+          height: '50px',
+          fontSize: '11px',
+          fontWeight: 'bold',
+          cursor: 'pointer',
+          boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+          zIndex: 1000
+        }}
+      >
+        {isOnline ? t('Field') : t('Off')}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'fixed',
+          top: '120px',
+          right: '60px',
+          width: '340px',
+          maxHeight: 'calc(100vh - 160px)',
+          overflow: 'auto',
+          background: 'white',
+          padding: '12px 16px',
+          borderRadius: '12px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+          zIndex: 1001,
+          fontSize: '13px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <h4 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: '#1f2937' }}>{t('Offline field mode')}</h4>
+            <button
+              onClick={() => setIsOpen(false)}
+              aria-label={t('Close')}
+              style={{ border: 'none', background: 'none', fontSize: '18px', cursor: 'pointer', color: '#6b7280' }}
+            >
+              ×
+            </button>
+          </div>
+
+          <p style={{ margin: '0 0 8px', color: isOnline ? '#059669' : '#b45309' }}>
+            {isOnline ? t('Online') : t('Offline')}
+            {' · '}{activePack ? t('showing the {district} pack', activePack) : t('showing live data')}
+          </p>
+
+          <DistrictPicker provider={liveProvider} disabled={!isOnline || isBusy} onDownload={offline.download} />
+
+          {progress && (
+            <p style={{ margin: '8px 0 0', color: '#4b5563' }}>
+              {progress.label}: {t(progress.stage)} {progress.done}/{progress.total}
+            </p>
+          )}
+          {error && <p style={{ margin: '8px 0 0', color: '#ef4444' }}>{t(error)}</p>}
+
+          {packs.length === 0 ? (
+            <p style={{ color: '#6b7280' }}>{t('No packs yet. Download a district before heading out.')}</p>
+          ) : (
+            <ul style={{ listStyle: 'none', padding: 0, margin: '12px 0 0' }}>
+              {packs.map((pack) => {
+                const stale = isPackStale(pack);
+                const inField = fieldPackId === pack.id;
+                return (
+                  <li key={pack.id} style={{ borderTop: '1px solid #e5e7eb', padding: '8px 0' }}>
+                    <div style={{ fontWeight: '600', color: '#1f2937' }}>{pack.district}, {pack.state}</div>
+                    <div style={{ color: '#4b5563' }}>
+                      {t('{wells} wells · {reservoirs} reservoirs', { wells: pack.groundwater.stations.length, reservoirs: pack.reservoir.stations.length })}
+                      {pack.tiles.url && ` · ${pack.tiles.maxZoom !== null
+                        ? t('{count} map tiles (to zoom {zoom})', { count: pack.tiles.count, zoom: pack.tiles.maxZoom })
+                        : t('{count} map tiles', pack.tiles)}`}
+                    </div>
+                    <div style={{ color: stale ? '#b45309' : '#6b7280' }}>
+                      {t('Synced {age}', { age: ageLabel(pack.syncedAt, t) })}{stale ? ` · ${t('stale')}` : ''}
+                      {pack.failed > 0 ? ` · ${t('{count} series not refreshed', { count: pack.failed })}` : ''}
+                    </div>
+                    <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                      <button onClick={() => setFieldPackId(inField ? null : pack.id)} style={buttonStyle}>
+                        {inField ? t('Back to live data') : t('Use in field')}
+                      </button>
+                      <button onClick={() => offline.resync(pack)} disabled={!isOnline || isBusy} style={buttonStyle}>
+                        {t('Resync')}
+                      </button>
+                      <button onClick={() => offline.remove(pack)} disabled={isBusy} style={buttonStyle}>
+                        {t('Delete')}
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <p style={{ margin: '8px 0 0', fontSize: '12px', color: '#6b7280' }}>
+            {offline.hasTiles
+              ? t('Offline, the map shows the pack’s basemap tiles and stations; WMS overlays need a connection.')
+              : t('No tile server is set up for packs, so offline the map shows the pack’s stations without a basemap.')}
+          </p>
+        </div>
+      )}
+    </>
+  );
+};
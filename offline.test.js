@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { checkPackTileUrl, tileUrlsForExtent } from './offline';
+
+describe('checkPackTileUrl', () => {
+  it('refuses the public OpenStreetMap tile servers', () => {
+    expect(() => checkPackTileUrl('https://tile.openstreetmap.org/{z}/{x}/{y}.png')).toThrow(/OpenStreetMap/);
+    expect(() => checkPackTileUrl('https://a.tile.openstreetmap.org/{z}/{x}/{y}.png')).toThrow(/OpenStreetMap/);
+  });
+
+  it('needs a URL with all three placeholders', () => {
+    expect(() => checkPackTileUrl('/tiles/{z}/{x}/{y}.png')).toThrow(/not a valid URL/);
+    expect(() => checkPackTileUrl('https://tiles.example.org/{z}/{x}.png')).toThrow(/placeholders/);
+  });
+
+  it('accepts a deployment tile server', () => {
+    const template = 'https://tiles.example.org/{z}/{x}/{y}.png';
+    expect(checkPackTileUrl(template)).toBe(template);
+  });
+});
+
+describe('tileUrlsForExtent', () => {
+  it('stops zooming in before the tile budget is passed', () => {
+    const { urls, maxZoom } = tileUrlsForExtent([77, 28, 77.1, 28.1], {
+      template: 'https://tiles.example.org/{z}/{x}/{y}.png',
+      minZoom: 5,
+      maxZoom: 13,
+      maxTiles: 10,
+    });
+    expect(urls[0]).toBe('https://tiles.example.org/5/22/13.png');
+    expect(urls.length).toBeLessThanOrEqual(10);
+    expect(maxZoom).toBeLessThan(13);
+  });
+});
@@ -0,0 +1,46 @@
+// Service worker for offline field mode (see offline.js). Map tiles stored by
+// a pack are served from Cache Storage; the app's own files are fetched from
+// the network and fall back to their last copy, so a reload works offline.
+// Station data is not handled here: offline, the dashboard reads it from the
+// pack in IndexedDB. Must be served from the site root to control the page:
+// deployments copy it there and pass its URL as workerUrl (see offline.js).
+
+// Keep in step with TILE_CACHE in offline.js.
+const TILE_CACHE = 'gwl-offline-tiles';
+const SHELL_CACHE = 'gwl-offline-shell';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+const fromTileCache = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  return cache.match(request.url);
+};
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const sameOrigin = new URL(request.url).origin === self.location.origin;
+  // Other hosts' data requests pass straight through; only images can be tiles.
+  if (!sameOrigin && request.destination !== 'image') return;
+
+  event.respondWith((async () => {
+    const tile = await fromTileCache(request);
+    if (tile) return tile;
+    return sameOrigin ? networkFirst(request) : fetch(request);
+  })());
+});
@@ -0,0 +1,320 @@
+import React from 'react';
+import { createI18n, useI18n } from './i18n';
+
+// Data-quality screening for station series of [{ date, value }], where value
+// is null or NaN for a reading the service returned without a usable number.
+// Screening reports gaps between usable readings, spikes against the rest of
+// the series and values that cannot be physically right, plus a completeness
+// score against the station's usual reading interval.
+
+const english = createI18n('en');
+
+const MS_PER_DAY = 86400000;
+// Readings either side of a point in the rolling z-score window.
+const ROLLING_HALF_WINDOW = 5;
+// Scales the MAD to a standard deviation for normally distributed data.
+const MAD_SCALE = 1.4826;
+
+export const outlierMethods = [
+  { id: 'mad', label: 'Median absolute deviation', defaultThreshold: 3.5 },
+  { id: 'rolling', label: 'Rolling z-score', defaultThreshold: 3 },
+];
+
+// CGWB wells are read about four times a year; reservoirs are reported daily.
+export const DEFAULT_QUALITY_OPTIONS = {
+  gapDays: { groundwater: 120, reservoir: 14 },
+  outlierMethod: 'mad',
+  outlierThreshold: 3.5,
+  showFlags: true,
+};
+
+const qualityColors = {
+  gap: 'rgba(107, 114, 128, 0.15)',
+  missing: 'rgba(107, 114, 128, 0.35)',
+  outlier: '#f59e0b',
+  impossible: '#dc2626',
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const toTime = (date) => new Date(date).getTime();
+
+// Robust z-scores against the series median; all zero when half the values tie.
+const madScores = (values) => {
+  const center = median(values);
+  const mad = median(values.map((v) => Math.abs(v - center))) * MAD_SCALE;
+  return values.map((v) => (mad > 0 ? Math.abs(v - center) / mad : 0));
+};
+
+// z-score of each value against its neighbours, itself excluded, so a spike
+// does not inflate the spread it is measured against.
+const rollingScores = (values) => values.map((value, index) => {
+  const neighbours = values
+    .slice(Math.max(0, index - ROLLING_HALF_WINDOW), index + ROLLING_HALF_WINDOW + 1)
+    .filter((_, offset) => offset !== Math.min(index, ROLLING_HALF_WINDOW));
+  if (neighbours.length < 3) return 0;
+  const mean = neighbours.reduce((sum, v) => sum + v, 0) / neighbours.length;
+  const sd = Math.sqrt(neighbours.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (neighbours.length - 1));
+  return sd > 0 ? Math.abs(value - mean) / sd : 0;
+});
+
+// Physical range checks, each point => reason or null.
+export const groundwaterChecks = (wellDepth, t = english.t) => {
+  const depth = parseFloat(wellDepth);
+  return (value) => (Number.isFinite(depth) && depth > 0 && value > depth
+    ? t('Deeper than the well ({depth} m)', { depth })
+    : null);
+};
+
+export const reservoirLevelChecks = (frl, t = english.t) => {
+  const fullLevel = parseFloat(frl);
+  return (value) => {
+    if (value < 0) return t('Negative level');
+    if (Number.isFinite(fullLevel) && value > fullLevel) return t('Above FRL ({level} m)', { level: fullLevel });
+    return null;
+  };
+};
+
+export const storageChecks = (capacity, t = english.t) => {
+  const liveCapacity = parseFloat(capacity);
+  return (value) => {
+    if (value < 0) return t('Negative storage');
+    if (Number.isFinite(liveCapacity) && liveCapacity > 0 && value > liveCapacity) {
+      return t('Above live capacity ({capacity} BCM)', { capacity: liveCapacity });
+    }
+    return null;
+  };
+};
+
+// Screens a series sorted by date. Returns
+//   { total, usable, expected, completeness, missing: [date], gaps: [{ start, end, days }],
+//     outliers: [{ date, value, score }], impossible: [{ date, value, reason }] }
+// with completeness the share of expected readings that are usable, expected
+// being the readings the median interval implies over the series' span.
+export const screenSeries = (points, { gapDays, outlierMethod, outlierThreshold, check = () => null }) => {
+  const missing = [];
+  const impossible = [];
+  const plausible = [];
+  points.forEach(({ date, value }) => {
+    if (value === null || value === undefined || !Number.isFinite(value)) {
+      missing.push(date);
+      return;
+    }
+    const reason = check(value);
+    if (reason) impossible.push({ date, value, reason });
+    else plausible.push({ date, value });
+  });
+
+  const gaps = [];
+  const present = points.filter(({ value }) => Number.isFinite(value));
+  for (let i = 1; i < present.length; i++) {
+    const days = (toTime(present[i].date) - toTime(present[i - 1].date)) / MS_PER_DAY;
+    if (days > gapDays) gaps.push({ start: present[i - 1].date, end: present[i].date, days: Math.round(days) });
+  }
+
+  const values = plausible.map((p) => p.value);
+  const scores = outlierMethod === 'rolling' ? rollingScores(values) : madScores(values);
+  const outliers = plausible
+    .map((p, index) => ({ ...p, score: scores[index] }))
+    .filter((p) => p.score > outlierThreshold);
+
+  const times = points.map((p) => toTime(p.date));
+  const intervals = times.slice(1).map((t, index) => t - times[index]).filter((dt) => dt > 0);
+  const expected = intervals.length > 0
+    ? Math.max(points.length, Math.round((times[times.length - 1] - times[0]) / median(intervals)) + 1)
+    : points.length;
+  const usable = plausible.length;
+
+  return {
+    total: points.length,
+    usable,
+    expected,
+    completeness: expected > 0 ? usable / expected : null,
+    missing,
+    gaps,
+    outliers,
+    impossible,
+  };
+};
+
+// Shaded gap and missing-reading bands for qualityBandsPlugin.
+export const qualityBands = (quality) => [
+  ...quality.gaps.map(({ start, end }) => ({ start, end, color: qualityColors.gap })),
+  ...quality.missing.map((date) => ({ start: date, end: date, color: qualityColors.missing })),
+];
+
+// Marker datasets for outliers and impossible values.
+export const qualityDatasets = (quality, label, t = english.t) => [
+  {
+    label: t('{series} outliers', { series: label }),
+    data: quality.outliers.map((p) => ({ x: p.date, y: p.value })),
+    borderColor: qualityColors.outlier,
+    backgroundColor: qualityColors.outlier,
+    pointStyle: 'triangle',
+    pointRadius: 6,
+    showLine: false,
+  },
+  {
+    label: t('{series} impossible values', { series: label }),
+    data: quality.impossible.map((p) => ({ x: p.date, y: p.value })),
+    borderColor: qualityColors.impossible,
+    backgroundColor: qualityColors.impossible,
+    pointStyle: 'crossRot',
+    pointRadius: 7,
+    borderWidth: 2,
+    showLine: false,
+  },
+].filter((dataset) => dataset.data.length > 0);
+
+// Chart.js plugin shading options.plugins.qualityBands.bands, each
+// { start, end, color } in dates, behind the datasets. A band with no width
+// (a single missing reading) is drawn as a thin line.
+export const qualityBandsPlugin = {
+  id: 'qualityBands',
+  beforeDatasetsDraw(chart, args, options) {
+    const { ctx, chartArea, scales: { x } } = chart;
+    if (!x || !options.bands?.length) return;
+    ctx.save();
+    options.bands.forEach(({ start, end, color }) => {
+      const left = x.getPixelForValue(toTime(start));
+      const right = x.getPixelForValue(toTime(end));
+      if (right < chartArea.left || left > chartArea.right) return;
+      const clippedLeft = Math.max(left, chartArea.left);
+      const width = Math.max(Math.min(right, chartArea.right) - clippedLeft, 2);
+      ctx.fillStyle = color;
+      ctx.fillRect(clippedLeft, chartArea.top, width, chartArea.bottom - chartArea.top);
+    });
+    ctx.restore();
+  },
+};
+
+const completenessColor = (completeness) => {
+  if (completeness === null) return '#6b7280';
+  if (completeness >= 0.9) return '#16a34a';
+  if (completeness >= 0.7) return '#f59e0b';
+  return '#dc2626';
+};
+
+const formatPercent = (value, t) => (value === null ? t('N/A') : `${Math.round(value * 100)}%`);
+
+const plural = (t, count, one, many) => t(count === 1 ? one : many, { count });
+
+// Issues listed under each score; the chart shows them all.
+const MAX_LISTED_ISSUES = 8;
+
+const issueList = (quality, t) => [
+  ...quality.impossible.map((p) => `${p.date}: ${p.value} (${p.reason})`),
+  ...quality.gaps.map((g) => t('Gap {start} to {end} ({days} days)', g)),
+  ...quality.outliers.map((p) => t('{date}: {value} looks like a spike', p)),
+  ...quality.missing.map((date) => t('{date}: no reading', { date })),
+];
+
+const inputStyle = {
+  padding: '2px 4px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+// Completeness and issue counts per screened series, with the screening
+// options. screens are [{ label, quality }].
+export const DataQualitySummary = ({ layer, screens, options, onOptionsChange }) => {
+  const { t } = useI18n();
+  const method = outlierMethods.find((m) => m.id === options.outlierMethod);
+
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px', border: '1px solid #e5e7eb', borderRadius: '8px', fontSize: '13px' }}>
+      <div style={{ fontSize: '14px', fontWeight: '600', color: '#1f2937', marginBottom: '6px' }}>{t('Data quality')}</div>
+
+      {screens.map(({ label, quality }) => {
+        const issues = issueList(quality, t);
+        return (
+          <div key={label} style={{ marginBottom: '6px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <span style={{
+                padding: '1px 8px',
+                borderRadius: '999px',
+                background: completenessColor(quality.completeness),
+                color: 'white',
+                fontSize: '12px',
+                fontWeight: '600'
+              }}>
+                {formatPercent(quality.completeness, t)}
+              </span>
+              <span>
+                <b>{label}</b>: {t('{usable} of {expected} expected readings usable', quality)}
+              </span>
+            </div>
+            <div style={{ color: '#4b5563', marginTop: '2px' }}>
+              {[
+                plural(t, quality.gaps.length, '{count} gap', '{count} gaps'),
+                plural(t, quality.missing.length, '{count} missing reading', '{count} missing readings'),
+                plural(t, quality.outliers.length, '{count} outlier', '{count} outliers'),
+                plural(t, quality.impossible.length, '{count} impossible value', '{count} impossible values'),
+              ].join(' · ')}
+            </div>
+            {issues.length > 0 && (
+              <details style={{ marginTop: '2px', color: '#4b5563' }}>
+                <summary style={{ cursor: 'pointer' }}>{t('Details')}</summary>
+                <ul style={{ margin: '4px 0', paddingLeft: '18px' }}>
+                  {issues.slice(0, MAX_LISTED_ISSUES).map((issue) => <li key={issue}>{issue}</li>)}
+                </ul>
+                {issues.length > MAX_LISTED_ISSUES && <div>{t('…and {count} more', { count: issues.length - MAX_LISTED_ISSUES })}</div>}
+              </details>
+            )}
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginTop: '8px', color: '#4b5563' }}>
+        <label>
+          {t('Gap over')}{' '}
+          <input
+            type="number"
+            min="1"
+            value={options.gapDays[layer]}
+            onChange={(e) => onOptionsChange({
+              ...options,
+              gapDays: { ...options.gapDays, [layer]: Math.max(1, Number(e.target.value) || 1) },
+            })}
+            style={{ ...inputStyle, width: '52px' }}
+          />{' '}{t('days')}
+        </label>
+        <select
+          value={options.outlierMethod}
+          onChange={(e) => onOptionsChange({
+            ...options,
+            outlierMethod: e.target.value,
+            outlierThreshold: outlierMethods.find((m) => m.id === e.target.value).defaultThreshold,
+          })}
+          style={inputStyle}
+        >
+          {outlierMethods.map((m) => <option key={m.id} value={m.id}>{t(m.label)}</option>)}
+        </select>
+        <label title={t('Scores above this are outliers (default {threshold})', { threshold: method.defaultThreshold })}>
+          {t('above')}{' '}
+          <input
+            type="number"
+            min="1"
+            step="0.5"
+            value={options.outlierThreshold}
+            onChange={(e) => onOptionsChange({ ...options, outlierThreshold: Number(e.target.value) || method.defaultThreshold })}
+            style={{ ...inputStyle, width: '48px' }}
+          />
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={options.showFlags}
+            onChange={() => onOptionsChange({ ...options, showFlags: !options.showFlags })}
+          />
+          {t('Show on chart')}
+        </label>
+      </div>
+    </div>
+  );
+};
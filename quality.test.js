@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { reservoirLevelChecks, screenSeries } from './quality';
+
+const daily = (values) => values.map((value, i) => ({
+  date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().slice(0, 10),
+  value,
+}));
+
+const options = { gapDays: 14, outlierMethod: 'mad', outlierThreshold: 3.5 };
+
+describe('screenSeries', () => {
+  it('scores spikes by median absolute deviation', () => {
+    const { outliers } = screenSeries(daily([1, 2, 3, 4, 100]), options);
+    // Median 3, MAD 1 scaled by 1.4826.
+    expect(outliers).toEqual([{ date: '2020-01-05', value: 100, score: expect.closeTo(97 / 1.4826, 9) }]);
+  });
+
+  it('scores spikes against their neighbours with the rolling z-score', () => {
+    const { outliers } = screenSeries(daily([10, 10, 11, 10, 50, 10, 11, 10, 10]), {
+      ...options,
+      outlierMethod: 'rolling',
+      outlierThreshold: 3,
+    });
+    expect(outliers).toHaveLength(1);
+    expect(outliers[0]).toMatchObject({ date: '2020-01-05', value: 50 });
+    expect(outliers[0].score).toBeCloseTo(85.8698143, 6);
+  });
+
+  it('flags nothing when half the series ties', () => {
+    expect(screenSeries(daily([5, 5, 5, 6, 9]), options).outliers).toEqual([]);
+  });
+
+  it('reports missing readings, gaps, impossible values and completeness', () => {
+    const points = [
+      { date: '2020-01-01', value: 100 },
+      { date: '2020-01-02', value: null },
+      { date: '2020-01-03', value: 101 },
+      { date: '2020-01-20', value: 250 },
+      { date: '2020-01-21', value: 102 },
+    ];
+    const result = screenSeries(points, { ...options, check: reservoirLevelChecks(200) });
+    expect(result.missing).toEqual(['2020-01-02']);
+    expect(result.gaps).toEqual([{ start: '2020-01-03', end: '2020-01-20', days: 17 }]);
+    expect(result.impossible).toEqual([{ date: '2020-01-20', value: 250, reason: 'Above FRL (200 m)' }]);
+    // Daily median interval over 20 days: 21 expected, 3 usable.
+    expect(result.expected).toBe(21);
+    expect(result.completeness).toBeCloseTo(3 / 21, 12);
+  });
+});
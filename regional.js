@@ -0,0 +1,589 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import GeoJSON from 'ol/format/GeoJSON';
+import { Fill, Stroke, Style, Text } from 'ol/style';
+import { Hydrograph } from './hydrograph';
+import { useI18n } from './i18n';
+import { filterLevels, isFilterActive } from './adminFilter';
+import { monthlyValues } from './influence';
+import { runLimited } from './concurrency';
+import { toIsoDate } from './stationModels';
+import { NO_DATA_COLOR, classify, depthClasses } from './symbology';
+import { SymbologyLegend, buildPeriods, stepOptions } from './timeSlider';
+
+// Regional summaries for briefing administrators. Wells matching the
+// groundwater filter and reservoirs matching the reservoir filter (the filter
+// bar's, see adminFilter.js) are aggregated into percentile bands of monthly
+// depth to water, counts of wells rising or falling against the same months a
+// year earlier, and total live storage against the capacity of the reservoirs
+// reporting. The districts of the filtered state can be coloured on the map by
+// their average depth to water over a period.
+
+const MAX_REGION_WELLS = 300;
+const MAX_REGION_RESERVOIRS = 100;
+const SERIES_CONCURRENCY = 4;
+// Months with fewer wells reporting are left out of the bands.
+const MIN_WELLS_PER_MONTH = 3;
+// Year-on-year changes smaller than this (m) count as steady.
+const STEADY_CHANGE_M = 0.1;
+const CHANGE_YEARS = 5;
+const CHOROPLETH_START = '2014-01-01';
+
+const percentile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// wellMonths holds one Map of 'YYYY-MM' -> depth per well.
+export const percentileBands = (wellMonths) => {
+  const byMonth = {};
+  wellMonths.forEach((months) => months.forEach((value, month) => {
+    byMonth[month] = byMonth[month] ?? [];
+    byMonth[month].push(value);
+  }));
+  return Object.keys(byMonth)
+    .sort()
+    .filter((month) => byMonth[month].length >= MIN_WELLS_PER_MONTH)
+    .map((month) => {
+      const sorted = byMonth[month].sort((a, b) => a - b);
+      return {
+        month,
+        count: sorted.length,
+        p10: percentile(sorted, 0.1),
+        p25: percentile(sorted, 0.25),
+        median: percentile(sorted, 0.5),
+        p75: percentile(sorted, 0.75),
+        p90: percentile(sorted, 0.9),
+      };
+    });
+};
+
+// Per year, the wells whose depth rose, fell or held compared with the same
+// calendar months of the year before; latest year first.
+export const yearOnYearChanges = (wellMonths) => {
+  const counts = {};
+  wellMonths.forEach((months) => {
+    const changes = {};
+    months.forEach((value, month) => {
+      const year = Number(month.slice(0, 4));
+      const before = months.get(`${year - 1}${month.slice(4)}`);
+      if (before === undefined) return;
+      changes[year] = changes[year] ?? [];
+      changes[year].push(value - before);
+    });
+    Object.entries(changes).forEach(([year, deltas]) => {
+      const change = deltas.reduce((sum, v) => sum + v, 0) / deltas.length;
+      counts[year] = counts[year] ?? { year: Number(year), rising: 0, falling: 0, steady: 0 };
+      // Depth below ground: a smaller depth is a rising water table.
+      if (change < -STEADY_CHANGE_M) counts[year].rising++;
+      else if (change > STEADY_CHANGE_M) counts[year].falling++;
+      else counts[year].steady++;
+    });
+  });
+  return Object.values(counts).sort((a, b) => b.year - a.year).slice(0, CHANGE_YEARS);
+};
+
+// reservoirs are [{ capacity, months }] with months as 'YYYY-MM' -> BCM.
+export const storageTotals = (reservoirs) => {
+  const totals = {};
+  reservoirs.forEach(({ capacity, months }) => months.forEach((value, month) => {
+    totals[month] = totals[month] ?? { month, storage: 0, capacity: 0, reporting: 0 };
+    totals[month].storage += value;
+    totals[month].capacity += capacity;
+    totals[month].reporting++;
+  }));
+  return Object.values(totals).sort((a, b) => a.month.localeCompare(b.month));
+};
+
+// Up to size items drawn at random without replacement, in their original
+// order. The same seed draws the same sample, so a region's summary is stable
+// between visits.
+export const randomSample = (items, size, seed) => {
+  if (items.length <= size) return items;
+  // mulberry32
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const indices = items.map((_, i) => i);
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (indices.length - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, size).sort((a, b) => a - b).map((i) => items[i]);
+};
+
+const hashString = (text) => [...text].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+
+// Readings without a parseable date are skipped; toIsoDate throws on them.
+const hasDate = (value) => Boolean(value) && Number.isFinite(new Date(value).getTime());
+
+// Mean wl_mbgl per district from fetchGroundwaterLevels features.
+export const districtAverages = (levels) => {
+  const sums = {};
+  levels.forEach(({ properties }) => {
+    const value = parseFloat(properties.wl_mbgl);
+    if (!properties.district_name || !Number.isFinite(value)) return;
+    sums[properties.district_name] = sums[properties.district_name] ?? { sum: 0, wells: 0 };
+    sums[properties.district_name].sum += value;
+    sums[properties.district_name].wells++;
+  });
+  return Object.fromEntries(Object.entries(sums)
+    .map(([district, { sum, wells }]) => [district, { mean: sum / wells, wells }]));
+};
+
+// Regions with more than MAX_REGION_WELLS wells are summarised from a random
+// sample of them, so the bands are not skewed towards whichever wells the
+// server lists first. A well whose series fails to load is counted in failed
+// and left out, rather than failing the whole summary.
+export const loadWellSummary = async (provider, filter, signal) => {
+  const features = await provider.filterFeatures('groundwater', filter, ['unique_id']);
+  const wells = randomSample(features, MAX_REGION_WELLS, hashString(JSON.stringify(filter)));
+  const wellMonths = [];
+  let failed = 0;
+  await runLimited(wells, SERIES_CONCURRENCY, async ({ properties }) => {
+    if (signal?.aborted) return;
+    try {
+      const readings = await provider.fetchGroundwaterSeries(properties.unique_id, { signal });
+      const months = monthlyValues(readings
+        .filter((entry) => hasDate(entry.date) && entry.wl_mbgl !== null)
+        .map((entry) => ({ date: toIsoDate(entry.date), value: parseFloat(entry.wl_mbgl) })), false);
+      if (months.size > 0) wellMonths.push(months);
+    } catch (wellError) {
+      if (signal?.aborted) return;
+      console.error(`Error loading well ${properties.unique_id}:`, wellError);
+      failed++;
+    }
+  });
+  return {
+    total: features.length,
+    loaded: wells.length,
+    reporting: wellMonths.length,
+    failed,
+    bands: percentileBands(wellMonths),
+    changes: yearOnYearChanges(wellMonths),
+  };
+};
+
+// Reservoirs without a recorded capacity are counted but not totalled. Past
+// MAX_REGION_RESERVOIRS only the largest are totalled, as they hold most of
+// the storage. As with wells, a reservoir whose series fails is counted in
+// failed and left out of the totals.
+export const loadReservoirSummary = async (provider, filter, signal) => {
+  const features = await provider.filterFeatures('reservoir', filter);
+  const withCapacity = features
+    .map(({ properties }) => ({ properties, capacity: parseFloat(properties.live_capacit_y_at_frl_bcm) }))
+    .filter(({ capacity }) => Number.isFinite(capacity))
+    .sort((a, b) => b.capacity - a.capacity);
+  const reservoirs = withCapacity.slice(0, MAX_REGION_RESERVOIRS);
+  const series = [];
+  let failed = 0;
+  await runLimited(reservoirs, SERIES_CONCURRENCY, async ({ properties, capacity }) => {
+    if (signal?.aborted) return;
+    try {
+      const response = await provider.fetchReservoirSeries(properties.unique_id, { signal });
+      if (response.error) throw new Error(response.error);
+      const months = monthlyValues((response.data ?? [])
+        .filter((entry) => hasDate(entry.acq_dt))
+        .map((entry) => ({ date: toIsoDate(entry.acq_dt), value: parseFloat(entry.current_live_storage_bcm) })), false);
+      if (months.size > 0) series.push({ capacity, months });
+    } catch (reservoirError) {
+      if (signal?.aborted) return;
+      console.error(`Error loading reservoir ${properties.unique_id}:`, reservoirError);
+      failed++;
+    }
+  });
+  return {
+    total: features.length,
+    withCapacity: withCapacity.length,
+    loaded: reservoirs.length,
+    reporting: series.length,
+    failed,
+    totalCapacity: withCapacity.reduce((sum, { capacity }) => sum + capacity, 0),
+    totals: storageTotals(series),
+  };
+};
+
+// Runs load(signal) while enabled, again whenever deps change; the run it
+// replaces is aborted.
+const useRegionLoad = (enabled, load, deps) => {
+  const [state, setState] = useState({ result: null, isLoading: false, error: null });
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ result: null, isLoading: false, error: null });
+      return undefined;
+    }
+    const controller = new AbortController();
+    setState({ result: null, isLoading: true, error: null });
+    load(controller.signal)
+      .then((result) => {
+        if (!controller.signal.aborted) setState({ result, isLoading: false, error: null });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error('Error loading regional summary:', error);
+        setState({ result: null, isLoading: false, error: error.message });
+      });
+    return () => controller.abort();
+  }, [enabled, ...deps]);
+
+  return state;
+};
+
+const describeFilter = (layerKey, filter, t) => filterLevels[layerKey]
+  .filter((level) => filter[level.field])
+  .map((level) => `${t(level.label)}: ${filter[level.field]}`)
+  .join(' › ');
+
+const monthDate = (month) => `${month}-01`;
+
+// Percentile bounds fill down to the dataset before them; only the upper
+// bound of each band is named in the legend.
+const band = (bands, key, fill, color, legendLabel) => ({
+  label: legendLabel ?? key,
+  data: bands.map((b) => ({ x: monthDate(b.month), y: b[key] })),
+  borderWidth: 0,
+  pointRadius: 0,
+  backgroundColor: color,
+  fill,
+  hideInLegend: !legendLabel,
+});
+
+const bandDatasets = (bands, t) => [
+  band(bands, 'p10', false, 'transparent'),
+  band(bands, 'p90', '-1', 'rgba(37, 99, 235, 0.12)', t('10th–90th percentile')),
+  band(bands, 'p25', false, 'transparent'),
+  band(bands, 'p75', '-1', 'rgba(37, 99, 235, 0.25)', t('25th–75th percentile')),
+  {
+    label: t('Median depth (m bgl)'),
+    data: bands.map((b) => ({ x: monthDate(b.month), y: b.median })),
+    borderColor: '#1d4ed8',
+    borderWidth: 2,
+    pointRadius: 0,
+    tension: 0.2,
+    fill: false,
+  },
+];
+
+const storageDatasets = (totals, t) => [
+  {
+    label: t('Total live storage (BCM)'),
+    data: totals.map((total) => ({ x: monthDate(total.month), y: total.storage })),
+    borderColor: 'red',
+    borderWidth: 2,
+    pointRadius: 0,
+    tension: 0.2,
+    fill: false,
+  },
+  {
+    label: t('Capacity of reservoirs reporting (BCM)'),
+    data: totals.map((total) => ({ x: monthDate(total.month), y: total.capacity })),
+    borderColor: '#6b7280',
+    borderWidth: 1.5,
+    borderDash: [6, 4],
+    pointRadius: 0,
+    stepped: true,
+    fill: false,
+  },
+];
+
+const monthScale = { x: { type: 'time', time: { unit: 'month', tooltipFormat: 'MMM YYYY' } } };
+
+const districtStyle = (feature) => {
+  const average = feature.get('average');
+  const color = classify(average?.mean, depthClasses)?.color ?? NO_DATA_COLOR;
+  return new Style({
+    fill: new Fill({ color: `${color}b3` }),
+    stroke: new Stroke({ color: '#1f2937', width: 1 }),
+    text: new Text({
+      text: feature.get('district_name') ?? '',
+      font: '11px sans-serif',
+      fill: new Fill({ color: '#111827' }),
+      stroke: new Stroke({ color: 'white', width: 3 }),
+    }),
+  });
+};
+
+const sectionStyle = { borderTop: '1px solid #e5e7eb', paddingTop: '8px', marginTop: '12px' };
+const headingStyle = { margin: '0 0 4px', fontSize: '14px', fontWeight: '600', color: '#1f2937' };
+const mutedStyle = { margin: '4px 0', color: '#6b7280' };
+const cellStyle = { padding: '3px 6px', borderBottom: '1px solid #e5e7eb', textAlign: 'left' };
+const controlStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const Status = ({ state, children }) => {
+  const { t } = useI18n();
+  if (state.isLoading) return <p style={mutedStyle}>{t('Loading…')}</p>;
+  if (state.error) return <p style={{ margin: '4px 0', color: '#ef4444' }}>{t(state.error)}</p>;
+  return state.result ? children(state.result) : null;
+};
+
+// Choropleth of the state's districts, drawn while the section is switched on.
+const DistrictChoropleth = ({ map, provider, stateName, district }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [enabled, setEnabled] = useState(false);
+  const [step, setStep] = useState('year');
+  const periods = useMemo(
+    () => buildPeriods(CHOROPLETH_START, new Date().toISOString().slice(0, 10), step, i18n),
+    [step, i18n]
+  );
+  const [periodStart, setPeriodStart] = useState(null);
+  const period = periods.find((p) => p.start === periodStart) ?? periods[periods.length - 1];
+  const sourceRef = useRef(new VectorSource());
+
+  const state = useRegionLoad(enabled && Boolean(stateName), async () => {
+    const [boundaries, levels] = await Promise.all([
+      provider.fetchDistrictBoundaries({ state_name: stateName }),
+      provider.fetchGroundwaterLevels(period, { filter: { state_name: stateName } }),
+    ]);
+    return { boundaries, averages: districtAverages(levels) };
+  }, [provider, stateName, period.start, period.end]);
+
+  useEffect(() => {
+    if (!map || !enabled) return undefined;
+    const layer = new VectorLayer({ source: sourceRef.current, style: districtStyle, zIndex: 10 });
+    map.addLayer(layer);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map, enabled]);
+
+  useEffect(() => {
+    const source = sourceRef.current;
+    source.clear();
+    if (!state.result) return;
+    const features = new GeoJSON().readFeatures(
+      { type: 'FeatureCollection', features: state.result.boundaries },
+      { dataProjection: 'EPSG:4326', featureProjection: 'EPSG:3857' }
+    );
+    features.forEach((feature) => feature.set('average', state.result.averages[feature.get('district_name')]));
+    source.addFeatures(features);
+  }, [state.result]);
+
+  return (
+    <div style={sectionStyle}>
+      <label style={{ ...headingStyle, display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+        <input type="checkbox" checked={enabled} disabled={!stateName} onChange={() => setEnabled((prev) => !prev)} />
+        {t('Districts by average depth to water')}
+      </label>
+      {!stateName && <p style={mutedStyle}>{t('Choose a state for wells in the filter bar.')}</p>}
+      {enabled && stateName && (
+        <>
+          <div style={{ display: 'flex', gap: '6px', margin: '6px 0' }}>
+            <select value={step} onChange={(e) => { setStep(e.target.value); setPeriodStart(null); }} style={controlStyle}>
+              {stepOptions.map((option) => <option key={option.value} value={option.value}>{t(option.label)}</option>)}
+            </select>
+            <select value={period.start} onChange={(e) => setPeriodStart(e.target.value)} style={{ ...controlStyle, flex: 1 }}>
+              {periods.map((p) => <option key={p.start} value={p.start}>{p.label}</option>)}
+            </select>
+          </div>
+          <SymbologyLegend layerKeys={['groundwater']} />
+          <Status state={state}>
+            {({ boundaries, averages }) => (boundaries.length === 0 ? (
+              <p style={mutedStyle}>{t('No district boundaries available for {state}.', { state: stateName })}</p>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '6px' }}>
+                <thead>
+                  <tr style={{ color: '#4b5563' }}>
+                    <th style={cellStyle}>{t('District')}</th>
+                    <th style={cellStyle}>{t('Average depth (m bgl)')}</th>
+                    <th style={cellStyle}>{t('Wells')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {boundaries
+                    .map((feature) => [feature.properties.district_name, averages[feature.properties.district_name]])
+                    .sort(([, a], [, b]) => (b?.mean ?? -Infinity) - (a?.mean ?? -Infinity))
+                    .map(([name, average]) => (
+                      <tr key={name} style={{ fontWeight: name === district ? '600' : 'normal' }}>
+                        <td style={cellStyle}>{name}</td>
+                        <td style={cellStyle}>{average ? average.mean.toFixed(2) : t('No data')}</td>
+                        <td style={cellStyle}>{average?.wells ?? 0}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            ))}
+          </Status>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Side tab and drawer with the summaries for the filter bar's regions.
+export const RegionalSummary = ({ map, provider, filters }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const wellFilter = filters.groundwater;
+  const reservoirFilter = filters.reservoir;
+  const hasWellFilter = isFilterActive(wellFilter);
+  const hasReservoirFilter = isFilterActive(reservoirFilter);
+
+  const wells = useRegionLoad(
+    isOpen && hasWellFilter,
+    (signal) => loadWellSummary(provider, wellFilter, signal),
+    [provider, JSON.stringify(wellFilter)]
+  );
+  const reservoirs = useRegionLoad(
+    isOpen && hasReservoirFilter,
+    (signal) => loadReservoirSummary(provider, reservoirFilter, signal),
+    [provider, JSON.stringify(reservoirFilter)]
+  );
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        title={t('Regional summary')}
+        style={{
+          position: 'fixed',
+          top: 'calc(50% + 208px)',
+          right: '0',
+          background: '#4338ca',
+          color: 'white',
+          border: 'none',
+          borderRadius: '8px 0 0 8px',
+          width: '40px',
+          height: '50px',
+          fontSize: '11px',
+          fontWeight: 'bold',
+          cursor: 'pointer',
+          boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+          zIndex: 1000
+        }}
+      >
+        {t('Region')}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'fixed',
+          top: '120px',
+          right: '60px',
+          width: '520px',
+          maxHeight: 'calc(100vh - 160px)',
+          overflow: 'auto',
+          background: 'white',
+          padding: '12px 16px',
+          borderRadius: '12px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+          zIndex: 1001,
+          fontSize: '13px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h4 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: '#1f2937' }}>{t('Regional summary')}</h4>
+            <button
+              onClick={() => setIsOpen(false)}
+              aria-label={t('Close')}
+              style={{ border: 'none', background: 'none', fontSize: '18px', cursor: 'pointer', color: '#6b7280' }}
+            >
+              ×
+            </button>
+          </div>
+
+          <div style={sectionStyle}>
+            <h5 style={headingStyle}>{t('Groundwater')}{hasWellFilter ? ` · ${describeFilter('groundwater', wellFilter, t)}` : ''}</h5>
+            {!hasWellFilter && <p style={mutedStyle}>{t('Choose a state, district or block for wells in the filter bar.')}</p>}
+            <Status state={wells}>
+              {(summary) => (
+                <>
+                  <p style={mutedStyle}>
+                    {summary.loaded < summary.total
+                      ? t('{reporting} wells with readings in a random sample of {loaded} of {total}.', summary)
+                      : t('{reporting} of {total} wells with readings.', summary)}
+                    {summary.failed > 0 ? ` ${t('{count} wells failed to load and are left out.', { count: summary.failed })}` : ''}
+                  </p>
+                  <Hydrograph
+                    height="260px"
+                    data={{ datasets: bandDatasets(summary.bands, t) }}
+                    scales={{ ...monthScale, y: { reverse: true, title: { display: true, text: t('Depth to water (m bgl)') } } }}
+                    emptyMessage={t('Too few wells report in the same months (at least {count} needed).', { count: MIN_WELLS_PER_MONTH })}
+                  />
+                  {summary.changes.length > 0 && (
+                    <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px' }}>
+                      <thead>
+                        <tr style={{ color: '#4b5563' }}>
+                          <th style={cellStyle}>{t('Year on year')}</th>
+                          <th style={{ ...cellStyle, color: '#1d4ed8' }}>{t('Rising')}</th>
+                          <th style={{ ...cellStyle, color: '#b91c1c' }}>{t('Falling')}</th>
+                          <th style={cellStyle}>{t('Steady (±{metres} m)', { metres: STEADY_CHANGE_M })}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {summary.changes.map((change) => (
+                          <tr key={change.year}>
+                            <td style={cellStyle}>{change.year - 1} → {change.year}</td>
+                            <td style={cellStyle}>{change.rising}</td>
+                            <td style={cellStyle}>{change.falling}</td>
+                            <td style={cellStyle}>{change.steady}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              )}
+            </Status>
+          </div>
+
+          <div style={sectionStyle}>
+            <h5 style={headingStyle}>{t('Reservoirs')}{hasReservoirFilter ? ` · ${describeFilter('reservoir', reservoirFilter, t)}` : ''}</h5>
+            {!hasReservoirFilter && <p style={mutedStyle}>{t('Choose a state or basin for reservoirs in the filter bar.')}</p>}
+            <Status state={reservoirs}>
+              {(summary) => {
+                const latest = summary.totals[summary.totals.length - 1];
+                return (
+                  <>
+                    <p style={mutedStyle}>
+                      {t('{total} reservoirs, {capacity} BCM live capacity', { total: summary.total, capacity: summary.totalCapacity.toFixed(3) })}
+                      {summary.withCapacity < summary.total ? ` (${t('{count} without a recorded capacity', { count: summary.total - summary.withCapacity })})` : ''}
+                      {summary.loaded < summary.withCapacity ? `; ${t('the largest {count} summarised', { count: summary.loaded })}` : ''}.
+                      {summary.failed > 0 ? ` ${t('{count} reservoirs failed to load and are left out.', { count: summary.failed })}` : ''}
+                    </p>
+                    {latest && (
+                      <p style={{ margin: '4px 0', color: '#1f2937' }}>
+                        {latest.month}: <b>{latest.storage.toFixed(3)} BCM</b>{' '}
+                        {t('stored of {capacity} BCM ({percent}%) across {reporting} reporting.', {
+                          capacity: latest.capacity.toFixed(3),
+                          percent: ((latest.storage / latest.capacity) * 100).toFixed(1),
+                          reporting: latest.reporting,
+                        })}
+                      </p>
+                    )}
+                    <Hydrograph
+                      height="240px"
+                      data={{ datasets: storageDatasets(summary.totals, t) }}
+                      scales={{ ...monthScale, y: { min: 0, title: { display: true, text: 'BCM' } } }}
+                      emptyMessage={t('No storage readings for these reservoirs.')}
+                    />
+                  </>
+                );
+              }}
+            </Status>
+          </div>
+
+          <DistrictChoropleth
+            map={map}
+            provider={provider}
+            stateName={wellFilter.state_name}
+            district={wellFilter.district_name}
+          />
+        </div>
+      )}
+    </>
+  );
+};
@@ -0,0 +1,117 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { createFixtureProvider } from './dataProvider';
+import { loadReservoirSummary, loadWellSummary, percentileBands, randomSample, storageTotals, yearOnYearChanges } from './regional';
+
+const wells = (...series) => series.map((entries) => new Map(Object.entries(entries)));
+
+describe('percentileBands', () => {
+  it('interpolates percentiles between ranked wells', () => {
+    const bands = percentileBands(wells(
+      { '2020-05': 1 },
+      { '2020-05': 2 },
+      { '2020-05': 3 },
+      { '2020-05': 4 },
+      { '2020-05': 5 },
+    ));
+    expect(bands).toEqual([{
+      month: '2020-05',
+      count: 5,
+      p10: expect.closeTo(1.4, 12),
+      p25: 2,
+      median: 3,
+      p75: 4,
+      p90: expect.closeTo(4.6, 12),
+    }]);
+  });
+
+  it('sorts months and drops those with fewer than three wells', () => {
+    const bands = percentileBands(wells(
+      { '2020-06': 10, '2020-05': 4 },
+      { '2020-06': 30, '2020-05': 8 },
+      { '2020-06': 20 },
+    ));
+    expect(bands.map((b) => [b.month, b.median])).toEqual([['2020-06', 20]]);
+  });
+});
+
+describe('yearOnYearChanges', () => {
+  it('counts a shallower depth than a year before as rising', () => {
+    const changes = yearOnYearChanges(wells(
+      { '2020-05': 10, '2021-05': 9 },
+      { '2020-05': 10, '2021-05': 11 },
+      { '2020-05': 10, '2021-05': 10.05 },
+    ));
+    expect(changes).toEqual([{ year: 2021, rising: 1, falling: 1, steady: 1 }]);
+  });
+});
+
+describe('storageTotals', () => {
+  it('sums storage and capacity of the reservoirs reporting each month', () => {
+    const totals = storageTotals([
+      { capacity: 2, months: new Map([['2020-01', 1], ['2020-02', 1.5]]) },
+      { capacity: 3, months: new Map([['2020-02', 2]]) },
+    ]);
+    expect(totals).toEqual([
+      { month: '2020-01', storage: 1, capacity: 2, reporting: 1 },
+      { month: '2020-02', storage: 3.5, capacity: 5, reporting: 2 },
+    ]);
+  });
+});
+
+describe('randomSample', () => {
+  const items = Array.from({ length: 50 }, (_, i) => i);
+
+  it('returns the items unchanged when there are no more than asked for', () => {
+    expect(randomSample(items, 50, 1)).toBe(items);
+  });
+
+  it('draws distinct items in their original order, the same for the same seed', () => {
+    const sample = randomSample(items, 10, 42);
+    expect(sample).toHaveLength(10);
+    expect(new Set(sample).size).toBe(10);
+    expect([...sample].sort((a, b) => a - b)).toEqual(sample);
+    expect(randomSample(items, 10, 42)).toEqual(sample);
+    expect(sample).not.toEqual(items.slice(0, 10));
+  });
+});
+
+describe('region summaries', () => {
+  const provider = createFixtureProvider({
+    reservoir: {
+      stations: [
+        { unique_id: 'R1', state: 'Odisha', live_capacit_y_at_frl_bcm: '5' },
+        { unique_id: 'R2', state: 'Odisha', live_capacit_y_at_frl_bcm: '2' },
+      ],
+      series: { R1: [{ acq_dt: '2020-01-05', current_live_storage_bcm: '3' }] },
+    },
+    groundwater: {
+      stations: [
+        { unique_id: 'G1', state_name: 'Odisha' },
+        { unique_id: 'G2', state_name: 'Odisha' },
+      ],
+      series: { G1: [{ date: '2020-01-15', wl_mbgl: '5.0' }] },
+    },
+  });
+  const failing = (layerKey) => ({
+    ...provider,
+    fetchGroundwaterSeries: async (unique_id) => {
+      if (layerKey === 'groundwater' && unique_id === 'G2') throw new Error('Network Error');
+      return provider.fetchGroundwaterSeries(unique_id);
+    },
+    fetchReservoirSeries: async (unique_id) => (layerKey === 'reservoir' && unique_id === 'R2'
+      ? { error: 'HTTP error! Status: 502' }
+      : provider.fetchReservoirSeries(unique_id)),
+  });
+
+  it('counts the wells that fail to load and summarises the rest', async () => {
+    const summary = await loadWellSummary(failing('groundwater'), { state_name: 'Odisha' });
+    expect(summary).toMatchObject({ total: 2, loaded: 2, reporting: 1, failed: 1 });
+  });
+
+  it('counts the reservoirs that fail to load and totals the rest', async () => {
+    const summary = await loadReservoirSummary(failing('reservoir'), { state: 'Odisha' });
+    expect(summary).toMatchObject({ total: 2, reporting: 1, failed: 1 });
+    expect(summary.totals).toEqual([{ month: '2020-01', storage: 3, capacity: 5, reporting: 1 }]);
+  });
+});
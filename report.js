@@ -0,0 +1,621 @@
+import React, { useState } from 'react';
+import { jsPDF } from 'jspdf';
+import { fromExtent } from 'ol/geom/Polygon';
+import { getPointResolution, transformExtent } from 'ol/proj';
+import { filterLevels } from './adminFilter';
+import { matchesFilter } from './dataProvider';
+import { useI18n } from './i18n';
+
+// Printable report for the current view and the open station: a title block
+// from the saved template, the composed map with its legend and a scale bar,
+// the stations in view (narrowed by the administrative filters), then the open
+// station's metadata, summary statistics and hydrograph.
+//
+// The station section comes from the dashboard as
+//   { title, subtitle, metadata: [[label, value]], stats: [[label, value]], charts: [dataUrl] }
+// and is captured when the report is generated, so it matches what is drawn.
+// The dialog follows the interface language but the report itself is in
+// English: jsPDF's built-in fonts have no Devanagari or Tamil glyphs.
+
+export const REPORT_TEMPLATE_STORAGE_KEY = 'gwl-dashboard-report-template';
+
+export const pageSizes = [
+  { id: 'a4', label: 'A4' },
+  { id: 'a3', label: 'A3' },
+];
+
+export const orientations = [
+  { id: 'portrait', label: 'Portrait' },
+  { id: 'landscape', label: 'Landscape' },
+];
+
+export const defaultTemplate = {
+  title: 'Groundwater and Reservoir Report',
+  organisation: '',
+  logo: null,
+  notes: '',
+  pageSize: 'a4',
+  orientation: 'portrait',
+};
+
+const MARGIN_MM = 15;
+const FOOTER_MM = 8;
+const LINE_MM = 5;
+const LOGO_HEIGHT_MM = 16;
+// Share of the page height the map may take.
+const MAP_MAX_HEIGHT = 0.55;
+// Screen pixels to millimetres at 96 dpi, for legend images.
+const PX_TO_MM = 25.4 / 96;
+// Longer station tables are cut off with a note.
+const MAX_TABLE_ROWS = 500;
+
+const STATION_LAYERS = ['reservoir', 'groundwater'];
+
+const stationTitles = {
+  reservoir: 'Reservoirs',
+  groundwater: 'Groundwater wells',
+};
+
+const nameFields = {
+  reservoir: 'name_of_reservoir',
+  groundwater: 'site_name',
+};
+
+export const loadTemplate = () => {
+  try {
+    const stored = window.localStorage.getItem(REPORT_TEMPLATE_STORAGE_KEY);
+    return stored ? { ...defaultTemplate, ...JSON.parse(stored) } : defaultTemplate;
+  } catch (error) {
+    console.warn('Ignoring stored report template:', error);
+    return defaultTemplate;
+  }
+};
+
+const saveTemplate = (template) => {
+  try {
+    window.localStorage.setItem(REPORT_TEMPLATE_STORAGE_KEY, JSON.stringify(template));
+  } catch (error) {
+    // Usually a logo too large for localStorage; the template still applies now.
+    console.warn('Report template not saved:', error);
+  }
+};
+
+const readDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Reading a canvas back throws once an image from a server without CORS
+// headers has been drawn on it.
+const isTainted = (canvas) => {
+  try {
+    canvas.getContext('2d').getImageData(0, 0, 1, 1);
+    return false;
+  } catch (error) {
+    return true;
+  }
+};
+
+// Flattens the map's layer canvases into one image once the current frame has
+// finished rendering. Canvases tainted by layers loaded without CORS are left
+// out and counted in omittedLayers, so the rest of the map still prints.
+export const captureMap = (map) => new Promise((resolve, reject) => {
+  map.once('rendercomplete', () => {
+    const [width, height] = map.getSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, width, height);
+
+    let omittedLayers = 0;
+    map.getViewport().querySelectorAll('.ol-layer canvas, canvas.ol-layer').forEach((layerCanvas) => {
+      if (layerCanvas.width === 0) return;
+      if (isTainted(layerCanvas)) {
+        omittedLayers++;
+        return;
+      }
+      const opacity = layerCanvas.parentNode.style.opacity || layerCanvas.style.opacity;
+      context.globalAlpha = opacity === '' ? 1 : Number(opacity);
+      const transform = layerCanvas.style.transform;
+      const matrix = transform
+        ? transform.match(/^matrix\(([^(]*)\)$/)[1].split(',').map(Number)
+        : [
+          parseFloat(layerCanvas.style.width) / layerCanvas.width, 0,
+          0, parseFloat(layerCanvas.style.height) / layerCanvas.height,
+          0, 0,
+        ];
+      context.setTransform(...matrix);
+      context.drawImage(layerCanvas, 0, 0);
+    });
+    context.globalAlpha = 1;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    try {
+      resolve({ dataUrl: canvas.toDataURL('image/jpeg', 0.92), width, height, omittedLayers });
+    } catch (error) {
+      reject(new Error(`The map could not be exported (${error.message}).`));
+    }
+  });
+  map.renderSync();
+});
+
+// Largest 1, 2 or 5 × 10^n metres that fits in maxMeters.
+const niceLength = (maxMeters) => {
+  const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+  const step = [5, 2, 1].find((factor) => factor * magnitude <= maxMeters);
+  return step * magnitude;
+};
+
+// Scale bar at the view centre, up to a quarter of the map width, as
+// { meters, fraction, label } with fraction the share of the map width.
+export const scaleBar = (map) => {
+  const view = map.getView();
+  const metersPerPixel = getPointResolution(view.getProjection(), view.getResolution(), view.getCenter(), 'm');
+  const mapWidth = map.getSize()[0];
+  const meters = niceLength((mapWidth / 4) * metersPerPixel);
+  return {
+    meters,
+    fraction: meters / metersPerPixel / mapWidth,
+    label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m`,
+  };
+};
+
+// Visible managed layers, top first, with their WMS legend graphic where the
+// server provides one and allows it to be read.
+export const loadLegend = async (map) => {
+  const resolution = map.getView().getResolution();
+  const layers = map.getLayers().getArray()
+    .filter((layer) => layer.getVisible() && layer.get('title'))
+    .sort((a, b) => (b.getZIndex() ?? 0) - (a.getZIndex() ?? 0));
+  return Promise.all(layers.map(async (layer) => {
+    const url = layer.getSource()?.getLegendUrl?.(resolution);
+    if (!url) return { title: layer.get('title'), image: null };
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return { title: layer.get('title'), image: await readDataUrl(await response.blob()) };
+    } catch (error) {
+      console.warn(`Legend for ${layer.get('title')} not included:`, error);
+      return { title: layer.get('title'), image: null };
+    }
+  }));
+};
+
+// Stations of the visible layers inside the current view that pass the
+// administrative filters, as [{ layerKey, rows: [properties] }].
+export const fetchViewStations = async (provider, map, visibleLayers, filters) => {
+  const extent = transformExtent(map.getView().calculateExtent(map.getSize()), 'EPSG:3857', 'EPSG:4326');
+  const polygon = fromExtent(extent);
+  const layerKeys = STATION_LAYERS.filter((layerKey) => visibleLayers[layerKey]);
+  return Promise.all(layerKeys.map(async (layerKey) => {
+    const features = await provider.queryFeatures(layerKey, polygon);
+    const rows = features
+      .map((feature) => feature.properties)
+      .filter((properties) => matchesFilter(properties, filters[layerKey]));
+    return { layerKey, rows };
+  }));
+};
+
+const stationColumns = (layerKey) => [
+  { label: 'Name', width: 3, value: (row) => row[nameFields[layerKey]] },
+  { label: 'Unique ID', width: 2, value: (row) => row.unique_id },
+  ...filterLevels[layerKey].map(({ field, label }) => ({ label, width: 2, value: (row) => row[field] })),
+];
+
+// Describes the active administrative filters, e.g. "State: Punjab; District: Ludhiana".
+const filterSummary = (layerKey, filter = {}) => filterLevels[layerKey]
+  .filter(({ field }) => filter[field])
+  .map(({ field, label }) => `${label}: ${filter[field]}`)
+  .join('; ');
+
+// Top-to-bottom writer over the document that starts a page when the next
+// block would run into the footer.
+const createWriter = (doc) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - 2 * MARGIN_MM;
+  const bottom = pageHeight - MARGIN_MM - FOOTER_MM;
+  let y = MARGIN_MM;
+
+  const ensure = (height) => {
+    if (y + height > bottom && y > MARGIN_MM) {
+      doc.addPage();
+      y = MARGIN_MM;
+    }
+  };
+
+  const text = (value, { size = 10, bold = false, color = 31, gap = 0 } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lines = doc.splitTextToSize(String(value), contentWidth);
+    const lineHeight = size * 0.45;
+    lines.forEach((line) => {
+      ensure(lineHeight);
+      y += lineHeight;
+      doc.text(line, MARGIN_MM, y);
+    });
+    y += gap;
+  };
+
+  const heading = (value) => {
+    ensure(16);
+    y += 4;
+    text(value, { size: 14, bold: true, gap: 2 });
+    doc.setDrawColor(229, 231, 235);
+    doc.line(MARGIN_MM, y, pageWidth - MARGIN_MM, y);
+    y += 3;
+  };
+
+  const image = (dataUrl, width, height, x = MARGIN_MM) => {
+    ensure(height);
+    doc.addImage(dataUrl, doc.getImageProperties(dataUrl).fileType, x, y, width, height);
+    y += height;
+  };
+
+  // Centres an image at the content width, no taller than maxHeight, and
+  // returns where it went as { x, width }.
+  const fittedImage = (dataUrl, maxHeight) => {
+    const { width, height } = doc.getImageProperties(dataUrl);
+    const scale = Math.min(contentWidth / width, maxHeight / height);
+    const x = MARGIN_MM + (contentWidth - width * scale) / 2;
+    image(dataUrl, width * scale, height * scale, x);
+    return { x, width: width * scale };
+  };
+
+  const pairs = (rows) => {
+    doc.setFontSize(10);
+    rows.forEach(([label, value]) => {
+      ensure(LINE_MM);
+      y += LINE_MM;
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(31);
+      doc.text(`${label}:`, MARGIN_MM, y);
+      doc.setFont('helvetica', 'normal');
+      doc.text(String(value ?? 'N/A'), MARGIN_MM + contentWidth * 0.4, y, { maxWidth: contentWidth * 0.6 });
+    });
+    y += 2;
+  };
+
+  // Column widths are relative weights; the header repeats on each new page.
+  const table = (columns, rows) => {
+    const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+    const widths = columns.map((column) => (column.width / totalWeight) * contentWidth);
+    const drawRow = (cells, bold) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(8);
+      let x = MARGIN_MM;
+      cells.forEach((cell, index) => {
+        const [firstLine] = doc.splitTextToSize(String(cell ?? ''), widths[index] - 1.5);
+        doc.text(firstLine ?? '', x, y);
+        x += widths[index];
+      });
+    };
+    const header = () => {
+      y += 4.5;
+      drawRow(columns.map((column) => column.label), true);
+      doc.setDrawColor(209, 213, 219);
+      doc.line(MARGIN_MM, y + 1, pageWidth - MARGIN_MM, y + 1);
+    };
+
+    ensure(12);
+    header();
+    rows.forEach((row) => {
+      if (y + 4.5 > bottom) {
+        doc.addPage();
+        y = MARGIN_MM;
+        header();
+      }
+      y += 4.5;
+      doc.setTextColor(31);
+      drawRow(columns.map((column) => column.value(row)), false);
+    });
+    y += 3;
+  };
+
+  // Scale bar under a map printed at { x, width }.
+  const scale = (bar, { x, width }) => {
+    const length = bar.fraction * width;
+    ensure(8);
+    y += 4;
+    doc.setDrawColor(31);
+    doc.setLineWidth(0.6);
+    doc.line(x, y, x + length, y);
+    doc.line(x, y - 1.5, x, y);
+    doc.line(x + length, y - 1.5, x + length, y);
+    doc.setLineWidth(0.2);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(bar.label, x + length + 2, y + 1);
+    y += 3;
+  };
+
+  const space = (height) => { y += height; };
+
+  return { contentWidth, pageHeight, text, heading, image, fittedImage, pairs, table, scale, space };
+};
+
+const addFooters = (doc, title) => {
+  const pageCount = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107);
+    doc.text(title, MARGIN_MM, pageHeight - MARGIN_MM / 2);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - MARGIN_MM, pageHeight - MARGIN_MM / 2, { align: 'right' });
+  }
+};
+
+// Lays the report out and returns the jsPDF document. Every section is
+// optional; a report with only the title block is still valid.
+export const buildReport = ({ template, generatedAt = new Date(), mapImage, scale, legend = [], stations = [], filters = {}, station }) => {
+  const doc = new jsPDF({ unit: 'mm', format: template.pageSize, orientation: template.orientation });
+  const writer = createWriter(doc);
+
+  if (template.logo) {
+    const { width, height } = doc.getImageProperties(template.logo);
+    writer.image(template.logo, (width / height) * LOGO_HEIGHT_MM, LOGO_HEIGHT_MM);
+    writer.space(2);
+  }
+  writer.text(template.title || defaultTemplate.title, { size: 18, bold: true, gap: 1 });
+  if (template.organisation) writer.text(template.organisation, { size: 11, color: 75 });
+  writer.text(`Generated ${generatedAt.toLocaleString()}`, { size: 9, color: 107, gap: 2 });
+  if (template.notes) writer.text(template.notes, { size: 10, gap: 2 });
+
+  if (mapImage) {
+    writer.heading('Map');
+    const placement = writer.fittedImage(mapImage.dataUrl, writer.pageHeight * MAP_MAX_HEIGHT);
+    if (scale) writer.scale(scale, placement);
+    if (mapImage.omittedLayers > 0) {
+      writer.text('Layers from servers that do not allow cross-origin use are left out of this image.', { size: 9, color: 107, gap: 1 });
+    }
+    if (legend.length > 0) {
+      writer.text('Legend', { size: 11, bold: true, gap: 1 });
+      legend.forEach((entry) => {
+        writer.text(entry.title, { size: 9 });
+        if (entry.image) {
+          const { width, height } = doc.getImageProperties(entry.image);
+          const scaleDown = Math.min(1, writer.contentWidth / (width * PX_TO_MM));
+          writer.image(entry.image, width * PX_TO_MM * scaleDown, height * PX_TO_MM * scaleDown);
+        }
+        writer.space(1);
+      });
+    }
+  }
+
+  stations.forEach(({ layerKey, rows }) => {
+    writer.heading(`${stationTitles[layerKey]} in view (${rows.length})`);
+    const summary = filterSummary(layerKey, filters[layerKey]);
+    if (summary) writer.text(`Filtered to ${summary}`, { size: 9, color: 75 });
+    if (rows.length === 0) {
+      writer.text('No stations.', { size: 9, color: 107 });
+      return;
+    }
+    writer.table(stationColumns(layerKey), rows.slice(0, MAX_TABLE_ROWS));
+    if (rows.length > MAX_TABLE_ROWS) {
+      writer.text(`First ${MAX_TABLE_ROWS} of ${rows.length} listed; zoom in or filter for the rest.`, { size: 9, color: 107 });
+    }
+  });
+
+  if (station) {
+    writer.heading(station.title);
+    if (station.subtitle) writer.text(station.subtitle, { size: 9, color: 75, gap: 1 });
+    writer.pairs(station.metadata);
+    if (station.stats.length > 0) {
+      writer.text('Summary statistics', { size: 11, bold: true });
+      writer.pairs(station.stats);
+    }
+    station.charts.forEach((chart) => {
+      writer.fittedImage(chart, writer.pageHeight * 0.4);
+      writer.space(3);
+    });
+  }
+
+  addFooters(doc, template.title || defaultTemplate.title);
+  return doc;
+};
+
+const fileSlug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+
+const inputStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const labelStyle = { display: 'block', fontSize: '12px', color: '#4b5563', margin: '8px 0 2px' };
+
+// Side tab and dialog. getStationSection returns the open station's section
+// (see the header) or null when no station panel is open.
+export const ReportDialog = ({ map, provider, visibleLayers, filters, getStationSection }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [template, setTemplate] = useState(loadTemplate);
+  const [include, setInclude] = useState({ map: true, stations: true, station: true });
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateTemplate = (changes) => {
+    setTemplate((prev) => {
+      const next = { ...prev, ...changes };
+      saveTemplate(next);
+      return next;
+    });
+  };
+
+  const handleLogo = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      updateTemplate({ logo: await readDataUrl(file) });
+    } catch (logoError) {
+      setError(`${t('Logo not loaded')}: ${logoError.message}`);
+    }
+  };
+
+  const generate = async () => {
+    setIsGenerating(true);
+    setError(null);
+    try {
+      // Charts are read before anything async so they match the open panel.
+      const station = include.station ? getStationSection() : null;
+      const mapImage = include.map ? await captureMap(map) : null;
+      const legend = include.map ? await loadLegend(map) : [];
+      const stations = include.stations ? await fetchViewStations(provider, map, visibleLayers, filters) : [];
+      const doc = buildReport({
+        template,
+        mapImage,
+        scale: mapImage ? scaleBar(map) : null,
+        legend,
+        stations,
+        filters,
+        station,
+      });
+      doc.save(`${fileSlug(template.title)}-${new Date().toISOString().slice(0, 10)}.pdf`);
+    } catch (reportError) {
+      console.error('Error generating report:', reportError);
+      setError(reportError.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        title={t('Print / PDF report')}
+        style={{
+          position: 'fixed',
+          top: 'calc(50% + 92px)',
+          right: '0',
+          background: '#0d9488',
+          color: 'white',
+          border: 'none',
+          borderRadius: '8px 0 0 8px',
+          width: '40px',
+          height: '50px',
+          fontSize: '12px',
+          fontWeight: 'bold',
+          cursor: 'pointer',
+          boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+          zIndex: 1000
+        }}
+      >
+        {t('PDF')}
+      </button>
+
+      {isOpen && map && (
+        <div style={{
+          position: 'fixed',
+          top: '120px',
+          right: '60px',
+          width: '360px',
+          maxHeight: 'calc(100vh - 160px)',
+          overflow: 'auto',
+          background: 'white',
+          padding: '12px 16px',
+          borderRadius: '12px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+          zIndex: 1001,
+          fontSize: '13px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h4 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: '#1f2937' }}>{t('Report')}</h4>
+            <button
+              onClick={() => setIsOpen(false)}
+              aria-label={t('Close')}
+              style={{ border: 'none', background: 'none', fontSize: '18px', cursor: 'pointer', color: '#6b7280' }}
+            >
+              ×
+            </button>
+          </div>
+
+          <label style={labelStyle}>{t('Title')}</label>
+          <input
+            value={template.title}
+            onChange={(e) => updateTemplate({ title: e.target.value })}
+            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box' }}
+          />
+
+          <label style={labelStyle}>{t('Organisation')}</label>
+          <input
+            value={template.organisation}
+            onChange={(e) => updateTemplate({ organisation: e.target.value })}
+            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box' }}
+          />
+
+          <label style={labelStyle}>{t('Logo')}</label>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            {template.logo && <img src={template.logo} alt={t('Report logo')} style={{ maxHeight: '32px', maxWidth: '120px' }} />}
+            <input type="file" accept="image/png,image/jpeg" onChange={handleLogo} style={{ fontSize: '12px' }} />
+            {template.logo && (
+              <button onClick={() => updateTemplate({ logo: null })} style={{ ...inputStyle, cursor: 'pointer' }}>{t('Remove')}</button>
+            )}
+          </div>
+
+          <label style={labelStyle}>{t('Notes')}</label>
+          <textarea
+            value={template.notes}
+            onChange={(e) => updateTemplate({ notes: e.target.value })}
+            rows={3}
+            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', resize: 'vertical' }}
+          />
+
+          <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+            <select value={template.pageSize} onChange={(e) => updateTemplate({ pageSize: e.target.value })} style={inputStyle}>
+              {pageSizes.map((size) => <option key={size.id} value={size.id}>{t(size.label)}</option>)}
+            </select>
+            <select value={template.orientation} onChange={(e) => updateTemplate({ orientation: e.target.value })} style={inputStyle}>
+              {orientations.map((orientation) => <option key={orientation.id} value={orientation.id}>{t(orientation.label)}</option>)}
+            </select>
+          </div>
+
+          <label style={labelStyle}>{t('Include')}</label>
+          {[
+            ['map', 'Map, legend and scale bar'],
+            ['stations', 'Stations in view'],
+            ['station', 'Open station'],
+          ].map(([key, label]) => (
+            <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={include[key]}
+                onChange={() => setInclude((prev) => ({ ...prev, [key]: !prev[key] }))}
+              />
+              {t(label)}
+            </label>
+          ))}
+
+          <button
+            onClick={generate}
+            disabled={isGenerating}
+            style={{
+              marginTop: '12px',
+              width: '100%',
+              padding: '8px',
+              background: '#0d9488',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              fontSize: '14px',
+              cursor: isGenerating ? 'wait' : 'pointer'
+            }}
+          >
+            {isGenerating ? t('Generating…') : t('Download PDF')}
+          </button>
+          {error && <div style={{ color: '#dc2626', marginTop: '8px' }}>{error}</div>}
+        </div>
+      )}
+    </>
+  );
+};
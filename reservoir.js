@@ -1,103 +1,299 @@
 import React, { useEffect, useState, useRef, useMemo } from 'react';
+import { createPortal } from 'react-dom';
 import Map from 'ol/Map';
 import View from 'ol/View';
-import TileLayer from 'ol/layer/Tile';
-import OSM from 'ol/source/OSM';
-import ImageLayer from 'ol/layer/Image';
-import ImageWMS from 'ol/source/ImageWMS';
-import { fromLonLat } from 'ol/proj';
-import { defaults as defaultControls } from 'ol/control';
+import { fromLonLat, toLonLat, transformExtent } from 'ol/proj';
+import { ScaleLine, defaults as defaultControls } from 'ol/control';
 import Overlay from 'ol/Overlay';
-import axios from 'axios';
-import { Line } from "react-chartjs-2";
-import "chartjs-adapter-moment";
-import zoomPlugin from "chartjs-plugin-zoom";
+import { useDataProvider } from './dataProvider';
+import { Hydrograph } from './hydrograph';
+import { DateRangeFilter } from './dateRangeFilter';
+import { StationPanel } from './stationPanel';
 import {
-  Chart,
-  LineController,
-  LineElement,
-  PointElement,
-  LinearScale,
-  Title,
-  TimeScale,
-  Tooltip,
-  Legend,
-  CategoryScale,
-} from 'chart.js';
-
-Chart.register(
-  LineController,
-  LineElement,
-  PointElement,
-  LinearScale,
-  Title,
-  TimeScale,
-  Tooltip,
-  Legend,
-  CategoryScale,
-  zoomPlugin
-);
-
-const fetchTimeSeriesData = async (unique_id) => {
-  try {
-    const response = await axios.post('https://geosust.co.in/api/gwl_temporal_data/', {
-      data: { unique_id }
-    });
-    return response.data.status === "success" ? response.data.data : [];
-  } catch (error) {
-    console.error('Error fetching time-series data:', error);
-    return [];
-  }
-};
+  filterGroundwaterSeries,
+  filterReservoirSeries,
+  inDateRange,
+  missingGroundwaterDates,
+  stationName,
+  toGroundwaterSeries,
+  toReservoirSeries,
+} from './stationModels';
+import { ComparePanel, MAX_COMPARE_STATIONS, compareKey, nextCompareColor } from './compare';
+import { runLimited } from './concurrency';
+import { ExportMenu } from './export';
+import { GroundwaterAnalytics, analysisRows, decompositionDatasets, seasonalDecomposition } from './analytics';
+import {
+  DEFAULT_STORAGE_THRESHOLDS,
+  ReservoirStorageIndicators,
+  frlDataset,
+  percentFilledDataset,
+  percentOfCapacity,
+  storageSummaryRows,
+} from './storage';
+import { SpatialQueryPanel } from './spatialQuery';
+import { AdminFilterBar, fetchFilterExtent, isFilterActive } from './adminFilter';
+import { StationSearch } from './search';
+import { readUrlState, useUrlStateWriter } from './urlState';
+import { withCache } from './cache';
+import { TimeSlider } from './timeSlider';
+import { InterpolationPanel } from './interpolation';
+import { AlertsDrawer, WatchStar, useWatchAlerts, useWatchlist } from './watchlist';
+import { HoverPopup, IdentifyChooser, countHits, identifyStations } from './identify';
+import { StationNavigator, stationPosition } from './stationNavigator';
+import { I18nContext, LanguageSwitcher, useLanguage } from './i18n';
+import { attributeRows } from './attributes';
+import { LayerManager } from './layerManager';
+import { UploadPanel } from './upload';
+import { ReportDialog } from './report';
+import { OfflinePanel, useOfflinePacks } from './offline';
+import { DEFAULT_INFLUENCE_OPTIONS, ReservoirInfluence } from './influence';
+import { RegionalSummary } from './regional';
+import {
+  DEFAULT_QUALITY_OPTIONS,
+  DataQualitySummary,
+  groundwaterChecks,
+  qualityBands,
+  qualityBandsPlugin,
+  qualityDatasets,
+  reservoirLevelChecks,
+  screenSeries,
+  storageChecks,
+} from './quality';
+import {
+  DEFAULT_FORECAST_OPTIONS,
+  ForecastControls,
+  forecastDatasets,
+  tryForecast,
+} from './forecast';
 
-const postRequest = async (url, unique_id) => {
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ data: { unique_id } }),
-    });
-    if (!response.ok) throw new Error('HTTP error! Status: ${response.status}');
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching data:', error);
-    return { error: error.message };
-  }
-};
+// Whole of India.
+const DEFAULT_CENTER = [78.9629, 20.5937];
+const DEFAULT_ZOOM = 5;
+const STATION_ZOOM = 11;
+const HOVER_DEBOUNCE_MS = 150;
+// Series requests in flight when a whole query result is charted.
+const COMPARE_CONCURRENCY = 4;
+
+const reservoirExportColumns = [
+  { key: 'date', label: 'Date' },
+  { key: 'reservoir_level_m', label: 'Reservoir Level (m)' },
+  { key: 'live_storage_bcm', label: 'Live Storage (BCM)' },
+];
+
+const groundwaterExportColumns = [
+  { key: 'date', label: 'Date' },
+  { key: 'waterLevel', label: 'Water Level (mbgl)' },
+];
 
-const BaseMapWithMarkers = () => {
-  const [selectedLayer, setSelectedLayer] = useState('reservoir');
+// Panel attributes as [label, value] for the printed report, which is in English.
+const reportMetadata = (layer, properties) => attributeRows(layer, 'panel', properties)
+  .map(({ label, value }) => [label, value]);
+
+// offlineOptions configures field mode's tile server and service worker; see offline.js.
+const BaseMapWithMarkers = ({ provider: providerProp, storageThresholds = DEFAULT_STORAGE_THRESHOLDS, offlineOptions }) => {
+  const baseProvider = useDataProvider(providerProp);
+  const [i18n, setLanguage] = useLanguage();
+  const { t } = i18n;
+  // An offline pack, when one is in use, stands in for the network entirely.
+  const offline = useOfflinePacks(baseProvider, offlineOptions);
+  const provider = useMemo(
+    () => offline.packProvider ?? withCache(baseProvider),
+    [baseProvider, offline.packProvider]
+  );
+  // Deep-link state from the address bar seeds the initial view.
+  const [initialUrlState] = useState(() => readUrlState());
+  const [selectedLayer, setSelectedLayer] = useState(initialUrlState.active ?? 'reservoir');
   const [isPanelOpen, setIsPanelOpen] = useState(false);
-  const [fromDate, setFromDate] = useState('');
-  const [toDate, setToDate] = useState('');
+  const [fromDate, setFromDate] = useState(initialUrlState.from ?? '');
+  const [toDate, setToDate] = useState(initialUrlState.to ?? '');
   const chartRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const [mapView, setMapView] = useState({
+    center: initialUrlState.center ?? DEFAULT_CENTER,
+    zoom: initialUrlState.zoom ?? DEFAULT_ZOOM,
+  });
+  const [openedStation, setOpenedStation] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(Boolean(initialUrlState.station));
+
+  // The map is built once per provider, so its handlers read these through refs.
+  const isDrawingRef = useRef(false);
+  const isReadingSurfaceRef = useRef(false);
+  const stationRequestRef = useRef(null);
   
   // New state for layer visibility
-  const [visibleLayers, setVisibleLayers] = useState({
+  const [visibleLayers, setVisibleLayers] = useState(initialUrlState.layers ?? {
     reservoir: false,
     groundwater: false
   });
   
   const [chartData, setChartData] = useState(null);
   const [reservoirInfo, setReservoirInfo] = useState(null);
-  const [selectedChart, setSelectedChart] = useState("both");
+  const [selectedChart, setSelectedChart] = useState(initialUrlState.chart ?? "both");
   
   const [featureInfo, setFeatureInfo] = useState(null);
   const [gwChartData, setGwChartData] = useState([]);
+  const [gwMissingDates, setGwMissingDates] = useState([]);
   const [gwFilteredData, setGwFilteredData] = useState([]);
+  const [compareStations, setCompareStations] = useState([]);
+  const [showDecomposition, setShowDecomposition] = useState(false);
+  const [showPercentFilled, setShowPercentFilled] = useState(false);
+  const [adminFilters, setAdminFilters] = useState({ reservoir: {}, groundwater: {} });
+  const [identifyChoice, setIdentifyChoice] = useState(null);
+  // The map popup's element and what it shows, rendered through a portal.
+  const [popupElement, setPopupElement] = useState(null);
+  const [popupHits, setPopupHits] = useState([]);
+  const popupOverlayRef = useRef(null);
+  const [qualityOptions, setQualityOptions] = useState(DEFAULT_QUALITY_OPTIONS);
+  const [reservoirTab, setReservoirTab] = useState('storage');
+  const [influenceOptions, setInfluenceOptions] = useState(DEFAULT_INFLUENCE_OPTIONS);
+  const [forecastOptions, setForecastOptions] = useState(DEFAULT_FORECAST_OPTIONS);
+  const watch = useWatchlist();
+  // Alerts read past the series cache so each check sees the latest readings.
+  const alerts = useWatchAlerts(offline.packProvider ?? baseProvider, watch.watchlist.stations, t);
 
-  useEffect(() => {
-    if (gwChartData.length > 0) {
-      const fromTimestamp = fromDate ? new Date(fromDate).getTime() : null;
-      const toTimestamp = toDate ? new Date(toDate).getTime() : null;
+  // `range` ({ from, to }) overrides the default of showing the whole record.
+  const openReservoir = async (properties, range, signal) => {
+    const { unique_id, live_capacit_y_at_frl_bcm } = properties;
+    setReservoirInfo({ ...properties, capacity_bcm: live_capacit_y_at_frl_bcm });
 
-      const filteredData = gwChartData.filter(entry => {
-        const entryTimestamp = new Date(entry.date).getTime();
-        return (!fromTimestamp || entryTimestamp >= fromTimestamp) &&
-               (!toTimestamp || entryTimestamp <= toTimestamp);
-      });
+    const apiResponse = await provider.fetchReservoirSeries(unique_id, { signal });
+    if (signal?.aborted) return;
+    if (apiResponse?.data?.length > 0) {
+      setChartData(toReservoirSeries(unique_id, apiResponse.data));
+      if (range) {
+        setFromDate(range.from ?? '');
+        setToDate(range.to ?? '');
+      }
+      setIsPanelOpen(true);
+    }
+  };
+
+  const openGroundwater = async (properties, range, signal) => {
+    setFeatureInfo(properties);
+    setIsPanelOpen(true);
+    // Cleared first so a well without readings never shows the previous one's chart.
+    setGwChartData([]);
+    setGwFilteredData([]);
+    setGwMissingDates([]);
+
+    const { unique_id } = properties;
+    if (unique_id) {
+      const timeSeriesData = await provider.fetchGroundwaterSeries(unique_id, { signal });
+      if (signal?.aborted) return;
+      if (timeSeriesData.length > 0) {
+        const processedData = toGroundwaterSeries(timeSeriesData);
+
+        setGwChartData(processedData);
+        setGwMissingDates(missingGroundwaterDates(timeSeriesData));
+        setFromDate(range?.from ?? processedData[0].date);
+        setToDate(range?.to ?? processedData[processedData.length - 1].date);
+        setGwFilteredData(processedData);
+      }
+    }
+  };
+
+  // Opening a station cancels any station still loading, whichever way it was opened.
+  const openStation = async (layer, properties, range) => {
+    stationRequestRef.current?.abort();
+    const controller = new AbortController();
+    stationRequestRef.current = controller;
+
+    setSelectedLayer(layer);
+    setOpenedStation({ layer, unique_id: properties.unique_id });
+    if (layer === 'reservoir') {
+      await openReservoir(properties, range, controller.signal);
+    } else {
+      await openGroundwater(properties, range, controller.signal);
+    }
+  };
+
+  // Reopens a station known only by id, as stored in a deep link.
+  const restoreStation = async ({ layer, unique_id }, range) => {
+    try {
+      const [feature] = await provider.filterFeatures(layer, { unique_id });
+      if (feature) await openStation(layer, feature.properties, range);
+    } catch (error) {
+      console.error('Error restoring station:', error);
+    }
+  };
+
+  // Search result picked: bring the station into view and open it like a click would.
+  const flyToStation = async (layer, properties) => {
+    const longitude = parseFloat(properties.longitude);
+    const latitude = parseFloat(properties.latitude);
+    if (map && Number.isFinite(longitude) && Number.isFinite(latitude)) {
+      map.getView().animate({ center: fromLonLat([longitude, latitude]), zoom: STATION_ZOOM, duration: 800 });
+    }
+    setVisibleLayers(prev => ({ ...prev, [layer]: true }));
+    await openStation(layer, properties);
+  };
+
+  // Refetches the open station's series past the cache, keeping the dates shown.
+  const refreshStation = async () => {
+    if (!openedStation) return;
+    const properties = openedStation.layer === 'reservoir' ? reservoirInfo : featureInfo;
+    await provider.invalidateSeries?.(openedStation.layer, openedStation.unique_id);
+    await openStation(openedStation.layer, properties, { from: fromDate, to: toDate });
+  };
+
+  const openWatchedStation = async ({ layer, unique_id }) => {
+    try {
+      const [feature] = await provider.filterFeatures(layer, { unique_id });
+      if (feature) await flyToStation(layer, feature.properties);
+    } catch (error) {
+      console.error('Error opening watched station:', error);
+    }
+  };
+
+  const addToCompare = (layer, unique_id, name, series) => {
+    const key = compareKey(layer, unique_id);
+    setCompareStations(prev => (prev.some(s => s.key === key)
+      ? prev
+      : [...prev, { key, layer, unique_id, name, series, color: nextCompareColor(prev) }]));
+  };
+
+  // Shift-click: fetch the station's series straight into the comparison basket.
+  const addStationToCompare = async (layer, properties) => {
+    const { unique_id } = properties;
+    if (!unique_id) return;
+    const name = stationName(layer, properties, t);
+
+    if (layer === 'reservoir') {
+      const apiResponse = await provider.fetchReservoirSeries(unique_id);
+      if (apiResponse?.data?.length > 0) {
+        addToCompare(layer, unique_id, name, toReservoirSeries(unique_id, apiResponse.data));
+      }
+    } else {
+      const timeSeriesData = await provider.fetchGroundwaterSeries(unique_id);
+      if (timeSeriesData.length > 0) {
+        addToCompare(layer, unique_id, name, toGroundwaterSeries(timeSeriesData));
+      }
+    }
+  };
+
+  // Charts a query result: only what still fits in the basket, a few requests at a time.
+  const compareStationsInArea = (rows) => {
+    const fresh = rows.filter((row) => !compareStations.some((s) => s.key === compareKey(row.layer, row.properties.unique_id)));
+    const free = Math.max(0, MAX_COMPARE_STATIONS - compareStations.length);
+    return runLimited(fresh.slice(0, free), COMPARE_CONCURRENCY, (row) => addStationToCompare(row.layer, row.properties));
+  };
+
+  const chooseStation = async (layer, properties, addToCompare) => {
+    setIdentifyChoice(null);
+    if (addToCompare) {
+      await addStationToCompare(layer, properties);
+    } else {
+      await openStation(layer, properties);
+    }
+  };
+
+  const removeFromCompare = (key) => {
+    setCompareStations(prev => prev.filter(s => s.key !== key));
+  };
 
-      setGwFilteredData(filteredData);
+  useEffect(() => {
+    if (gwChartData.length > 0) {
+      setGwFilteredData(filterGroundwaterSeries(gwChartData, { from: fromDate, to: toDate }));
     }
   }, [gwChartData, fromDate, toDate]);
 
@@ -120,222 +316,246 @@ const BaseMapWithMarkers = () => {
       offset: [0, -10],
     });
 
-    const reservoirLayer = new ImageLayer({
-      source: new ImageWMS({
-        url: 'https://gcrs.co.in/geoserver/geosust_industry/wms',
-        params: {
-          LAYERS: 'geosust_industry:cwc_reservoir_static_data',
-          FORMAT: 'image/png',
-          TRANSPARENT: true,
-        },
-        ratio: 1,
-        serverType: 'geoserver',
-      }),
+    const reservoirLayer = provider.createLayer('reservoir', {
       visible: visibleLayers.reservoir,
     });
+    reservoirLayer.set('layerKey', 'reservoir');
 
-    const groundwaterLayer = new ImageLayer({
-      source: new ImageWMS({
-        url: 'https://gcrs.co.in/geoserver/geosust_industry/wms',
-        params: {
-          LAYERS: 'geosust_industry:gwl',
-          FORMAT: 'image/png',
-          TRANSPARENT: true,
-        },
-        ratio: 1,
-        serverType: 'geoserver',
-      }),
+    const groundwaterLayer = provider.createLayer('groundwater', {
       visible: visibleLayers.groundwater,
     });
+    groundwaterLayer.set('layerKey', 'groundwater');
+    const stationLayers = [reservoirLayer, groundwaterLayer];
 
     const map = new Map({
       target: 'map',
+      // The basemap is added by the layer manager.
       layers: [
-        new TileLayer({ source: new OSM() }),
         reservoirLayer,
         groundwaterLayer
       ],
       view: new View({
-        center: fromLonLat([78.9629, 20.5937]),
-        zoom: 5
+        center: fromLonLat(mapView.center),
+        zoom: mapView.zoom
       }),
+      // The basemaps' terms require their attributions on the map.
       controls: defaultControls({
-        attribution: false,
+        attribution: true,
         rotate: false,
         zoom: true
-      }),
+      }).extend([new ScaleLine()]),
       overlays: [overlay],
     });
 
-    map.on('pointermove', async (event) => {
+    // Hover lookups wait for the pointer to settle and cancel the previous
+    // request, so slow responses can't land out of order.
+    let hoverTimer = null;
+    let hoverController = null;
+
+    map.on('pointermove', (event) => {
       if (event.dragging) return;
+      clearTimeout(hoverTimer);
+      hoverController?.abort();
       const resolution = map.getView().getResolution();
       const coordinate = event.coordinate;
       
-      const activeLayer = selectedLayer === 'reservoir' ? reservoirLayer : groundwaterLayer;
-      const url = activeLayer.getSource().getFeatureInfoUrl(
-        coordinate,
-        resolution,
-        'EPSG:3857',
-        { INFO_FORMAT: 'application/json', FEATURE_COUNT: 1 }
-      );
-
-      if (url) {
-        try {
-          const response = await axios.get(url);
-          const features = response.data.features;
-
-          if (features?.length > 0) {
-            const properties = features[0].properties;
-            
-            if (selectedLayer === 'reservoir') {
-              popupElement.innerHTML = `
-                <strong style="font-size: 12px; color: #333;">Reservoir Info</strong>
-                <table style="width: 100%; border-collapse: collapse; font-size: 10px; margin-top: 4px;">
-                  <tr><td><b>Name</b></td><td>${properties.name_of_reservoir ?? 'N/A'}</td></tr>
-                  <tr><td><b>State</b></td><td>${properties.state ?? 'N/A'}</td></tr>
-                  <tr><td><b>Latitude</b></td><td>${properties.latitude ?? 'N/A'}</td></tr>
-                  <tr><td><b>Longitude</b></td><td>${properties.longitude ?? 'N/A'}</td></tr>
-                  <tr><td><b>FRL (m)</b></td><td>${properties.frl_m ?? 'N/A'}</td></tr>
-                  <tr><td><b>Live Capacity (BCM)</b></td><td>${properties.live_capacit_y_at_frl_bcm ?? 'N/A'}</td></tr>
-                  <tr><td><b>Irrigation Benefits (ha)</b></td><td>${properties.benefits_irr_cca_in_th_ha ?? 'N/A'}</td></tr>
-                  <tr><td><b>Hydel Capacity (MW)</b></td><td>${properties.hydel_in_mw ?? 'N/A'}</td></tr>
-                  <tr><td><b>Basin</b></td><td>${properties.basin ?? 'N/A'}</td></tr>
-                </table>
-              `;
-            } else {
-              popupElement.innerHTML = `
-                <strong style="font-size: 12px; color: #333;">Groundwater Level Info</strong>
-                <table style="width: 100%; border-collapse: collapse; font-size: 10px; margin-top: 4px;">
-                  <tr><td><b>Object ID</b></td><td>${properties.objectid ?? 'N/A'}</td></tr>
-                  <tr><td><b>Unique ID</b></td><td>${properties.unique_id ?? 'N/A'}</td></tr>
-                  <tr><td><b>Site ID</b></td><td>${properties.site_id ?? 'N/A'}</td></tr>
-                  <tr><td><b>State</b></td><td>${properties.state_name ?? 'N/A'}</td></tr>
-                  <tr><td><b>District</b></td><td>${properties.district_name ?? 'N/A'}</td></tr>
-                  <tr><td><b>Block</b></td><td>${properties.block_name ?? 'N/A'}</td></tr>
-                  <tr><td><b>Site Name</b></td><td>${properties.site_name ?? 'N/A'}</td></tr>
-                  <tr><td><b>Site Type</b></td><td>${properties.site_type ?? 'N/A'}</td></tr>
-                  <tr><td><b>Depth</b></td><td>${properties.depth ?? 'N/A'}</td></tr>
-                  <tr><td><b>Longitude</b></td><td>${properties.longitude ?? 'N/A'}</td></tr>
-                  <tr><td><b>Latitude</b></td><td>${properties.latitude ?? 'N/A'}</td></tr>
-                </table>
-              `;
-            }
-            overlay.setPosition(coordinate);
-          } else {
-            overlay.setPosition(undefined);
-          }
-        } catch {
+      hoverTimer = setTimeout(async () => {
+        const controller = new AbortController();
+        hoverController = controller;
+
+        const hits = await identifyStations(provider, stationLayers, coordinate, resolution, controller.signal);
+        if (controller.signal.aborted) return;
+        if (hits.length > 0) {
+          setPopupHits(hits);
+          overlay.setPosition(coordinate);
+        } else {
           overlay.setPosition(undefined);
         }
-      }
+      }, HOVER_DEBOUNCE_MS);
     });
 
+    // A click on a single station opens it (shift adds it to the comparison);
+    // a click hitting several asks which one was meant.
     map.on('singleclick', async (event) => {
-      const resolution = map.getView().getResolution();
-      const coordinate = event.coordinate;
-      const activeLayer = selectedLayer === 'reservoir' ? reservoirLayer : groundwaterLayer;
-      
-      const featureInfoUrl = activeLayer.getSource().getFeatureInfoUrl(
-        coordinate,
-        resolution,
-        'EPSG:3857',
-        { INFO_FORMAT: 'application/json', FEATURE_COUNT: 1 }
-      );
-
-      if (featureInfoUrl) {
-        try {
-          const response = await axios.get(featureInfoUrl);
-          const feature = response.data.features?.[0];
-
-          if (feature) {
-            if (selectedLayer === 'reservoir') {
-              const { unique_id, latitude, longitude, name_of_reservoir, state, live_capacit_y_at_frl_bcm } = feature.properties;
-              setReservoirInfo({
-                name_of_reservoir,
-                capacity_bcm: live_capacit_y_at_frl_bcm,
-                state,
-                longitude,
-                latitude,
-              });
-
-              const apiResponse = await postRequest('https://geosust.co.in/api/cwc_temporal_data/', unique_id);
-              if (apiResponse?.data?.length > 0) {
-                const labels = apiResponse.data.map((d) => d.acq_dt);
-                const reservoirLevels = apiResponse.data.map((d) => parseFloat(d.current_reservoir_level_m));
-                const storageValues = apiResponse.data.map((d) => parseFloat(d.current_live_storage_bcm));
-                setChartData({ unique_id, labels, reservoirLevels, storageValues });
-                setIsPanelOpen(true);
-              }
-            } else {
-              setFeatureInfo(feature.properties);
-              setIsPanelOpen(true);
-
-              const { unique_id } = feature.properties;
-              if (unique_id) {
-                const timeSeriesData = await fetchTimeSeriesData(unique_id);
-                if (timeSeriesData.length > 0) {
-                  const processedData = timeSeriesData
-                    .filter(entry => entry.wl_mbgl !== null)
-                    .map(entry => ({
-                      date: new Date(entry.date).toISOString().split('T')[0],
-                      waterLevel: parseFloat(entry.wl_mbgl),
-                    }));
-
-                  setGwChartData(processedData);
-                  setFromDate(processedData[0].date);
-                  setToDate(processedData[processedData.length - 1].date);
-                  setGwFilteredData(processedData);
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.error('Error fetching feature info:', error);
-        }
+      // Clicks belong to an armed tool or to an uploaded feature under the pointer.
+      if (isDrawingRef.current || isReadingSurfaceRef.current) return;
+      if (map.hasFeatureAtPixel(event.pixel, { layerFilter: (layer) => layer.get('uploads') })) return;
+      const addToCompare = event.originalEvent.shiftKey;
+      setIdentifyChoice(null);
+
+      const hits = await identifyStations(provider, stationLayers, event.coordinate, map.getView().getResolution());
+      if (countHits(hits) === 1) {
+        const [{ layerKey, features: [feature] }] = hits;
+        await chooseStation(layerKey, feature.properties, addToCompare);
+      } else if (hits.length > 0) {
+        overlay.setPosition(undefined);
+        setIdentifyChoice({ pixel: event.pixel, hits, addToCompare });
       }
     });
 
-    // Update layer visibility when visibleLayers changes
-    const updateLayerVisibility = () => {
-      reservoirLayer.setVisible(visibleLayers.reservoir);
-      groundwaterLayer.setVisible(visibleLayers.groundwater);
-    };
+    map.on('moveend', () => {
+      setIdentifyChoice(null);
+      const view = map.getView();
+      setMapView({ center: toLonLat(view.getCenter()), zoom: view.getZoom() });
+    });
 
-    updateLayerVisibility();
+    setMap(map);
+    setPopupElement(popupElement);
+    popupOverlayRef.current = overlay;
 
     return () => {
+      clearTimeout(hoverTimer);
+      hoverController?.abort();
+      setMap(null);
+      setPopupElement(null);
+      popupOverlayRef.current = null;
       map.setTarget(null);
       if (popupElement.parentNode) {
         popupElement.parentNode.removeChild(popupElement);
       }
     };
-  }, [selectedLayer, visibleLayers]); // Added visibleLayers to dependencies
+  }, [provider]);
 
-  const filterChartData = useMemo(() => {
-    if (!chartData) return { labels: [], datasets: [] };
-
-    const fromTimestamp = fromDate ? new Date(fromDate).getTime() : null;
-    const toTimestamp = toDate ? new Date(toDate).getTime() : null;
-
-    const filteredData = chartData.labels.reduce((acc, label, index) => {
-      const labelTimestamp = new Date(label).getTime();
-      if (
-        (!fromTimestamp || labelTimestamp >= fromTimestamp) &&
-        (!toTimestamp || labelTimestamp <= toTimestamp)
-      ) {
-        acc.labels.push(label);
-        acc.reservoirLevels.push(chartData.reservoirLevels[index]);
-        acc.storageValues.push(chartData.storageValues[index]);
+  useEffect(() => {
+    if (!initialUrlState.station) return;
+    restoreStation(initialUrlState.station, initialUrlState).finally(() => setIsRestoring(false));
+  }, []);
+
+  // Back/forward: re-apply the state stored in the history entry.
+  useEffect(() => {
+    const handlePopState = async () => {
+      const urlState = readUrlState();
+      if (urlState.layers) setVisibleLayers(urlState.layers);
+      if (urlState.active) setSelectedLayer(urlState.active);
+      if (urlState.chart) setSelectedChart(urlState.chart);
+      if (map && urlState.center) {
+        map.getView().animate({ center: fromLonLat(urlState.center), zoom: urlState.zoom ?? DEFAULT_ZOOM, duration: 500 });
+      }
+      if (urlState.station) {
+        setIsRestoring(true);
+        await restoreStation(urlState.station, urlState);
+        setIsRestoring(false);
+      } else {
+        setIsPanelOpen(false);
+        setOpenedStation(null);
       }
-      return acc;
-    }, { labels: [], reservoirLevels: [], storageValues: [] });
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [map, provider]);
+
+  useUrlStateWriter({
+    layers: visibleLayers,
+    active: selectedLayer,
+    station: isPanelOpen ? openedStation : null,
+    from: fromDate,
+    to: toDate,
+    chart: selectedChart,
+    center: mapView.center,
+    zoom: mapView.zoom,
+  }, !isRestoring);
+
+  // Update layer visibility when visibleLayers changes
+  useEffect(() => {
+    if (!map) return;
+    map.getLayers().forEach((layer) => {
+      const layerKey = layer.get('layerKey');
+      if (layerKey) layer.setVisible(visibleLayers[layerKey]);
+    });
+  }, [map, visibleLayers]);
 
+  useEffect(() => {
+    if (!map) return;
+    map.getLayers().forEach((layer) => {
+      const layerKey = layer.get('layerKey');
+      if (layerKey) provider.applyFilter(layerKey, layer, adminFilters[layerKey]);
+    });
+  }, [map, provider, adminFilters]);
+
+  const handleAdminFilterChange = async (layerKey, filter) => {
+    setAdminFilters(prev => ({ ...prev, [layerKey]: filter }));
+    if (!map) return;
+
+    const view = map.getView();
+    if (!isFilterActive(filter)) {
+      view.animate({ center: fromLonLat(DEFAULT_CENTER), zoom: DEFAULT_ZOOM, duration: 500 });
+      return;
+    }
+    try {
+      const extent = await fetchFilterExtent(provider, layerKey, filter);
+      if (extent) {
+        view.fit(transformExtent(extent, 'EPSG:4326', 'EPSG:3857'), {
+          padding: [80, 80, 80, 80],
+          maxZoom: STATION_ZOOM,
+          duration: 500,
+        });
+      }
+    } catch (error) {
+      console.error('Error fetching filter extent:', error);
+    }
+  };
+
+  const filteredReservoirData = useMemo(() => (chartData
+    ? filterReservoirSeries(chartData, { from: fromDate, to: toDate })
+    : { labels: [], reservoirLevels: [], storageValues: [] }
+  ), [chartData, fromDate, toDate]);
+
+  const influenceReservoir = useMemo(
+    () => (chartData ? { ...reservoirInfo, unique_id: chartData.unique_id } : null),
+    [chartData, reservoirInfo]
+  );
+
+  const influenceStorage = useMemo(() => filteredReservoirData.labels
+    .map((date, index) => ({ date, value: parseFloat(filteredReservoirData.storageValues[index]) }))
+    .filter((p) => Number.isFinite(p.value)), [filteredReservoirData]);
+
+  const reservoirQuality = useMemo(() => {
+    if (filteredReservoirData.labels.length === 0) return null;
+    const screen = (values, check) => screenSeries(
+      filteredReservoirData.labels.map((date, index) => ({ date, value: values[index] })),
+      { ...qualityOptions, gapDays: qualityOptions.gapDays.reservoir, check }
+    );
+    return {
+      level: screen(filteredReservoirData.reservoirLevels, reservoirLevelChecks(reservoirInfo?.frl_m, t)),
+      storage: screen(filteredReservoirData.storageValues, storageChecks(reservoirInfo?.capacity_bcm, t)),
+    };
+  }, [filteredReservoirData, reservoirInfo, qualityOptions, t]);
+
+  const reservoirScreens = useMemo(() => (reservoirQuality ? [
+    { label: t('Level'), quality: reservoirQuality.level, shown: selectedChart === 'reservoir' || selectedChart === 'both' },
+    { label: t('Storage'), quality: reservoirQuality.storage, shown: selectedChart === 'storage' || selectedChart === 'both' },
+  ] : []), [reservoirQuality, selectedChart, t]);
+
+  // One forecast per series on the chart; storage cannot leave [0, capacity].
+  const reservoirForecasts = useMemo(() => {
+    if (!forecastOptions.enabled || filteredReservoirData.labels.length === 0) return [];
+    const capacity = parseFloat(reservoirInfo?.capacity_bcm);
+    const series = [
+      { label: t('Level'), unit: 'm', values: filteredReservoirData.reservoirLevels, color: [37, 99, 235], shown: selectedChart === 'reservoir' || selectedChart === 'both' },
+      {
+        label: t('Storage'),
+        unit: 'BCM',
+        values: filteredReservoirData.storageValues,
+        color: [220, 38, 38],
+        shown: selectedChart === 'storage' || selectedChart === 'both',
+        bounds: { min: 0, max: capacity > 0 ? capacity : Infinity },
+      },
+    ];
+    return series.filter((entry) => entry.shown).map((entry) => ({
+      ...entry,
+      result: tryForecast(
+        filteredReservoirData.labels.map((date, index) => ({ date, value: entry.values[index] })),
+        { horizon: forecastOptions.horizon, bounds: entry.bounds }
+      ),
+    }));
+  }, [filteredReservoirData, reservoirInfo, selectedChart, forecastOptions, t]);
+
+  const filterChartData = useMemo(() => {
     let datasets = [];
     if (selectedChart === "reservoir" || selectedChart === "both") {
       datasets.push({
-        label: "Reservoir Level (m)",
-        data: filteredData.reservoirLevels,
+        label: t("Reservoir Level (m)"),
+        data: filteredReservoirData.reservoirLevels,
         borderColor: "blue",
         borderWidth: 2,
         tension: 0.2,
@@ -344,21 +564,102 @@ const BaseMapWithMarkers = () => {
     }
     if (selectedChart === "storage" || selectedChart === "both") {
       datasets.push({
-        label: "Live Storage (BCM)",
-        data: filteredData.storageValues,
+        label: t("Live Storage (BCM)"),
+        data: filteredReservoirData.storageValues,
         borderColor: "red",
         borderWidth: 2,
         tension: 0.2,
         fill: false,
       });
     }
+    if ((selectedChart === "reservoir" || selectedChart === "both") && reservoirInfo?.frl_m != null) {
+      datasets.push(frlDataset(filteredReservoirData.labels, reservoirInfo.frl_m, t));
+    }
+    if (showPercentFilled) {
+      datasets.push(percentFilledDataset(
+        percentOfCapacity(filteredReservoirData.storageValues, reservoirInfo?.capacity_bcm),
+        t
+      ));
+    }
+    if (qualityOptions.showFlags) {
+      reservoirScreens
+        .filter((screen) => screen.shown)
+        .forEach((screen) => datasets.push(...qualityDatasets(screen.quality, screen.label, t)));
+    }
+    reservoirForecasts
+      .filter((entry) => !entry.result.error)
+      .forEach((entry) => datasets.push(...forecastDatasets(entry.result, entry.label, entry.color, t)));
+
+    return { labels: filteredReservoirData.labels, datasets };
+  }, [filteredReservoirData, selectedChart, reservoirInfo, showPercentFilled, reservoirScreens, qualityOptions.showFlags, reservoirForecasts, t]);
+
+  const reservoirBands = useMemo(() => (qualityOptions.showFlags
+    ? reservoirScreens.filter((screen) => screen.shown).flatMap((screen) => qualityBands(screen.quality))
+    : []), [reservoirScreens, qualityOptions.showFlags]);
+
+  const gwQuality = useMemo(() => {
+    if (gwFilteredData.length === 0) return null;
+    const points = [
+      ...gwFilteredData.map((d) => ({ date: d.date, value: d.waterLevel })),
+      ...gwMissingDates
+        .filter((date) => inDateRange(date, { from: fromDate, to: toDate }))
+        .map((date) => ({ date, value: null })),
+    ].sort((a, b) => a.date.localeCompare(b.date));
+    return screenSeries(points, {
+      ...qualityOptions,
+      gapDays: qualityOptions.gapDays.groundwater,
+      check: groundwaterChecks(featureInfo?.depth, t),
+    });
+  }, [gwFilteredData, gwMissingDates, fromDate, toDate, featureInfo, qualityOptions, t]);
+
+  const gwForecast = useMemo(() => (forecastOptions.enabled && gwFilteredData.length > 0
+    ? tryForecast(gwFilteredData.map((d) => ({ date: d.date, value: d.waterLevel })), { horizon: forecastOptions.horizon })
+    : null), [gwFilteredData, forecastOptions]);
+
+  const gwDecomposition = useMemo(
+    () => (showDecomposition ? seasonalDecomposition(gwFilteredData) : []),
+    [gwFilteredData, showDecomposition]
+  );
 
-    return { labels: filteredData.labels, datasets };
-  }, [chartData, fromDate, toDate, selectedChart]);
+  // The open station for the printed report, with the chart as currently drawn.
+  const getReportStationSection = () => {
+    if (!isPanelOpen) return null;
+    const chart = chartRef.current?.toBase64Image();
+    const period = `Period: ${fromDate || 'start of record'} to ${toDate || 'latest'}`;
+    if (selectedLayer === 'reservoir' && chartData) {
+      const labels = filteredReservoirData.labels;
+      return {
+        title: `Reservoir: ${stationName('reservoir', { ...reservoirInfo, unique_id: chartData.unique_id })}`,
+        subtitle: period,
+        metadata: [['Unique ID', chartData.unique_id], ...(reservoirInfo ? reportMetadata('reservoir', reservoirInfo) : [])],
+        stats: labels.length > 0
+          ? storageSummaryRows(chartData, labels[labels.length - 1], reservoirInfo?.capacity_bcm, storageThresholds)
+          : [],
+        charts: chart ? [chart] : [],
+      };
+    }
+    if (selectedLayer === 'groundwater' && featureInfo) {
+      return {
+        title: `Groundwater well: ${stationName('groundwater', featureInfo)}`,
+        subtitle: period,
+        metadata: reportMetadata('groundwater', featureInfo),
+        stats: analysisRows(gwFilteredData),
+        charts: chart ? [chart] : [],
+      };
+    }
+    return null;
+  };
 
-  const resetZoom = () => {
-    if (chartRef.current) {
-      chartRef.current.resetZoom();
+  // The station focused in the keyboard navigator is previewed like a hover.
+  const previewStation = (station) => {
+    const overlay = popupOverlayRef.current;
+    const position = station && stationPosition(station.properties);
+    if (!overlay) return;
+    if (position) {
+      setPopupHits([{ layerKey: station.layerKey, features: [{ properties: station.properties }] }]);
+      overlay.setPosition(fromLonLat(position));
+    } else {
+      overlay.setPosition(undefined);
     }
   };
 
@@ -368,354 +669,411 @@ const BaseMapWithMarkers = () => {
       ...prev,
       [layerName]: !prev[layerName]
     }));
-    setSelectedLayer(layerName);
   };
 
   return (
-    <div style={{ width: '100%', height: '700px', position: 'relative' }}>
-      <div style={{
-        position: 'absolute',
-        top: '10px',
-        left: '75%',
-        transform: 'translateX(-50%)',
-        zIndex: 1000,
-        background: 'white',
-        padding: '12px 20px',
-        borderRadius: '8px',
-        boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
-        display: 'flex',
-        gap: '24px',
-        alignItems: 'center'
-      }}>
-        <label style={{ 
-          display: 'flex', 
-          alignItems: 'center',
-          gap: '8px',
-          cursor: 'pointer',
-          fontSize: '14px',
-          fontWeight: 500,
-          color: '#333'
-        }}>
-          <input
-            type="checkbox"
-            checked={visibleLayers.reservoir}
-            onChange={() => handleLayerChange('reservoir')}
-            style={{ cursor: 'pointer' }}
+    <I18nContext.Provider value={i18n}>
+      <div style={{ width: '100%', height: '700px', position: 'relative' }}>
+        <LayerManager
+          map={map}
+          provider={provider}
+          visibleLayers={visibleLayers}
+          onToggleStationLayer={handleLayerChange}
+          fieldTileUrl={offline.packProvider ? offline.activePack.tiles.url : null}
+        />
+
+        <StationSearch provider={provider} onSelect={flyToStation} />
+
+        <AdminFilterBar
+          provider={provider}
+          filters={adminFilters}
+          onChange={handleAdminFilterChange}
+        />
+
+        <SpatialQueryPanel
+          map={map}
+          provider={provider}
+          onOpenStation={openStation}
+          onCompareStations={compareStationsInArea}
+          onDrawingChange={(active) => { isDrawingRef.current = active; }}
+        />
+
+        <InterpolationPanel
+          map={map}
+          provider={provider}
+          filters={adminFilters}
+          onReadoutChange={(active) => { isReadingSurfaceRef.current = active; }}
+        />
+
+        <UploadPanel
+          map={map}
+          provider={provider}
+          onCompareSeries={(id, name, series) => addToCompare('groundwater', `upload:${id}`, t('{name} (uploaded)', { name }), series)}
+          onCompareStation={addStationToCompare}
+        />
+
+        <div id="map" style={{ width: '100%', height: '200%' }}></div>
+
+        {popupElement && popupHits.length > 0 && createPortal(<HoverPopup hits={popupHits} />, popupElement)}
+
+        <div style={{ position: 'absolute', top: '70px', left: '8px', zIndex: 1000, display: 'flex', flexDirection: 'column', gap: '6px', alignItems: 'flex-start' }}>
+          <LanguageSwitcher value={i18n.language} onChange={setLanguage} />
+          <StationNavigator
+            map={map}
+            provider={provider}
+            visibleLayers={visibleLayers}
+            filters={adminFilters}
+            onFocusStation={previewStation}
+            onOpenStation={openStation}
           />
-          Reservoir Data
-        </label>
-        <label style={{ 
-          display: 'flex', 
-          alignItems: 'center',
-          gap: '8px',
-          cursor: 'pointer',
-          fontSize: '14px',
-          fontWeight: 500,
-          color: '#333'
-        }}>
-          <input
-            type="checkbox"
-            checked={visibleLayers.groundwater}
-            onChange={() => handleLayerChange('groundwater')}
-            style={{ cursor: 'pointer' }}
+        </div>
+
+        {identifyChoice && (
+          <IdentifyChooser
+            choice={identifyChoice}
+            getLabel={stationName}
+            onChoose={(layer, properties) => chooseStation(layer, properties, identifyChoice.addToCompare)}
+            onClose={() => setIdentifyChoice(null)}
           />
-          Groundwater Level
-        </label>
-      </div> 
-
-      <div id="map" style={{ width: '100%', height: '200%' }}></div>
-
-      {/* Panel Toggle Button */}
-      <button
-        onClick={() => setIsPanelOpen((prev) => !prev)}
-        style={{
-          position: 'fixed',
-          top: '50%',
-          right: '0',
-          transform: 'translateY(-50%)',
-          background: '#2563eb',
-          color: 'white',
-          border: 'none',
-          borderRadius: '8px 0 0 8px',
-          width: '40px',
-          height: '50px',
-          fontSize: '20px',
-          fontWeight: 'bold',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          cursor: 'pointer',
-          boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
-          zIndex: 1000,
-          transition: 'background-color 0.2s',
-          '&:hover': {
-            background: '#1d4ed8'
-          }
-        }}
-      >
-        {isPanelOpen ? '>' : '<'}
-      </button>
-
-      {/* Reservoir Data Panel */}
-      {isPanelOpen && selectedLayer === 'reservoir' && chartData && (
-        <div style={{
-          position: 'fixed',
-          top: '20px',
-          right: '70px',
-          width: '400px',
-          background: 'white',
-          padding: '16px',
-          borderRadius: '12px',
-          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-          zIndex: 999,
-          overflow: 'auto',
-          maxHeight: 'calc(100vh - 40px)'
-        }}>
-          <h4 style={{ margin: '0 0 16px', fontSize: '18px', fontWeight: '600', color: '#1f2937' }}>
-            Reservoir Data (ID: {chartData.unique_id})
-          </h4>
-
-          {reservoirInfo && (
-            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '16px' }}>
-              <tbody>
-                <tr><td style={{ padding: '4px 0' }}><b>Name:</b></td><td>{reservoirInfo.name_of_reservoir ?? 'N/A'}</td></tr>
-                <tr><td style={{ padding: '4px 0' }}><b>Capacity (BCM):</b></td><td>{reservoirInfo.capacity_bcm ?? 'N/A'}</td></tr>
-                <tr><td style={{ padding: '4px 0' }}><b>State:</b></td><td>{reservoirInfo.state ?? 'N/A'}</td></tr>
-                <tr><td style={{ padding: '4px 0' }}><b>Longitude:</b></td><td>{reservoirInfo.longitude ?? 'N/A'}</td></tr>
-                <tr><td style={{ padding: '4px 0' }}><b>Latitude:</b></td><td>{reservoirInfo.latitude ?? 'N/A'}</td></tr>
-              </tbody>
-            </table>
-          )}
-
-          <div style={{ marginBottom: '16px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
-            <label style={{ flex: '1', minWidth: '140px' }}>
-              <span style={{ display: 'block', marginBottom: '4px', fontSize: '14px', color: '#4b5563' }}>From:</span>
-              <input 
-                type="date" 
-                value={fromDate} 
-                onChange={(e) => setFromDate(e.target.value)}
+        )}
+
+        {/* Panel Toggle Button */}
+        <button
+          onClick={() => setIsPanelOpen((prev) => !prev)}
+          aria-label={isPanelOpen ? t('Close station panel') : t('Open station panel')}
+          aria-expanded={isPanelOpen}
+          style={{
+            position: 'fixed',
+            top: '50%',
+            right: '0',
+            transform: 'translateY(-50%)',
+            background: '#2563eb',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px 0 0 8px',
+            width: '40px',
+            height: '50px',
+            fontSize: '20px',
+            fontWeight: 'bold',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            cursor: 'pointer',
+            boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+            zIndex: 1000,
+            transition: 'background-color 0.2s',
+            '&:hover': {
+              background: '#1d4ed8'
+            }
+          }}
+        >
+          {isPanelOpen ? '>' : '<'}
+        </button>
+
+        {/* Reservoir Data Panel */}
+        {isPanelOpen && selectedLayer === 'reservoir' && chartData && (
+          <StationPanel
+            title={t('Reservoir Data (ID: {id})', { id: chartData.unique_id })}
+            feature={reservoirInfo ? { layer: 'reservoir', properties: reservoirInfo } : undefined}
+          >
+            <div style={{ marginBottom: '16px', display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+              <button
+                onClick={() => addToCompare('reservoir', chartData.unique_id, stationName('reservoir', { ...reservoirInfo, unique_id: chartData.unique_id }, t), chartData)}
                 style={{
-                  width: '100%',
-                  padding: '6px',
-                  border: '1px solid #d1d5db',
-                  borderRadius: '4px',
-                  fontSize: '14px'
+                  padding: '6px 14px',
+                  background: 'white',
+                  color: '#2563eb',
+                  border: '1px solid #2563eb',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: '500'
                 }}
-              />
-            </label>
-            <label style={{ flex: '1', minWidth: '140px' }}>
-              <span style={{ display: 'block', marginBottom: '4px', fontSize: '14px', color: '#4b5563' }}>To:</span>
-              <input 
-                type="date" 
-                value={toDate} 
-                onChange={(e) => setToDate(e.target.value)}
+              >
+                {t('+ Add to compare')}
+              </button>
+
+              <button
+                onClick={refreshStation}
+                title={t('Fetch the latest readings')}
                 style={{
-                  width: '100%',
-                  padding: '6px',
+                  padding: '6px 14px',
+                  background: 'white',
+                  color: '#4b5563',
                   border: '1px solid #d1d5db',
-                  borderRadius: '4px',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
                   fontSize: '14px'
                 }}
+              >
+                {t('Refresh')}
+              </button>
+
+              <WatchStar
+                watched={watch.isWatched('reservoir', chartData.unique_id)}
+                onToggle={() => watch.toggleStation({
+                  layer: 'reservoir',
+                  unique_id: chartData.unique_id,
+                  name: stationName('reservoir', { ...reservoirInfo, unique_id: chartData.unique_id }, t),
+                  longitude: reservoirInfo?.longitude,
+                  latitude: reservoirInfo?.latitude,
+                  capacity_bcm: reservoirInfo?.capacity_bcm,
+                })}
               />
-            </label>
-          </div>
-
-          <div style={{ marginBottom: '16px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
-              <input type="radio" value="reservoir" checked={selectedChart === 'reservoir'} onChange={() => setSelectedChart('reservoir')} />
-              <span style={{ fontSize: '14px' }}>Reservoir Level</span>
-            </label>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
-              <input type="radio" value="storage" checked={selectedChart === 'storage'} onChange={() => setSelectedChart('storage')} />
-              <span style={{ fontSize: '14px' }}>Live Storage</span>
-            </label>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
-              <input type="radio" value="both" checked={selectedChart === 'both'} onChange={() => setSelectedChart('both')} />
-              <span style={{ fontSize: '14px' }}>Both</span>
-            </label>
-          </div>
-
-          <div style={{ width: "100%", height: "400px" }}>
-            {filterChartData.labels.length > 0 ? (
-              <Line
-                ref={chartRef}
-                data={filterChartData}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  scales: {
-                    x: {
-                      type: "time",
-                      time: {
-                        unit: "day",
-                        tooltipFormat: "MMM D"
-                      }
-                    }
-                  },
-                  plugins: {
-                    zoom: {
-                      pan: {
-                        enabled: true,
-                        mode: 'x'
-                      },
-                      zoom: {
-                        wheel: { enabled: true },
-                        pinch: { enabled: true },
-                        mode: 'x'
-                      }
-                    }
-                  }
-                }}
+
+              <ExportMenu
+                filename={`reservoir_${chartData.unique_id}_${fromDate}_${toDate}`}
+                properties={{ unique_id: chartData.unique_id, ...reservoirInfo }}
+                columns={reservoirExportColumns}
+                rows={filteredReservoirData.labels.map((date, index) => ({
+                  date,
+                  reservoir_level_m: filteredReservoirData.reservoirLevels[index],
+                  live_storage_bcm: filteredReservoirData.storageValues[index],
+                }))}
+              />
+            </div>
+
+            <DateRangeFilter
+              value={{ from: fromDate, to: toDate }}
+              onChange={({ from, to }) => { setFromDate(from); setToDate(to); }}
+            />
+
+            <div role="tablist" aria-label={t('Reservoir views')} style={{ display: 'flex', gap: '4px', marginBottom: '16px', borderBottom: '1px solid #e5e7eb' }}>
+              {[['storage', 'Storage'], ['influence', 'Influence']].map(([id, label]) => (
+                <button
+                  key={id}
+                  role="tab"
+                  aria-selected={reservoirTab === id}
+                  onClick={() => setReservoirTab(id)}
+                  style={{
+                    padding: '6px 12px',
+                    border: 'none',
+                    borderBottom: reservoirTab === id ? '2px solid #2563eb' : '2px solid transparent',
+                    background: 'none',
+                    color: reservoirTab === id ? '#2563eb' : '#4b5563',
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {t(label)}
+                </button>
+              ))}
+            </div>
+
+            {reservoirTab === 'influence' && (
+              <ReservoirInfluence
+                map={map}
+                provider={provider}
+                reservoir={influenceReservoir}
+                storage={influenceStorage}
+                range={{ from: fromDate, to: toDate }}
+                options={influenceOptions}
+                onOptionsChange={setInfluenceOptions}
+                onCompareWell={(properties) => addStationToCompare('groundwater', properties)}
               />
-            ) : (
-              <p style={{ color: "#ef4444", textAlign: "center", marginTop: "20px" }}>
-                No data available for the selected date range.
-              </p>
             )}
-          </div>
-        </div>
-      )}
-
-      {/* Groundwater Data Panel */}
-      {isPanelOpen && selectedLayer === 'groundwater' && featureInfo && (
-        <div style={{
-          position: 'fixed',
-          top: '20px',
-          right: '70px',
-          width: '400px',
-          background: 'white',
-          padding: '16px',
-          borderRadius: '12px',
-          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-          zIndex: 999,
-          overflow: 'auto',
-          maxHeight: 'calc(100vh - 40px)'
-        }}>
-          <h4 style={{ margin: '0 0 16px', fontSize: '18px', fontWeight: '600', color: '#1f2937' }}>
-            Groundwater Level Information
-          </h4>
-
-          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '16px' }}>
-            <tbody>
-              <tr><td style={{ padding: '4px 0' }}><b>Object ID:</b></td><td>{featureInfo.objectid ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Unique ID:</b></td><td>{featureInfo.unique_id ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Site ID:</b></td><td>{featureInfo.site_id ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>State:</b></td><td>{featureInfo.state_name ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>District:</b></td><td>{featureInfo.district_name ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Block:</b></td><td>{featureInfo.block_name ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Site Name:</b></td><td>{featureInfo.site_name ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Site Type:</b></td><td>{featureInfo.site_type ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Depth:</b></td><td>{featureInfo.depth ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Longitude:</b></td><td>{featureInfo.longitude ?? 'N/A'}</td></tr>
-              <tr><td style={{ padding: '4px 0' }}><b>Latitude:</b></td><td>{featureInfo.latitude ?? 'N/A'}</td></tr>
-            </tbody>
-          </table>
-
-          <div style={{ marginBottom: '16px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
-            <label style={{ flex: '1', minWidth: '140px' }}>
-              <span style={{ display: 'block', marginBottom: '4px', fontSize: '14px', color: '#4b5563' }}>From:</span>
-              <input 
-                type="date" 
-                value={fromDate} 
-                onChange={(e) => setFromDate(e.target.value)}
+
+            {reservoirTab === 'storage' && (
+              <>
+                <div role="radiogroup" aria-label={t('Chart type')} style={{ marginBottom: '16px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                    <input type="radio" value="reservoir" checked={selectedChart === 'reservoir'} onChange={() => setSelectedChart('reservoir')} />
+                    <span style={{ fontSize: '14px' }}>{t('Reservoir Level')}</span>
+                  </label>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                    <input type="radio" value="storage" checked={selectedChart === 'storage'} onChange={() => setSelectedChart('storage')} />
+                    <span style={{ fontSize: '14px' }}>{t('Live Storage')}</span>
+                  </label>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                    <input type="radio" value="both" checked={selectedChart === 'both'} onChange={() => setSelectedChart('both')} />
+                    <span style={{ fontSize: '14px' }}>{t('Both')}</span>
+                  </label>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                    <input type="checkbox" checked={showPercentFilled} onChange={() => setShowPercentFilled((prev) => !prev)} />
+                    <span style={{ fontSize: '14px' }}>{t('% of Live Capacity')}</span>
+                  </label>
+                </div>
+
+                {filteredReservoirData.labels.length > 0 && (
+                  <ReservoirStorageIndicators
+                    series={chartData}
+                    asOf={filteredReservoirData.labels[filteredReservoirData.labels.length - 1]}
+                    capacity={reservoirInfo?.capacity_bcm}
+                    thresholds={storageThresholds}
+                  />
+                )}
+
+                {reservoirQuality && (
+                  <DataQualitySummary
+                    layer="reservoir"
+                    screens={reservoirScreens}
+                    options={qualityOptions}
+                    onOptionsChange={setQualityOptions}
+                  />
+                )}
+
+                <ForecastControls
+                  options={forecastOptions}
+                  onOptionsChange={setForecastOptions}
+                  forecasts={reservoirForecasts}
+                />
+
+                <Hydrograph
+                  ref={chartRef}
+                  height="400px"
+                  data={filterChartData}
+                  plugins={[qualityBandsPlugin]}
+                  pluginOptions={{ qualityBands: { bands: reservoirBands } }}
+                  scales={showPercentFilled ? {
+                    yPercent: {
+                      type: 'linear',
+                      position: 'right',
+                      min: 0,
+                      max: 100,
+                      grid: { drawOnChartArea: false },
+                      title: { display: true, text: t('% of Live Capacity') }
+                    }
+                  } : undefined}
+                />
+              </>
+            )}
+          </StationPanel>
+        )}
+
+        {/* Groundwater Data Panel */}
+        {isPanelOpen && selectedLayer === 'groundwater' && featureInfo && (
+          <StationPanel title={t('Groundwater Level Information')} feature={{ layer: 'groundwater', properties: featureInfo }}>
+            <div style={{ marginBottom: '16px', display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+              <button
+                onClick={() => addToCompare('groundwater', featureInfo.unique_id, stationName('groundwater', featureInfo, t), gwChartData)}
+                disabled={gwChartData.length === 0}
                 style={{
-                  width: '100%',
-                  padding: '6px',
-                  border: '1px solid #d1d5db',
-                  borderRadius: '4px',
-                  fontSize: '14px'
+                  padding: '6px 14px',
+                  background: 'white',
+                  color: '#2563eb',
+                  border: '1px solid #2563eb',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: '500'
                 }}
-              />
-            </label>
-            <label style={{ flex: '1', minWidth: '140px' }}>
-              <span style={{ display: 'block', marginBottom: '4px', fontSize: '14px', color: '#4b5563' }}>To:</span>
-              <input 
-                type="date" 
-                value={toDate} 
-                onChange={(e) => setToDate(e.target.value)}
+              >
+                {t('+ Add to compare')}
+              </button>
+
+              <button
+                onClick={refreshStation}
+                title={t('Fetch the latest readings')}
                 style={{
-                  width: '100%',
-                  padding: '6px',
+                  padding: '6px 14px',
+                  background: 'white',
+                  color: '#4b5563',
                   border: '1px solid #d1d5db',
-                  borderRadius: '4px',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
                   fontSize: '14px'
                 }}
+              >
+                {t('Refresh')}
+              </button>
+
+              <WatchStar
+                watched={watch.isWatched('groundwater', featureInfo.unique_id)}
+                disabled={!featureInfo.unique_id}
+                onToggle={() => watch.toggleStation({
+                  layer: 'groundwater',
+                  unique_id: featureInfo.unique_id,
+                  name: stationName('groundwater', featureInfo, t),
+                  longitude: featureInfo.longitude,
+                  latitude: featureInfo.latitude,
+                })}
               />
-            </label>
-          </div>
-
-          <button 
-            onClick={resetZoom} 
-            style={{ 
-              marginBottom: '16px',
-              padding: '8px 16px',
-              background: '#2563eb',
-              color: 'white',
-              border: 'none',
-              borderRadius: '6px',
-              cursor: 'pointer',
-              fontSize: '14px',
-              fontWeight: '500',
-              transition: 'background-color 0.2s',
-              '&:hover': {
-                background: '#1d4ed8'
-              }
-            }}
-          >
-            Reset Zoom
-          </button>
-
-          <div style={{ width: "100%", height: "300px" }}>
-            {gwFilteredData.length > 0 ? (
-              <Line
-                ref={chartRef}
-                data={{
-                  labels: gwFilteredData.map(d => d.date),
-                  datasets: [{
-                    label: "Water Level (mbgl)",
-                    data: gwFilteredData.map(d => d.waterLevel),
-                    borderColor: "#2563eb",
-                    borderWidth: 2,
-                    tension: 0.2,
-                    fill: false,
-                  }],
-                }}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  scales: {
-                    x: {
-                      type: "time",
-                      time: {
-                        unit: "day",
-                        tooltipFormat: "MMM D"
-                      }
-                    }
-                  },
-                  plugins: {
-                    zoom: {
-                      pan: {
-                        enabled: true,
-                        mode: 'x'
-                      },
-                      zoom: {
-                        wheel: { enabled: true },
-                        pinch: { enabled: true },
-                        mode: 'x'
-                      }
-                    }
-                  }
-                }}
+
+              <ExportMenu
+                filename={`groundwater_${featureInfo.unique_id}_${fromDate}_${toDate}`}
+                properties={featureInfo}
+                columns={groundwaterExportColumns}
+                rows={gwFilteredData}
+              />
+            </div>
+
+            <DateRangeFilter
+              value={{ from: fromDate, to: toDate }}
+              onChange={({ from, to }) => { setFromDate(from); setToDate(to); }}
+            />
+
+            {gwQuality && (
+              <DataQualitySummary
+                layer="groundwater"
+                screens={[{ label: t('Water level'), quality: gwQuality }]}
+                options={qualityOptions}
+                onOptionsChange={setQualityOptions}
               />
-            ) : (
-              <p style={{ color: "#ef4444", textAlign: "center", marginTop: "20px" }}>
-                No data available for the selected date range.
-              </p>
             )}
-          </div>
-        </div>
-      )}
-    </div>
+
+            <ForecastControls
+              options={forecastOptions}
+              onOptionsChange={setForecastOptions}
+              forecasts={gwForecast ? [{ label: t('Water level'), unit: 'm', result: gwForecast }] : []}
+            />
+
+            <Hydrograph
+              ref={chartRef}
+              data={{
+                labels: gwFilteredData.map(d => d.date),
+                datasets: [{
+                  label: t("Water Level (mbgl)"),
+                  data: gwFilteredData.map(d => d.waterLevel),
+                  borderColor: "#2563eb",
+                  borderWidth: 2,
+                  tension: 0.2,
+                  fill: false,
+                }, ...(showDecomposition ? decompositionDatasets(gwDecomposition, t) : []),
+                ...(qualityOptions.showFlags && gwQuality ? qualityDatasets(gwQuality, t('Water level'), t) : []),
+                ...(gwForecast && !gwForecast.error ? forecastDatasets(gwForecast, t('Water level'), [37, 99, 235], t) : [])],
+              }}
+              plugins={[qualityBandsPlugin]}
+              pluginOptions={{ qualityBands: { bands: qualityOptions.showFlags && gwQuality ? qualityBands(gwQuality) : [] } }}
+            />
+
+            <GroundwaterAnalytics
+              data={gwFilteredData}
+              showDecomposition={showDecomposition}
+              onToggleDecomposition={() => setShowDecomposition((prev) => !prev)}
+            />
+          </StationPanel>
+        )}
+
+        <TimeSlider map={map} provider={provider} visibleLayers={visibleLayers} filters={adminFilters} />
+
+        <AlertsDrawer map={map} watch={watch} alerts={alerts} onOpenStation={openWatchedStation} />
+
+        <ReportDialog
+          map={map}
+          provider={provider}
+          visibleLayers={visibleLayers}
+          filters={adminFilters}
+          getStationSection={getReportStationSection}
+        />
+
+        <OfflinePanel liveProvider={baseProvider} offline={offline} />
+
+        <RegionalSummary map={map} provider={provider} filters={adminFilters} />
+
+        {/* Comparison Panel */}
+        {compareStations.length > 0 && (
+          <ComparePanel
+            stations={compareStations}
+            selectedChart={selectedChart}
+            fromDate={fromDate}
+            toDate={toDate}
+            onRemove={removeFromCompare}
+            onClear={() => setCompareStations([])}
+          />
+        )}
+      </div>
+    </I18nContext.Provider>
   );
 };
 
@@ -1,96 +1,85 @@
-import React, { useEffect, useRef, useState } from "react";
-import Map from "ol/Map";
-import View from "ol/View";
-import TileLayer from "ol/layer/Tile";
-import OSM from "ol/source/OSM";
-import { fromLonLat } from "ol/proj";
-import { Feature } from "ol";
-import { Point } from "ol/geom";
-import VectorSource from "ol/source/Vector";
-import VectorLayer from "ol/layer/Vector";
-import { Circle, Fill, Stroke, Style } from "ol/style";
-import Overlay from "ol/Overlay";
-import axios from "axios";
-import { Line } from "react-chartjs-2";
+import React, { useMemo, useState } from "react";
+import { useDataProvider } from "./dataProvider";
+import { WaterMap } from "./waterMap";
+import { StationPanel } from "./stationPanel";
+import { Hydrograph, measureDatasets } from "./hydrograph";
+import { DateRangeFilter } from "./dateRangeFilter";
+import { useStationSeries } from "./useStationSeries";
+import { I18nContext, LanguageSwitcher, useLanguage } from "./i18n";
+import {
+  filterGroundwaterSeries,
+  filterReservoirSeries,
+  seriesMeasures,
+  stationName,
+  type DateRange,
+  type LayerKey,
+  type LoadedSeries,
+  type StationDataProvider,
+  type StationProperties,
+} from "./stationModels";
 
-const ReservoirDashboard = () => {
-  const mapRef = useRef();
-  const overlayRef = useRef();
-  const [selectedReservoir, setSelectedReservoir] = useState(null);
-  const [chartData, setChartData] = useState(null);
-  const [dateRange, setDateRange] = useState({ from: "2018-01-01", to: "2020-12-31" });
+// Minimal reservoir dashboard built from the embeddable components: the
+// reservoir layer, a panel for the clicked reservoir and its hydrograph over
+// the chosen dates. BaseMapWithMarkers (reservoir.js) is the full dashboard.
 
-  useEffect(() => {
-    const vectorSource = new VectorSource();
+interface ReservoirDashboardProps {
+  provider?: StationDataProvider;
+  layers?: LayerKey[];
+  initialRange?: DateRange;
+}
 
-    axios.get("https://geosust.co.in/api/reservoirs")
-      .then(response => {
-        response.data.forEach(reservoir => {
-          const feature = new Feature({
-            geometry: new Point(fromLonLat([reservoir.longitude, reservoir.latitude])),
-            ...reservoir
-          });
-          feature.setStyle(new Style({
-            image: new Circle({
-              radius: 6,
-              fill: new Fill({ color: "blue" }),
-              stroke: new Stroke({ color: "white", width: 2 })
-            })
-          }));
-          vectorSource.addFeature(feature);
-        });
-      });
+const filterSeries = (series: LoadedSeries, range: DateRange): LoadedSeries => (series.layer === "reservoir"
+  ? { layer: "reservoir", data: filterReservoirSeries(series.data, range) }
+  : { layer: "groundwater", data: filterGroundwaterSeries(series.data, range) });
 
-    const vectorLayer = new VectorLayer({ source: vectorSource });
-    const map = new Map({
-      target: mapRef.current,
-      layers: [new TileLayer({ source: new OSM() }), vectorLayer],
-      view: new View({ center: fromLonLat([78.9629, 20.5937]), zoom: 5 })
-    });
+const ReservoirDashboard = ({
+  provider: providerProp,
+  layers = ["reservoir"],
+  initialRange = { from: "2018-01-01", to: "2020-12-31" },
+}: ReservoirDashboardProps) => {
+  const provider = useDataProvider(providerProp) as StationDataProvider;
+  const [i18n, setLanguage] = useLanguage();
+  const { t } = i18n;
+  const [selected, setSelected] = useState<{ layer: LayerKey; properties: StationProperties } | null>(null);
+  const [dateRange, setDateRange] = useState<DateRange>(initialRange);
 
-    map.on("singleclick", (event) => {
-      map.forEachFeatureAtPixel(event.pixel, (feature) => {
-        setSelectedReservoir(feature.getProperties());
-        fetchChartData(feature.get("id"));
-        overlayRef.current.setPosition(event.coordinate);
-      });
-    });
-  }, []);
+  const station = useMemo(() => (selected?.properties.unique_id !== undefined
+    ? { layer: selected.layer, unique_id: selected.properties.unique_id }
+    : null), [selected]);
+  const { series, isLoading, error } = useStationSeries(provider, station);
 
-  const fetchChartData = (id) => {
-    axios.get(`https://geosust.co.in/api/water_levels?id=${id}&from=${dateRange.from}&to=${dateRange.to}`)
-      .then(response => {
-        setChartData({
-          labels: response.data.map(d => d.date),
-          datasets: [{
-            label: "Reservoir Water Level (m)",
-            data: response.data.map(d => d.level),
-            borderColor: "blue",
-            borderWidth: 2,
-            fill: false
-          }]
-        });
-      });
-  };
+  const chartData = useMemo(() => ({
+    datasets: series
+      ? measureDatasets(seriesMeasures(filterSeries(series, dateRange))).map((dataset) => ({ ...dataset, label: t(dataset.label ?? "") }))
+      : [],
+  }), [series, dateRange, t]);
 
   return (
-    <div>
-      <h2>Reservoir Monitoring Dashboard</h2>
-      <div ref={mapRef} style={{ width: "100%", height: "500px" }}></div>
-      <div ref={overlayRef} style={{ background: "white", padding: "10px", position: "absolute", display: selectedReservoir ? "block" : "none" }}>
-        {selectedReservoir && (
-          <div>
-            <h4>{selectedReservoir.reservoir_name}</h4>
-            <p><strong>State:</strong> {selectedReservoir.state}</p>
-            <p><strong>Latitude:</strong> {selectedReservoir.latitude}</p>
-            <p><strong>Longitude:</strong> {selectedReservoir.longitude}</p>
-          </div>
+    <I18nContext.Provider value={i18n}>
+      <div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2>{t("Reservoir Monitoring Dashboard")}</h2>
+          <LanguageSwitcher value={i18n.language} onChange={setLanguage} />
+        </div>
+        <WaterMap
+          provider={provider}
+          layers={layers}
+          onStationClick={(layer, properties) => setSelected({ layer, properties })}
+        />
+        {selected && (
+          <StationPanel
+            title={stationName(selected.layer, selected.properties, t)}
+            feature={selected}
+            onClose={() => setSelected(null)}
+          >
+            <DateRangeFilter value={dateRange} onChange={setDateRange} />
+            {isLoading && <p role="status" style={{ color: "#6b7280" }}>{t("Loading series…")}</p>}
+            {error && <p style={{ color: "#ef4444" }}>{error}</p>}
+            {!isLoading && !error && <Hydrograph data={chartData} />}
+          </StationPanel>
         )}
       </div>
-      <label>From: <input type="date" value={dateRange.from} onChange={e => setDateRange({ ...dateRange, from: e.target.value })} /></label>
-      <label>To: <input type="date" value={dateRange.to} onChange={e => setDateRange({ ...dateRange, to: e.target.value })} /></label>
-      {chartData && <Line data={chartData} />}
-    </div>
+    </I18nContext.Provider>
   );
 };
 
@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from './i18n';
+
+// Attributes matched by the search box, per station layer.
+export const searchFields = {
+  reservoir: ['name_of_reservoir'],
+  groundwater: ['site_name', 'site_id', 'unique_id'],
+};
+
+const MIN_QUERY_LENGTH = 2;
+const RESULTS_PER_LAYER = 8;
+const DEBOUNCE_MS = 250;
+
+const describe = (layer, properties) => (layer === 'reservoir'
+  ? {
+    title: properties.name_of_reservoir ?? properties.unique_id,
+    detail: [properties.state, properties.basin].filter(Boolean).join(' · '),
+  }
+  : {
+    title: properties.site_name ?? properties.site_id ?? properties.unique_id,
+    detail: [properties.site_id, properties.district_name, properties.state_name].filter(Boolean).join(' · '),
+  });
+
+export const searchStations = async (provider, text) => {
+  const results = await Promise.all(Object.entries(searchFields).map(async ([layer, fields]) => {
+    const features = await provider.searchFeatures(layer, fields, text, RESULTS_PER_LAYER);
+    return features.map((feature) => ({
+      key: `${layer}:${feature.properties.unique_id}`,
+      layer,
+      properties: feature.properties,
+      ...describe(layer, feature.properties),
+    }));
+  }));
+  return results.flat();
+};
+
+export const StationSearch = ({ provider, onSelect }) => {
+  const { t } = useI18n();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      requestIdRef.current++;
+      setResults([]);
+      return undefined;
+    }
+
+    const requestId = ++requestIdRef.current;
+    const timer = setTimeout(async () => {
+      try {
+        const matches = await searchStations(provider, text);
+        if (requestId === requestIdRef.current) {
+          setResults(matches);
+          setHighlighted(0);
+        }
+      } catch (error) {
+        console.error('Error searching stations:', error);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [provider, query]);
+
+  const select = (result) => {
+    setQuery(result.title);
+    setIsOpen(false);
+    onSelect(result.layer, result.properties);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((prev) => Math.min(prev + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((prev) => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && results[highlighted]) {
+      select(results[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      left: '38%',
+      width: '280px',
+      zIndex: 1001
+    }}>
+      <input
+        type="search"
+        value={query}
+        placeholder={t('Search reservoir or well…')}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '10px 12px',
+          border: 'none',
+          borderRadius: '8px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+          fontSize: '14px'
+        }}
+      />
+      {isOpen && results.length > 0 && (
+        <ul style={{
+          listStyle: 'none',
+          margin: '4px 0 0',
+          padding: '4px 0',
+          background: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+          maxHeight: '320px',
+          overflow: 'auto'
+        }}>
+          {results.map((result, index) => (
+            <li
+              key={result.key}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(result);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              style={{
+                padding: '6px 12px',
+                cursor: 'pointer',
+                background: index === highlighted ? '#eff6ff' : 'white'
+              }}
+            >
+              <div style={{ fontSize: '14px', color: '#1f2937' }}>
+                {result.title}
+                <span style={{ marginLeft: '6px', fontSize: '12px', color: '#6b7280' }}>
+                  {t(result.layer === 'reservoir' ? 'Reservoir' : 'Well')}
+                </span>
+              </div>
+              {result.detail && (
+                <div style={{ fontSize: '12px', color: '#6b7280' }}>{result.detail}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
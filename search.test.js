@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { createFixtureProvider } from './dataProvider';
+import { searchStations } from './search';
+
+const provider = createFixtureProvider({
+  reservoir: {
+    stations: [{ unique_id: 'R1', name_of_reservoir: 'Sambalpur Weir', state: 'Odisha', basin: 'Mahanadi' }],
+    series: {},
+  },
+  groundwater: {
+    stations: [
+      { unique_id: 'G1', site_name: 'Sambalpur', site_id: 'W0101', district_name: 'Sambalpur', state_name: 'Odisha' },
+      { unique_id: 'G2', site_id: 'W0102', state_name: 'Odisha' },
+    ],
+    series: {},
+  },
+});
+
+describe('searchStations', () => {
+  it('searches both layers and describes each hit', async () => {
+    const results = await searchStations(provider, 'sambal');
+    expect(results.map(({ key, title, detail }) => ({ key, title, detail }))).toEqual([
+      { key: 'reservoir:R1', title: 'Sambalpur Weir', detail: 'Odisha · Mahanadi' },
+      { key: 'groundwater:G1', title: 'Sambalpur', detail: 'W0101 · Sambalpur · Odisha' },
+    ]);
+  });
+
+  it('matches wells by id and titles them by site id without a name', async () => {
+    const [result] = await searchStations(provider, 'W0102');
+    expect(result).toMatchObject({ key: 'groundwater:G2', title: 'W0102' });
+  });
+});
@@ -0,0 +1,315 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Draw, { createBox } from 'ol/interaction/Draw';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import { circular } from 'ol/geom/Polygon';
+import { toLonLat } from 'ol/proj';
+import { getDistance } from 'ol/sphere';
+import { Fill, Stroke, Style } from 'ol/style';
+import { MAX_COMPARE_STATIONS } from './compare';
+import { ExportMenu, tableFormats } from './export';
+import { useI18n } from './i18n';
+
+const STATION_LAYERS = ['reservoir', 'groundwater'];
+const CIRCLE_SIDES = 64;
+
+const tools = [
+  { id: 'polygon', label: 'Polygon' },
+  { id: 'box', label: 'Rectangle' },
+  { id: 'circle', label: 'Circle' },
+  { id: 'radius', label: 'Radius' },
+];
+
+const shapeStyle = new Style({
+  fill: new Fill({ color: 'rgba(37, 99, 235, 0.12)' }),
+  stroke: new Stroke({ color: '#2563eb', width: 2 }),
+});
+
+const createDraw = (source, tool) => {
+  switch (tool) {
+    case 'polygon':
+      return new Draw({ source, type: 'Polygon' });
+    case 'box':
+      return new Draw({ source, type: 'Circle', geometryFunction: createBox() });
+    case 'circle':
+      return new Draw({ source, type: 'Circle' });
+    default:
+      return new Draw({ source, type: 'Point' });
+  }
+};
+
+// Turns a drawn map geometry (EPSG:3857) into the EPSG:4326 polygon to query
+// with, plus the point distances are measured from. Circles become geodesic
+// polygons so the radius is a true ground distance.
+const toQueryShape = (geometry, tool, radiusKm) => {
+  if (tool === 'radius') {
+    const center = toLonLat(geometry.getCoordinates());
+    return { polygon: circular(center, radiusKm * 1000, CIRCLE_SIDES), center };
+  }
+  if (tool === 'circle') {
+    const [cx, cy] = geometry.getCenter();
+    const center = toLonLat([cx, cy]);
+    const radius = getDistance(center, toLonLat([cx + geometry.getRadius(), cy]));
+    return { polygon: circular(center, radius, CIRCLE_SIDES), center };
+  }
+  const polygon = geometry.clone().transform('EPSG:3857', 'EPSG:4326');
+  return { polygon, center: polygon.getInteriorPoint().getCoordinates().slice(0, 2) };
+};
+
+const toRow = (layer, properties, center) => {
+  const longitude = parseFloat(properties.longitude);
+  const latitude = parseFloat(properties.latitude);
+  const hasLocation = Number.isFinite(longitude) && Number.isFinite(latitude);
+  return {
+    key: `${layer}:${properties.unique_id}`,
+    layer,
+    unique_id: properties.unique_id,
+    name: (layer === 'reservoir' ? properties.name_of_reservoir : properties.site_name) ?? properties.unique_id,
+    state: layer === 'reservoir' ? properties.state : properties.state_name,
+    area: layer === 'reservoir' ? properties.basin : properties.district_name,
+    longitude,
+    latitude,
+    distance_km: hasLocation ? getDistance(center, [longitude, latitude]) / 1000 : null,
+    properties,
+  };
+};
+
+const columns = [
+  { key: 'layer', label: 'Type' },
+  { key: 'name', label: 'Name' },
+  { key: 'state', label: 'State' },
+  { key: 'area', label: 'District / Basin' },
+  { key: 'distance_km', label: 'Distance (km)' },
+];
+
+const exportColumns = [
+  { key: 'layer', label: 'Type' },
+  { key: 'unique_id', label: 'Unique ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'state', label: 'State' },
+  { key: 'area', label: 'District / Basin' },
+  { key: 'latitude', label: 'Latitude' },
+  { key: 'longitude', label: 'Longitude' },
+  { key: 'distance_km', label: 'Distance (km)' },
+];
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+};
+
+const toolButtonStyle = (active) => ({
+  padding: '4px 10px',
+  background: active ? '#2563eb' : 'white',
+  color: active ? 'white' : '#374151',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '13px'
+});
+
+const headerCellStyle = { padding: '4px 6px', borderBottom: '1px solid #e5e7eb', cursor: 'pointer', whiteSpace: 'nowrap' };
+const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #f3f4f6' };
+
+// Drawing toolbar plus the table of every station inside the drawn shape.
+// onDrawingChange lets the map suppress station clicks while a tool is armed.
+export const SpatialQueryPanel = ({ map, provider, onOpenStation, onCompareStations, onDrawingChange }) => {
+  const { t } = useI18n();
+  const [tool, setTool] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(10);
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: 'distance_km', direction: 1 });
+  const sourceRef = useRef(new VectorSource());
+  const queryIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const layer = new VectorLayer({ source: sourceRef.current, style: shapeStyle, zIndex: 10 });
+    map.addLayer(layer);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    onDrawingChange?.(tool !== null);
+    if (!map || !tool) return undefined;
+
+    const source = sourceRef.current;
+    const draw = createDraw(source, tool);
+
+    draw.on('drawstart', () => {
+      source.clear();
+    });
+
+    draw.on('drawend', async (event) => {
+      const { polygon, center } = toQueryShape(event.feature.getGeometry(), tool, radiusKm);
+      if (tool === 'radius') {
+        event.feature.setGeometry(polygon.clone().transform('EPSG:4326', 'EPSG:3857'));
+      }
+
+      const queryId = ++queryIdRef.current;
+      setIsLoading(true);
+      setError(null);
+      try {
+        const matches = await Promise.all(STATION_LAYERS.map(async (layer) => {
+          const features = await provider.queryFeatures(layer, polygon);
+          return features.map((feature) => toRow(layer, feature.properties, center));
+        }));
+        if (queryId === queryIdRef.current) setResults(matches.flat());
+      } catch (err) {
+        console.error('Error querying stations:', err);
+        if (queryId === queryIdRef.current) setError(err.message);
+      } finally {
+        if (queryId === queryIdRef.current) setIsLoading(false);
+      }
+    });
+
+    map.addInteraction(draw);
+    return () => {
+      map.removeInteraction(draw);
+    };
+  }, [map, provider, tool, radiusKm]);
+
+  const sortedResults = useMemo(() => {
+    if (!results) return [];
+    return [...results].sort((a, b) => sort.direction * compareValues(a[sort.key], b[sort.key]));
+  }, [results, sort]);
+
+  const toggleSort = (key) => {
+    setSort((prev) => ({ key, direction: prev.key === key ? -prev.direction : 1 }));
+  };
+
+  const clear = () => {
+    sourceRef.current.clear();
+    setResults(null);
+    setError(null);
+    setTool(null);
+  };
+
+  return (
+    <>
+      <div style={{
+        position: 'absolute',
+        top: '10px',
+        left: '50px',
+        zIndex: 1000,
+        background: 'white',
+        padding: '8px 12px',
+        borderRadius: '8px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+        display: 'flex',
+        gap: '6px',
+        alignItems: 'center'
+      }}>
+        {tools.map((option) => (
+          <button
+            key={option.id}
+            onClick={() => setTool((prev) => (prev === option.id ? null : option.id))}
+            style={toolButtonStyle(tool === option.id)}
+          >
+            {t(option.label)}
+          </button>
+        ))}
+        {tool === 'radius' && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' }}>
+            <input
+              type="number"
+              min="0.1"
+              step="0.5"
+              value={radiusKm}
+              onChange={(e) => setRadiusKm(parseFloat(e.target.value) || 0)}
+              style={{ width: '60px', padding: '3px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+            />
+            km
+          </label>
+        )}
+        <button onClick={clear} style={toolButtonStyle(false)}>{t('Clear')}</button>
+      </div>
+
+      {(results || isLoading || error) && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          left: '50px',
+          width: '460px',
+          maxHeight: '420px',
+          overflow: 'auto',
+          zIndex: 1000,
+          background: 'white',
+          padding: '12px',
+          borderRadius: '8px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <h4 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: '#1f2937' }}>
+              {isLoading ? t('Searching…') : t('Stations in area ({count})', { count: sortedResults.length })}
+            </h4>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={() => onCompareStations(sortedResults.slice(0, MAX_COMPARE_STATIONS))}
+                disabled={sortedResults.length === 0}
+                title={sortedResults.length > MAX_COMPARE_STATIONS
+                  ? t('The comparison chart holds {count} stations; the first {count} in the table are charted.', { count: MAX_COMPARE_STATIONS })
+                  : undefined}
+                style={toolButtonStyle(false)}
+              >
+                {sortedResults.length > MAX_COMPARE_STATIONS
+                  ? t('Chart first {count}', { count: MAX_COMPARE_STATIONS })
+                  : t('Chart all')}
+              </button>
+              <ExportMenu
+                filename="stations_in_area"
+                columns={exportColumns}
+                rows={sortedResults}
+                formats={tableFormats}
+              />
+            </div>
+          </div>
+
+          {error && (
+            <p style={{ color: "#ef4444", margin: '8px 0' }}>{t('Query failed')}: {error}</p>
+          )}
+
+          {sortedResults.length > 0 && (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ background: '#f9fafb', textAlign: 'left' }}>
+                  {columns.map((c) => (
+                    <th key={c.key} style={headerCellStyle} onClick={() => toggleSort(c.key)}>
+                      {t(c.label)}{sort.key === c.key ? (sort.direction > 0 ? ' ▲' : ' ▼') : ''}
+                    </th>
+                  ))}
+                  <th style={headerCellStyle} />
+                </tr>
+              </thead>
+              <tbody>
+                {sortedResults.map((row) => (
+                  <tr key={row.key}>
+                    <td style={cellStyle}>{t(row.layer === 'reservoir' ? 'Reservoir' : 'Well')}</td>
+                    <td style={cellStyle}>{row.name}</td>
+                    <td style={cellStyle}>{row.state ?? t('N/A')}</td>
+                    <td style={cellStyle}>{row.area ?? t('N/A')}</td>
+                    <td style={cellStyle}>{row.distance_km === null ? t('N/A') : row.distance_km.toFixed(1)}</td>
+                    <td style={cellStyle}>
+                      <button
+                        onClick={() => onOpenStation(row.layer, row.properties)}
+                        style={{ border: 'none', background: 'none', color: '#2563eb', cursor: 'pointer', fontSize: '13px' }}
+                      >
+                        {t('Open')}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { inDateRange, stationName, toGroundwaterSeries } from './stationModels';
+
+describe('stationName', () => {
+  it('prefers the layer name fields', () => {
+    expect(stationName('reservoir', { unique_id: 'R1', name_of_reservoir: 'Bhakra' })).toBe('Bhakra');
+    expect(stationName('groundwater', { unique_id: 'G1', site_id: 'W01001' })).toBe('W01001');
+  });
+
+  it('falls back to the id, then to a placeholder', () => {
+    expect(stationName('groundwater', { unique_id: 'G1', site_name: ' ' })).toBe('G1');
+    expect(stationName('reservoir', {})).toBe('Unnamed station');
+    expect(stationName('reservoir', {}, (text) => `[${text}]`)).toBe('[Unnamed station]');
+  });
+});
+
+describe('toGroundwaterSeries', () => {
+  it('drops empty readings and parses the rest', () => {
+    expect(toGroundwaterSeries([
+      { date: '2020-01-15T00:00:00Z', wl_mbgl: '5.5' },
+      { date: '2020-02-15T00:00:00Z', wl_mbgl: null },
+    ])).toEqual([{ date: '2020-01-15', waterLevel: 5.5 }]);
+  });
+});
+
+describe('inDateRange', () => {
+  it('treats empty bounds as open', () => {
+    expect(inDateRange('2020-05-01', { from: '', to: '' })).toBe(true);
+    expect(inDateRange('2020-05-01', { from: '2020-06-01', to: '' })).toBe(false);
+  });
+});
@@ -0,0 +1,180 @@
+import type BaseLayer from 'ol/layer/Base';
+import type { Coordinate } from 'ol/coordinate';
+import { createI18n, type I18n } from './i18n';
+
+// Typed station and series models shared by the dashboards and the embeddable
+// components (see index.ts). Attribute names are the ones the station layers
+// serve; numbers often arrive as strings, so both are allowed.
+
+export type LayerKey = 'reservoir' | 'groundwater';
+
+type Attribute = string | number | null | undefined;
+
+export interface StationRef {
+  layer: LayerKey;
+  unique_id: string | number;
+}
+
+export interface ReservoirProperties {
+  unique_id?: string | number;
+  name_of_reservoir?: string;
+  state?: string;
+  basin?: string;
+  frl_m?: Attribute;
+  live_capacit_y_at_frl_bcm?: Attribute;
+  longitude?: Attribute;
+  latitude?: Attribute;
+  [field: string]: unknown;
+}
+
+export interface GroundwaterProperties {
+  unique_id?: string | number;
+  objectid?: Attribute;
+  site_id?: string;
+  site_name?: string;
+  site_type?: string;
+  state_name?: string;
+  district_name?: string;
+  block_name?: string;
+  depth?: Attribute;
+  longitude?: Attribute;
+  latitude?: Attribute;
+  [field: string]: unknown;
+}
+
+export type StationProperties = ReservoirProperties | GroundwaterProperties;
+
+// Rows as the series endpoints return them.
+export interface ReservoirReading {
+  acq_dt: string;
+  current_reservoir_level_m: Attribute;
+  current_live_storage_bcm: Attribute;
+}
+
+export interface GroundwaterReading {
+  date: string;
+  wl_mbgl: Attribute;
+}
+
+// Parallel arrays per reading date; NaN where a value did not parse.
+export interface ReservoirSeries {
+  unique_id: string | number;
+  labels: string[];
+  reservoirLevels: number[];
+  storageValues: number[];
+}
+
+export interface GroundwaterPoint {
+  date: string;
+  waterLevel: number;
+}
+
+// ISO dates; an empty bound is open.
+export interface DateRange {
+  from: string;
+  to: string;
+}
+
+// One plotted quantity of a station.
+export interface Measure {
+  id: string;
+  label: string;
+  unit: string;
+  points: { date: string; value: number }[];
+}
+
+export type LoadedSeries =
+  | { layer: 'reservoir'; data: ReservoirSeries }
+  | { layer: 'groundwater'; data: GroundwaterPoint[] };
+
+// The part of the data provider contract (dataProvider.js) the components use.
+export interface StationDataProvider {
+  name: string;
+  layers: Record<LayerKey, string>;
+  createLayer(layerKey: LayerKey, options?: Record<string, unknown>): BaseLayer;
+  getFeatureInfo(
+    layerKey: LayerKey,
+    layer: BaseLayer,
+    coordinate: Coordinate,
+    resolution: number,
+    options?: { signal?: AbortSignal; featureCount?: number }
+  ): Promise<{ properties: StationProperties }[]>;
+  fetchGroundwaterSeries(unique_id: string | number, options?: { signal?: AbortSignal }): Promise<GroundwaterReading[]>;
+  fetchReservoirSeries(
+    unique_id: string | number,
+    options?: { signal?: AbortSignal }
+  ): Promise<{ status?: string; data?: ReservoirReading[]; error?: string }>;
+}
+
+const parseAttribute = (value: Attribute): number => parseFloat(String(value));
+
+export const toIsoDate = (date: string | number | Date): string => new Date(date).toISOString().split('T')[0];
+
+export const toReservoirSeries = (unique_id: string | number, data: ReservoirReading[]): ReservoirSeries => ({
+  unique_id,
+  labels: data.map((d) => d.acq_dt),
+  reservoirLevels: data.map((d) => parseAttribute(d.current_reservoir_level_m)),
+  storageValues: data.map((d) => parseAttribute(d.current_live_storage_bcm)),
+});
+
+export const toGroundwaterSeries = (data: GroundwaterReading[]): GroundwaterPoint[] => data
+  .filter((entry) => entry.wl_mbgl !== null)
+  .map((entry) => ({
+    date: toIsoDate(entry.date),
+    waterLevel: parseAttribute(entry.wl_mbgl),
+  }));
+
+// Readings the service returned empty; kept apart so data quality can show them.
+export const missingGroundwaterDates = (data: GroundwaterReading[]): string[] => data
+  .filter((entry) => entry.wl_mbgl === null)
+  .map((entry) => toIsoDate(entry.date));
+
+const english = createI18n('en');
+
+const nameFields: Record<LayerKey, string[]> = {
+  reservoir: ['name_of_reservoir'],
+  groundwater: ['site_name', 'site_id'],
+};
+
+// The first name field with text, then the station's id, then a placeholder.
+export const stationName = (layer: LayerKey, properties: StationProperties, t: I18n['t'] = english.t): string => {
+  const name = [...nameFields[layer], 'unique_id']
+    .map((field) => properties[field])
+    .find((value) => value !== null && value !== undefined && String(value).trim() !== '');
+  return name === undefined ? t('Unnamed station') : String(name).trim();
+};
+
+export const inDateRange = (date: string, { from, to }: DateRange): boolean => {
+  const time = new Date(date).getTime();
+  return (!from || time >= new Date(from).getTime()) && (!to || time <= new Date(to).getTime());
+};
+
+export const filterReservoirSeries = (series: ReservoirSeries, range: DateRange): ReservoirSeries => {
+  const indices = series.labels
+    .map((label, index) => (inDateRange(label, range) ? index : -1))
+    .filter((index) => index >= 0);
+  return {
+    unique_id: series.unique_id,
+    labels: indices.map((index) => series.labels[index]),
+    reservoirLevels: indices.map((index) => series.reservoirLevels[index]),
+    storageValues: indices.map((index) => series.storageValues[index]),
+  };
+};
+
+export const filterGroundwaterSeries = (points: GroundwaterPoint[], range: DateRange): GroundwaterPoint[] => points
+  .filter((point) => inDateRange(point.date, range));
+
+// Plottable measures of a loaded series; unparsed values are left out.
+export const seriesMeasures = (series: LoadedSeries): Measure[] => {
+  const finite = (points: { date: string; value: number }[]) => points.filter((p) => Number.isFinite(p.value));
+  if (series.layer === 'reservoir') {
+    const { labels, reservoirLevels, storageValues } = series.data;
+    return [
+      { id: 'level', label: 'Reservoir Level', unit: 'm', points: finite(labels.map((date, i) => ({ date, value: reservoirLevels[i] }))) },
+      { id: 'storage', label: 'Live Storage', unit: 'BCM', points: finite(labels.map((date, i) => ({ date, value: storageValues[i] }))) },
+    ];
+  }
+  return [
+    { id: 'waterLevel', label: 'Water Level', unit: 'mbgl', points: finite(series.data.map((d) => ({ date: d.date, value: d.waterLevel }))) },
+  ];
+};
@@ -0,0 +1,216 @@
+import React, { useEffect, useRef, useState } from 'react';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import { fromLonLat } from 'ol/proj';
+import { Circle, Fill, Stroke, Style } from 'ol/style';
+import { fetchViewStations } from './report';
+import { stationName } from './stationModels';
+import { useI18n } from './i18n';
+
+// Keyboard access to the stations on the map: a list of the visible layers'
+// stations inside the view, refreshed as the map moves. Arrow keys cycle
+// through it (Home/End jump to the ends); the focused station is ringed on
+// the map and previewed in the hover popup, Enter opens it as a click would
+// and Escape closes the list.
+
+export const MAX_NAVIGATOR_STATIONS = 200;
+
+const focusStyle = new Style({
+  image: new Circle({
+    radius: 12,
+    fill: new Fill({ color: 'rgba(245, 158, 11, 0.15)' }),
+    stroke: new Stroke({ color: '#f59e0b', width: 3 }),
+  }),
+});
+
+export const stationPosition = (properties) => {
+  const position = [parseFloat(properties.longitude), parseFloat(properties.latitude)];
+  return position.every(Number.isFinite) ? position : null;
+};
+
+// Stations by layer, then name, as [{ layerKey, properties, name }].
+const listStations = (groups, t) => groups
+  .flatMap(({ layerKey, rows }) => rows.map((properties) => ({ layerKey, properties, name: stationName(layerKey, properties, t) })))
+  .sort((a, b) => a.layerKey.localeCompare(b.layerKey) || a.name.localeCompare(b.name))
+  .slice(0, MAX_NAVIGATOR_STATIONS);
+
+const toggleStyle = {
+  padding: '6px 10px',
+  background: 'white',
+  color: '#1f2937',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '13px',
+  boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)'
+};
+
+// `onFocusStation(station)` gets the focused { layerKey, properties }, or null
+// when focus leaves the list; `onOpenStation(layerKey, properties)` opens one.
+export const StationNavigator = ({ map, provider, visibleLayers, filters, onFocusStation, onOpenStation }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [stations, setStations] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isLoading, setIsLoading] = useState(false);
+  const sourceRef = useRef(new VectorSource());
+  const toggleRef = useRef(null);
+  const listRef = useRef(null);
+  const idPrefix = useRef(`station-nav-${Math.random().toString(36).slice(2)}`).current;
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const layer = new VectorLayer({ source: sourceRef.current, zIndex: 13 });
+    map.addLayer(layer);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map]);
+
+  // The latest listing wins; one still loading when the view moves is dropped.
+  useEffect(() => {
+    if (!map || !isOpen) return undefined;
+    let request = 0;
+    const refresh = async () => {
+      request += 1;
+      const current = request;
+      setIsLoading(true);
+      try {
+        const groups = await fetchViewStations(provider, map, visibleLayers, filters);
+        if (current !== request) return;
+        setStations(listStations(groups, t));
+        setActiveIndex(-1);
+      } catch (error) {
+        console.error('Error listing stations in view:', error);
+      } finally {
+        if (current === request) setIsLoading(false);
+      }
+    };
+    refresh();
+    map.on('moveend', refresh);
+    return () => {
+      request += 1;
+      map.un('moveend', refresh);
+    };
+  }, [map, provider, visibleLayers, filters, isOpen, t]);
+
+  const activeStation = isOpen ? stations[activeIndex] ?? null : null;
+
+  useEffect(() => {
+    const source = sourceRef.current;
+    source.clear();
+    const position = activeStation && stationPosition(activeStation.properties);
+    if (position) {
+      const feature = new Feature(new Point(fromLonLat(position)));
+      feature.setStyle(focusStyle);
+      source.addFeature(feature);
+    }
+    onFocusStation?.(activeStation);
+    document.getElementById(`${idPrefix}-${activeIndex}`)?.scrollIntoView({ block: 'nearest' });
+  }, [activeStation]);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    toggleRef.current?.focus();
+  };
+
+  const handleKeyDown = (event) => {
+    const count = stations.length;
+    const moves = {
+      ArrowDown: () => (activeIndex + 1) % count,
+      ArrowUp: () => (activeIndex <= 0 ? count - 1 : activeIndex - 1),
+      Home: () => 0,
+      End: () => count - 1,
+    };
+    if (moves[event.key] && count > 0) {
+      event.preventDefault();
+      setActiveIndex(moves[event.key]());
+    } else if (event.key === 'Enter' && activeStation) {
+      event.preventDefault();
+      onOpenStation(activeStation.layerKey, activeStation.properties);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    }
+  };
+
+  const open = () => {
+    setIsOpen(true);
+    // Focus the list once it is rendered so the arrow keys work straight away.
+    setTimeout(() => listRef.current?.focus(), 0);
+  };
+
+  return (
+    <div>
+      <button
+        ref={toggleRef}
+        onClick={() => (isOpen ? close() : open())}
+        aria-expanded={isOpen}
+        aria-controls={`${idPrefix}-list`}
+        style={toggleStyle}
+      >
+        {t('Stations in view')}{isOpen && !isLoading ? ` (${stations.length})` : ''}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          marginTop: '6px',
+          width: '260px',
+          background: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+          padding: '8px',
+          fontSize: '13px'
+        }}>
+          <p id={`${idPrefix}-help`} style={{ margin: '0 0 6px', fontSize: '12px', color: '#6b7280' }}>
+            {t('Use the arrow keys to move between stations and Enter to open one.')}
+          </p>
+          <ul
+            ref={listRef}
+            id={`${idPrefix}-list`}
+            role="listbox"
+            tabIndex={0}
+            aria-label={t('Stations in view')}
+            aria-describedby={`${idPrefix}-help`}
+            aria-activedescendant={activeStation ? `${idPrefix}-${activeIndex}` : undefined}
+            aria-busy={isLoading}
+            onKeyDown={handleKeyDown}
+            style={{ listStyle: 'none', margin: 0, padding: 0, maxHeight: '240px', overflow: 'auto', outlineOffset: '2px' }}
+          >
+            {stations.map((station, index) => (
+              <li
+                key={`${station.layerKey}:${station.properties.unique_id}`}
+                id={`${idPrefix}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onClick={() => setActiveIndex(index)}
+                onDoubleClick={() => onOpenStation(station.layerKey, station.properties)}
+                style={{
+                  padding: '4px 6px',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  background: index === activeIndex ? '#dbeafe' : 'none',
+                  color: '#1f2937'
+                }}
+              >
+                {station.name}
+                <span style={{ color: '#6b7280' }}>
+                  {' '}({t(station.layerKey === 'reservoir' ? 'Reservoir' : 'Groundwater well')})
+                </span>
+              </li>
+            ))}
+          </ul>
+          {isLoading && <p role="status" style={{ margin: '6px 0 0', color: '#6b7280' }}>{t('Loading stations…')}</p>}
+          {!isLoading && stations.length === 0 && (
+            <p role="status" style={{ margin: '6px 0 0', color: '#6b7280' }}>
+              {t('No stations in view. Turn on a station layer or zoom out.')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
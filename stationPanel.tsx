@@ -0,0 +1,63 @@
+import React, { useRef, type ReactNode } from 'react';
+import { useI18n } from './i18n';
+import { AttributeTable } from './attributes';
+import type { LayerKey, StationProperties } from './stationModels';
+
+export interface StationPanelProps {
+  title: ReactNode;
+  // The station whose attributes are listed under the title (see attributes.tsx).
+  feature?: { layer: LayerKey; properties: StationProperties };
+  onClose?: () => void;
+  children?: ReactNode;
+}
+
+const panelStyle: React.CSSProperties = {
+  position: 'fixed',
+  top: '20px',
+  right: '70px',
+  width: '400px',
+  background: 'white',
+  padding: '16px',
+  borderRadius: '12px',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+  zIndex: 999,
+  overflow: 'auto',
+  maxHeight: 'calc(100vh - 40px)'
+};
+
+// The floating side panel a station opens in: title, attribute table, then
+// whatever the caller adds (actions, filters, charts). It is a labelled
+// region, and Escape inside it closes it.
+export const StationPanel = ({ title, feature, onClose, children }: StationPanelProps) => {
+  const { t } = useI18n();
+  const titleId = useRef(`station-panel-${Math.random().toString(36).slice(2)}`).current;
+  return (
+    <div
+      role="region"
+      aria-labelledby={titleId}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape' && onClose) onClose();
+      }}
+      style={panelStyle}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+        <h4 id={titleId} style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1f2937' }}>
+          {title}
+        </h4>
+        {onClose && (
+          <button
+            onClick={onClose}
+            aria-label={t('Close')}
+            style={{ border: 'none', background: 'none', fontSize: '18px', cursor: 'pointer', color: '#6b7280' }}
+          >
+            ×
+          </button>
+        )}
+      </div>
+
+      {feature && <AttributeTable layer={feature.layer} view="panel" properties={feature.properties} />}
+
+      {children}
+    </div>
+  );
+};
@@ -0,0 +1,153 @@
+import React, { useMemo } from 'react';
+import { createI18n, useI18n } from './i18n';
+
+// Reservoir storage indicators relative to the full reservoir level (FRL) and
+// live capacity at FRL. Series are the { labels, reservoirLevels, storageValues }
+// shape BaseMapWithMarkers keeps in chartData.
+
+const english = createI18n('en');
+
+const MS_PER_DAY = 86400000;
+// Readings within this many days of the anniversary count as "same day".
+const SAME_DAY_WINDOW = 3;
+
+// Percent of live capacity; anything at or below a threshold takes its status.
+export const DEFAULT_STORAGE_THRESHOLDS = {
+  severeDrought: 20,
+  drought: 40,
+  flood: 95,
+};
+
+export const percentOfCapacity = (storageValues, capacity) => {
+  const liveCapacity = parseFloat(capacity);
+  if (!Number.isFinite(liveCapacity) || liveCapacity <= 0) return storageValues.map(() => null);
+  return storageValues.map((value) => (Number.isFinite(value) ? (value / liveCapacity) * 100 : null));
+};
+
+export const storageStatus = (percent, thresholds = DEFAULT_STORAGE_THRESHOLDS) => {
+  if (percent === null || percent === undefined) return { id: 'unknown', label: 'No data', color: '#6b7280' };
+  if (percent >= thresholds.flood) return { id: 'flood', label: 'Flood risk', color: '#2563eb' };
+  if (percent <= thresholds.severeDrought) return { id: 'severe-drought', label: 'Severe drought', color: '#b91c1c' };
+  if (percent <= thresholds.drought) return { id: 'drought', label: 'Drought', color: '#f59e0b' };
+  return { id: 'normal', label: 'Normal', color: '#16a34a' };
+};
+
+// Storage nearest to `date` within the same-day window, or null.
+const valueNear = (timestamps, values, date) => {
+  let best = null;
+  let bestDistance = SAME_DAY_WINDOW * MS_PER_DAY;
+  timestamps.forEach((timestamp, index) => {
+    const distance = Math.abs(timestamp - date);
+    if (distance <= bestDistance && Number.isFinite(values[index])) {
+      best = values[index];
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// Compares the storage on `asOf` with the same day last year and with the
+// average of the same day over every earlier year in the record.
+export const sameDayComparison = (series, asOf) => {
+  const timestamps = series.labels.map((label) => new Date(label).getTime());
+  const asOfDate = new Date(asOf);
+  const current = valueNear(timestamps, series.storageValues, asOfDate.getTime());
+
+  const firstYear = Math.min(...timestamps.map((t) => new Date(t).getUTCFullYear()));
+  const previous = [];
+  for (let year = asOfDate.getUTCFullYear() - 1; year >= firstYear; year--) {
+    const anniversary = new Date(asOfDate);
+    anniversary.setUTCFullYear(year);
+    const value = valueNear(timestamps, series.storageValues, anniversary.getTime());
+    if (value !== null) previous.push({ year, value });
+  }
+
+  const lastYear = previous.find((p) => p.year === asOfDate.getUTCFullYear() - 1)?.value ?? null;
+  const average = previous.length > 0
+    ? previous.reduce((sum, p) => sum + p.value, 0) / previous.length
+    : null;
+
+  return { current, lastYear, average, years: previous.length };
+};
+
+export const frlDataset = (labels, frl, t = english.t) => ({
+  label: t('FRL (m)'),
+  data: labels.map(() => parseFloat(frl)),
+  borderColor: "#6b7280",
+  borderWidth: 1.5,
+  borderDash: [8, 4],
+  pointRadius: 0,
+  fill: false,
+});
+
+export const percentFilledDataset = (percentValues, t = english.t) => ({
+  label: t('% of Live Capacity'),
+  data: percentValues,
+  borderColor: "#0d9488",
+  borderWidth: 2,
+  pointRadius: 0,
+  tension: 0.2,
+  fill: false,
+  yAxisID: 'yPercent',
+});
+
+const formatter = (t) => (value, digits = 3) => (value === null || value === undefined ? t('N/A') : value.toFixed(digits));
+
+const percentText = (value, capacity) => {
+  const liveCapacity = parseFloat(capacity);
+  if (value === null || !Number.isFinite(liveCapacity) || liveCapacity <= 0) return '';
+  return ` (${((value / liveCapacity) * 100).toFixed(1)}%)`;
+};
+
+// The indicator table as [label, value] pairs, for the printed report.
+export const storageSummaryRows = (series, asOf, capacity, thresholds = DEFAULT_STORAGE_THRESHOLDS, t = english.t) => {
+  const format = formatter(t);
+  const comparison = sameDayComparison(series, asOf);
+  const liveCapacity = parseFloat(capacity);
+  const percent = comparison.current !== null && liveCapacity > 0
+    ? (comparison.current / liveCapacity) * 100
+    : null;
+  return [
+    [t('Status on {date}', { date: asOf }), t(storageStatus(percent, thresholds).label)],
+    [t('Current (BCM)'), `${format(comparison.current)}${percentText(comparison.current, capacity)}`],
+    [t('Last year (BCM)'), `${format(comparison.lastYear)}${percentText(comparison.lastYear, capacity)}`],
+    [t('{years}-year average (BCM)', { years: comparison.years }), `${format(comparison.average)}${percentText(comparison.average, capacity)}`],
+  ];
+};
+
+export const ReservoirStorageIndicators = ({ series, asOf, capacity, thresholds = DEFAULT_STORAGE_THRESHOLDS }) => {
+  const { t } = useI18n();
+  const format = formatter(t);
+  const comparison = useMemo(() => sameDayComparison(series, asOf), [series, asOf]);
+
+  const liveCapacity = parseFloat(capacity);
+  const percent = comparison.current !== null && liveCapacity > 0
+    ? (comparison.current / liveCapacity) * 100
+    : null;
+  const status = storageStatus(percent, thresholds);
+
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ fontSize: '14px', color: '#4b5563' }}>{t('Storage on {date}', { date: asOf })}</span>
+        <span style={{
+          padding: '2px 10px',
+          borderRadius: '999px',
+          background: status.color,
+          color: 'white',
+          fontSize: '12px',
+          fontWeight: '600'
+        }}>
+          {t(status.label)}
+        </span>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <tbody>
+          <tr><td style={{ padding: '4px 0' }}><b>{t('Current (BCM)')}:</b></td><td>{format(comparison.current)}{percentText(comparison.current, capacity)}</td></tr>
+          <tr><td style={{ padding: '4px 0' }}><b>{t('Last year (BCM)')}:</b></td><td>{format(comparison.lastYear)}{percentText(comparison.lastYear, capacity)}</td></tr>
+          <tr><td style={{ padding: '4px 0' }}><b>{t('{years}-year average (BCM)', { years: comparison.years })}:</b></td><td>{format(comparison.average)}{percentText(comparison.average, capacity)}</td></tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { percentOfCapacity, sameDayComparison, storageStatus } from './storage';
+
+describe('percentOfCapacity', () => {
+  it('scales storage by live capacity and keeps gaps', () => {
+    expect(percentOfCapacity([1, NaN, 2], '4')).toEqual([25, null, 50]);
+  });
+
+  it('is all null without a usable capacity', () => {
+    expect(percentOfCapacity([1, 2], null)).toEqual([null, null]);
+    expect(percentOfCapacity([1, 2], 0)).toEqual([null, null]);
+  });
+});
+
+describe('storageStatus', () => {
+  it('takes the status of the threshold at or below which the percent falls', () => {
+    expect(storageStatus(20).id).toBe('severe-drought');
+    expect(storageStatus(20.1).id).toBe('drought');
+    expect(storageStatus(40).id).toBe('drought');
+    expect(storageStatus(60).id).toBe('normal');
+    expect(storageStatus(95).id).toBe('flood');
+    expect(storageStatus(null).id).toBe('unknown');
+  });
+
+  it('follows configured thresholds', () => {
+    expect(storageStatus(30, { severeDrought: 10, drought: 25, flood: 90 }).id).toBe('normal');
+  });
+});
+
+describe('sameDayComparison', () => {
+  const series = {
+    labels: ['2021-06-01', '2022-06-03', '2023-05-20', '2023-06-01'],
+    storageValues: [2, 4, 9, 3],
+  };
+
+  it('compares with the same day of earlier years within the window', () => {
+    expect(sameDayComparison(series, '2023-06-01')).toEqual({ current: 3, lastYear: 4, average: 3, years: 2 });
+  });
+
+  it('leaves out years with no reading near the anniversary', () => {
+    expect(sameDayComparison(series, '2023-05-20')).toEqual({ current: 9, lastYear: null, average: null, years: 0 });
+  });
+});
@@ -0,0 +1,32 @@
+// Colour classes shared by the time-slider layers and their legends.
+
+// Depth to water level, m below ground level.
+export const depthClasses = [
+  { max: 2, color: '#1d4ed8', label: '0 – 2 m' },
+  { max: 5, color: '#38bdf8', label: '2 – 5 m' },
+  { max: 10, color: '#84cc16', label: '5 – 10 m' },
+  { max: 20, color: '#facc15', label: '10 – 20 m' },
+  { max: 40, color: '#f97316', label: '20 – 40 m' },
+  { max: Infinity, color: '#b91c1c', label: '> 40 m' },
+];
+
+// Live storage as percent of live capacity at FRL.
+export const storageClasses = [
+  { max: 20, color: '#b91c1c', label: '< 20 %' },
+  { max: 40, color: '#f97316', label: '20 – 40 %' },
+  { max: 60, color: '#facc15', label: '40 – 60 %' },
+  { max: 80, color: '#84cc16', label: '60 – 80 %' },
+  { max: Infinity, color: '#1d4ed8', label: '> 80 %' },
+];
+
+export const NO_DATA_COLOR = '#9ca3af';
+
+export const symbologyClasses = {
+  groundwater: depthClasses,
+  reservoir: storageClasses,
+};
+
+export const classify = (value, classes) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  return classes.find((c) => value <= c.max) ?? classes[classes.length - 1];
+};
@@ -0,0 +1,252 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { NO_DATA_COLOR, symbologyClasses } from './symbology';
+import { createI18n, useI18n } from './i18n';
+
+// Time slider under the map: swaps in time-enabled copies of the station
+// layers and steps them through months, seasons or years.
+
+const english = createI18n('en');
+
+const PLAY_INTERVAL_MS = 1200;
+const DEFAULT_START = '2014-01-01';
+
+// Three-month seasons; winter spans the new year.
+const SEASONS = [
+  { startMonth: 2, label: 'Pre-monsoon' },
+  { startMonth: 5, label: 'Monsoon' },
+  { startMonth: 8, label: 'Post-monsoon' },
+  { startMonth: 11, label: 'Winter' },
+];
+
+export const stepOptions = [
+  { value: 'month', label: 'Month' },
+  { value: 'season', label: 'Season' },
+  { value: 'year', label: 'Year' },
+];
+
+const legendTitles = {
+  groundwater: 'Depth to water (m bgl)',
+  reservoir: 'Live storage (% of capacity)',
+};
+
+const isoDate = (year, month, day) => new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+
+// Period starting in `month` of `year` and lasting `length` months.
+const period = (year, month, length, label) => ({
+  start: isoDate(year, month, 1),
+  end: isoDate(year, month + length, 0),
+  label,
+});
+
+// Consecutive { start, end, label } periods covering start..end (ISO dates),
+// labelled in the language of i18n.
+export const buildPeriods = (start, end, step, { t, formatDate } = english) => {
+  const first = new Date(`${start}T00:00:00Z`);
+  let year = first.getUTCFullYear();
+  let month = first.getUTCMonth();
+  const periods = [];
+
+  if (step === 'year') {
+    month = 0;
+  } else if (step === 'season') {
+    // Roll back to the start of the season containing `start`.
+    const season = [...SEASONS].reverse().find((s) => s.startMonth <= month) ?? SEASONS[SEASONS.length - 1];
+    if (season.startMonth > month) year--;
+    month = season.startMonth;
+  }
+
+  const length = { month: 1, season: 3, year: 12 }[step];
+  while (isoDate(year, month, 1) <= end) {
+    let label;
+    if (step === 'year') {
+      label = String(year);
+    } else if (step === 'season') {
+      const season = SEASONS.find((s) => s.startMonth === month);
+      label = month === 11
+        ? `${t(season.label)} ${year}–${String(year + 1).slice(-2)}`
+        : `${t(season.label)} ${year}`;
+    } else {
+      label = formatDate(isoDate(year, month, 1), { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }
+    periods.push(period(year, month, length, label));
+    month += length;
+    year += Math.floor(month / 12);
+    month %= 12;
+  }
+  return periods;
+};
+
+const controlStyle = {
+  padding: '4px 8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  background: 'white',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
+
+export const SymbologyLegend = ({ layerKeys }) => {
+  const { t } = useI18n();
+  return (
+    <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+      {layerKeys.map((layerKey) => (
+        <div key={layerKey} style={{ fontSize: '12px', color: '#333' }}>
+          <div style={{ fontWeight: 500, marginBottom: '2px' }}>{t(legendTitles[layerKey])}</div>
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+            {[...symbologyClasses[layerKey], { color: NO_DATA_COLOR, label: 'No data' }].map((c) => (
+              <span key={c.label} style={{ display: 'inline-flex', alignItems: 'center', gap: '3px' }}>
+                <span style={{
+                  width: '10px',
+                  height: '10px',
+                  borderRadius: '50%',
+                  background: c.color,
+                  display: 'inline-block'
+                }} />
+                {t(c.label)}
+              </span>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const TimeSlider = ({
+  map,
+  provider,
+  visibleLayers,
+  filters,
+  start = DEFAULT_START,
+  end = new Date().toISOString().slice(0, 10),
+}) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [enabled, setEnabled] = useState(false);
+  const [step, setStep] = useState('year');
+  const [index, setIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [temporalLayers, setTemporalLayers] = useState(null);
+
+  const periods = useMemo(() => buildPeriods(start, end, step, i18n), [start, end, step, i18n]);
+  const current = periods[Math.min(index, periods.length - 1)];
+  // Only layers the provider has a time-enabled view of can step through time.
+  const timeLayerKeys = Object.keys(symbologyClasses)
+    .filter((layerKey) => provider.temporalLayerKeys?.includes(layerKey));
+  const layerKeys = timeLayerKeys.filter((layerKey) => visibleLayers[layerKey]);
+
+  useEffect(() => {
+    if (!map || !enabled) return undefined;
+    const created = Object.fromEntries(timeLayerKeys.map((layerKey) => {
+      // Tagged separately from 'layerKey' so hover and click keep using the static layers.
+      const layer = provider.createTemporalLayer(layerKey, { zIndex: 10 });
+      layer.set('temporalLayerKey', layerKey);
+      map.addLayer(layer);
+      return [layerKey, layer];
+    }));
+    setTemporalLayers(created);
+    return () => {
+      Object.values(created).forEach((layer) => map.removeLayer(layer));
+      setTemporalLayers(null);
+    };
+  }, [map, provider, enabled]);
+
+  useEffect(() => {
+    if (!temporalLayers) return;
+    Object.entries(temporalLayers).forEach(([layerKey, layer]) => {
+      layer.setVisible(Boolean(visibleLayers[layerKey]));
+      provider.applyFilter(layerKey, layer, filters[layerKey]);
+    });
+  }, [temporalLayers, provider, visibleLayers, filters]);
+
+  useEffect(() => {
+    if (!temporalLayers || !current) return;
+    Object.entries(temporalLayers).forEach(([layerKey, layer]) => {
+      provider.setLayerTime(layerKey, layer, current);
+    });
+  }, [temporalLayers, provider, current]);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (index >= periods.length - 1) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setIndex((prev) => prev + 1), PLAY_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, index, periods.length]);
+
+  const handleStepChange = (nextStep) => {
+    // Stay on the period containing the current date.
+    const date = current?.start ?? start;
+    const next = buildPeriods(start, end, nextStep, i18n);
+    setStep(nextStep);
+    setIndex(Math.max(0, next.findIndex((p) => p.end >= date)));
+  };
+
+  const togglePlay = () => {
+    if (!isPlaying && index >= periods.length - 1) setIndex(0);
+    setIsPlaying((prev) => !prev);
+  };
+
+  if (timeLayerKeys.length === 0) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 1000,
+      background: 'white',
+      padding: '8px 12px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+      width: enabled ? '560px' : 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer', whiteSpace: 'nowrap' }}>
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => {
+              setEnabled(e.target.checked);
+              setIsPlaying(false);
+            }}
+          />
+          {t('Time view')}
+        </label>
+        {enabled && (
+          <>
+            <button onClick={togglePlay} style={controlStyle} title={isPlaying ? t('Pause') : t('Play')}>
+              {isPlaying ? '❚❚' : '▶'}
+            </button>
+            <select value={step} onChange={(e) => handleStepChange(e.target.value)} style={controlStyle}>
+              {stepOptions.map((option) => (
+                <option key={option.value} value={option.value}>{t(option.label)}</option>
+              ))}
+            </select>
+            <input
+              type="range"
+              min={0}
+              max={Math.max(periods.length - 1, 0)}
+              value={Math.min(index, periods.length - 1)}
+              onChange={(e) => {
+                setIsPlaying(false);
+                setIndex(Number(e.target.value));
+              }}
+              style={{ flex: 1 }}
+            />
+            <span style={{ minWidth: '130px', textAlign: 'right', fontWeight: 500, color: '#1f2937' }}>
+              {current?.label}
+            </span>
+          </>
+        )}
+      </div>
+      {enabled && <SymbologyLegend layerKeys={layerKeys} />}
+    </div>
+  );
+};
@@ -0,0 +1,477 @@
+import React, { useEffect, useRef, useState } from 'react';
+import shp from 'shpjs';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import Overlay from 'ol/Overlay';
+import GeoJSON from 'ol/format/GeoJSON';
+import KML from 'ol/format/KML';
+import { circular } from 'ol/geom/Polygon';
+import { fromLonLat, toLonLat } from 'ol/proj';
+import { getDistance } from 'ol/sphere';
+import { Fill, RegularShape, Stroke, Style } from 'ol/style';
+import { createI18n, useI18n } from './i18n';
+
+// The user's own observations, loaded in the browser only. Point readings that
+// carry a date and a water level are grouped into one feature per site with a
+// series of [{ date, waterLevel }], the shape the comparison chart plots for
+// network wells. Other features are drawn but have no series.
+
+const english = createI18n('en');
+
+const NEAREST_WELL_RADIUS_KM = 10;
+
+// Accepted column / property names, compared case-insensitively.
+const fieldAliases = {
+  latitude: ['latitude', 'lat', 'y'],
+  longitude: ['longitude', 'lon', 'lng', 'long', 'x'],
+  date: ['date', 'datetime', 'obs_date', 'observation_date', 'time'],
+  level: ['wl_mbgl', 'level', 'water_level', 'waterlevel', 'depth_to_water', 'dtw'],
+  id: ['unique_id', 'site_id', 'well_id', 'id', 'station', 'site'],
+  name: ['site_name', 'name', 'well_name', 'site', 'location'],
+};
+
+const pickField = (properties, field) => {
+  const keys = Object.keys(properties);
+  for (const alias of fieldAliases[field]) {
+    const key = keys.find((k) => k.trim().toLowerCase() === alias);
+    if (key !== undefined && properties[key] !== '' && properties[key] !== null) return properties[key];
+  }
+  return undefined;
+};
+
+// YYYY-MM-DD, or null when the parts are not a day on the calendar (31/02, 13/13).
+const calendarDate = (year, month, day) => {
+  const iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null;
+};
+
+// ISO (YYYY-MM-DD...) or the DD-MM-YYYY / DD/MM/YYYY forms common in field sheets.
+export const normalizeDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst;
+    return calendarDate(year, month, day);
+  }
+  const isoDay = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDay) {
+    const [, year, month, day] = isoDay;
+    return calendarDate(year, month, day);
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+// RFC 4180-style: quoted fields may contain commas, quotes ("") and newlines.
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  const [header = [], ...body] = rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+  return body.map((cells) => Object.fromEntries(header.map((name, index) => [name.trim(), cells[index]?.trim() ?? ''])));
+};
+
+const csvToFeatures = (text, t) => {
+  const rows = parseCSV(text);
+  const features = rows
+    .map((properties) => {
+      const longitude = parseFloat(pickField(properties, 'longitude'));
+      const latitude = parseFloat(pickField(properties, 'latitude'));
+      if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return null;
+      return new Feature({ geometry: new Point(fromLonLat([longitude, latitude])), ...properties });
+    })
+    .filter(Boolean);
+  if (rows.length > 0 && features.length === 0) {
+    throw new Error(t('No rows with latitude and longitude columns were found.'));
+  }
+  return features;
+};
+
+const readOptions = { featureProjection: 'EPSG:3857' };
+
+// Reads one dropped or chosen file into OpenLayers features (EPSG:3857).
+export const readUploadFile = async (file, t = english.t) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.csv') || name.endsWith('.txt')) return csvToFeatures(await file.text(), t);
+  if (name.endsWith('.geojson') || name.endsWith('.json')) return new GeoJSON().readFeatures(await file.text(), readOptions);
+  if (name.endsWith('.kml')) return new KML({ extractStyles: false }).readFeatures(await file.text(), readOptions);
+  if (name.endsWith('.zip')) {
+    const result = await shp(await file.arrayBuffer());
+    // A zip holding several shapefiles yields one collection per layer.
+    const collections = Array.isArray(result) ? result : [result];
+    return collections.flatMap((collection) => new GeoJSON().readFeatures(collection, readOptions));
+  }
+  throw new Error(t('Unsupported file type: {file}. Use CSV, GeoJSON, KML or a zipped shapefile.', { file: file.name }));
+};
+
+// Groups dated point readings into one feature per site; everything else passes through.
+export const groupReadings = (features) => {
+  const sites = new Map();
+  const others = [];
+  features.forEach((feature) => {
+    const geometry = feature.getGeometry();
+    const { geometry: _, ...properties } = feature.getProperties();
+    const date = normalizeDate(pickField(properties, 'date'));
+    const level = parseFloat(pickField(properties, 'level'));
+    if (geometry?.getType() !== 'Point' || !date || !Number.isFinite(level)) {
+      others.push(feature);
+      return;
+    }
+    const [longitude, latitude] = toLonLat(geometry.getCoordinates());
+    const id = pickField(properties, 'id') ?? `${longitude.toFixed(5)},${latitude.toFixed(5)}`;
+    const site = sites.get(id) ?? { id: String(id), name: pickField(properties, 'name') ?? String(id), geometry, longitude, latitude, series: [] };
+    site.series.push({ date, waterLevel: level });
+    sites.set(id, site);
+  });
+
+  const siteFeatures = [...sites.values()].map((site) => new Feature({
+    geometry: site.geometry,
+    uploadId: site.id,
+    name: site.name,
+    longitude: site.longitude,
+    latitude: site.latitude,
+    series: site.series.sort((a, b) => a.date.localeCompare(b.date)),
+  }));
+  return [...siteFeatures, ...others];
+};
+
+const uploadStyle = new Style({
+  image: new RegularShape({
+    points: 3,
+    radius: 8,
+    fill: new Fill({ color: '#ea580c' }),
+    stroke: new Stroke({ color: 'white', width: 1.5 }),
+  }),
+  fill: new Fill({ color: 'rgba(234, 88, 12, 0.12)' }),
+  stroke: new Stroke({ color: '#ea580c', width: 2 }),
+});
+
+const selectedStyle = new Style({
+  image: new RegularShape({
+    points: 3,
+    radius: 10,
+    fill: new Fill({ color: '#ea580c' }),
+    stroke: new Stroke({ color: '#1f2937', width: 2 }),
+  }),
+  stroke: new Stroke({ color: '#1f2937', width: 3 }),
+});
+
+const featureLabel = (feature, t) => feature.get('name') ?? pickField(feature.getProperties(), 'name') ?? t('Uploaded feature');
+
+// Attributes shown for a selected feature, without geometry or the series array.
+const displayProperties = (feature) => Object.entries(feature.getProperties())
+  .filter(([key, value]) => key !== 'geometry' && key !== 'series' && typeof value !== 'object');
+
+// Network well closest to (lon, lat) within NEAREST_WELL_RADIUS_KM, or null.
+export const findNearestWell = async (provider, longitude, latitude) => {
+  const features = await provider.queryFeatures('groundwater', circular([longitude, latitude], NEAREST_WELL_RADIUS_KM * 1000, 64));
+  return features
+    .map((feature) => ({
+      properties: feature.properties,
+      distance: getDistance(
+        [longitude, latitude],
+        [parseFloat(feature.properties.longitude), parseFloat(feature.properties.latitude)]
+      ),
+    }))
+    .filter(({ distance }) => Number.isFinite(distance))
+    .sort((a, b) => a.distance - b.distance)[0] ?? null;
+};
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'white',
+  color: '#374151',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+let datasetCounter = 0;
+
+// Upload panel plus drag-and-drop onto the map. onCompareSeries(id, name,
+// series) puts an uploaded site in the comparison chart; onCompareStation
+// does the same for a network well.
+export const UploadPanel = ({ map, provider, onCompareSeries, onCompareStation }) => {
+  const { t } = useI18n();
+  const [datasets, setDatasets] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [nearest, setNearest] = useState(null);
+  const [error, setError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const sourceRef = useRef(new VectorSource());
+  const fileInputRef = useRef(null);
+  // Read by the layer's style function, which lives outside React state.
+  const selectedRef = useRef(null);
+  // Read by the hover label, set up once per map.
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  const addFiles = async (files) => {
+    setError(null);
+    for (const file of files) {
+      try {
+        const features = groupReadings(await readUploadFile(file, t));
+        if (features.length === 0) throw new Error(t('{file} contains no features.', { file: file.name }));
+        const id = `dataset-${++datasetCounter}`;
+        features.forEach((feature) => feature.set('datasetId', id));
+        sourceRef.current.addFeatures(features);
+        setDatasets((prev) => [...prev, {
+          id,
+          name: file.name,
+          count: features.length,
+          sites: features.filter((f) => f.get('series')).length,
+        }]);
+        if (map) map.getView().fit(new VectorSource({ features }).getExtent(), { maxZoom: 12, padding: [60, 60, 60, 60], duration: 500 });
+      } catch (err) {
+        console.error(`Error reading ${file.name}:`, err);
+        setError(err.message);
+      }
+    }
+  };
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const source = sourceRef.current;
+    const layer = new VectorLayer({
+      source,
+      style: (feature) => (feature === selectedRef.current ? selectedStyle : uploadStyle),
+      zIndex: 10,
+    });
+    layer.set('uploads', true);
+    map.addLayer(layer);
+
+    // Own hover label, separate from the station popup.
+    const tooltip = document.createElement('div');
+    tooltip.style.cssText = 'background: #1f2937; color: white; padding: 3px 6px; border-radius: 4px; font-size: 11px; white-space: nowrap;';
+    const overlay = new Overlay({ element: tooltip, offset: [10, 0], positioning: 'center-left' });
+    map.addOverlay(overlay);
+
+    const hit = (pixel) => map.forEachFeatureAtPixel(pixel, (feature) => feature, { layerFilter: (l) => l === layer });
+
+    const handlePointerMove = (event) => {
+      if (event.dragging) return;
+      const feature = hit(event.pixel);
+      if (feature) {
+        const series = feature.get('series');
+        const label = featureLabel(feature, tRef.current);
+        tooltip.textContent = series ? `${label} · ${tRef.current('{count} readings', { count: series.length })}` : label;
+        overlay.setPosition(event.coordinate);
+      } else {
+        overlay.setPosition(undefined);
+      }
+    };
+
+    const handleClick = (event) => {
+      const feature = hit(event.pixel);
+      if (feature) {
+        selectedRef.current = feature;
+        setSelected(feature);
+        setNearest(null);
+        layer.changed();
+      }
+    };
+
+    const viewport = map.getViewport();
+    const handleDragOver = (e) => {
+      e.preventDefault();
+      setIsDragging(true);
+    };
+    const handleDragLeave = () => setIsDragging(false);
+    const handleDrop = (e) => {
+      e.preventDefault();
+      setIsDragging(false);
+      addFiles([...e.dataTransfer.files]);
+    };
+
+    map.on('pointermove', handlePointerMove);
+    map.on('singleclick', handleClick);
+    viewport.addEventListener('dragover', handleDragOver);
+    viewport.addEventListener('dragleave', handleDragLeave);
+    viewport.addEventListener('drop', handleDrop);
+    return () => {
+      map.un('pointermove', handlePointerMove);
+      map.un('singleclick', handleClick);
+      viewport.removeEventListener('dragover', handleDragOver);
+      viewport.removeEventListener('dragleave', handleDragLeave);
+      viewport.removeEventListener('drop', handleDrop);
+      map.removeOverlay(overlay);
+      map.removeLayer(layer);
+    };
+  }, [map]);
+
+  const removeDataset = (id) => {
+    const source = sourceRef.current;
+    source.getFeatures().filter((f) => f.get('datasetId') === id).forEach((f) => source.removeFeature(f));
+    setDatasets((prev) => prev.filter((d) => d.id !== id));
+    if (selected?.get('datasetId') === id) {
+      selectedRef.current = null;
+      setSelected(null);
+    }
+  };
+
+  const compareWithNearest = async () => {
+    setNearest({ isLoading: true });
+    try {
+      const match = await findNearestWell(provider, selected.get('longitude'), selected.get('latitude'));
+      setNearest(match ? { match } : { notFound: true });
+      if (match) {
+        onCompareSeries(selected.get('uploadId'), featureLabel(selected, t), selected.get('series'));
+        await onCompareStation('groundwater', match.properties);
+      }
+    } catch (err) {
+      console.error('Error finding nearest well:', err);
+      setNearest({ error: err.message });
+    }
+  };
+
+  const series = selected?.get('series');
+
+  return (
+    <>
+      {isDragging && (
+        <div style={{
+          position: 'absolute',
+          inset: 0,
+          zIndex: 1002,
+          border: '3px dashed #ea580c',
+          background: 'rgba(234, 88, 12, 0.06)',
+          pointerEvents: 'none'
+        }} />
+      )}
+      <div style={{
+        position: 'absolute',
+        bottom: '30px',
+        right: '60px',
+        width: '300px',
+        maxHeight: '420px',
+        overflow: 'auto',
+        zIndex: 1000,
+        background: 'white',
+        padding: '8px 12px',
+        borderRadius: '8px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+        fontSize: '13px',
+        color: '#333'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '6px' }}>
+          <span style={{ fontWeight: 500 }}>{t('My data')}</span>
+          <button onClick={() => fileInputRef.current.click()} style={buttonStyle}>{t('Upload…')}</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept=".csv,.txt,.geojson,.json,.kml,.zip"
+            onChange={(e) => {
+              addFiles([...e.target.files]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </div>
+        {datasets.length === 0 && (
+          <div style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px' }}>
+            {t('Drop CSV (lat, lon, date, level), GeoJSON, KML or a zipped shapefile on the map.')}
+          </div>
+        )}
+        {error && <div style={{ color: '#dc2626', marginTop: '4px' }}>{error}</div>}
+        {datasets.map((dataset) => (
+          <div key={dataset.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '4px' }}>
+            <span title={dataset.name} style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {dataset.name}
+              <span style={{ color: '#6b7280' }}> · {t('{count} features, {sites} with readings', dataset)}</span>
+            </span>
+            <button
+              onClick={() => removeDataset(dataset.id)}
+              title={t('Remove')}
+              style={{ border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '14px' }}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+
+        {selected && (
+          <div style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px solid #e5e7eb' }}>
+            <div style={{ fontWeight: 500, marginBottom: '4px' }}>{featureLabel(selected, t)}</div>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+              <tbody>
+                {displayProperties(selected).map(([key, value]) => (
+                  <tr key={key}>
+                    <td style={{ padding: '2px 6px 2px 0', color: '#6b7280' }}>{key}</td>
+                    <td style={{ padding: '2px 0' }}>{String(value)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {series && (
+              <>
+                <div style={{ color: '#6b7280', margin: '4px 0' }}>
+                  {t('{count} readings, {from} to {to}', { count: series.length, from: series[0].date, to: series[series.length - 1].date })}
+                </div>
+                <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                  <button
+                    onClick={() => onCompareSeries(selected.get('uploadId'), featureLabel(selected, t), series)}
+                    style={buttonStyle}
+                  >
+                    {t('+ Add to compare')}
+                  </button>
+                  <button onClick={compareWithNearest} disabled={nearest?.isLoading} style={buttonStyle}>
+                    {nearest?.isLoading ? t('Searching…') : t('Compare with nearest well')}
+                  </button>
+                </div>
+                {nearest?.match && (
+                  <div style={{ fontSize: '12px', color: '#4b5563', marginTop: '4px' }}>
+                    {t('Nearest network well')}: {nearest.match.properties.site_name ?? nearest.match.properties.unique_id}
+                    {' '}({(nearest.match.distance / 1000).toFixed(1)} km)
+                  </div>
+                )}
+                {nearest?.notFound && (
+                  <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px' }}>
+                    {t('No network well within {km} km.', { km: NEAREST_WELL_RADIUS_KM })}
+                  </div>
+                )}
+                {nearest?.error && <div style={{ fontSize: '12px', color: '#dc2626', marginTop: '4px' }}>{nearest.error}</div>}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeDate, parseCSV } from './upload';
+
+describe('normalizeDate', () => {
+  it('reads day-first field sheet dates', () => {
+    expect(normalizeDate('5/6/2024')).toBe('2024-06-05');
+    expect(normalizeDate('29-02-2024')).toBe('2024-02-29');
+    expect(normalizeDate('01.12.2023')).toBe('2023-12-01');
+  });
+
+  it('refuses days that are not on the calendar', () => {
+    expect(normalizeDate('31/02/2024')).toBeNull();
+    expect(normalizeDate('13/13/2024')).toBeNull();
+    expect(normalizeDate('29-02-2023')).toBeNull();
+    expect(normalizeDate('2024-02-31')).toBeNull();
+  });
+
+  it('keeps ISO dates and drops blanks and text', () => {
+    expect(normalizeDate('2024-06-05')).toBe('2024-06-05');
+    expect(normalizeDate('2024-06-05T10:00:00Z')).toBe('2024-06-05');
+    expect(normalizeDate('')).toBeNull();
+    expect(normalizeDate('soon')).toBeNull();
+  });
+});
+
+describe('parseCSV', () => {
+  it('keys rows by header and handles quoted commas, quotes and newlines', () => {
+    expect(parseCSV('name,note\n"Well, east","said ""dry""\nagain"\n')).toEqual([
+      { name: 'Well, east', note: 'said "dry"\nagain' },
+    ]);
+  });
+});
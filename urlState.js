@@ -0,0 +1,81 @@
+import { useEffect } from 'react';
+
+// Dashboard state <-> query string, e.g.
+//   ?layers=reservoir,groundwater&active=groundwater&station=groundwater:W01001
+//    &from=2019-01-01&to=2023-12-31&chart=both&center=78.96290,20.59370&zoom=5.00
+// Opening a station pushes a history entry so back/forward step through
+// inspected stations; every other change replaces the current entry. Other
+// parameters in the address (a deployment's auth or embed flags) are kept.
+
+const LAYER_KEYS = ['reservoir', 'groundwater'];
+const CHART_MODES = ['reservoir', 'storage', 'both'];
+
+const parseNumberList = (value) => {
+  const numbers = (value ?? '').split(',').map(parseFloat);
+  return numbers.length === 2 && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+// Only keys present (and valid) in the URL are returned.
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  if (params.has('layers')) {
+    const layers = params.get('layers').split(',');
+    state.layers = Object.fromEntries(LAYER_KEYS.map((key) => [key, layers.includes(key)]));
+  }
+  if (LAYER_KEYS.includes(params.get('active'))) state.active = params.get('active');
+  if (CHART_MODES.includes(params.get('chart'))) state.chart = params.get('chart');
+  if (params.get('from')) state.from = params.get('from');
+  if (params.get('to')) state.to = params.get('to');
+
+  const station = params.get('station');
+  if (station) {
+    const [layer, ...id] = station.split(':');
+    if (LAYER_KEYS.includes(layer) && id.length > 0) state.station = { layer, unique_id: id.join(':') };
+  }
+
+  const center = parseNumberList(params.get('center'));
+  if (center) state.center = center;
+  const zoom = parseFloat(params.get('zoom'));
+  if (Number.isFinite(zoom)) state.zoom = zoom;
+
+  return state;
+};
+
+// The parameters this module reads and writes; any others are left alone.
+const STATE_PARAMS = ['layers', 'active', 'station', 'from', 'to', 'chart', 'center', 'zoom'];
+
+// `search` is the query string to update, by default the current address.
+export const buildUrlSearch = (state, search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  STATE_PARAMS.forEach((key) => params.delete(key));
+  params.set('layers', LAYER_KEYS.filter((key) => state.layers[key]).join(','));
+  params.set('active', state.active);
+  if (state.station) params.set('station', `${state.station.layer}:${state.station.unique_id}`);
+  if (state.from) params.set('from', state.from);
+  if (state.to) params.set('to', state.to);
+  params.set('chart', state.chart);
+  params.set('center', state.center.map((value) => value.toFixed(5)).join(','));
+  params.set('zoom', state.zoom.toFixed(2));
+  return `?${params.toString()}`;
+};
+
+const stationKey = (station) => (station ? `${station.layer}:${station.unique_id}` : '');
+
+// Mirrors `state` into the address bar whenever it changes and `enabled` is set.
+export const useUrlStateWriter = (state, enabled) => {
+  const search = buildUrlSearch(state);
+  const currentStation = stationKey(state.station);
+
+  useEffect(() => {
+    if (!enabled || search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const previousStation = stationKey(readUrlState().station);
+    if (currentStation && currentStation !== previousStation) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [search, currentStation, enabled]);
+};
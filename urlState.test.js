@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { buildUrlSearch, readUrlState } from './urlState';
+
+const state = {
+  layers: { reservoir: true, groundwater: false },
+  active: 'groundwater',
+  station: { layer: 'groundwater', unique_id: 'W:01001' },
+  from: '2019-01-01',
+  to: '',
+  chart: 'storage',
+  center: [78.9629, 20.5937],
+  zoom: 5,
+};
+
+describe('url state', () => {
+  it('reads back what it writes', () => {
+    const { to, ...written } = state;
+    expect(readUrlState(buildUrlSearch(state, ''))).toEqual({
+      ...written,
+      layers: { reservoir: true, groundwater: false },
+    });
+  });
+
+  it('keeps parameters it does not own and drops its stale ones', () => {
+    const search = buildUrlSearch({ ...state, station: null, from: '' }, '?embed=1&station=reservoir:R1&token=abc');
+    const params = new URLSearchParams(search);
+    expect(params.get('embed')).toBe('1');
+    expect(params.get('token')).toBe('abc');
+    expect(params.has('station')).toBe(false);
+    expect(params.has('from')).toBe(false);
+  });
+
+  it('ignores invalid values', () => {
+    expect(readUrlState('?active=rivers&chart=pie&center=1&zoom=x&station=reservoir')).toEqual({});
+  });
+});
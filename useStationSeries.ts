@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import {
+  toGroundwaterSeries,
+  toReservoirSeries,
+  type LoadedSeries,
+  type StationDataProvider,
+  type StationRef,
+} from './stationModels';
+
+export interface StationSeriesState {
+  series: LoadedSeries | null;
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Loads the full record of a station and keeps it until the station changes.
+// Switching stations cancels the request still in flight, so a slow response
+// can't replace a newer one.
+export const loadStationSeries = async (
+  provider: StationDataProvider,
+  station: StationRef,
+  signal?: AbortSignal
+): Promise<LoadedSeries> => {
+  if (station.layer === 'reservoir') {
+    const response = await provider.fetchReservoirSeries(station.unique_id, { signal });
+    if (response.error) throw new Error(response.error);
+    return { layer: 'reservoir', data: toReservoirSeries(station.unique_id, response.data ?? []) };
+  }
+  const readings = await provider.fetchGroundwaterSeries(station.unique_id, { signal });
+  return { layer: 'groundwater', data: toGroundwaterSeries(readings) };
+};
+
+export const useStationSeries = (provider: StationDataProvider, station: StationRef | null): StationSeriesState => {
+  const [state, setState] = useState<StationSeriesState>({ series: null, isLoading: false, error: null });
+  const layer = station?.layer;
+  const uniqueId = station?.unique_id;
+
+  useEffect(() => {
+    if (!layer || uniqueId === undefined) {
+      setState({ series: null, isLoading: false, error: null });
+      return undefined;
+    }
+    const controller = new AbortController();
+    setState({ series: null, isLoading: true, error: null });
+    loadStationSeries(provider, { layer, unique_id: uniqueId }, controller.signal)
+      .then((series) => {
+        if (!controller.signal.aborted) setState({ series, isLoading: false, error: null });
+      })
+      .catch((error: Error) => {
+        if (!controller.signal.aborted) setState({ series: null, isLoading: false, error: error.message });
+      });
+    return () => controller.abort();
+  }, [provider, layer, uniqueId]);
+
+  return state;
+};
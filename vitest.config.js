@@ -0,0 +1,17 @@
+import { transformWithOxc } from 'vite';
+import { defineConfig } from 'vitest/config';
+
+// Components are written as JSX in .js files, which Vite only compiles as
+// plain JavaScript; this runs them through the JSX transform first.
+const jsxInJs = {
+  name: 'jsx-in-js',
+  enforce: 'pre',
+  transform(code, id) {
+    if (!/\.js$/.test(id) || id.includes('/node_modules/')) return null;
+    return transformWithOxc(code, id, { lang: 'jsx', jsx: { runtime: 'automatic' } });
+  },
+};
+
+export default defineConfig({
+  plugins: [jsxInJs],
+});
@@ -0,0 +1,559 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import VectorLayer from 'ol/layer/Vector';
+import VectorSource from 'ol/source/Vector';
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import { fromLonLat } from 'ol/proj';
+import { Circle, Stroke, Style } from 'ol/style';
+import { downloadBlob } from './export';
+import { createI18n, useI18n } from './i18n';
+
+// Starred stations with threshold rules, kept in localStorage:
+//   { version: 1, stations: [{ layer, unique_id, name, longitude, latitude,
+//     capacity_bcm, rules: [{ id, type, threshold, days }] }] }
+// Rules are checked against each station's latest readings, fetched when the
+// watched stations change, daily while the dashboard stays open and on
+// "Check now". Pass a provider without the series cache (see cache.js), or
+// the alerts would be judged on readings up to a cache lifetime old.
+
+const english = createI18n('en');
+
+export const WATCHLIST_STORAGE_KEY = 'gwl-dashboard-watchlist';
+const WATCHLIST_VERSION = 1;
+const DEFAULT_DROP_DAYS = 30;
+const DAY_MS = 86400000;
+const CHECK_INTERVAL_MS = DAY_MS;
+
+export const ruleTypes = {
+  depthBelow: {
+    layers: ['groundwater'],
+    label: 'Water level deeper than',
+    unit: 'm bgl',
+  },
+  storageBelow: {
+    layers: ['reservoir'],
+    label: 'Storage below',
+    unit: '% of live capacity',
+  },
+  drop: {
+    layers: ['groundwater', 'reservoir'],
+    label: 'Level drop greater than',
+    unit: 'm',
+  },
+};
+
+export const watchKey = (layer, unique_id) => `${layer}:${unique_id}`;
+
+const emptyWatchlist = () => ({ version: WATCHLIST_VERSION, stations: [] });
+
+let ruleCounter = 0;
+const newRuleId = () => `${Date.now().toString(36)}-${(ruleCounter++).toString(36)}`;
+
+// Throws with a readable message when `value` is not a usable watchlist.
+export const parseWatchlist = (value, t = english.t) => {
+  const data = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!data || !Array.isArray(data.stations)) throw new Error(t('Not a watchlist file: "stations" is missing.'));
+  const stations = data.stations.map((station, index) => {
+    if (!['groundwater', 'reservoir'].includes(station.layer) || !station.unique_id) {
+      throw new Error(t('Station {number} needs a layer and a unique_id.', { number: index + 1 }));
+    }
+    const rules = (station.rules ?? []).map((rule) => {
+      if (!ruleTypes[rule.type]?.layers.includes(station.layer)) {
+        throw new Error(t('Rule "{type}" does not apply to {layer} station {id}.', { type: rule.type, layer: station.layer, id: station.unique_id }));
+      }
+      const threshold = parseFloat(rule.threshold);
+      if (!Number.isFinite(threshold)) throw new Error(t('Rule "{type}" on {id} has no threshold.', { type: rule.type, id: station.unique_id }));
+      return {
+        id: rule.id ?? newRuleId(),
+        type: rule.type,
+        threshold,
+        ...(rule.type === 'drop' ? { days: parseFloat(rule.days) || DEFAULT_DROP_DAYS } : {}),
+      };
+    });
+    return { ...station, unique_id: String(station.unique_id), rules };
+  });
+  return { version: WATCHLIST_VERSION, stations };
+};
+
+export const loadWatchlist = () => {
+  try {
+    const stored = window.localStorage.getItem(WATCHLIST_STORAGE_KEY);
+    return stored ? parseWatchlist(stored) : emptyWatchlist();
+  } catch (error) {
+    console.warn('Ignoring stored watchlist:', error);
+    return emptyWatchlist();
+  }
+};
+
+const saveWatchlist = (watchlist) => {
+  try {
+    window.localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watchlist));
+  } catch (error) {
+    console.warn('Watchlist not saved:', error);
+  }
+};
+
+// Series as [{ time, date, depth | level, storagePercent }], oldest first.
+export const toReadings = (station, data) => {
+  const readings = station.layer === 'groundwater'
+    ? data.map((d) => ({ date: d.date, depth: parseFloat(d.wl_mbgl) }))
+      .filter((r) => Number.isFinite(r.depth))
+    : data.map((d) => {
+      const storage = parseFloat(d.current_live_storage_bcm);
+      const capacity = parseFloat(station.capacity_bcm);
+      return {
+        date: d.acq_dt,
+        level: parseFloat(d.current_reservoir_level_m),
+        storagePercent: capacity > 0 && Number.isFinite(storage) ? (storage / capacity) * 100 : null,
+      };
+    });
+  return readings
+    .map((r) => ({ ...r, time: new Date(r.date).getTime() }))
+    .filter((r) => Number.isFinite(r.time))
+    .sort((a, b) => a.time - b.time);
+};
+
+// Fall in water level between the earliest reading in the window and the
+// latest, as { drop, date } of that latest reading; readings whose level did
+// not parse are skipped. For wells the fall is an increase in depth below ground.
+const levelDrop = (station, readings, days) => {
+  const field = station.layer === 'groundwater' ? 'depth' : 'level';
+  const usable = readings.filter((r) => Number.isFinite(r[field]));
+  const latest = usable[usable.length - 1];
+  const earliest = usable.find((r) => r.time >= latest?.time - days * DAY_MS);
+  if (!latest || earliest === latest) return null;
+  const drop = station.layer === 'groundwater' ? latest.depth - earliest.depth : earliest.level - latest.level;
+  return { drop, date: latest.date };
+};
+
+// { breached, value, message } for one rule; value is null when the data cannot decide it.
+export const evaluateRule = (rule, station, readings, t = english.t) => {
+  if (readings.length === 0) return { breached: false, value: null, message: t('No readings') };
+  const latest = readings[readings.length - 1];
+  switch (rule.type) {
+    case 'depthBelow':
+      return {
+        breached: latest.depth > rule.threshold,
+        value: latest.depth,
+        message: t('Water level {depth} m bgl on {date} (limit {limit} m)', { depth: latest.depth.toFixed(2), date: latest.date, limit: rule.threshold }),
+      };
+    case 'storageBelow': {
+      if (!(parseFloat(station.capacity_bcm) > 0)) return { breached: false, value: null, message: t('Live capacity unknown') };
+      // The newest reading may have a level but no storage yet.
+      const reading = [...readings].reverse().find((r) => r.storagePercent !== null);
+      if (!reading) return { breached: false, value: null, message: t('No storage readings') };
+      return {
+        breached: reading.storagePercent < rule.threshold,
+        value: reading.storagePercent,
+        message: t('Storage {percent}% on {date} (limit {limit}%)', { percent: reading.storagePercent.toFixed(1), date: reading.date, limit: rule.threshold }),
+      };
+    }
+    case 'drop': {
+      const days = rule.days ?? DEFAULT_DROP_DAYS;
+      const fall = levelDrop(station, readings, days);
+      if (fall === null) return { breached: false, value: null, message: t('No earlier reading within {days} days', { days }) };
+      return {
+        breached: fall.drop > rule.threshold,
+        value: fall.drop,
+        message: t('Level fell {drop} m in {days} days to {date} (limit {limit} m)', { drop: fall.drop.toFixed(2), days, date: fall.date, limit: rule.threshold }),
+      };
+    }
+    default:
+      return { breached: false, value: null, message: t('Unknown rule "{type}"', { type: rule.type }) };
+  }
+};
+
+export const evaluateStation = (station, data, t = english.t) => {
+  const readings = toReadings(station, data);
+  return station.rules.map((rule) => ({ rule, ...evaluateRule(rule, station, readings, t) }));
+};
+
+const fetchStationData = async (provider, station) => {
+  if (station.layer === 'groundwater') return provider.fetchGroundwaterSeries(station.unique_id);
+  const response = await provider.fetchReservoirSeries(station.unique_id);
+  if (response.error) throw new Error(response.error);
+  return response.data ?? [];
+};
+
+export const useWatchlist = () => {
+  const [watchlist, setWatchlist] = useState(loadWatchlist);
+
+  useEffect(() => {
+    saveWatchlist(watchlist);
+  }, [watchlist]);
+
+  const updateStations = (update) => setWatchlist((prev) => ({ ...prev, stations: update(prev.stations) }));
+
+  const isWatched = (layer, unique_id) => watchlist.stations.some((s) => watchKey(s.layer, s.unique_id) === watchKey(layer, unique_id));
+
+  // Starring adds the station with no rules; unstarring drops it and its rules.
+  const toggleStation = (station) => {
+    const key = watchKey(station.layer, station.unique_id);
+    updateStations((stations) => (stations.some((s) => watchKey(s.layer, s.unique_id) === key)
+      ? stations.filter((s) => watchKey(s.layer, s.unique_id) !== key)
+      : [...stations, { ...station, rules: [] }]));
+  };
+
+  const setRules = (key, rules) => {
+    updateStations((stations) => stations.map((s) => (watchKey(s.layer, s.unique_id) === key ? { ...s, rules } : s)));
+  };
+
+  const removeStation = (key) => {
+    updateStations((stations) => stations.filter((s) => watchKey(s.layer, s.unique_id) !== key));
+  };
+
+  // Imported stations replace existing entries for the same station.
+  const importWatchlist = (text, t) => {
+    const imported = parseWatchlist(text, t);
+    const importedKeys = new Set(imported.stations.map((s) => watchKey(s.layer, s.unique_id)));
+    updateStations((stations) => [
+      ...stations.filter((s) => !importedKeys.has(watchKey(s.layer, s.unique_id))),
+      ...imported.stations,
+    ]);
+    return imported.stations.length;
+  };
+
+  const exportWatchlist = () => {
+    downloadBlob(
+      new Blob([JSON.stringify(watchlist, null, 2)], { type: 'application/json' }),
+      'watchlist.json'
+    );
+  };
+
+  return { watchlist, isWatched, toggleStation, setRules, removeStation, importWatchlist, exportWatchlist };
+};
+
+// Checks every watched station with rules; results are keyed by watchKey.
+// Readings are fetched only when the set of stations with rules changes (or
+// on refresh); editing a threshold re-evaluates the readings already held.
+// `checkedAt` is when the readings were fetched, or for an offline pack
+// provider when the pack was synced. Messages are in the language of t.
+export const useWatchAlerts = (provider, stations, t = english.t) => {
+  const [readings, setReadings] = useState({});
+  const [isChecking, setIsChecking] = useState(false);
+  const [checkedAt, setCheckedAt] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const checkedKeys = stations
+    .filter((s) => s.rules.length > 0)
+    .map((s) => watchKey(s.layer, s.unique_id))
+    .sort()
+    .join('|');
+
+  useEffect(() => {
+    const withRules = stations.filter((s) => s.rules.length > 0);
+    let cancelled = false;
+    setIsChecking(true);
+    Promise.all(withRules.map(async (station) => {
+      const key = watchKey(station.layer, station.unique_id);
+      try {
+        return [key, { data: await fetchStationData(provider, station) }];
+      } catch (error) {
+        console.error(`Error checking ${key}:`, error);
+        return [key, { error: error.message }];
+      }
+    })).then((entries) => {
+      if (cancelled) return;
+      setReadings(Object.fromEntries(entries));
+      setCheckedAt(provider.pack ? new Date(provider.pack.syncedAt) : new Date());
+      setIsChecking(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, checkedKeys, refreshCount]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setRefreshCount((prev) => prev + 1), CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const results = useMemo(() => Object.fromEntries(stations
+    .filter((s) => readings[watchKey(s.layer, s.unique_id)])
+    .map((station) => {
+      const { data, error } = readings[watchKey(station.layer, station.unique_id)];
+      return [watchKey(station.layer, station.unique_id), error
+        ? { evaluations: [], error }
+        : { evaluations: evaluateStation(station, data, t) }];
+    })), [stations, readings, t]);
+
+  const breaches = stations.filter((s) => results[watchKey(s.layer, s.unique_id)]?.evaluations.some((e) => e.breached));
+
+  return { results, breaches, isChecking, checkedAt, refresh: () => setRefreshCount((prev) => prev + 1) };
+};
+
+export const WatchStar = ({ watched, onToggle, disabled }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={onToggle}
+      disabled={disabled}
+      title={watched ? t('Remove from watchlist') : t('Add to watchlist')}
+      style={{
+        padding: '6px 10px',
+        background: 'white',
+        color: watched ? '#d97706' : '#6b7280',
+        border: `1px solid ${watched ? '#d97706' : '#d1d5db'}`,
+        borderRadius: '6px',
+        cursor: 'pointer',
+        fontSize: '14px',
+        fontWeight: '500'
+      }}
+    >
+      {watched ? `★ ${t('Watching')}` : `☆ ${t('Watch')}`}
+    </button>
+  );
+};
+
+const breachStyle = new Style({
+  image: new Circle({
+    radius: 12,
+    stroke: new Stroke({ color: '#dc2626', width: 3 }),
+  }),
+});
+
+const inputStyle = {
+  padding: '3px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const smallButtonStyle = {
+  padding: '3px 8px',
+  background: 'white',
+  color: '#374151',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const RuleEditor = ({ station, onChange }) => {
+  const { t } = useI18n();
+  const available = Object.entries(ruleTypes).filter(([, type]) => type.layers.includes(station.layer));
+
+  const updateRule = (id, changes) => {
+    onChange(station.rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  const addRule = () => {
+    const [type] = available[0];
+    onChange([...station.rules, { id: newRuleId(), type, threshold: 0, ...(type === 'drop' ? { days: DEFAULT_DROP_DAYS } : {}) }]);
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '6px' }}>
+      {station.rules.map((rule) => (
+        <div key={rule.id} style={{ display: 'flex', gap: '4px', alignItems: 'center', flexWrap: 'wrap', fontSize: '12px' }}>
+          <select
+            value={rule.type}
+            onChange={(e) => updateRule(rule.id, {
+              type: e.target.value,
+              days: e.target.value === 'drop' ? rule.days ?? DEFAULT_DROP_DAYS : undefined,
+            })}
+            style={inputStyle}
+          >
+            {available.map(([type, { label }]) => (
+              <option key={type} value={type}>{t(label)}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.1"
+            value={rule.threshold}
+            onChange={(e) => updateRule(rule.id, { threshold: parseFloat(e.target.value) || 0 })}
+            style={{ ...inputStyle, width: '60px' }}
+          />
+          {t(ruleTypes[rule.type].unit)}
+          {rule.type === 'drop' && (
+            <>
+              {` ${t('in')} `}
+              <input
+                type="number"
+                min="1"
+                value={rule.days}
+                onChange={(e) => updateRule(rule.id, { days: parseInt(e.target.value, 10) || DEFAULT_DROP_DAYS })}
+                style={{ ...inputStyle, width: '48px' }}
+              />
+              {` ${t('days')}`}
+            </>
+          )}
+          <button
+            onClick={() => onChange(station.rules.filter((r) => r.id !== rule.id))}
+            title={t('Remove rule')}
+            style={{ border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '14px' }}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button onClick={addRule} style={{ ...smallButtonStyle, alignSelf: 'flex-start' }}>{t('+ Add rule')}</button>
+    </div>
+  );
+};
+
+// Drawer listing watched stations, breaching ones first, with their rules;
+// breaching stations are also ringed on the map.
+export const AlertsDrawer = ({ map, watch, alerts, onOpenStation }) => {
+  const { t, formatDate } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const sourceRef = useRef(new VectorSource());
+  const fileInputRef = useRef(null);
+  const { watchlist, setRules, removeStation, importWatchlist, exportWatchlist } = watch;
+  const { results, breaches, isChecking, checkedAt, refresh } = alerts;
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const layer = new VectorLayer({ source: sourceRef.current, style: breachStyle, zIndex: 11 });
+    map.addLayer(layer);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const source = sourceRef.current;
+    source.clear();
+    source.addFeatures(breaches
+      .filter((s) => Number.isFinite(parseFloat(s.longitude)) && Number.isFinite(parseFloat(s.latitude)))
+      .map((s) => new Feature({
+        geometry: new Point(fromLonLat([parseFloat(s.longitude), parseFloat(s.latitude)])),
+      })));
+  }, [breaches]);
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      importWatchlist(await file.text(), t);
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const breachKeys = new Set(breaches.map((s) => watchKey(s.layer, s.unique_id)));
+  const stations = [...watchlist.stations].sort((a, b) => (
+    Number(breachKeys.has(watchKey(b.layer, b.unique_id))) - Number(breachKeys.has(watchKey(a.layer, a.unique_id)))
+  ));
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        title={t('Watchlist and alerts')}
+        style={{
+          position: 'fixed',
+          top: 'calc(50% + 34px)',
+          right: '0',
+          background: breaches.length > 0 ? '#dc2626' : '#6b7280',
+          color: 'white',
+          border: 'none',
+          borderRadius: '8px 0 0 8px',
+          width: '40px',
+          height: '50px',
+          fontSize: '13px',
+          fontWeight: 'bold',
+          cursor: 'pointer',
+          boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)',
+          zIndex: 1000
+        }}
+      >
+        ★{breaches.length > 0 && <div>{breaches.length}</div>}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'fixed',
+          top: '120px',
+          left: '20px',
+          width: '380px',
+          maxHeight: 'calc(100vh - 160px)',
+          overflow: 'auto',
+          background: 'white',
+          padding: '12px 16px',
+          borderRadius: '12px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+          zIndex: 1001,
+          fontSize: '13px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <h4 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: '#1f2937' }}>
+              {t('Watchlist ({count})', { count: watchlist.stations.length })}
+            </h4>
+            <button
+              onClick={() => setIsOpen(false)}
+              aria-label={t('Close')}
+              style={{ border: 'none', background: 'none', fontSize: '18px', cursor: 'pointer', color: '#6b7280' }}
+            >
+              ×
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px', color: '#6b7280' }}>
+            <button onClick={refresh} disabled={isChecking} style={smallButtonStyle}>
+              {isChecking ? t('Checking…') : t('Check now')}
+            </button>
+            <button onClick={() => fileInputRef.current.click()} style={smallButtonStyle}>{t('Import')}</button>
+            <button onClick={exportWatchlist} style={smallButtonStyle}>{t('Export')}</button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+            {checkedAt && <span style={{ fontSize: '12px' }}>{t('data from {time}', { time: formatDate(checkedAt, { dateStyle: 'medium', timeStyle: 'short' }) })}</span>}
+          </div>
+          {importError && <div style={{ color: '#dc2626', marginBottom: '8px' }}>{importError}</div>}
+
+          {stations.length === 0 && (
+            <div style={{ color: '#6b7280' }}>{t('Star a well or reservoir in its panel to watch it here.')}</div>
+          )}
+          {stations.map((station) => {
+            const key = watchKey(station.layer, station.unique_id);
+            const result = results[key];
+            const breached = breachKeys.has(key);
+            return (
+              <div key={key} style={{
+                padding: '8px',
+                marginBottom: '6px',
+                border: `1px solid ${breached ? '#fca5a5' : '#e5e7eb'}`,
+                background: breached ? '#fef2f2' : 'white',
+                borderRadius: '6px'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '6px' }}>
+                  <button
+                    onClick={() => onOpenStation(station)}
+                    style={{ border: 'none', background: 'none', padding: 0, cursor: 'pointer', color: '#1d4ed8', fontWeight: 500, textAlign: 'left' }}
+                  >
+                    {station.name ?? station.unique_id}
+                  </button>
+                  <span style={{ display: 'flex', gap: '4px' }}>
+                    <button onClick={() => setExpanded((prev) => (prev === key ? null : key))} style={smallButtonStyle}>
+                      {t('Rules ({count})', { count: station.rules.length })}
+                    </button>
+                    <button
+                      onClick={() => removeStation(key)}
+                      title={t('Stop watching')}
+                      style={{ border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: '14px' }}
+                    >
+                      ×
+                    </button>
+                  </span>
+                </div>
+                <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                  {t(station.layer === 'reservoir' ? 'Reservoir' : 'Well')} · {station.unique_id}
+                </div>
+                {result?.error && <div style={{ color: '#dc2626', fontSize: '12px' }}>{result.error}</div>}
+                {result?.evaluations.map(({ rule, breached: ruleBreached, message }) => (
+                  <div key={rule.id} style={{ fontSize: '12px', color: ruleBreached ? '#b91c1c' : '#4b5563' }}>
+                    {ruleBreached ? '⚠ ' : '✓ '}{message}
+                  </div>
+                ))}
+                {expanded === key && <RuleEditor station={station} onChange={(rules) => setRules(key, rules)} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+};
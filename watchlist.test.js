@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateRule, parseWatchlist, toReadings } from './watchlist';
+
+const reservoir = { layer: 'reservoir', unique_id: 'R1', capacity_bcm: '2' };
+const well = { layer: 'groundwater', unique_id: 'G1' };
+
+const reservoirReadings = (rows) => toReadings(reservoir, rows.map(([acq_dt, level, storage]) => ({
+  acq_dt,
+  current_reservoir_level_m: level,
+  current_live_storage_bcm: storage,
+})));
+
+describe('evaluateRule', () => {
+  it('flags a well deeper than the limit on its latest reading', () => {
+    const readings = toReadings(well, [{ date: '2024-01-01', wl_mbgl: '9.5' }, { date: '2024-02-01', wl_mbgl: '12.25' }]);
+    expect(evaluateRule({ type: 'depthBelow', threshold: 12 }, well, readings)).toMatchObject({ breached: true, value: 12.25 });
+    expect(evaluateRule({ type: 'depthBelow', threshold: 13 }, well, readings).breached).toBe(false);
+  });
+
+  it('measures a level drop over the window, skipping levels that did not parse', () => {
+    const readings = reservoirReadings([
+      ['2024-01-01', '100', '1'],
+      ['2024-01-20', '98.5', '1'],
+      ['2024-01-25', '', '1'],
+    ]);
+    const result = evaluateRule({ type: 'drop', threshold: 1, days: 30 }, reservoir, readings);
+    expect(result).toMatchObject({ breached: true, value: 1.5 });
+    expect(result.message).toContain('2024-01-20');
+  });
+
+  it('needs an earlier reading inside the drop window', () => {
+    const readings = reservoirReadings([['2023-01-01', '100', '1'], ['2024-01-20', '90', '1']]);
+    expect(evaluateRule({ type: 'drop', threshold: 1, days: 30 }, reservoir, readings)).toMatchObject({ breached: false, value: null });
+  });
+
+  it('judges storage on the latest reading that has it', () => {
+    const readings = reservoirReadings([['2024-01-01', '100', '0.5'], ['2024-01-02', '100', '']]);
+    const result = evaluateRule({ type: 'storageBelow', threshold: 30 }, reservoir, readings);
+    expect(result).toMatchObject({ breached: true, value: 25 });
+    expect(result.message).toContain('2024-01-01');
+  });
+
+  it('cannot judge storage without a live capacity', () => {
+    const station = { ...reservoir, capacity_bcm: null };
+    const readings = toReadings(station, [{ acq_dt: '2024-01-01', current_reservoir_level_m: '1', current_live_storage_bcm: '1' }]);
+    expect(evaluateRule({ type: 'storageBelow', threshold: 30 }, station, readings))
+      .toEqual({ breached: false, value: null, message: 'Live capacity unknown' });
+  });
+});
+
+describe('parseWatchlist', () => {
+  it('refuses rules that do not fit the station', () => {
+    expect(() => parseWatchlist({ stations: [{ layer: 'groundwater', unique_id: 'G1', rules: [{ type: 'storageBelow', threshold: 10 }] }] }))
+      .toThrow(/does not apply/);
+    expect(() => parseWatchlist('{}')).toThrow(/stations/);
+  });
+
+  it('fills in the drop window and ids', () => {
+    const { stations } = parseWatchlist({ stations: [{ layer: 'reservoir', unique_id: 7, rules: [{ type: 'drop', threshold: '2' }] }] });
+    expect(stations[0]).toMatchObject({ unique_id: '7', rules: [{ type: 'drop', threshold: 2, days: 30 }] });
+    expect(stations[0].rules[0].id).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef } from 'react';
+import Map from 'ol/Map';
+import View from 'ol/View';
+import { fromLonLat } from 'ol/proj';
+import { ScaleLine, defaults as defaultControls } from 'ol/control';
+import type BaseLayer from 'ol/layer/Base';
+import { basemaps } from './layerManager';
+import { identifyStations } from './identify';
+import type { LayerKey, StationDataProvider, StationProperties } from './stationModels';
+
+export interface WaterMapProps {
+  provider: StationDataProvider;
+  layers?: LayerKey[];
+  // Initial view, [longitude, latitude] in degrees.
+  center?: [number, number];
+  zoom?: number;
+  height?: string | number;
+  basemapId?: string;
+  onStationClick?: (layer: LayerKey, properties: StationProperties) => void;
+  onMapReady?: (map: Map) => void;
+}
+
+const DEFAULT_CENTER: [number, number] = [78.9629, 20.5937];
+const DEFAULT_ZOOM = 5;
+
+// A basemap plus the provider's station layers. A click opens the nearest
+// station on the topmost layer that has one; onMapReady hands over the map
+// for anything further (overlays, panels that need it).
+export const WaterMap = ({
+  provider,
+  layers = ['reservoir', 'groundwater'],
+  center = DEFAULT_CENTER,
+  zoom = DEFAULT_ZOOM,
+  height = '500px',
+  basemapId = 'osm',
+  onStationClick,
+  onMapReady,
+}: WaterMapProps) => {
+  const targetRef = useRef<HTMLDivElement>(null);
+  // Handlers change identity every render; the map reads the latest.
+  const handlersRef = useRef({ onStationClick, onMapReady });
+  handlersRef.current = { onStationClick, onMapReady };
+
+  const layerList = layers.join(',');
+
+  useEffect(() => {
+    const basemap = (basemaps.find((entry) => entry.id === basemapId) ?? basemaps[0]).create();
+    basemap.setZIndex(-1);
+    const stationLayers: BaseLayer[] = (layerList.split(',') as LayerKey[]).map((layerKey) => {
+      const layer = provider.createLayer(layerKey);
+      layer.set('layerKey', layerKey);
+      return layer;
+    });
+
+    const map = new Map({
+      target: targetRef.current ?? undefined,
+      layers: [basemap, ...stationLayers],
+      view: new View({ center: fromLonLat(center), zoom }),
+      controls: defaultControls({ attribution: true, rotate: false }).extend([new ScaleLine()]),
+    });
+
+    let controller: AbortController | null = null;
+    map.on('singleclick', async (event) => {
+      controller?.abort();
+      controller = new AbortController();
+      const hits = await identifyStations(provider, [...stationLayers].reverse(), event.coordinate, map.getView().getResolution(), controller.signal);
+      if (hits.length > 0) handlersRef.current.onStationClick?.(hits[0].layerKey, hits[0].features[0].properties);
+    });
+
+    handlersRef.current.onMapReady?.(map);
+    return () => {
+      controller?.abort();
+      map.setTarget(undefined);
+    };
+    // center and zoom are only the initial view; moving the map must not rebuild it.
+  }, [provider, layerList, basemapId]);
+
+  return <div ref={targetRef} style={{ width: '100%', height }} />;
+};